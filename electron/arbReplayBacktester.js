@@ -0,0 +1,208 @@
+// NeutronTrader - Arbitrage replay backtesting
+//
+// Replays a recorded price-snapshot stream (see arbSnapshotRecorder) through
+// the live detection logic (`detectArbitrage`, same fee table and stale-quote
+// cutoff) and simulates execution the way ArbitrageEngine sizes it:
+//   - an opportunity is detected when a symbol's quotes change, and both legs
+//     fill `latencyMs` later at the quotes in force then (ask on the buy
+//     exchange, bid on the sell exchange), so spreads that close in the
+//     meantime lose money
+//   - each leg independently fails with `legFailurePct` probability; a single
+//     filled leg is unwound on its own exchange at the then-current quote
+//   - `impactBpsPer1kUSDT` moves both fill prices against the trade in
+//     proportion to size, since recorded top-of-book quotes carry no depth
+// One execution per symbol is in flight at a time. Seeded for repeatability.
+
+const { detectArbitrage, EXCHANGE_FEES } = require('./priceFeedAggregator');
+const { createRng } = require('./monteCarlo');
+const { buildParamGrid } = require('./backtestOptimizer');
+
+const DEFAULT_REPLAY_CONFIG = {
+  minProfitPct: 0.3,
+  positionSizeUSDT: 100,
+  latencyMs: 500,
+  legFailurePct: 0,
+  impactBpsPer1kUSDT: 0,
+  seed: 1,
+};
+
+const MAX_EQUITY_POINTS = 1000;
+
+const takerFee = exchange => EXCHANGE_FEES[exchange]?.taker || 0.001;
+
+function summarize(trades, { updates, opportunities, startTime, endTime, positionSizeUSDT }) {
+  const filled = trades.filter(t => t.outcome === 'filled');
+  const unwound = trades.filter(t => t.outcome.startsWith('unwound'));
+  const totalPnl = trades.reduce((s, t) => s + t.pnl, 0);
+  const wins = trades.filter(t => t.pnl > 0);
+
+  let peak = 0;
+  let cumulative = 0;
+  let maxDrawdown = 0;
+  for (const t of trades) {
+    cumulative += t.pnl;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+  }
+
+  const avg = (list, key) => (list.length ? list.reduce((s, t) => s + t[key], 0) / list.length : null);
+  const days = (endTime - startTime) / 86_400_000;
+  return {
+    updates,
+    opportunities,
+    attempts: trades.length,
+    filled: filled.length,
+    unwound: unwound.length,
+    bothLegsFailed: trades.filter(t => t.outcome === 'failed').length,
+    totalPnl,
+    avgPnl: trades.length ? totalPnl / trades.length : 0,
+    winRate: trades.length ? (wins.length / trades.length) * 100 : 0,
+    // Detected vs. realized net % on fully filled trades shows what latency costs
+    avgDetectedPct: avg(filled, 'detectedNetPct'),
+    avgRealizedPct: avg(filled, 'realizedNetPct'),
+    maxDrawdownUSDT: maxDrawdown,
+    returnOnPositionPct: positionSizeUSDT > 0 ? (totalPnl / positionSizeUSDT) * 100 : 0,
+    pnlPerDay: days > 0 ? totalPnl / days : null,
+  };
+}
+
+/**
+ * Replay recorded snapshot events ({ t, q } lines) with one parameter set.
+ * @returns {{ config, trades, equity, metrics }} equity is cumulative P&L in USDT
+ */
+function replayArbitrage(events, options = {}) {
+  const config = { ...DEFAULT_REPLAY_CONFIG, ...options };
+  const minProfitPct = parseFloat(config.minProfitPct);
+  const size = parseFloat(config.positionSizeUSDT);
+  const latencyMs = Math.max(0, parseFloat(config.latencyMs) || 0);
+  const failP = Math.min(100, Math.max(0, parseFloat(config.legFailurePct) || 0)) / 100;
+  const impact = (Math.max(0, parseFloat(config.impactBpsPer1kUSDT) || 0) / 10000) * (size / 1000);
+  if (!Number.isFinite(minProfitPct)) throw new Error('minProfitPct must be a number');
+  if (!(size > 0)) throw new Error('positionSizeUSDT must be positive');
+  if (!events?.length) throw new Error('The recording has no price updates');
+
+  const symbolFilter = config.symbols?.length ? new Set(config.symbols.map(s => s.toUpperCase())) : null;
+  const rng = createRng(config.seed);
+  const quotes = new Map(); // symbol -> Map<exchange, { exchange, bid, ask, timestamp }>
+  const pending = []; // FIFO: latency is constant, so execution times stay ordered
+  const busy = new Set();
+  const trades = [];
+  let opportunities = 0;
+
+  const quote = (symbol, exchange) => quotes.get(symbol)?.get(exchange);
+
+  const execute = ({ opp, detectedAt, execAt }) => {
+    busy.delete(opp.symbol);
+    const buyQuote = quote(opp.symbol, opp.buyExchange);
+    const sellQuote = quote(opp.symbol, opp.sellExchange);
+    // Same quantity rule as ArbitrageEngine: size over the detected buy price
+    const quantity = size / opp.buyPrice;
+    const buyFee = takerFee(opp.buyExchange);
+    const sellFee = takerFee(opp.sellExchange);
+    const buyFilled = rng() >= failP;
+    const sellFilled = rng() >= failP;
+
+    const buyPrice = buyQuote.ask * (1 + impact);
+    const sellPrice = sellQuote.bid * (1 - impact);
+    let outcome;
+    let pnl;
+    if (buyFilled && sellFilled) {
+      outcome = 'filled';
+      pnl = quantity * (sellPrice - buyPrice) - quantity * buyPrice * buyFee - quantity * sellPrice * sellFee;
+    } else if (buyFilled) {
+      // Bought but the sell leg failed: dump the coins back on the buy exchange
+      const unwindPrice = buyQuote.bid * (1 - impact);
+      outcome = 'unwound-buy';
+      pnl = quantity * (unwindPrice - buyPrice) - quantity * (buyPrice + unwindPrice) * buyFee;
+    } else if (sellFilled) {
+      // Sold but the buy leg failed: buy back on the sell exchange
+      const unwindPrice = sellQuote.ask * (1 + impact);
+      outcome = 'unwound-sell';
+      pnl = quantity * (sellPrice - unwindPrice) - quantity * (sellPrice + unwindPrice) * sellFee;
+    } else {
+      outcome = 'failed';
+      pnl = 0;
+    }
+
+    trades.push({
+      symbol: opp.symbol,
+      buyExchange: opp.buyExchange,
+      sellExchange: opp.sellExchange,
+      detectedAt,
+      executedAt: execAt,
+      detectedBuyPrice: opp.buyPrice,
+      detectedSellPrice: opp.sellPrice,
+      buyPrice,
+      sellPrice,
+      quantity,
+      detectedNetPct: parseFloat(opp.netProfitPct),
+      realizedNetPct: (pnl / size) * 100,
+      outcome,
+      pnl,
+    });
+  };
+
+  for (const event of events) {
+    while (pending.length && pending[0].execAt <= event.t) execute(pending.shift());
+
+    const changed = new Set();
+    for (const [key, [bid, ask, timestamp]] of Object.entries(event.q)) {
+      const colon = key.lastIndexOf(':');
+      const symbol = key.slice(0, colon);
+      if (symbolFilter && !symbolFilter.has(symbol)) continue;
+      const exchange = key.slice(colon + 1);
+      if (!quotes.has(symbol)) quotes.set(symbol, new Map());
+      quotes.get(symbol).set(exchange, { exchange, bid, ask, timestamp });
+      changed.add(symbol);
+    }
+
+    for (const symbol of changed) {
+      if (busy.has(symbol)) continue;
+      const opp = detectArbitrage(symbol, [...quotes.get(symbol).values()], minProfitPct, event.t);
+      if (!opp) continue;
+      opportunities++;
+      busy.add(symbol);
+      pending.push({ opp, detectedAt: event.t, execAt: event.t + latencyMs });
+    }
+  }
+  // Executions due after the recording ends fill at the last recorded quotes
+  while (pending.length) execute(pending.shift());
+
+  const startTime = events[0].t;
+  const endTime = events[events.length - 1].t;
+  const stride = Math.max(1, Math.ceil(trades.length / MAX_EQUITY_POINTS));
+  const equity = [{ timestamp: startTime, value: 0 }];
+  let cumulative = 0;
+  trades.forEach((t, i) => {
+    cumulative += t.pnl;
+    if ((i + 1) % stride === 0 || i === trades.length - 1) equity.push({ timestamp: t.executedAt, value: cumulative });
+  });
+
+  return {
+    config,
+    trades,
+    equity,
+    metrics: summarize(trades, { updates: events.length, opportunities, startTime, endTime, positionSizeUSDT: size }),
+  };
+}
+
+/**
+ * Replay every combination of `ranges` ({ minProfitPct, positionSizeUSDT },
+ * each { min, max, step }) with the rest of `config` fixed, ranked by total P&L.
+ * Every cell uses the same seed, so leg failures hit the same attempts.
+ */
+function sweepArbitrage(events, config = {}, ranges = {}) {
+  const axes = ['minProfitPct', 'positionSizeUSDT']
+    .filter(key => ranges[key])
+    .map(key => ({ key, ...ranges[key] }));
+  const grid = buildParamGrid(axes);
+  const results = grid.map(values => {
+    const params = Object.fromEntries(axes.map((a, i) => [a.key, values[i]]));
+    const { metrics } = replayArbitrage(events, { ...config, ...params });
+    return { params, metrics };
+  });
+  results.sort((a, b) => b.metrics.totalPnl - a.metrics.totalPnl);
+  return { axes: axes.map(a => a.key), results };
+}
+
+module.exports = { replayArbitrage, sweepArbitrage, DEFAULT_REPLAY_CONFIG };
@@ -0,0 +1,123 @@
+// NeutronTrader - Price snapshot recorder for arbitrage replay
+//
+// Appends PriceFeedAggregator `snapshot-update` events to
+// <userData>/arb-recordings/<id>.jsonl while a recording is active. Each line
+// is { t, q } where q maps "SYMBOL:exchange" to [bid, ask, quoteTimestamp] for
+// the quotes that changed since the previous line, so a full snapshot is only
+// written once. index.json lists every recording's metadata.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const { readJson, writeJson } = require('./jsonFiles');
+
+class ArbSnapshotRecorder {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.indexPath = path.join(rootDir, 'index.json');
+    this._active = null; // { meta, stream, last: Map<key, quoteTimestamp>, symbols: Set|null }
+  }
+
+  isRecording() {
+    return !!this._active;
+  }
+
+  /** Metadata of the active recording (with live counters), or null. */
+  status() {
+    return this._active ? { ...this._active.meta } : null;
+  }
+
+  /** Begin a new recording; `symbols` limits what is kept (default: every symbol in the feed). */
+  async start({ name, symbols } = {}) {
+    if (this._active) throw new Error('A recording is already in progress');
+    const id = `rec_${Date.now()}`;
+    const meta = {
+      id,
+      name: (name || `Recording ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`).trim(),
+      startedAt: Date.now(),
+      endedAt: null,
+      updates: 0,
+      bytes: 0,
+      symbols: [],
+      exchanges: [],
+    };
+    await fsp.mkdir(this.rootDir, { recursive: true });
+    const stream = fs.createWriteStream(path.join(this.rootDir, `${id}.jsonl`), { flags: 'a' });
+    const filter = symbols?.length ? new Set(symbols.map(s => s.toUpperCase())) : null;
+    this._active = { meta, stream, last: new Map(), symbols: filter, seenSymbols: new Set(), seenExchanges: new Set() };
+    await writeJson(this.indexPath, [...await this.list(), meta]);
+    return { ...meta };
+  }
+
+  /** Called with every `snapshot-update`; writes the quotes that changed. No-op when idle. */
+  record(snapshot) {
+    const active = this._active;
+    if (!active) return;
+    const q = {};
+    let changed = 0;
+    for (const [key, data] of Object.entries(snapshot || {})) {
+      const colon = key.lastIndexOf(':');
+      const symbol = key.slice(0, colon);
+      if (active.symbols && !active.symbols.has(symbol)) continue;
+      if (!(data?.bid > 0) || !(data?.ask > 0)) continue;
+      if (active.last.get(key) === data.timestamp) continue;
+      active.last.set(key, data.timestamp);
+      active.seenSymbols.add(symbol);
+      active.seenExchanges.add(key.slice(colon + 1));
+      q[key] = [data.bid, data.ask, data.timestamp];
+      changed++;
+    }
+    if (!changed) return;
+    const line = `${JSON.stringify({ t: Date.now(), q })}\n`;
+    active.stream.write(line);
+    active.meta.updates++;
+    active.meta.bytes += Buffer.byteLength(line);
+  }
+
+  async stop() {
+    const active = this._active;
+    if (!active) return null;
+    this._active = null;
+    await new Promise(resolve => active.stream.end(resolve));
+    const meta = {
+      ...active.meta,
+      endedAt: Date.now(),
+      symbols: [...active.seenSymbols].sort(),
+      exchanges: [...active.seenExchanges].sort(),
+    };
+    await writeJson(this.indexPath, (await this.list()).map(r => (r.id === meta.id ? meta : r)));
+    return meta;
+  }
+
+  async list() {
+    return readJson(this.indexPath, []);
+  }
+
+  async remove(id) {
+    if (this._active?.meta.id === id) throw new Error('Stop the recording before deleting it');
+    const remaining = (await this.list()).filter(r => r.id !== id);
+    await fsp.rm(path.join(this.rootDir, `${id}.jsonl`), { force: true });
+    await writeJson(this.indexPath, remaining);
+    return remaining;
+  }
+
+  /** Every line of a recording as { t, q }, in order. A truncated last line is skipped. */
+  async load(id) {
+    const meta = (await this.list()).find(r => r.id === id);
+    if (!meta) throw new Error(`Recording "${id}" not found`);
+    const events = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(path.join(this.rootDir, `${id}.jsonl`)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // an interrupted write leaves a partial final line
+      }
+    }
+    return { meta, events };
+  }
+}
+
+module.exports = { ArbSnapshotRecorder };
@@ -1,8 +1,54 @@
 // NeutronTrader - Strategy backtesting engine
 
 const { runStrategy, executeComposedStrategy } = require('./strategies/technicalStrategies');
+const { resolveFillModel, fillOrder } = require('./backtestFillModel');
+const { resolveSizing, positionSizeUSDT } = require('./backtestSizing');
+const { intervalToMs } = require('./candleLoader');
+const { resolveExitRules, hasExitRules, exitLevels } = require('./strategies/exitRules');
+const { loadTimeframes, TimeframeCursor } = require('./strategies/multiTimeframe');
+
+const YEAR_MS = 365 * 24 * 3600 * 1000;
+const DUST_USDT = 0.01;
+
+/**
+ * Which exit, if any, `bar` triggers for an open position. Opens beyond a
+ * level fill at the open (gap); otherwise a touched level fills at the level.
+ * When one bar touches both the stop and the target the order is unknown:
+ * pessimistic takes the stop, optimistic the target. Returns { reason, price } or null.
+ */
+function intrabarExit({ direction, avgEntry, water, openedAt }, rules, bar, pessimistic = true) {
+  const long = direction === 'LONG';
+  const open = parseFloat(bar.open);
+  const high = parseFloat(bar.high);
+  const low = parseFloat(bar.low);
+
+  if (rules.maxHoldMs && openedAt != null && bar.openTime - openedAt >= rules.maxHoldMs) {
+    return { reason: 'max-hold', price: open };
+  }
+
+  const { stopPrice, takeProfitPrice, trailingStopPrice } = exitLevels(avgEntry, rules, water, direction);
+  // The tighter of the fixed and trailing stop is the one that triggers first
+  const stops = [
+    stopPrice && { reason: 'stop-loss', price: stopPrice },
+    trailingStopPrice && { reason: 'trailing-stop', price: trailingStopPrice },
+  ].filter(Boolean);
+  const stop = stops.sort((a, b) => (long ? b.price - a.price : a.price - b.price))[0];
+  const target = takeProfitPrice && { reason: 'take-profit', price: takeProfitPrice };
+
+  if (stop && (long ? open <= stop.price : open >= stop.price)) return { ...stop, price: open };
+  if (target && (long ? open >= target.price : open <= target.price)) return { ...target, price: open };
+
+  const stopHit = stop && (long ? low <= stop.price : high >= stop.price);
+  const targetHit = target && (long ? high >= target.price : low <= target.price);
+  if (stopHit && targetHit) return pessimistic ? stop : target;
+  return stopHit ? stop : targetHit ? target : null;
+}
 
 class BacktestEngine {
+  /**
+   * @param {Function} getCandlesFn (exchange, symbol, interval, options) resolving
+   *   to either a candle array or { candles, stats } from candleLoader
+   */
   constructor(getCandlesFn) {
     this.getCandles = getCandlesFn;
   }
@@ -18,88 +64,284 @@ class BacktestEngine {
       strategyParams = {},
       composedConfig = null,
       initialCapital = 10000,
-      feeRate = 0.001,
       windowSize = 50,
+      datasetId = null,
     } = config;
 
-    const candles = await this.getCandles(exchange, symbol, interval, {
+    const loaded = await this.getCandles(exchange, symbol, interval, {
       startTime,
       endTime,
-      limit: 1000,
+      datasetId,
+      onPage: ({ pages, bars }) => onProgress?.({ percent: 0, phase: 'loading', pages, bars }),
     });
+    const candles = Array.isArray(loaded) ? loaded : loaded?.candles;
+    const dataStats = (Array.isArray(loaded) ? null : loaded?.stats) || { bars: candles?.length || 0, gaps: [] };
 
     if (!candles || candles.length < windowSize + 2) {
       throw new Error(`Insufficient candle data (${candles?.length || 0} bars)`);
     }
 
+    // Composed rules on higher intervals see only the bars closed when each base bar closes
+    const intervalMs = intervalToMs(interval);
+    const timeframes = new TimeframeCursor(await loadTimeframes(this.getCandles, config, candles));
+
+    const fillModel = resolveFillModel(config);
+    const sizing = resolveSizing(config);
+    const allowShort = config.allowShort === true;
+    const borrowPerBar = allowShort
+      ? (parseFloat(config.borrowRatePct) || 0) / 100 * intervalMs / YEAR_MS
+      : 0;
+
+    const exitRules = resolveExitRules(config);
+    const useExits = hasExitRules(exitRules);
+    const pessimistic = config.intrabarOrder !== 'optimistic';
+
+    // position is signed: > 0 long, < 0 short. entryValue is what opening it
+    // cost (long, fees included) or raised (short, net of fees); entryNotional
+    // is the same at fill prices only, for the average entry exits key off.
     let cash = initialCapital;
     let position = 0;
-    let entryPrice = 0;
+    let entryValue = 0;
+    let entryNotional = 0;
+    let openedAt = null;
+    let water = null; // best price since entry: high for longs, low for shorts
+    let borrowAccrued = 0;
+    // Order still being filled: { kind, orderId, reason, exitReason, remainingCash | remainingQty | entryValue }
+    let pending = null;
+    let nextOrderId = 1;
+    const costs = { fees: 0, spread: 0, slippage: 0, borrow: 0 };
+    const tradeReturns = []; // closed-trade returns, fed to Kelly sizing
     const trades = [];
     const equity = [];
+    let barsInMarket = 0;
+    // Buy-and-hold from the first marked close, drawn next to the strategy curve
+    const benchmarkBase = parseFloat(candles[windowSize].close);
+
+    const openOrder = (kind, signal, price, window) => {
+      const direction = kind === 'open-long' ? 'LONG' : 'SHORT';
+      const size = positionSizeUSDT(sizing, {
+        side: direction, cash, equity: cash + position * price, price, candles: window, tradeReturns,
+      });
+      if (!(size > 0)) return null;
+      return kind === 'open-long'
+        ? { kind, orderId: nextOrderId++, reason: signal.reason, remainingCash: size }
+        : { kind, orderId: nextOrderId++, reason: signal.reason, remainingQty: size / price };
+    };
+
+    const closeOrder = (reason, exitReason, then = null) => ({
+      kind: position > 0 ? 'close-long' : 'close-short',
+      orderId: nextOrderId++,
+      reason,
+      exitReason,
+      entryValue,
+      then,
+    });
+
+    // Fill the pending order at `bar`'s open, or at `price` inside the bar
+    // for stop/target exits. Returns true once the order is done.
+    const fillPending = (bar, price = null) => {
+      const { kind } = pending;
+      const side = kind === 'open-long' || kind === 'close-short' ? 'BUY' : 'SELL';
+      const fill = fillOrder(fillModel, {
+        side,
+        bar: price === null ? bar : { ...bar, open: price },
+        cash: kind === 'open-long' ? Math.min(pending.remainingCash, cash) : 0,
+        quantity: kind === 'open-long' ? 0 : kind === 'open-short' ? pending.remainingQty : Math.abs(position),
+      });
+      const q = fill.quantity;
+      const notional = q * fill.price;
+      let complete = fill.complete;
+
+      if (q > 0) {
+        const trade = {
+          side,
+          direction: kind.endsWith('long') ? 'LONG' : 'SHORT',
+          action: kind.startsWith('open') ? 'open' : 'close',
+          price: fill.price,
+          quantity: q,
+          fee: fill.fee,
+          timestamp: bar.openTime || bar.closeTime,
+          reason: pending.reason,
+          orderId: pending.orderId,
+        };
+
+        if (kind === 'open-long' || kind === 'open-short') {
+          const long = kind === 'open-long';
+          cash += long ? -(notional + fill.fee) : notional - fill.fee;
+          position += long ? q : -q;
+          entryValue += long ? notional + fill.fee : notional - fill.fee;
+          entryNotional += notional;
+          openedAt = openedAt ?? trade.timestamp;
+          if (long) pending.remainingCash -= notional + fill.fee;
+          else pending.remainingQty -= q;
+        } else {
+          const held = Math.abs(position);
+          const entryShare = entryValue * q / held;
+          trade.exitReason = pending.exitReason || 'signal';
+          if (kind === 'close-long') {
+            trade.pnl = notional - fill.fee - entryShare;
+            cash += notional - fill.fee;
+            position -= q;
+          } else {
+            const borrowShare = borrowAccrued * q / held;
+            trade.pnl = entryShare - notional - fill.fee - borrowShare;
+            cash -= notional + fill.fee;
+            position += q;
+            borrowAccrued -= borrowShare;
+          }
+          entryValue -= entryShare;
+          entryNotional -= entryNotional * q / held;
+          if (complete) {
+            tradeReturns.push(this._orderPnl(trades, pending.orderId, trade.pnl) / pending.entryValue);
+            trade.holdMs = trade.timestamp - openedAt;
+            position = 0;
+            entryValue = 0;
+            entryNotional = 0;
+            borrowAccrued = 0;
+            openedAt = null;
+            water = null;
+          }
+        }
+
+        trade.partial = !complete;
+        costs.fees += fill.fee;
+        costs.spread += fill.spreadCost;
+        costs.slippage += fill.slippageCost;
+        trades.push(trade);
+      }
+      if (kind === 'open-long' && pending.remainingCash <= DUST_USDT) complete = true;
+      return complete;
+    };
 
     for (let i = windowSize; i < candles.length - 1; i++) {
       const window = candles.slice(0, i + 1);
       const currentPrice = parseFloat(candles[i].close);
-      const nextOpen = parseFloat(candles[i + 1].open);
+      const nextBar = candles[i + 1];
+
+      if (position < 0 && borrowPerBar > 0) {
+        const borrow = -position * currentPrice * borrowPerBar;
+        cash -= borrow;
+        borrowAccrued += borrow;
+        costs.borrow += borrow;
+      }
 
       let signal;
       if (strategy === 'composed' && composedConfig) {
-        signal = executeComposedStrategy(window, composedConfig, currentPrice);
+        const series = timeframes.at(Number(candles[i].openTime) + intervalMs);
+        signal = executeComposedStrategy(window, composedConfig, currentPrice, { interval, series });
       } else {
         signal = runStrategy(strategy, window, strategyParams, currentPrice);
       }
 
-      if (signal.action === 'BUY' && position === 0 && cash > 0) {
-        const qty = (cash * (1 - feeRate)) / nextOpen;
-        position = qty;
-        entryPrice = nextOpen;
-        cash = 0;
-        trades.push({
-          side: 'BUY',
-          price: nextOpen,
-          quantity: qty,
-          timestamp: candles[i + 1].openTime || candles[i + 1].closeTime,
-          reason: signal.reason,
-        });
-      } else if (signal.action === 'SELL' && position > 0) {
-        const proceeds = position * nextOpen * (1 - feeRate);
-        const pnl = proceeds - position * entryPrice;
-        cash = proceeds;
-        trades.push({
-          side: 'SELL',
-          price: nextOpen,
-          quantity: position,
-          timestamp: candles[i + 1].openTime || candles[i + 1].closeTime,
-          reason: signal.reason,
-          pnl,
-        });
-        position = 0;
-        entryPrice = 0;
+      // Signals place orders for the next bar's open. BUY closes a short or
+      // opens a long; SELL closes a long or, with shorting on, opens a short.
+      // With shorting on, a close reverses into the opposite side at the same
+      // open once flat. An opposite signal cancels the unfilled rest of an
+      // opening order; closing orders run until the position is flat.
+      const closing = pending?.kind.startsWith('close');
+      if (signal.action === 'BUY' && !closing && pending?.kind !== 'open-long') {
+        if (position < 0) pending = closeOrder(signal.reason, 'signal', 'open-long');
+        else if (position === 0) pending = openOrder('open-long', signal, currentPrice, window);
+        else pending = null;
+      } else if (signal.action === 'SELL' && !closing && pending?.kind !== 'open-short') {
+        if (position > 0) pending = closeOrder(signal.reason, 'signal', allowShort ? 'open-short' : null);
+        else if (position === 0 && allowShort) pending = openOrder('open-short', signal, currentPrice, window);
+        else pending = null;
+      }
+
+      for (let pass = 0; pending && pass < 2; pass++) {
+        if (!fillPending(nextBar)) break;
+        pending = pending.then ? openOrder(pending.then, pending, currentPrice, window) : null;
+      }
+
+      // Stops and targets are checked against the next bar's range once its
+      // open has been traded; a partly filled exit finishes at later opens.
+      if (useExits && position !== 0 && !pending?.kind.startsWith('close')) {
+        const direction = position > 0 ? 'LONG' : 'SHORT';
+        const avgEntry = entryNotional / Math.abs(position);
+        const exit = intrabarExit({ direction, avgEntry, water: water ?? avgEntry, openedAt }, exitRules, nextBar, pessimistic);
+        if (exit) {
+          pending = closeOrder(`${exit.reason} @ ${exit.price.toPrecision(6)}`, exit.reason);
+          if (fillPending(nextBar, exit.price)) pending = null;
+        }
+      }
+      if (position !== 0) {
+        const extreme = parseFloat(position > 0 ? nextBar.high : nextBar.low);
+        const best = water ?? entryNotional / Math.abs(position);
+        water = position > 0 ? Math.max(best, extreme) : Math.min(best, extreme);
       }
 
       const markValue = cash + position * currentPrice;
-      equity.push({ timestamp: candles[i].closeTime || candles[i].openTime, value: markValue });
+      if (position !== 0) barsInMarket++;
+      equity.push({
+        timestamp: candles[i].closeTime || candles[i].openTime,
+        value: markValue,
+        benchmark: initialCapital * currentPrice / benchmarkBase,
+      });
 
       if (onProgress && i % 10 === 0) {
-        onProgress({ percent: Math.round((i / candles.length) * 100) });
+        onProgress({ percent: Math.round((i / candles.length) * 100), phase: 'running' });
       }
     }
 
     const finalPrice = parseFloat(candles[candles.length - 1].close);
     const finalValue = cash + position * finalPrice;
-    const metrics = this._computeMetrics(trades, equity, initialCapital, finalValue);
+    const metrics = this._computeMetrics(trades, equity, initialCapital, finalValue, { interval, barsInMarket });
+
+    return {
+      trades,
+      equity,
+      metrics: {
+        ...metrics,
+        totalFees: costs.fees,
+        totalSpreadCost: costs.spread,
+        totalSlippage: costs.slippage,
+        totalBorrowCost: costs.borrow,
+      },
+      finalValue,
+      initialCapital,
+      fillModel,
+      sizing,
+      exitRules: useExits ? exitRules : null,
+      data: dataStats,
+    };
+  }
 
-    return { trades, equity, metrics, finalValue, initialCapital };
+  /** Realized P&L of a closing order: earlier partial fills plus `lastPnl`. */
+  _orderPnl(trades, orderId, lastPnl) {
+    return trades.reduce((sum, t) => (t.orderId === orderId && t.pnl != null ? sum + t.pnl : sum), lastPnl);
   }
 
-  _computeMetrics(trades, equity, initialCapital, finalValue) {
-    const sellTrades = trades.filter(t => t.side === 'SELL');
+  /**
+   * Performance metrics of an equity curve and its closed trades. Returns are
+   * annualized for the 24/7 crypto calendar from `interval` (or, without one,
+   * from the spacing of the equity points). Equity points carrying a
+   * `benchmark` value get alpha and beta against it; `barsInMarket` gives
+   * the share of bars a position was open.
+   */
+  _computeMetrics(trades, equity, initialCapital, finalValue, { interval = null, barsInMarket = null } = {}) {
+    // Partial fills of one closing order count as a single trade
+    const sellOrders = new Map();
+    for (const t of trades.filter(t => t.pnl != null)) {
+      const key = t.orderId ?? t.timestamp;
+      const prev = sellOrders.get(key);
+      sellOrders.set(key, { pnl: (prev?.pnl || 0) + (t.pnl || 0), holdMs: t.holdMs ?? prev?.holdMs });
+    }
+    const sellTrades = [...sellOrders.values()];
     const wins = sellTrades.filter(t => (t.pnl || 0) > 0);
     const losses = sellTrades.filter(t => (t.pnl || 0) < 0);
     const grossProfit = wins.reduce((s, t) => s + t.pnl, 0);
     const grossLoss = Math.abs(losses.reduce((s, t) => s + t.pnl, 0));
 
+    let maxConsecutiveLosses = 0;
+    let lossStreak = 0;
+    for (const t of sellTrades) {
+      lossStreak = t.pnl < 0 ? lossStreak + 1 : 0;
+      maxConsecutiveLosses = Math.max(maxConsecutiveLosses, lossStreak);
+    }
+    const held = sellTrades.filter(t => t.holdMs != null);
+    const avgTradeDurationMs = held.length ? held.reduce((s, t) => s + t.holdMs, 0) / held.length : null;
+
     let maxDrawdown = 0;
     let peak = initialCapital;
     for (const point of equity) {
@@ -109,25 +351,69 @@ class BacktestEngine {
     }
 
     const returns = [];
+    const benchReturns = [];
     for (let i = 1; i < equity.length; i++) {
       const prev = equity[i - 1].value;
-      if (prev > 0) returns.push((equity[i].value - prev) / prev);
+      if (!(prev > 0)) continue;
+      returns.push((equity[i].value - prev) / prev);
+      if (equity[i].benchmark != null && equity[i - 1].benchmark > 0) {
+        benchReturns.push(equity[i].benchmark / equity[i - 1].benchmark - 1);
+      }
     }
-    const avgReturn = returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+
+    const spanMs = equity.length > 1 ? equity[equity.length - 1].timestamp - equity[0].timestamp : 0;
+    const periodMs = interval ? intervalToMs(interval) : spanMs / Math.max(1, equity.length - 1);
+    const periodsPerYear = periodMs > 0 ? YEAR_MS / periodMs : 365;
+
+    const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+    const avgReturn = mean(returns);
     const stdReturn = returns.length > 1
       ? Math.sqrt(returns.reduce((s, r) => s + Math.pow(r - avgReturn, 2), 0) / (returns.length - 1))
       : 0;
-    const sharpeRatio = stdReturn > 0 ? (avgReturn / stdReturn) * Math.sqrt(252) : 0;
+    // Downside deviation against a 0% target, over all periods
+    const downside = returns.length ? Math.sqrt(returns.reduce((s, r) => s + Math.min(0, r) ** 2, 0) / returns.length) : 0;
+    const sharpeRatio = stdReturn > 0 ? (avgReturn / stdReturn) * Math.sqrt(periodsPerYear) : 0;
+    const sortinoRatio = downside > 0 ? (avgReturn / downside) * Math.sqrt(periodsPerYear) : 0;
+
+    const years = (spanMs + periodMs) / YEAR_MS;
+    const cagr = years > 0 && finalValue > 0 ? (Math.pow(finalValue / initialCapital, 1 / years) - 1) * 100 : null;
+    const calmarRatio = cagr != null && maxDrawdown > 0 ? cagr / (maxDrawdown * 100) : null;
+
+    // Beta and annualized Jensen's alpha (0% risk-free) against the benchmark
+    let alpha = null;
+    let beta = null;
+    let benchmarkReturn = null;
+    if (benchReturns.length === returns.length && benchReturns.length > 1) {
+      const avgBench = mean(benchReturns);
+      let cov = 0;
+      let varBench = 0;
+      for (let i = 0; i < returns.length; i++) {
+        cov += (returns[i] - avgReturn) * (benchReturns[i] - avgBench);
+        varBench += (benchReturns[i] - avgBench) ** 2;
+      }
+      beta = varBench > 0 ? cov / varBench : 0;
+      alpha = (avgReturn - beta * avgBench) * periodsPerYear * 100;
+      benchmarkReturn = (equity[equity.length - 1].benchmark / initialCapital - 1) * 100;
+    }
 
     return {
       totalReturn: ((finalValue - initialCapital) / initialCapital) * 100,
       maxDrawdown: maxDrawdown * 100,
       sharpeRatio: Number(sharpeRatio.toFixed(2)),
+      sortinoRatio: Number(sortinoRatio.toFixed(2)),
+      calmarRatio: calmarRatio != null ? Number(calmarRatio.toFixed(2)) : null,
+      cagr,
       winRate: sellTrades.length ? (wins.length / sellTrades.length) * 100 : 0,
       profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : 0,
       totalTrades: sellTrades.length,
+      exposurePct: barsInMarket != null && equity.length ? (barsInMarket / equity.length) * 100 : null,
+      avgTradeDurationMs,
+      maxConsecutiveLosses,
+      alpha,
+      beta: beta != null ? Number(beta.toFixed(3)) : null,
+      benchmarkReturn,
     };
   }
 }
 
-module.exports = { BacktestEngine };
+module.exports = { BacktestEngine, intrabarExit };
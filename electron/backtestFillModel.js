@@ -0,0 +1,78 @@
+// NeutronTrader - Backtest fill models
+//
+// Turns an order placed at a bar's open into a fill price, quantity and
+// costs. Market orders pay half the quoted spread, fixed slippage and a
+// volume-participation impact of `volumeImpactBps * sqrt(qty / barVolume)`
+// (so an order for the whole bar's volume pays the full impact) plus the
+// taker fee. Limit orders are assumed to rest at the open and fill there at
+// the maker fee. No more than `maxParticipation` of a bar's volume fills per
+// bar; the remainder is left for the caller to carry to the next bar.
+
+const { EXCHANGE_FEES } = require('./priceFeedAggregator');
+
+const DEFAULT_FILL_MODEL = {
+  orderType: 'market',   // 'market' (taker) | 'limit' (maker)
+  feeSource: 'flat',     // 'flat' uses config.feeRate, 'exchange' uses EXCHANGE_FEES
+  slippageBps: 0,
+  volumeImpactBps: 0,
+  spreadBps: 0,          // full bid/ask spread; each fill pays half
+  maxParticipation: 0,   // share of bar volume per fill, 0 = unlimited
+};
+
+/** Merge a backtest config's `fillModel` with defaults and resolve the fee rate. */
+function resolveFillModel({ fillModel = {}, feeRate = 0.001, exchange = 'binance' } = {}) {
+  const model = { ...DEFAULT_FILL_MODEL };
+  for (const [key, value] of Object.entries(fillModel || {})) {
+    if (value != null && value !== '') model[key] = value;
+  }
+  const nonNegative = key => {
+    const n = parseFloat(model[key]);
+    model[key] = Number.isFinite(n) && n > 0 ? n : 0;
+  };
+  ['slippageBps', 'volumeImpactBps', 'spreadBps', 'maxParticipation'].forEach(nonNegative);
+  model.maxParticipation = Math.min(model.maxParticipation, 1);
+
+  const side = model.orderType === 'limit' ? 'maker' : 'taker';
+  model.feeRate = model.feeSource === 'exchange'
+    ? EXCHANGE_FEES[exchange]?.[side] ?? feeRate
+    : feeRate;
+  return model;
+}
+
+/**
+ * Fill an order against `bar` at its open.
+ *   BUY:  buy `quantity` or, without one, spend up to `cash` (fees included)
+ *   SELL: sell up to `quantity`
+ * Returns { price, quantity, fee, spreadCost, slippageCost, complete } —
+ * quantity may be 0 when the bar has no fillable volume.
+ */
+function fillOrder(model, { side, bar, cash = 0, quantity = 0 }) {
+  const ref = parseFloat(bar.open);
+  const volume = parseFloat(bar.volume) || 0;
+  const cap = model.maxParticipation > 0 && volume > 0 ? model.maxParticipation * volume : Infinity;
+  const byCash = side === 'BUY' && !(quantity > 0);
+  const wanted = byCash ? cash / (ref * (1 + model.feeRate)) : quantity;
+  const participation = volume > 0 ? Math.min(wanted, cap) / volume : 0;
+
+  const halfSpreadBps = model.orderType === 'limit' ? 0 : model.spreadBps / 2;
+  const slippageBps = model.orderType === 'limit'
+    ? 0
+    : model.slippageBps + model.volumeImpactBps * Math.sqrt(participation);
+  const direction = side === 'BUY' ? 1 : -1;
+  const price = ref * (1 + direction * (halfSpreadBps + slippageBps) / 10_000);
+
+  const affordable = byCash ? cash / (price * (1 + model.feeRate)) : quantity;
+  const filled = Math.min(affordable, cap);
+  const spreadCost = filled * ref * halfSpreadBps / 10_000;
+
+  return {
+    price,
+    quantity: filled,
+    fee: filled * price * model.feeRate,
+    spreadCost,
+    slippageCost: filled * Math.abs(price - ref) - spreadCost,
+    complete: filled >= affordable * (1 - 1e-9),
+  };
+}
+
+module.exports = { resolveFillModel, fillOrder, DEFAULT_FILL_MODEL };
@@ -0,0 +1,123 @@
+// NeutronTrader - Saved backtest runs
+//
+// Every completed backtest is kept under <userData>/backtests as <id>.json
+// (the config it ran with and the full result: metrics, trades, equity),
+// with index.json listing one summary per run, newest first. The oldest runs
+// are dropped past `maxRuns`. Runs export as JSON (the whole run) or as CSV
+// (trades or equity curve).
+
+const fs = require('fs/promises');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFiles');
+
+const MAX_RUNS = 200;
+const EXPORT_FORMATS = ['json', 'trades-csv', 'equity-csv'];
+
+const TRADE_COLUMNS = ['timestamp', 'time', 'orderId', 'side', 'direction', 'action', 'price', 'quantity', 'fee', 'pnl', 'holdMs', 'partial', 'exitReason', 'reason'];
+const EQUITY_COLUMNS = ['timestamp', 'time', 'value', 'benchmark'];
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n') + '\n';
+}
+
+/** Trade log as CSV, one row per fill, with an ISO time column next to the timestamp. */
+function tradesToCsv(trades = []) {
+  return toCsv(TRADE_COLUMNS, trades.map(t => ({ ...t, time: new Date(t.timestamp).toISOString() })));
+}
+
+function equityToCsv(equity = []) {
+  return toCsv(EQUITY_COLUMNS, equity.map(p => ({ ...p, time: new Date(p.timestamp).toISOString() })));
+}
+
+function runName(config) {
+  const strategy = config.strategy === 'composed' ? config.composedConfig?.name || 'composed' : config.strategy;
+  return `${strategy} ${config.symbol} ${config.interval}`;
+}
+
+class BacktestHistory {
+  constructor(rootDir, { maxRuns = MAX_RUNS } = {}) {
+    this.rootDir = rootDir;
+    this.indexPath = path.join(rootDir, 'index.json');
+    this.maxRuns = maxRuns;
+  }
+
+  /** Store a finished run; returns its index summary. */
+  async save(config, result) {
+    const id = `bt_${Date.now()}`;
+    const { equity = [], metrics = {}, data = {} } = result;
+    const summary = {
+      id,
+      name: runName(config),
+      savedAt: Date.now(),
+      exchange: config.datasetId ? null : config.exchange,
+      datasetId: config.datasetId || null,
+      symbol: config.symbol,
+      interval: config.interval,
+      strategy: config.strategy,
+      dataStart: equity[0]?.timestamp ?? data.startTime ?? null,
+      dataEnd: equity[equity.length - 1]?.timestamp ?? data.endTime ?? null,
+      bars: data.bars ?? null,
+      initialCapital: result.initialCapital,
+      finalValue: result.finalValue,
+      totalReturn: metrics.totalReturn,
+      maxDrawdown: metrics.maxDrawdown,
+      sharpeRatio: metrics.sharpeRatio,
+      totalTrades: metrics.totalTrades,
+    };
+
+    await writeJson(path.join(this.rootDir, `${id}.json`), { ...summary, config, result });
+    const runs = [summary, ...await this.list()];
+    for (const old of runs.splice(this.maxRuns)) {
+      await fs.rm(path.join(this.rootDir, `${old.id}.json`), { force: true });
+    }
+    await writeJson(this.indexPath, runs);
+    return summary;
+  }
+
+  async list() {
+    return readJson(this.indexPath, []);
+  }
+
+  /** Full run: the summary fields plus { config, result }. */
+  async get(id) {
+    const run = await readJson(path.join(this.rootDir, `${id}.json`), null);
+    if (!run) throw new Error(`Backtest run "${id}" not found`);
+    return run;
+  }
+
+  async rename(id, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Name is required');
+    const run = await this.get(id);
+    await writeJson(path.join(this.rootDir, `${id}.json`), { ...run, name: trimmed });
+    const runs = (await this.list()).map(r => (r.id === id ? { ...r, name: trimmed } : r));
+    await writeJson(this.indexPath, runs);
+    return runs;
+  }
+
+  async remove(id) {
+    const remaining = (await this.list()).filter(r => r.id !== id);
+    await fs.rm(path.join(this.rootDir, `${id}.json`), { force: true });
+    await writeJson(this.indexPath, remaining);
+    return remaining;
+  }
+
+  /** Write a run to `filePath` as 'json', 'trades-csv' or 'equity-csv'. */
+  async exportRun(id, format, filePath) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+    const run = await this.get(id);
+    const body = format === 'trades-csv' ? tradesToCsv(run.result.trades)
+      : format === 'equity-csv' ? equityToCsv(run.result.equity)
+        : JSON.stringify(run, null, 2);
+    await fs.writeFile(filePath, body, 'utf8');
+    return filePath;
+  }
+}
+
+module.exports = { BacktestHistory, tradesToCsv, equityToCsv, EXPORT_FORMATS };
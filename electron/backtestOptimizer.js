@@ -0,0 +1,210 @@
+// NeutronTrader - Backtest parameter optimization
+//
+// Sweeps parameter ranges of a single strategy (`strategyParams`) or of the
+// rules of a composed config, backtests every combination on the same
+// candles in a pool of worker threads, and ranks the runs by an objective.
+// A max-drawdown constraint marks runs as rejected instead of dropping them,
+// so the table and heatmap still show where the limit bites.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { pluginSources } = require('./strategies/strategyPlugins');
+const { loadTimeframes } = require('./strategies/multiTimeframe');
+
+const MAX_COMBINATIONS = 2000;
+const MAX_WORKERS = 4;
+
+const OBJECTIVES = {
+  sharpe: { label: 'Sharpe ratio', score: m => m.sharpeRatio },
+  sortino: { label: 'Sortino ratio', score: m => m.sortinoRatio },
+  calmar: { label: 'Calmar ratio', score: m => m.calmarRatio ?? -Infinity },
+  return: { label: 'Total return', score: m => m.totalReturn },
+  profitFactor: { label: 'Profit factor', score: m => (Number.isFinite(m.profitFactor) ? m.profitFactor : 1e6) },
+  drawdown: { label: 'Lowest drawdown', score: m => -m.maxDrawdown },
+};
+
+/** Values of one range, min to max inclusive; a step of 0 or less yields just min. */
+function rangeValues({ min, max, step }) {
+  const lo = parseFloat(min);
+  const hi = parseFloat(max);
+  const inc = parseFloat(step);
+  if (!Number.isFinite(lo)) throw new Error('Range minimum must be a number');
+  if (!Number.isFinite(hi) || !(inc > 0) || hi <= lo) return [lo];
+  const values = [];
+  // Round to the step's precision so 0.1 steps do not drift into 0.30000000000000004
+  const decimals = (String(inc).split('.')[1] || '').length;
+  for (let v = lo; v <= hi + inc * 1e-9; v += inc) values.push(Number(v.toFixed(decimals)));
+  return values;
+}
+
+/**
+ * Cartesian product of the ranges. Each range is { key, rule, min, max, step }
+ * where `rule` is the composed-rule index, or null for `strategyParams`.
+ * Returns arrays of values in range order.
+ */
+function buildParamGrid(ranges) {
+  if (!ranges?.length) throw new Error('Select at least one parameter to optimize');
+  const axes = ranges.map(rangeValues);
+  const total = axes.reduce((n, values) => n * values.length, 1);
+  if (total > MAX_COMBINATIONS) {
+    throw new Error(`${total} combinations exceed the limit of ${MAX_COMBINATIONS} — widen the steps or sweep fewer parameters`);
+  }
+  return axes.reduce((combos, values) => combos.flatMap(c => values.map(v => [...c, v])), [[]]);
+}
+
+/** Copy of a backtest config with one combination of values applied. */
+function applyParams(config, ranges, values) {
+  const next = {
+    ...config,
+    strategyParams: { ...config.strategyParams },
+    // Expression-mode composed configs carry rule text instead of a rules array
+    composedConfig: config.composedConfig
+      ? {
+        ...config.composedConfig,
+        ...(config.composedConfig.rules && { rules: config.composedConfig.rules.map(r => ({ ...r, params: { ...r.params } })) }),
+      }
+      : null,
+  };
+  ranges.forEach((range, i) => {
+    if (range.rule == null) {
+      next.strategyParams[range.key] = values[i];
+    } else {
+      const rule = next.composedConfig?.rules?.[range.rule];
+      if (!rule) throw new Error(`Composed config has no rule ${range.rule + 1}`);
+      rule.params[range.key] = values[i];
+    }
+  });
+  return next;
+}
+
+function paramLabel(range) {
+  return range.rule == null ? range.key : `rule${range.rule + 1}.${range.key}`;
+}
+
+/** Sort runs best first; rejected and failed runs go last. */
+function rankResults(results, objective) {
+  const { score } = OBJECTIVES[objective] || OBJECTIVES.sharpe;
+  for (const r of results) r.score = r.metrics ? score(r.metrics) : null;
+  const bucket = r => (r.error ? 2 : r.rejected ? 1 : 0);
+  return results.sort((a, b) => bucket(a) - bucket(b) || (b.score ?? -Infinity) - (a.score ?? -Infinity));
+}
+
+class BacktestOptimizer {
+  /** @param {Function} getCandlesFn same loader the BacktestEngine uses */
+  constructor(getCandlesFn) {
+    this.getCandles = getCandlesFn;
+    this.workers = [];
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * @param {object} config base backtest config
+   * @param {object} options { ranges, objective, maxDrawdownPct, workers }
+   * @param {Function} onProgress ({ phase, done, total })
+   * @returns {{ objective, ranges, total, results, data }}
+   */
+  async run(config, { ranges, objective = 'sharpe', maxDrawdownPct = null, workers } = {}, onProgress) {
+    if (this.running) throw new Error('An optimization is already running');
+    if (!OBJECTIVES[objective]) throw new Error(`Unknown objective: ${objective}`);
+    const combos = buildParamGrid(ranges);
+    const configs = combos.map(values => applyParams(config, ranges, values));
+    this.running = true;
+    this.cancelled = false;
+    try {
+      return await this._sweep(config, { ranges, objective, maxDrawdownPct, workers, combos, configs }, onProgress);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _sweep(config, { ranges, objective, maxDrawdownPct, workers, combos, configs }, onProgress) {
+
+    const loaded = await this.getCandles(config.exchange || 'binance', config.symbol, config.interval || '1h', {
+      startTime: config.startTime,
+      endTime: config.endTime,
+      datasetId: config.datasetId || null,
+      onPage: ({ pages, bars }) => onProgress?.({ phase: 'loading', pages, bars, done: 0, total: combos.length }),
+    });
+    const candles = Array.isArray(loaded) ? loaded : loaded?.candles;
+    const stats = (Array.isArray(loaded) ? null : loaded?.stats) || { bars: candles?.length || 0, gaps: [] };
+    if (!candles || candles.length < (config.windowSize || 50) + 2) {
+      throw new Error(`Insufficient candle data (${candles?.length || 0} bars)`);
+    }
+    // Higher-interval candles of composed rules, loaded once for every worker
+    const timeframes = await loadTimeframes(this.getCandles, config, candles);
+
+    const ddLimit = parseFloat(maxDrawdownPct);
+    const results = combos.map(values => ({
+      params: Object.fromEntries(ranges.map((r, i) => [paramLabel(r), values[i]])),
+      values,
+    }));
+
+    const poolSize = Math.max(1, Math.min(
+      workers || Math.min(MAX_WORKERS, os.cpus().length - 1),
+      combos.length,
+    ));
+    let next = 0;
+    let done = 0;
+
+    try {
+      await Promise.all(Array.from({ length: poolSize }, () => new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'backtestWorker.js'));
+        this.workers.push(worker);
+
+        const dispatch = () => {
+          if (this.cancelled || next >= configs.length) {
+            resolve();
+            return;
+          }
+          const id = next++;
+          worker.postMessage({ type: 'run', id, config: configs[id] });
+        };
+
+        worker.on('message', ({ id, metrics, finalValue, error }) => {
+          const entry = results[id];
+          if (error) {
+            entry.error = error;
+          } else {
+            entry.metrics = metrics;
+            entry.finalValue = finalValue;
+            entry.rejected = Number.isFinite(ddLimit) && ddLimit > 0 && metrics.maxDrawdown > ddLimit;
+          }
+          done++;
+          onProgress?.({ phase: 'running', done, total: combos.length });
+          dispatch();
+        });
+        worker.on('error', reject);
+        worker.on('exit', code => {
+          if (code !== 0 && !this.cancelled) reject(new Error(`Backtest worker exited with code ${code}`));
+          else resolve();
+        });
+
+        worker.postMessage({ type: 'init', candles, stats, timeframes, plugins: pluginSources() });
+        dispatch();
+      })));
+    } finally {
+      await Promise.all(this.workers.map(w => w.terminate()));
+      this.workers = [];
+    }
+
+    const finished = results.filter(r => r.metrics || r.error);
+    return {
+      objective,
+      ranges: ranges.map(r => ({ ...r, label: paramLabel(r), values: rangeValues(r) })),
+      total: combos.length,
+      cancelled: this.cancelled,
+      maxDrawdownPct: Number.isFinite(ddLimit) && ddLimit > 0 ? ddLimit : null,
+      results: rankResults(finished, objective),
+      data: stats,
+    };
+  }
+
+  /** Stop handing out combinations; results finished so far are still returned. */
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+module.exports = { BacktestOptimizer, buildParamGrid, applyParams, rankResults, rangeValues, OBJECTIVES, MAX_COMBINATIONS };
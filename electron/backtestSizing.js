@@ -0,0 +1,101 @@
+// NeutronTrader - Backtest position sizing
+//
+// Decides how many USDT a new position gets. Every mode is capped by the
+// composed config's `riskOverrides.maxPositionUSDT` (or `maxPositionUSDT` on
+// the sizing config) and by what the account can fund: free cash for longs,
+// equity for shorts (no leverage).
+//   all-in      whole cash balance (the original behaviour)
+//   fixed       amountUSDT per trade
+//   percent     percent of current equity
+//   volatility  risk riskPct of equity per trade with a stop atrMultiplier x ATR away
+//   kelly       kellyFraction x Kelly f* from the trades closed so far;
+//               percent of equity until minTrades have closed
+
+const DEFAULT_SIZING = {
+  mode: 'all-in',
+  amountUSDT: 1000,
+  percent: 10,
+  riskPct: 1,
+  atrPeriod: 14,
+  atrMultiplier: 2,
+  kellyFraction: 0.5,
+  minTrades: 10,
+  maxPositionUSDT: null,
+};
+
+function resolveSizing({ sizing = {}, composedConfig = null } = {}) {
+  const resolved = { ...DEFAULT_SIZING };
+  for (const [key, value] of Object.entries(sizing || {})) {
+    if (value != null && value !== '') resolved[key] = key === 'mode' ? value : parseFloat(value);
+  }
+  const cap = parseFloat(resolved.maxPositionUSDT ?? composedConfig?.riskOverrides?.maxPositionUSDT);
+  resolved.maxPositionUSDT = Number.isFinite(cap) && cap > 0 ? cap : null;
+  return resolved;
+}
+
+/** Average true range over the last `period` bars of `candles` (oldest first). */
+function averageTrueRange(candles, period) {
+  if (candles.length < period + 1) return null;
+  let sum = 0;
+  for (let i = candles.length - period; i < candles.length; i++) {
+    const high = parseFloat(candles[i].high);
+    const low = parseFloat(candles[i].low);
+    const prevClose = parseFloat(candles[i - 1].close);
+    sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return sum / period;
+}
+
+/**
+ * Kelly f* = W - (1 - W) / R from closed trade returns (fractions of the
+ * capital committed), where W is the win rate and R the average win over
+ * the average loss. Returns null until there is a win and a loss to compare.
+ */
+function kellyFraction(tradeReturns) {
+  const wins = tradeReturns.filter(r => r > 0);
+  const losses = tradeReturns.filter(r => r < 0);
+  if (!wins.length || !losses.length) return null;
+  const winRate = wins.length / tradeReturns.length;
+  const avgWin = wins.reduce((s, r) => s + r, 0) / wins.length;
+  const avgLoss = Math.abs(losses.reduce((s, r) => s + r, 0) / losses.length);
+  return winRate - (1 - winRate) / (avgWin / avgLoss);
+}
+
+/**
+ * USDT to commit to a new position, or 0 when the mode says not to trade.
+ * `tradeReturns` are the returns of trades already closed (no look-ahead).
+ */
+function positionSizeUSDT(sizing, { side, cash, equity, price, candles, tradeReturns = [] }) {
+  const available = side === 'SHORT' ? equity : cash;
+  let size;
+
+  switch (sizing.mode) {
+    case 'fixed':
+      size = sizing.amountUSDT;
+      break;
+    case 'percent':
+      size = equity * sizing.percent / 100;
+      break;
+    case 'volatility': {
+      const atr = averageTrueRange(candles, sizing.atrPeriod);
+      if (!atr) return 0;
+      const stopDistance = atr * sizing.atrMultiplier;
+      size = (equity * sizing.riskPct / 100) / stopDistance * price;
+      break;
+    }
+    case 'kelly': {
+      const f = tradeReturns.length >= sizing.minTrades ? kellyFraction(tradeReturns) : null;
+      size = f === null
+        ? equity * sizing.percent / 100
+        : equity * Math.min(1, Math.max(0, f * sizing.kellyFraction));
+      break;
+    }
+    default:
+      size = available;
+  }
+
+  if (sizing.maxPositionUSDT) size = Math.min(size, sizing.maxPositionUSDT);
+  return Math.max(0, Math.min(size, available));
+}
+
+module.exports = { resolveSizing, positionSizeUSDT, averageTrueRange, kellyFraction, DEFAULT_SIZING };
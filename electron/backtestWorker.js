@@ -0,0 +1,37 @@
+// NeutronTrader - Backtest worker thread
+//
+// Runs backtests for the optimizer off the main process. The parent sends the
+// candles (plus any higher-interval candles of composed rules) and loaded
+// strategy plugins once ({ type: 'init' }), then one { type: 'run', id, config } per
+// parameter combination; each reply carries only the summary numbers so the
+// equity curves and trade lists never cross the thread boundary.
+
+const { parentPort } = require('worker_threads');
+const { BacktestEngine } = require('./backtestEngine');
+const { registerPluginSources } = require('./strategies/strategyPlugins');
+
+let engine = null;
+
+parentPort.on('message', async (msg) => {
+  if (msg.type === 'init') {
+    registerPluginSources(msg.plugins);
+    const loaded = { candles: msg.candles, stats: msg.stats };
+    const timeframes = msg.timeframes || {};
+    engine = new BacktestEngine(async (exchange, symbol, interval) => (
+      timeframes[interval] ? { candles: timeframes[interval] } : loaded
+    ));
+    return;
+  }
+  if (msg.type !== 'run') return;
+
+  try {
+    const result = await engine.run(msg.config);
+    parentPort.postMessage({
+      id: msg.id,
+      metrics: result.metrics,
+      finalValue: result.finalValue,
+    });
+  } catch (e) {
+    parentPort.postMessage({ id: msg.id, error: e.message });
+  }
+});
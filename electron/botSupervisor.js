@@ -0,0 +1,878 @@
+// NeutronTrader - Scheduled trading bot supervisor
+//
+// Owns the lifecycle of every scheduled bot: start, pause, resume, stop, and
+// rehydration of active bots from storage after an application restart.
+// Each bot persists three settings keys:
+//   bot_config_<id>  - the validated start config
+//   bot_state_<id>   - runtime state (positions, trade counts, profit)
+//   active_bot_<id>  - summary record; null once the bot is stopped
+
+const EventEmitter = require('events');
+const schedule = require('node-schedule');
+const { storageService } = require('./storageService');
+const { notificationService } = require('./notificationService');
+const { allocateBuys } = require('./strategies/multiPairAllocator');
+const { PositionLedger } = require('./positionLedger');
+const { resolveExitRules, hasExitRules, exitLevels, checkExit } = require('./strategies/exitRules');
+
+const EXIT_CHECK_MS = 10_000;   // in-process exit rule evaluation
+const NATIVE_CHECK_MS = 30_000; // polling resting exit orders for fills
+const NATIVE_STOP_GRACE_MS = 60_000; // time a hit native stop gets to fill before a market exit
+
+// Convert a candle interval ('15m', '4h', '1d') to a cron schedule
+function convertToCronSchedule(interval) {
+  const unit = interval.slice(-1);
+  const value = parseInt(interval.slice(0, -1), 10);
+
+  switch (unit) {
+    case 'm': // minutes
+      return `*/${value} * * * *`;
+    case 'h': // hours
+      return `0 */${value} * * *`;
+    case 'd': // days
+      return `0 0 */${value} * *`;
+    default:
+      return '*/15 * * * *'; // Default to 15 minutes
+  }
+}
+
+class BotSupervisor extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {(config) => object} [deps.normalize] - upgrade configs saved by older versions on restore
+   * @param {(config) => Promise<void>} deps.prepare - verify/prepare exchange access; throws to abort
+   * @param {(config, botState) => Promise<object>} deps.evaluate - compute the strategy signal
+   * @param {(config) => OrderManager} deps.getOrderManager - order manager to route fills through
+   * @param {RiskManager} [deps.riskManager] - pre-trade checks for multi-pair BUYs
+   * @param {(exchange, symbol) => number|null} [deps.getMarkPrice] - live price for marking open positions
+   */
+  constructor({ normalize = config => config, prepare, evaluate, getOrderManager, riskManager = null, getMarkPrice = () => null }) {
+    super();
+    this.normalize = normalize;
+    this.prepare = prepare;
+    this.evaluate = evaluate;
+    this.getOrderManager = getOrderManager;
+    this.riskManager = riskManager;
+    this.getMarkPrice = getMarkPrice;
+    this._bots = new Map(); // botId -> { job, config, state, createdAt, busy }
+  }
+
+  /** Create, persist and schedule a new bot. Returns the bot id. */
+  async start(config) {
+    const label = isMultiPair(config) ? `multi${config.symbols.length}` : config.symbol.replace('/', '');
+    const botId = `${config.exchange}-${label}-${Date.now()}`;
+    const startTime = Date.now();
+
+    // A bot whose exchange access cannot be prepared is never saved
+    await this.prepare(config);
+
+    await storageService.saveSetting(`bot_config_${botId}`, {
+      ...config,
+      botId,
+      startTime,
+      status: 'starting'
+    });
+
+    const state = {
+      config,
+      botId,
+      startTime,
+      lastCheck: null,
+      lastSignal: null,
+      tradesExecuted: 0,
+      totalProfit: 0,
+      positions: {},
+      orders: {},
+      exits: {},
+      status: 'active'
+    };
+    if (isMultiPair(config)) state.pairs = initPairs(config.symbols);
+
+    this._bots.set(botId, { job: null, config, state, createdAt: startTime });
+    this._schedule(botId);
+    await this._persist(botId);
+    return botId;
+  }
+
+  /**
+   * Rehydrate bots whose active_bot_<id> record survived the last shutdown.
+   * Records without a stored config are stale and get cleared.
+   * Returns { restored: [...ids], failed: [{ botId, error }] }.
+   */
+  async restoreAll() {
+    const settings = await storageService.getAllSettings();
+    const restored = [];
+    const failed = [];
+
+    for (const [key, record] of Object.entries(settings)) {
+      if (!key.startsWith('active_bot_') || !record) continue;
+      const botId = key.slice('active_bot_'.length);
+      if (this._bots.has(botId)) continue;
+
+      const savedConfig = settings[`bot_config_${botId}`];
+      if (!savedConfig) {
+        console.warn(`[BotSupervisor] Clearing stale active record for ${botId} (no config)`);
+        await storageService.saveSetting(key, null);
+        continue;
+      }
+
+      const storedConfig = { ...savedConfig };
+      delete storedConfig.botId;
+      delete storedConfig.startTime;
+      delete storedConfig.status;
+      const config = this.normalize(storedConfig);
+      const savedState = settings[`bot_state_${botId}`] || {};
+      const paused = record.status === 'paused';
+
+      const state = {
+        config,
+        botId,
+        startTime: savedState.startTime || savedConfig.startTime || Date.now(),
+        lastCheck: savedState.lastCheck || null,
+        lastSignal: savedState.lastSignal || null,
+        tradesExecuted: savedState.tradesExecuted || 0,
+        totalProfit: savedState.totalProfit || 0,
+        positions: savedState.positions || {},
+        lastPrices: savedState.lastPrices || {},
+        exits: savedState.exits || {},
+        orders: savedState.orders || {},
+        status: paused ? 'paused' : 'active',
+        restoredAt: Date.now()
+      };
+      if (isMultiPair(config)) state.pairs = initPairs(config.symbols, savedState.pairs);
+
+      // Re-save in the current shape (drops credentials older versions stored)
+      await storageService.saveSetting(`bot_config_${botId}`, { ...config, botId, startTime: state.startTime, status: savedConfig.status });
+
+      try {
+        await this.prepare(config);
+        this._bots.set(botId, { job: null, config, state, createdAt: state.startTime });
+        if (!paused) this._schedule(botId);
+        await this._persist(botId);
+        this._ensureExitMonitor(); // paused bots keep their exits watched
+        restored.push(botId);
+        console.log(`[BotSupervisor] Restored bot ${botId} (${state.status})`);
+      } catch (err) {
+        console.error(`[BotSupervisor] Could not restore bot ${botId}:`, err.message);
+        await storageService.saveSetting(`bot_error_${botId}`, {
+          botId,
+          error: `Restore failed: ${err.message}`,
+          timestamp: Date.now(),
+          config
+        });
+        await storageService.saveSetting(key, { ...record, status: 'error', error: err.message });
+        failed.push({ botId, error: err.message });
+      }
+    }
+
+    return { restored, failed };
+  }
+
+  list() {
+    return Array.from(this._bots.values()).map(({ config, state }) => {
+      const positions = this._markPositions(config, state);
+      return {
+        botId: state.botId,
+        exchange: config.exchange,
+        symbol: config.symbol,
+        symbols: config.symbols,
+        strategy: config.strategy,
+        interval: config.interval,
+        amount: config.amount,
+        paper: !!config.paper,
+        status: state.status,
+        startTime: state.startTime,
+        lastCheck: state.lastCheck,
+        lastSignal: state.lastSignal,
+        tradesExecuted: state.tradesExecuted,
+        totalProfit: state.totalProfit,
+        realizedPnl: state.totalProfit,
+        unrealizedPnl: positions.reduce((s, p) => s + (p.unrealizedPnl || 0), 0),
+        positions,
+        ...(state.pairs && summarizePairs(state.pairs, positions)),
+      };
+    });
+  }
+
+  has(botId) {
+    return this._bots.has(botId);
+  }
+
+  async pause(botId) {
+    const bot = this._bots.get(botId);
+    if (!bot) return false;
+    if (bot.job) { bot.job.cancel(); bot.job = null; }
+    bot.state.status = 'paused';
+    await this._persist(botId);
+    console.log(`[BotSupervisor] Bot paused: ${botId}`);
+    return true;
+  }
+
+  async resume(botId) {
+    const bot = this._bots.get(botId);
+    if (!bot) return false;
+    if (bot.state.status === 'active' && bot.job) return true;
+    await this.prepare(bot.config);
+    bot.state.status = 'active';
+    this._schedule(botId);
+    await this._persist(botId);
+    console.log(`[BotSupervisor] Bot resumed: ${botId}`);
+    return true;
+  }
+
+  async stop(botId) {
+    const bot = this._bots.get(botId);
+    if (!bot) return false;
+    if (bot.job) bot.job.cancel();
+    // Let an order in flight finish, then pull the resting exit orders
+    await this._withLock(botId, async () => {
+      for (const symbol of Object.keys(bot.state.exits || {})) {
+        try {
+          await this._cancelProtection(botId, symbol);
+        } catch (err) {
+          console.warn(`[${botId}] Could not cancel exit orders for ${symbol}:`, err.message);
+        }
+      }
+    });
+    this._bots.delete(botId);
+    if (this._bots.size === 0) {
+      clearInterval(this._exitTimer);
+      this._exitTimer = null;
+    }
+
+    await storageService.saveSetting(`bot_final_state_${botId}`, {
+      ...bot.state,
+      status: 'stopped',
+      stopTime: Date.now()
+    });
+    await storageService.saveSetting(`active_bot_${botId}`, null);
+
+    console.log(`✓ Bot stopped: ${botId}`);
+    return true;
+  }
+
+  async stopAll() {
+    let stopCount = 0;
+    for (const botId of Array.from(this._bots.keys())) {
+      if (await this.stop(botId)) stopCount++;
+    }
+    return stopCount;
+  }
+
+  /**
+   * Cancel every job without clearing active records, so the bots are
+   * picked up again by restoreAll() on the next launch.
+   */
+  async shutdown() {
+    clearInterval(this._exitTimer);
+    this._exitTimer = null;
+    for (const [botId, bot] of this._bots.entries()) {
+      if (bot.job) { bot.job.cancel(); bot.job = null; }
+      // Let an order in flight be booked before its state is saved
+      await this._withLock(botId, () => storageService.saveSetting(`bot_state_${botId}`, bot.state));
+    }
+    this._bots.clear();
+  }
+
+  _schedule(botId) {
+    const bot = this._bots.get(botId);
+    const cronSchedule = convertToCronSchedule(bot.config.interval);
+    console.log(`[${botId}] Scheduled with cron: ${cronSchedule}`);
+    bot.job = schedule.scheduleJob(cronSchedule, () => this._withLock(botId, () => this._tick(botId)));
+    this._ensureExitMonitor();
+  }
+
+  /**
+   * Run `fn` holding the bot's order lock. Scheduled checks and the exit
+   * monitor both sell positions, so only one of them may trade a bot at a
+   * time; with `skipIfBusy` the caller gives up instead of waiting.
+   */
+  async _withLock(botId, fn, { skipIfBusy = false } = {}) {
+    const bot = this._bots.get(botId);
+    if (!bot || (skipIfBusy && bot.busy)) return undefined;
+    while (bot.busy) await bot.busy;
+    let release;
+    bot.busy = new Promise(resolve => { release = resolve; });
+    try {
+      return await fn();
+    } finally {
+      bot.busy = null;
+      release();
+    }
+  }
+
+  async _persist(botId) {
+    const { config, state } = this._bots.get(botId);
+    await storageService.saveSetting(`bot_state_${botId}`, state);
+    await storageService.saveSetting(`active_bot_${botId}`, {
+      botId,
+      exchange: config.exchange,
+      symbol: config.symbol,
+      symbols: config.symbols,
+      strategy: config.strategy,
+      paper: !!config.paper,
+      startTime: state.startTime,
+      status: state.status
+    });
+  }
+
+  async _tick(botId) {
+    const bot = this._bots.get(botId);
+    if (!bot || bot.state.status !== 'active') return;
+    if (isMultiPair(bot.config)) return this._tickMultiPair(botId);
+    const { config, state: botState } = bot;
+    const ledger = new PositionLedger(botState.positions);
+
+    try {
+      console.log(`[${botId}] Executing scheduled check at ${new Date().toLocaleTimeString()}`);
+
+      const result = await this.evaluate(config, botState);
+      let { action, reason } = result;
+
+      // Spot, long only: one position per bot unless pyramiding is enabled
+      if (action === 'BUY' && ledger.hasOpen(config.symbol) && !config.pyramiding) {
+        reason = `BUY ignored — position already open (${result.reason})`;
+        action = 'HOLD';
+      } else if (action === 'SELL' && !ledger.hasOpen(config.symbol)) {
+        reason = `SELL ignored — no open position (${result.reason})`;
+        action = 'HOLD';
+      }
+
+      // Update bot state; restored bots mark positions with lastPrices
+      botState.lastCheck = Date.now();
+      botState.lastSignal = action;
+      botState.lastPrices = { [config.symbol]: result.price };
+
+      if (action !== 'HOLD') {
+        const quantity = action === 'SELL' ? ledger.get(config.symbol).quantity : result.quantity;
+        const booked = await this._executeOrder(botId, { ...result, action, reason, symbol: config.symbol }, quantity);
+        if (!booked) {
+          // Keep this check's prices (and any partial fill) before reporting the failure
+          await storageService.saveSetting(`bot_state_${botId}`, botState);
+          throw new Error(botState.lastError);
+        }
+      }
+
+      // Save updated bot state
+      await storageService.saveSetting(`bot_state_${botId}`, botState);
+
+      const positions = this._markPositions(config, botState);
+
+      // Update UI with status
+      this.emit('status', {
+        status: 'running',
+        botId,
+        lastCheck: botState.lastCheck,
+        signal: action,
+        reason,
+        tradesExecuted: botState.tradesExecuted,
+        totalProfit: botState.totalProfit,
+        realizedPnl: botState.totalProfit,
+        unrealizedPnl: positions.reduce((s, p) => s + (p.unrealizedPnl || 0), 0),
+        positions,
+        message: `Last check: ${new Date().toLocaleTimeString()} - Signal: ${action} - ${reason}`
+      });
+
+    } catch (err) {
+      console.error(`[${botId}] Error executing trade strategy:`, err.message);
+
+      // Save error to storage (single key per bot — no unbounded key accumulation)
+      await storageService.saveSetting(`bot_error_${botId}`, {
+        botId,
+        error: err.message,
+        timestamp: Date.now(),
+        config
+      });
+
+      this.emit('error', `[${botId}] Trade execution failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * One scheduled check of a multi-pair bot: evaluate every pair, close
+   * SELLs first to free budget, then fund ranked BUYs from the shared budget.
+   */
+  async _tickMultiPair(botId) {
+    const { config, state: botState } = this._bots.get(botId);
+    const exchange = config.exchange || 'binance';
+    const pairs = botState.pairs;
+    const ledger = new PositionLedger(botState.positions);
+
+    try {
+      console.log(`[${botId}] Executing scheduled check of ${config.symbols.length} pairs at ${new Date().toLocaleTimeString()}`);
+
+      const signals = [];
+      const lastPrices = {};
+      for (const symbol of config.symbols) {
+        try {
+          const result = await this.evaluate({ ...config, symbol }, botState);
+          pairs[symbol].lastSignal = result.action;
+          pairs[symbol].lastReason = result.reason;
+          lastPrices[symbol] = result.price;
+          signals.push({ ...result, symbol });
+        } catch (err) {
+          pairs[symbol].lastSignal = 'ERROR';
+          pairs[symbol].lastReason = err.message;
+          console.warn(`[${botId}] ${symbol} evaluation failed:`, err.message);
+        }
+      }
+
+      botState.lastCheck = Date.now();
+      botState.lastSignal = signals.some(s => s.action !== 'HOLD')
+        ? signals.filter(s => s.action !== 'HOLD').map(s => `${s.symbol}:${s.action}`).join(', ')
+        : 'HOLD';
+
+      // SELLs first — they release budget for this tick's BUYs
+      for (const signal of signals.filter(s => s.action === 'SELL' && ledger.hasOpen(s.symbol))) {
+        await this._executeOrder(botId, signal, ledger.get(signal.symbol).quantity);
+      }
+
+      const buys = signals.filter(s => s.action === 'BUY');
+      for (const signal of buys.filter(s => ledger.hasOpen(s.symbol) && !config.pyramiding)) {
+        pairs[signal.symbol].lastReason = `BUY ignored — position already open (${signal.reason})`;
+      }
+
+      const exposureBySymbol = Object.fromEntries(
+        config.symbols.map(symbol => [symbol, ledger.get(symbol)?.costBasis || 0])
+      );
+      const allocations = allocateBuys(buys.filter(s => config.pyramiding || !ledger.hasOpen(s.symbol)), {
+        budgetUSDT: config.budgetUSDT,
+        perPairCapUSDT: config.perPairCapUSDT,
+        exposureBySymbol,
+        symbolOrder: config.symbols,
+      });
+
+      for (const alloc of allocations) {
+        if (alloc.skipped) {
+          pairs[alloc.symbol].lastReason = alloc.reason;
+          continue;
+        }
+        const check = this.riskManager
+          ? this.riskManager.validate({ positionSizeUSDT: alloc.allocationUSDT, symbol: alloc.symbol, exchange })
+          : { approved: true };
+        if (!check.approved) {
+          pairs[alloc.symbol].lastReason = `Risk check: ${check.reason}`;
+          continue;
+        }
+        const quantity = Math.floor((alloc.allocationUSDT / alloc.price) * 1e6) / 1e6;
+        if (quantity > 0) await this._executeOrder(botId, alloc, quantity);
+      }
+
+      botState.lastPrices = lastPrices;
+      await storageService.saveSetting(`bot_state_${botId}`, botState);
+
+      const summary = summarizePairs(pairs, this._markPositions(config, botState));
+      this.emit('status', {
+        status: 'running',
+        botId,
+        lastCheck: botState.lastCheck,
+        signal: botState.lastSignal,
+        tradesExecuted: botState.tradesExecuted,
+        totalProfit: botState.totalProfit,
+        budgetUSDT: config.budgetUSDT,
+        ...summary,
+        message: `Last check: ${new Date().toLocaleTimeString()} - ${botState.lastSignal} - P&L ${summary.aggregate.totalPnl.toFixed(2)} USDT`
+      });
+
+    } catch (err) {
+      console.error(`[${botId}] Error executing multi-pair strategy:`, err.message);
+      await storageService.saveSetting(`bot_error_${botId}`, {
+        botId,
+        error: err.message,
+        timestamp: Date.now(),
+        config
+      });
+      this.emit('error', `[${botId}] Trade execution failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Place one order for a bot, book the fill in its position ledger and
+   * record the trade. Returns false (with botState.lastError set) on failure;
+   * a failed leg must not abort the rest of a multi-pair tick.
+   */
+  async _executeOrder(botId, signal, quantity) {
+    const { config, state: botState } = this._bots.get(botId);
+    const exchange = config.exchange || 'binance';
+    const pair = botState.pairs?.[signal.symbol];
+
+    try {
+      // Resting exit orders lock the position's balance — release it first,
+      // then sell only what they have not already sold
+      if (signal.action === 'SELL') {
+        await this._cancelProtection(botId, signal.symbol);
+        const held = new PositionLedger(botState.positions).get(signal.symbol)?.quantity || 0;
+        if (!(held > 0)) return true;
+        quantity = Math.min(quantity, held);
+      }
+
+      const fill = await this.getOrderManager(config).executeBotOrder({
+        exchange,
+        symbol: signal.symbol,
+        side: signal.action,
+        quantity,
+        orderType: signal.orderType || config.orderType,
+        price: signal.price,
+        fillTimeoutMs: config.fillTimeoutMs,
+      });
+      recordOrder(botState, { ...fill, symbol: signal.symbol, side: signal.action });
+      if (!fill.filled) {
+        throw new Error(`${signal.action} order ${fill.orderId} not filled (${fill.status})`);
+      }
+
+      const { position } = await this._bookFill(botId, signal, fill);
+      if (signal.action === 'BUY' || position) await this._protect(botId, signal.symbol);
+      return true;
+    } catch (err) {
+      botState.lastError = err.message;
+      if (pair) pair.lastReason = `Order failed: ${err.message}`;
+      console.error(`[${botId}] ${signal.symbol} ${signal.action} failed:`, err.message);
+      if (pair) this.emit('error', `[${botId}] ${signal.symbol} ${signal.action} failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /** Book a confirmed fill in the ledger, persist the trade and notify the UI. */
+  async _bookFill(botId, signal, fill) {
+    const { config, state: botState } = this._bots.get(botId);
+    const exchange = config.exchange || 'binance';
+    const ledger = new PositionLedger(botState.positions);
+    const pair = botState.pairs?.[signal.symbol];
+    const positionId = `${botId}:${signal.symbol}`;
+
+    const wasOpen = ledger.hasOpen(signal.symbol);
+    const { realizedPnl, position } = ledger.applyFill({
+      symbol: signal.symbol,
+      side: signal.action,
+      price: fill.price,
+      quantity: fill.quantity,
+      fee: fill.fee,
+      feeAsset: fill.feeAsset,
+      orderId: fill.orderId,
+    });
+    if (this.riskManager) {
+      if (signal.action === 'BUY' && !wasOpen) this.riskManager.recordOpen(positionId);
+      if (signal.action === 'SELL' && !position) this.riskManager.recordClose(positionId, realizedPnl);
+    }
+    if (!position) delete botState.exits[signal.symbol];
+
+    botState.totalProfit += realizedPnl;
+    botState.tradesExecuted++;
+    if (pair) {
+      pair.realizedPnl += realizedPnl;
+      pair.trades++;
+    }
+
+    // Save the confirmed fill to persistent storage
+    await storageService.saveTrade({
+      id: `bot_${botId}_${signal.symbol.replace('/', '')}_${Date.now()}`,
+      botId,
+      exchange,
+      orderId: fill.orderId,
+      symbol: signal.symbol,
+      side: signal.action,
+      quantity: fill.quantity,
+      price: fill.price,
+      signalPrice: signal.price,
+      fee: fill.fee,
+      feeAsset: fill.feeAsset,
+      timestamp: Date.now(),
+      strategy: config.strategy,
+      reason: signal.reason,
+      exitReason: signal.exitReason,
+      profit: realizedPnl,
+      avgCost: position?.avgCost,
+      paper: !!config.paper,
+      source: 'trading_bot_auto'
+    });
+
+    // Notify UI of trade execution
+    notificationService.notifyBotSignal({
+      symbol: signal.symbol,
+      side: signal.action,
+      price: fill.price,
+      reason: signal.reason,
+      strategy: config.strategy,
+    });
+    this.emit('trade-executed', {
+      botId,
+      time: new Date().toISOString(),
+      symbol: signal.symbol,
+      side: signal.action,
+      price: fill.price,
+      quantity: fill.quantity,
+      fee: fill.fee,
+      feeAsset: fill.feeAsset,
+      orderId: fill.orderId,
+      paper: !!config.paper,
+      reason: signal.reason,
+      exitReason: signal.exitReason,
+      profit: realizedPnl,
+      position: position && { quantity: position.quantity, avgCost: position.avgCost }
+    });
+
+    return { realizedPnl, position };
+  }
+
+  // ===== EXITS =====
+  // Stop-loss and take-profit rest on the exchange where the adapter allows
+  // it (OCO on Binance, plain stops elsewhere); trailing stops, max holding
+  // time and anything that could not be placed are watched in-process.
+
+  /** (Re)place resting exit orders sized to the current position. */
+  async _protect(botId, symbol) {
+    const { config, state: botState } = this._bots.get(botId);
+    const rules = resolveExitRules(config);
+    if (!new PositionLedger(botState.positions).hasOpen(symbol) || !hasExitRules(rules)) return;
+
+    // The old exit orders may have sold part of the position before the cancel
+    await this._cancelProtection(botId, symbol);
+    const position = new PositionLedger(botState.positions).get(symbol);
+    if (!position) return;
+    const prev = botState.exits[symbol];
+    const exit = {
+      highWater: Math.max(prev?.highWater || 0, position.entryPrice),
+      orders: prev?.orders || [], // ones whose status could not be read after the cancel
+      native: { stopLoss: false, takeProfit: false },
+    };
+    botState.exits[symbol] = exit;
+
+    const { stopPrice, takeProfitPrice } = exitLevels(position.avgCost, rules);
+    if (!stopPrice && !takeProfitPrice) return;
+    try {
+      const placed = await this.getOrderManager(config).placeProtectiveExit({
+        exchange: config.exchange || 'binance',
+        symbol,
+        quantity: position.quantity,
+        stopPrice,
+        takeProfitPrice,
+      });
+      exit.orders = [...exit.orders, ...placed.orders];
+      exit.native = placed.native;
+      placed.orders.forEach(o => recordOrder(botState, { orderId: o.orderId, symbol, side: 'SELL', status: 'NEW', price: o.kind === 'stop-loss' ? stopPrice : takeProfitPrice, quantity: position.quantity }));
+    } catch (err) {
+      // Not fatal — the in-process monitor covers levels without a resting order
+      console.warn(`[${botId}] Could not place exit orders for ${symbol}, monitoring in-process:`, err.message);
+    }
+  }
+
+  /**
+   * Cancel a position's resting exit orders, then re-read each one and book
+   * whatever it executed before the cancel landed. Orders whose status could
+   * not be read stay tracked so the monitor checks them again.
+   */
+  async _cancelProtection(botId, symbol) {
+    const { config, state: botState } = this._bots.get(botId);
+    const exit = botState.exits[symbol];
+    if (!exit?.orders?.length) return;
+    const exchange = config.exchange || 'binance';
+    const orderManager = this.getOrderManager(config);
+    await orderManager.cancelBotOrders({ exchange, symbol, orderIds: exit.orders.map(o => o.orderId) });
+
+    const unread = [];
+    for (const order of exit.orders) {
+      try {
+        const fill = await orderManager.getBotOrderFill({ exchange, symbol, orderId: order.orderId });
+        if (fill.filled) await this._bookExitFill(botId, symbol, order, fill);
+      } catch (err) {
+        console.warn(`[${botId}] Could not read exit order ${order.orderId} after cancelling:`, err.message);
+        unread.push(order);
+      }
+    }
+    exit.orders = unread;
+    exit.native = { stopLoss: false, takeProfit: false };
+  }
+
+  /** Book the part of a resting exit order's fill not booked by an earlier read. */
+  async _bookExitFill(botId, symbol, order, fill) {
+    const { state: botState } = this._bots.get(botId);
+    const position = new PositionLedger(botState.positions).get(symbol);
+    const quantity = fill.quantity - (order.bookedQty || 0);
+    if (!position || !(quantity > 0)) return;
+    const fee = (fill.fee || 0) - (order.bookedFee || 0);
+    order.bookedQty = fill.quantity;
+    order.bookedFee = fill.fee || 0;
+
+    const reason = order.kind === 'stop-loss' || fill.price < position.avgCost ? 'stop-loss' : 'take-profit';
+    recordOrder(botState, { ...fill, symbol, side: 'SELL' });
+    await this._bookFill(botId, {
+      symbol, action: 'SELL', price: fill.price, reason: `${reason} (exchange order)`, exitReason: reason,
+    }, { ...fill, quantity, fee });
+  }
+
+  _ensureExitMonitor() {
+    if (this._exitTimer) return;
+    this._exitTimer = setInterval(() => {
+      this._checkExits().catch(err => console.error('[BotSupervisor] Exit check failed:', err.message));
+    }, EXIT_CHECK_MS);
+  }
+
+  async _checkExits() {
+    if (this._checkingExits) return;
+    this._checkingExits = true;
+    try {
+      for (const botId of Array.from(this._bots.keys())) {
+        const bot = this._bots.get(botId);
+        if (!bot) continue;
+        const rules = resolveExitRules(bot.config);
+        if (!hasExitRules(rules)) continue;
+
+        // A bot busy placing an order is checked again on the next pass
+        await this._withLock(botId, async () => {
+          const ledger = new PositionLedger(bot.state.positions);
+          let changed = false;
+          for (const symbol of ledger.openSymbols()) {
+            changed = (await this._checkPositionExit(botId, symbol, rules)) || changed;
+          }
+          if (changed && this._bots.has(botId)) {
+            await storageService.saveSetting(`bot_state_${botId}`, bot.state);
+          }
+        }, { skipIfBusy: true });
+      }
+    } finally {
+      this._checkingExits = false;
+    }
+  }
+
+  /** Returns true when the position was closed (natively or by the monitor). */
+  async _checkPositionExit(botId, symbol, rules) {
+    const { config, state: botState } = this._bots.get(botId);
+    const exchange = config.exchange || 'binance';
+    const position = new PositionLedger(botState.positions).get(symbol);
+    const exit = botState.exits[symbol] || (botState.exits[symbol] = {
+      highWater: position.entryPrice, orders: [], native: { stopLoss: false, takeProfit: false },
+    });
+    const now = Date.now();
+    const stopOverdue = exit.stopHitAt != null && now - exit.stopHitAt >= NATIVE_STOP_GRACE_MS;
+
+    // Did a resting exit order fill on the exchange? Always look before
+    // replacing an overdue native stop with a market exit.
+    if (exit.orders.length && (stopOverdue || now - (exit.lastNativeCheck || 0) >= NATIVE_CHECK_MS)) {
+      exit.lastNativeCheck = now;
+      for (const order of exit.orders) {
+        let fill;
+        try {
+          fill = await this.getOrderManager(config).getBotOrderFill({ exchange, symbol, orderId: order.orderId });
+        } catch (err) {
+          console.warn(`[${botId}] Could not check exit order ${order.orderId}:`, err.message);
+          continue;
+        }
+        if (!fill.filled) continue;
+
+        // Cancel the rest of the exit (OCO siblings are already cancelled by
+        // the exchange) and book what every leg executed, then re-protect
+        // whatever is left of the position
+        await this._cancelProtection(botId, symbol);
+        if (new PositionLedger(botState.positions).hasOpen(symbol)) await this._protect(botId, symbol);
+        return true;
+      }
+    }
+
+    const price = this.getMarkPrice(exchange, symbol);
+    if (price > 0) exit.highWater = Math.max(exit.highWater || 0, price);
+
+    const hit = checkExit({ entryPrice: position.avgCost, openedAt: position.openedAt }, rules, { price, highWater: exit.highWater, now });
+    if (hit?.reason !== 'stop-loss') delete exit.stopHitAt;
+    if (!hit) return false;
+    // Leave natively protected levels to the exchange. The native stop is a
+    // stop-limit, so a gap through its limit leaves it resting unfilled: once
+    // it has had its grace period, cancel it and exit at market instead.
+    if (hit.reason === 'take-profit' && exit.native.takeProfit) return false;
+    if (hit.reason === 'stop-loss' && exit.native.stopLoss) {
+      if (exit.stopHitAt == null) exit.stopHitAt = now;
+      if (now - exit.stopHitAt < NATIVE_STOP_GRACE_MS) return false;
+      console.warn(`[${botId}] Native stop for ${symbol} still unfilled ${Math.round((now - exit.stopHitAt) / 1000)}s after the hit, exiting at market`);
+    }
+
+    console.log(`[${botId}] ${hit.reason} triggered for ${symbol} at ${price ?? 'n/a'}`);
+    const ok = await this._executeOrder(botId, {
+      symbol,
+      action: 'SELL',
+      price,
+      orderType: 'MARKET', // exits must not rest unfilled
+      reason: hit.level ? `${hit.reason} @ ${hit.level.toFixed(6)}` : hit.reason,
+      exitReason: hit.reason,
+    }, position.quantity);
+    if (!ok) {
+      this.emit('error', `[${botId}] ${hit.reason} exit for ${symbol} failed: ${botState.lastError}`);
+      return false;
+    }
+    if (botState.pairs?.[symbol]) botState.pairs[symbol].lastReason = `Closed by ${hit.reason}`;
+    return true;
+  }
+
+  /**
+   * Mark a bot's open positions. Live price-feed quotes win; otherwise the
+   * prices seen during the last scheduled check are used.
+   */
+  _markPositions(config, botState) {
+    const exchange = config.exchange || 'binance';
+    const fallback = botState.lastPrices || {};
+    return new PositionLedger(botState.positions)
+      .snapshot(symbol => this.getMarkPrice(exchange, symbol) ?? fallback[symbol] ?? null);
+  }
+}
+
+function isMultiPair(config) {
+  return Array.isArray(config.symbols) && config.symbols.length > 0;
+}
+
+// Per-pair signal and P&L bookkeeping; holdings live in the position ledger
+function initPairs(symbols, saved = {}) {
+  return Object.fromEntries(symbols.map(symbol => [symbol, {
+    realizedPnl: 0,
+    trades: 0,
+    lastSignal: null,
+    lastReason: null,
+    ...saved[symbol],
+  }]));
+}
+
+const MAX_ORDERS = 50; // per bot; the oldest are dropped first
+
+// Keep a bounded record of the bot's own orders, keyed by order id
+function recordOrder(botState, { orderId, symbol, side, filled, partial, status, price, quantity, fee, feeAsset }) {
+  if (orderId == null) return;
+  botState.orders[orderId] = { orderId, symbol, side, status: filled && !partial ? 'FILLED' : status, price, quantity, fee, feeAsset, timestamp: Date.now() };
+  const ids = Object.keys(botState.orders);
+  if (ids.length > MAX_ORDERS) {
+    ids.sort((a, b) => botState.orders[a].timestamp - botState.orders[b].timestamp)
+      .slice(0, ids.length - MAX_ORDERS)
+      .forEach(id => delete botState.orders[id]);
+  }
+}
+
+// Per-pair and aggregate P&L; `marked` are the bot's open positions marked to market
+function summarizePairs(pairs, marked = []) {
+  const bySymbol = Object.fromEntries(marked.map(p => [p.symbol, p]));
+  const rows = Object.entries(pairs).map(([symbol, p]) => {
+    const pos = bySymbol[symbol];
+    const unrealizedPnl = pos?.unrealizedPnl || 0;
+    return {
+      symbol,
+      quantity: pos?.quantity || 0,
+      avgCost: pos?.avgCost || 0,
+      costUSDT: pos?.costBasis || 0,
+      marketValue: pos?.marketValue || 0,
+      realizedPnl: p.realizedPnl,
+      unrealizedPnl,
+      totalPnl: p.realizedPnl + unrealizedPnl,
+      trades: p.trades,
+      lastSignal: p.lastSignal,
+      lastReason: p.lastReason,
+    };
+  });
+  const sum = key => rows.reduce((s, r) => s + r[key], 0);
+  return {
+    pairs: rows,
+    aggregate: {
+      exposureUSDT: sum('costUSDT'),
+      marketValue: sum('marketValue'),
+      realizedPnl: sum('realizedPnl'),
+      unrealizedPnl: sum('unrealizedPnl'),
+      totalPnl: sum('totalPnl'),
+    },
+  };
+}
+
+module.exports = { BotSupervisor, convertToCronSchedule };
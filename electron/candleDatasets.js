@@ -0,0 +1,104 @@
+// NeutronTrader - Imported candle datasets
+//
+// CSV files imported for backtesting are parsed once and kept under
+// <userData>/datasets as <id>.json (same row layout as the candle cache),
+// with index.json listing every dataset's metadata. A dataset stands in for
+// a live exchange as the candle source of a backtest.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { inspectCsv, parseCandleCsv } = require('./csvCandleParser');
+const { findGaps, intervalToMs } = require('./candleLoader');
+const { readJson, writeJson, toRow, fromRow } = require('./jsonFiles');
+
+const PREVIEW_BYTES = 64 * 1024;
+
+class CandleDatasets {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.indexPath = path.join(rootDir, 'index.json');
+  }
+
+  /** Detected delimiter, header, column mapping and sample rows of a CSV file. */
+  async inspect(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(PREVIEW_BYTES), 0, PREVIEW_BYTES, 0);
+      let text = buffer.toString('utf8', 0, bytesRead);
+      if (bytesRead === PREVIEW_BYTES) text = text.slice(0, text.lastIndexOf('\n'));
+      return { filePath, fileName: path.basename(filePath), ...inspectCsv(text.replace(/^\uFEFF/, '')) };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Parse, validate and store a CSV file. Returns { dataset, errors, warnings };
+   * dataset is null when validation failed and nothing was stored.
+   */
+  async importCsv(filePath, { name, symbol, ...parseOptions } = {}) {
+    if (!symbol) throw new Error('Symbol is required');
+    const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const { candles, interval, errors, warnings, stats } = parseCandleCsv(text, parseOptions);
+    if (errors.length) return { dataset: null, errors, warnings };
+
+    const id = `csv_${Date.now()}`;
+    const dataset = {
+      id,
+      name: (name || path.basename(filePath, path.extname(filePath))).trim(),
+      symbol: symbol.toUpperCase(),
+      interval,
+      bars: stats.bars,
+      startTime: stats.startTime,
+      endTime: stats.endTime,
+      gapCount: stats.gaps.length,
+      sourceFile: path.basename(filePath),
+      importedAt: Date.now(),
+    };
+
+    await writeJson(path.join(this.rootDir, `${id}.json`), candles.map(toRow));
+    await writeJson(this.indexPath, [...await this.list(), dataset]);
+    return { dataset, errors, warnings };
+  }
+
+  async list() {
+    return readJson(this.indexPath, []);
+  }
+
+  async get(id) {
+    const dataset = (await this.list()).find(d => d.id === id);
+    if (!dataset) throw new Error(`Dataset "${id}" not found`);
+    return dataset;
+  }
+
+  /** Candles of a dataset within [startTime, endTime], in candleLoader's { candles, stats } shape. */
+  async load(id, { startTime, endTime } = {}) {
+    const dataset = await this.get(id);
+    const rows = await readJson(path.join(this.rootDir, `${id}.json`), []);
+    const candles = rows
+      .filter(r => (startTime == null || r[0] >= startTime) && (endTime == null || r[0] <= endTime))
+      .map(fromRow);
+    const gaps = findGaps(candles, intervalToMs(dataset.interval));
+    return {
+      candles,
+      stats: {
+        source: 'csv',
+        dataset: dataset.name,
+        bars: candles.length,
+        gaps,
+        missingBars: gaps.reduce((s, g) => s + g.missingBars, 0),
+        startTime: candles[0]?.openTime ?? null,
+        endTime: candles[candles.length - 1]?.openTime ?? null,
+      },
+    };
+  }
+
+  async remove(id) {
+    const remaining = (await this.list()).filter(d => d.id !== id);
+    await fs.rm(path.join(this.rootDir, `${id}.json`), { force: true });
+    await writeJson(this.indexPath, remaining);
+    return remaining;
+  }
+}
+
+module.exports = { CandleDatasets };
@@ -0,0 +1,142 @@
+// NeutronTrader - Paginated historical candle loader
+//
+// Exchanges cap how many bars one klines request returns, so a backtest range
+// is fetched as consecutive windows of at most `pageSize` bars, paced to stay
+// under each venue's public rate limit. Pages are merged by openTime (later
+// pages win on overlap) and the result is checked for missing bars.
+
+const INTERVAL_MS = {
+  '1m': 60_000,
+  '3m': 180_000,
+  '5m': 300_000,
+  '15m': 900_000,
+  '30m': 1_800_000,
+  '1h': 3_600_000,
+  '2h': 7_200_000,
+  '4h': 14_400_000,
+  '6h': 21_600_000,
+  '8h': 28_800_000,
+  '12h': 43_200_000,
+  '1d': 86_400_000,
+  '3d': 259_200_000,
+  '1w': 604_800_000,
+};
+
+// pageSize: most bars one request returns; delayMs: pause between requests
+const PAGE_LIMITS = {
+  binance: { pageSize: 1000, delayMs: 100 },
+  bybit: { pageSize: 1000, delayMs: 100 },
+  okx: { pageSize: 100, delayMs: 150 },
+  coinbase: { pageSize: 300, delayMs: 150 },
+  kraken: { pageSize: 720, delayMs: 1100 },
+};
+const DEFAULT_LIMITS = { pageSize: 500, delayMs: 200 };
+
+const DEFAULT_BARS = 1000; // range used when no startTime is given
+const MAX_PAGES = 1000;
+const MAX_RETRIES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function intervalToMs(interval) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) throw new Error(`Unsupported candle interval: ${interval}`);
+  return ms;
+}
+
+function isRateLimitError(err) {
+  return /429|418|rate limit|too many requests/i.test(err?.message || '');
+}
+
+async function fetchPage(adapter, symbol, interval, options, delayMs) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await adapter.getCandlesticks(symbol, interval, options);
+    } catch (err) {
+      if (!isRateLimitError(err) || attempt >= MAX_RETRIES) throw err;
+      await sleep(delayMs * 10 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Find runs of missing bars in candles sorted by openTime.
+ * Returns [{ from, to, missingBars }] where from/to are the openTimes of the
+ * first and last missing bar.
+ */
+function findGaps(candles, intervalMs) {
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const step = candles[i].openTime - candles[i - 1].openTime;
+    if (step > intervalMs) {
+      gaps.push({
+        from: candles[i - 1].openTime + intervalMs,
+        to: candles[i].openTime - intervalMs,
+        missingBars: Math.round(step / intervalMs) - 1,
+      });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Load every bar in [startTime, endTime] for `symbol` from `adapter`.
+ * Returns { candles, stats } — candles sorted ascending, stats describing
+ * what was requested versus actually loaded:
+ *   { expectedBars, bars, pages, duplicates, gaps, missingBars, startTime, endTime }
+ */
+async function loadCandles(adapter, { exchange = adapter.name, symbol, interval, startTime, endTime, limit, onPage } = {}) {
+  const intervalMs = intervalToMs(interval);
+  const { pageSize, delayMs } = PAGE_LIMITS[exchange] || DEFAULT_LIMITS;
+  const end = endTime ?? Date.now();
+  const start = startTime ?? end - (limit || DEFAULT_BARS) * intervalMs;
+  if (start >= end) throw new Error('Backtest start time must be before end time');
+
+  const byOpenTime = new Map();
+  let duplicates = 0;
+  let pages = 0;
+  let cursor = start;
+
+  while (cursor <= end && pages < MAX_PAGES) {
+    if (pages > 0) await sleep(delayMs);
+    const windowEnd = Math.min(cursor + pageSize * intervalMs - 1, end);
+    const page = await fetchPage(adapter, symbol, interval, { startTime: cursor, endTime: windowEnd, limit: pageSize }, delayMs);
+    pages++;
+
+    let last = null;
+    for (const c of page || []) {
+      if (c.openTime < start || c.openTime > end) continue;
+      if (byOpenTime.has(c.openTime)) duplicates++;
+      byOpenTime.set(c.openTime, c);
+      if (last === null || c.openTime > last) last = c.openTime;
+    }
+    onPage?.({ pages, bars: byOpenTime.size });
+
+    // An empty window is a hole in the exchange's history (or before listing);
+    // skip past it. Otherwise resume after the newest bar — adapters that
+    // ignore the window still make progress or stop here.
+    const next = last === null ? windowEnd + 1 : last + intervalMs;
+    if (next <= cursor) break;
+    cursor = next;
+  }
+
+  const candles = [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+  const gaps = findGaps(candles, intervalMs);
+  const alignedStart = Math.ceil(start / intervalMs) * intervalMs;
+
+  return {
+    candles,
+    stats: {
+      expectedBars: Math.max(0, Math.floor((end - alignedStart) / intervalMs) + 1),
+      bars: candles.length,
+      pages,
+      duplicates,
+      gaps,
+      missingBars: gaps.reduce((s, g) => s + g.missingBars, 0),
+      startTime: candles[0]?.openTime ?? null,
+      endTime: candles[candles.length - 1]?.openTime ?? null,
+    },
+  };
+}
+
+module.exports = { loadCandles, findGaps, intervalToMs, PAGE_LIMITS };
@@ -0,0 +1,245 @@
+// NeutronTrader - On-disk OHLCV cache
+//
+// Closed candles are stored under <userData>/candles, one directory per
+// exchange/symbol/interval series:
+//   <exchange>/<BASE-QUOTE>/<interval>/meta.json   coverage + bookkeeping
+//   <exchange>/<BASE-QUOTE>/<interval>/YYYY-MM.json  [[openTime, o, h, l, c, v, closeTime], ...]
+// `coverage` lists the openTime ranges already fetched, including spans where
+// the exchange had no bars, so only ranges outside it hit the network. The
+// still-forming bar is returned to callers but never written.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { findGaps, intervalToMs } = require('./candleLoader');
+const { readJson, writeJson, toRow, fromRow } = require('./jsonFiles');
+
+const DEFAULT_BARS = 1000;
+
+function seriesKey(exchange, symbol, interval) {
+  return [exchange, symbol.toUpperCase().replace(/[^A-Z0-9]+/g, '-'), interval].join('/');
+}
+
+function monthOf(openTime) {
+  return new Date(openTime).toISOString().slice(0, 7);
+}
+
+/** Merge overlapping or adjacent [from, to] openTime ranges. */
+function mergeRanges(ranges, intervalMs) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [from, to] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1] + intervalMs) last[1] = Math.max(last[1], to);
+    else merged.push([from, to]);
+  }
+  return merged;
+}
+
+/** Parts of [from, to] not inside any coverage range. */
+function missingRanges(from, to, coverage, intervalMs) {
+  const missing = [];
+  let cursor = from;
+  for (const [cFrom, cTo] of coverage) {
+    if (cTo < cursor) continue;
+    if (cFrom > to) break;
+    if (cFrom > cursor) missing.push([cursor, cFrom - intervalMs]);
+    cursor = cTo + intervalMs;
+  }
+  if (cursor <= to) missing.push([cursor, to]);
+  return missing;
+}
+
+class CandleStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this._locks = new Map();
+  }
+
+  /**
+   * Candles for [startTime, endTime], fetching only what the cache lacks.
+   * `fetchRange({ startTime, endTime, onPage })` must resolve to candleLoader's
+   * { candles, stats }. If fetching fails (e.g. offline) whatever is cached is
+   * returned with `stats.fetchError` set; with nothing cached the error is thrown.
+   */
+  async getCandles({ exchange, symbol, interval, startTime, endTime, limit, onPage }, fetchRange) {
+    const intervalMs = intervalToMs(interval);
+    const now = Date.now();
+    const end = endTime ?? now;
+    const start = startTime ?? end - (limit || DEFAULT_BARS) * intervalMs;
+    if (start >= end) throw new Error('Candle range start must be before end');
+
+    const first = Math.ceil(start / intervalMs) * intervalMs;
+    const last = Math.floor(end / intervalMs) * intervalMs;
+    const lastClosed = Math.floor(now / intervalMs) * intervalMs - intervalMs;
+    const key = seriesKey(exchange, symbol, interval);
+
+    return this._withLock(key, async () => {
+      const meta = await this._readMeta(key, { exchange, symbol, interval });
+      const live = [];
+      let pages = 0;
+      let fetchedBars = 0;
+      let fetchError = null;
+      let changed = false;
+
+      for (const [from, to] of missingRanges(first, last, meta.coverage, intervalMs)) {
+        try {
+          const { candles, stats } = await fetchRange({ startTime: from, endTime: to + intervalMs - 1, onPage });
+          pages += stats?.pages || 0;
+          fetchedBars += candles.length;
+          live.push(...candles.filter(c => c.openTime > lastClosed));
+          meta.bars += await this._writeCandles(key, candles.filter(c => c.openTime <= lastClosed));
+
+          const coveredTo = Math.min(to, lastClosed);
+          if (coveredTo >= from) {
+            meta.coverage = mergeRanges([...meta.coverage, [from, coveredTo]], intervalMs);
+            changed = true;
+          }
+        } catch (err) {
+          fetchError = err.message;
+          break;
+        }
+      }
+      if (changed) {
+        meta.updatedAt = now;
+        await writeJson(path.join(this._dir(key), 'meta.json'), meta);
+      }
+
+      const byOpenTime = new Map((await this._readCandles(key, first, last)).map(c => [c.openTime, c]));
+      const cachedBars = byOpenTime.size;
+      for (const c of live) {
+        if (c.openTime >= first && c.openTime <= last) byOpenTime.set(c.openTime, c);
+      }
+      const candles = [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+      if (!candles.length && fetchError) throw new Error(fetchError);
+
+      const gaps = findGaps(candles, intervalMs);
+      return {
+        candles,
+        stats: {
+          expectedBars: Math.max(0, (last - first) / intervalMs + 1),
+          bars: candles.length,
+          pages,
+          fetchedBars,
+          cachedBars,
+          gaps,
+          missingBars: gaps.reduce((s, g) => s + g.missingBars, 0),
+          startTime: candles[0]?.openTime ?? null,
+          endTime: candles[candles.length - 1]?.openTime ?? null,
+          fetchError,
+        },
+      };
+    });
+  }
+
+  /**
+   * Cached series and what they cover:
+   * [{ exchange, symbol, interval, coverage: [[from, to]], bars, sizeBytes, updatedAt }]
+   */
+  async coverage() {
+    const series = [];
+    for (const exchange of await this._subdirs(this.rootDir)) {
+      for (const sym of await this._subdirs(path.join(this.rootDir, exchange))) {
+        for (const interval of await this._subdirs(path.join(this.rootDir, exchange, sym))) {
+          const dir = path.join(this.rootDir, exchange, sym, interval);
+          const meta = await readJson(path.join(dir, 'meta.json'), null);
+          if (!meta) continue;
+          let sizeBytes = 0;
+          for (const file of await fs.readdir(dir)) {
+            sizeBytes += (await fs.stat(path.join(dir, file))).size;
+          }
+          series.push({ ...meta, sizeBytes });
+        }
+      }
+    }
+    return series;
+  }
+
+  /**
+   * Delete cached data. Every filter is optional: { exchange } drops a whole
+   * exchange, adding symbol/interval narrows it; no filter clears the cache.
+   * Returns the number of series removed.
+   */
+  async purge({ exchange, symbol, interval } = {}) {
+    const targets = (await this.coverage()).filter(s =>
+      (!exchange || s.exchange === exchange) &&
+      (!symbol || s.symbol === symbol) &&
+      (!interval || s.interval === interval)
+    );
+    for (const s of targets) {
+      const key = seriesKey(s.exchange, s.symbol, s.interval);
+      await this._withLock(key, () => fs.rm(this._dir(key), { recursive: true, force: true }));
+    }
+    return targets.length;
+  }
+
+  // ===== internals =====
+
+  _dir(key) {
+    return path.join(this.rootDir, ...key.split('/'));
+  }
+
+  // Serialize work per series so concurrent callers don't fetch or write the same range twice
+  _withLock(key, fn) {
+    const prev = this._locks.get(key) || Promise.resolve();
+    const run = prev.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    this._locks.set(key, tail);
+    tail.then(() => {
+      if (this._locks.get(key) === tail) this._locks.delete(key);
+    });
+    return run;
+  }
+
+  async _readMeta(key, { exchange, symbol, interval }) {
+    const meta = await readJson(path.join(this._dir(key), 'meta.json'), null);
+    return meta || { exchange, symbol, interval, coverage: [], bars: 0, updatedAt: null };
+  }
+
+  async _readCandles(key, first, last) {
+    const out = [];
+    const end = new Date(last);
+    for (let d = new Date(Date.UTC(new Date(first).getUTCFullYear(), new Date(first).getUTCMonth(), 1));
+      d <= end;
+      d.setUTCMonth(d.getUTCMonth() + 1)) {
+      const rows = await readJson(path.join(this._dir(key), `${monthOf(d.getTime())}.json`), []);
+      for (const row of rows) {
+        if (row[0] >= first && row[0] <= last) out.push(fromRow(row));
+      }
+    }
+    return out;
+  }
+
+  /** Merge candles into their month files; returns how many bars were new. */
+  async _writeCandles(key, candles) {
+    const byMonth = new Map();
+    for (const c of candles) {
+      const month = monthOf(c.openTime);
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(c);
+    }
+
+    let added = 0;
+    for (const [month, monthCandles] of byMonth) {
+      const file = path.join(this._dir(key), `${month}.json`);
+      const rows = new Map((await readJson(file, [])).map(r => [r[0], r]));
+      for (const c of monthCandles) {
+        if (!rows.has(c.openTime)) added++;
+        rows.set(c.openTime, toRow(c));
+      }
+      await writeJson(file, [...rows.values()].sort((a, b) => a[0] - b[0]));
+    }
+    return added;
+  }
+
+  async _subdirs(dir) {
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.filter(e => e.isDirectory()).map(e => e.name);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+}
+
+module.exports = { CandleStore, mergeRanges, missingRanges };
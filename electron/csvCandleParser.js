@@ -0,0 +1,227 @@
+// NeutronTrader - OHLCV CSV parsing
+//
+// Accepts the usual exchange and third-party export layouts: any of , ; tab |
+// as delimiter, decimal commas in files not delimited by commas (1234,5 or
+// 1.234,5), an optional header row, timestamps in seconds, milliseconds,
+// microseconds, ISO-8601 or YYYY/MM/DD HH:mm (UTC assumed when no zone is
+// given), and rows in either chronological or reverse order. Pure functions — file access and
+// persistence live in candleDatasets.js.
+
+const { findGaps, intervalToMs } = require('./candleLoader');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+const FIELD_ALIASES = {
+  time: ['time', 'timestamp', 'date', 'datetime', 'open_time', 'opentime', 'open time', 'unix', 'ts', 'start'],
+  open: ['open', 'o', 'open_price'],
+  high: ['high', 'h', 'high_price'],
+  low: ['low', 'l', 'low_price'],
+  close: ['close', 'c', 'close_price'],
+  volume: ['volume', 'vol', 'v', 'volume_base', 'base_volume'],
+};
+const MAX_ERRORS = 20;
+const PREVIEW_ROWS = 5;
+
+function detectDelimiter(line) {
+  // Commas that only ever sit between digits are decimal commas when another
+  // delimiter is present (1234,5;1240,0;...)
+  const commas = line.split(',').length - 1;
+  const decimalCommas = commas > 0 && (line.match(/\d,\d/g) || []).length === commas
+    && DELIMITERS.some(d => d !== ',' && line.includes(d));
+  let best = ',';
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    if (d === ',' && decimalCommas) continue;
+    const count = line.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function splitLine(line, delimiter) {
+  return line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Numeric value of a cell. Outside comma-delimited files a comma is the
+ * decimal mark and dots or spaces group thousands (1.234,5 -> 1234.5).
+ */
+function parseNumber(cell, delimiter) {
+  if (cell == null || cell === '') return NaN;
+  if (delimiter !== ',' && cell.includes(',')) {
+    return /^[-+]?[\d. ]*\d(,\d+)?$/.test(cell) ? Number(cell.replace(/[. ]/g, '').replace(',', '.')) : NaN;
+  }
+  return Number(cell);
+}
+
+function isHeaderRow(cells, delimiter) {
+  return cells.some(cell => cell !== '' && !Number.isFinite(parseNumber(cell, delimiter))
+    && Number.isNaN(Date.parse(cell)) && !Number.isFinite(parseTimestamp(cell, 'iso')));
+}
+
+/** Map fields to column indexes from header names; falls back to t,o,h,l,c,v order. */
+function guessMapping(header) {
+  if (!header) return { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+  const names = header.map(h => h.toLowerCase());
+  const mapping = {};
+  for (const field of FIELDS) {
+    const idx = names.findIndex(n => FIELD_ALIASES[field].includes(n));
+    if (idx !== -1) mapping[field] = idx;
+  }
+  return mapping;
+}
+
+/**
+ * Parse a timestamp cell to epoch ms. `unit` is 'auto', 's', 'ms' or 'iso';
+ * auto picks by magnitude for numbers and Date.parse for everything else.
+ */
+function parseTimestamp(value, unit = 'auto') {
+  if (value === '' || value == null) return NaN;
+  const num = Number(value);
+  if (unit === 's') return num * 1000;
+  if (unit === 'ms') return num;
+  if (unit !== 'iso' && Number.isFinite(num)) {
+    if (num < 1e11) return num * 1000; // seconds
+    if (num > 1e14) return Math.floor(num / 1000); // microseconds
+    return num;
+  }
+  // YYYY/MM/DD (TradingView and spreadsheet exports) -> YYYY-MM-DD
+  const text = String(value).replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})/, (_, y, m, d) => `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`);
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  return Date.parse(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+/** Most common spacing between bars, as an interval string like '1h'. */
+function detectInterval(candles) {
+  const counts = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const step = candles[i].openTime - candles[i - 1].openTime;
+    counts.set(step, (counts.get(step) || 0) + 1);
+  }
+  const [step] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  const interval = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w']
+    .find(i => intervalToMs(i) === step);
+  return { interval: interval || null, stepMs: step || null };
+}
+
+/**
+ * Delimiter, header and suggested mapping for the first lines of a file,
+ * plus a few sample rows for the import dialog.
+ */
+function inspectCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (!lines.length) throw new Error('CSV file is empty');
+  const delimiter = detectDelimiter(lines[0]);
+  const first = splitLine(lines[0], delimiter);
+  const header = isHeaderRow(first, delimiter) ? first : null;
+  const rows = lines.slice(header ? 1 : 0, (header ? 1 : 0) + PREVIEW_ROWS).map(l => splitLine(l, delimiter));
+  return {
+    delimiter,
+    header,
+    columns: header || first.map((_, i) => `Column ${i + 1}`),
+    mapping: guessMapping(header),
+    rows,
+  };
+}
+
+/**
+ * Parse and validate a whole CSV. Returns { candles, interval, errors, warnings, stats };
+ * when `errors` is non-empty the data must not be imported. Errors name the
+ * 1-based line they come from.
+ */
+function parseCandleCsv(text, { delimiter, mapping, timestampUnit = 'auto', hasHeader } = {}) {
+  const lines = text.split(/\r?\n/);
+  const firstIdx = lines.findIndex(l => l.trim() !== '');
+  if (firstIdx === -1) throw new Error('CSV file is empty');
+
+  const delim = delimiter || detectDelimiter(lines[firstIdx]);
+  const firstCells = splitLine(lines[firstIdx], delim);
+  const header = (hasHeader ?? isHeaderRow(firstCells, delim)) ? firstCells : null;
+  const map = { ...guessMapping(header), ...(mapping || {}) };
+  const errors = [];
+  const warnings = [];
+  const addError = (msg) => {
+    if (errors.length < MAX_ERRORS) errors.push(msg);
+    else if (errors.length === MAX_ERRORS) errors.push('Too many errors; further rows not reported');
+  };
+
+  const missing = FIELDS.filter(f => f !== 'volume' && !Number.isInteger(map[f]));
+  if (missing.length) {
+    return { candles: [], interval: null, errors: [`No column mapped for: ${missing.join(', ')}`], warnings, stats: null };
+  }
+  if (!Number.isInteger(map.volume)) warnings.push('No volume column mapped; volume set to 0');
+
+  let candles = [];
+  for (let i = header ? firstIdx + 1 : firstIdx; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    const cells = splitLine(lines[i], delim);
+    const lineNo = i + 1;
+    const openTime = parseTimestamp(cells[map.time], timestampUnit);
+    const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(f => parseNumber(cells[map[f]], delim));
+    const volume = Number.isInteger(map.volume) ? parseNumber(cells[map.volume], delim) : 0;
+    const column = f => (header ? `"${header[map[f]]}"` : `column ${map[f] + 1}`);
+
+    if (!Number.isFinite(openTime)) {
+      addError(`Line ${lineNo}: unreadable timestamp "${cells[map.time] ?? ''}" in ${column('time')}`);
+      continue;
+    }
+    const bad = ['open', 'high', 'low', 'close', 'volume'].find((f, k) => !Number.isFinite([open, high, low, close, volume][k]));
+    if (bad) {
+      addError(`Line ${lineNo}: non-numeric ${bad} "${cells[map[bad]] ?? ''}" in ${column(bad)}`);
+      continue;
+    }
+    if (low <= 0 || high < Math.max(open, close) || low > Math.min(open, close)) {
+      addError(`Line ${lineNo}: OHLC out of order (O ${open} H ${high} L ${low} C ${close})`);
+      continue;
+    }
+    if (volume < 0) {
+      addError(`Line ${lineNo}: negative volume`);
+      continue;
+    }
+    candles.push({ openTime, open, high, low, close, volume, lineNo });
+  }
+
+  // Newest-first exports are common; flip them instead of rejecting the file
+  if (candles.length > 1 && candles[0].openTime > candles[candles.length - 1].openTime) {
+    candles.reverse();
+    warnings.push('Rows were newest-first; reversed to chronological order');
+  }
+  for (let i = 1; i < candles.length; i++) {
+    if (candles[i].openTime === candles[i - 1].openTime) {
+      addError(`Line ${candles[i].lineNo}: duplicate timestamp ${new Date(candles[i].openTime).toISOString()}`);
+    } else if (candles[i].openTime < candles[i - 1].openTime) {
+      addError(`Line ${candles[i].lineNo}: timestamp goes backwards (${new Date(candles[i].openTime).toISOString()})`);
+    }
+  }
+  if (candles.length < 2) addError('Need at least 2 valid rows');
+
+  const { interval, stepMs } = detectInterval(candles);
+  if (!errors.length && !interval) {
+    addError(`Bar spacing of ${stepMs / 1000}s does not match a supported interval`);
+  }
+
+  const intervalMs = interval ? intervalToMs(interval) : stepMs;
+  candles = candles.map(({ openTime, open, high, low, close, volume }) => ({
+    openTime, open, high, low, close, volume, closeTime: openTime + intervalMs - 1,
+  }));
+  const gaps = !errors.length ? findGaps(candles, intervalMs) : [];
+  if (gaps.length) warnings.push(`${gaps.length} gap(s) in the data (${gaps.reduce((s, g) => s + g.missingBars, 0)} missing bars)`);
+
+  return {
+    candles,
+    interval,
+    errors,
+    warnings,
+    stats: {
+      bars: candles.length,
+      startTime: candles[0]?.openTime ?? null,
+      endTime: candles[candles.length - 1]?.openTime ?? null,
+      gaps,
+    },
+  };
+}
+
+module.exports = { inspectCsv, parseCandleCsv, parseTimestamp, parseNumber, detectDelimiter, detectInterval };
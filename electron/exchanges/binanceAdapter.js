@@ -1,14 +1,18 @@
 // NeutronTrader - Binance exchange adapter
 // Wraps electron/binanceApi.js into the standard ExchangeAdapter interface.
 
-const { ExchangeAdapter } = require('./exchangeAdapter');
+const { ExchangeAdapter, normalizedOrder } = require('./exchangeAdapter');
 const BinanceAPI = require('../binanceApi');
 
+// Statuses outside the normalized set
+const BINANCE_STATUSES = { PENDING_NEW: 'NEW', PENDING_CANCEL: 'NEW', EXPIRED_IN_MATCH: 'EXPIRED' };
+
 class BinanceAdapter extends ExchangeAdapter {
   constructor(config = {}) {
     super(config);
     this.name = 'binance';
     this.isTestnet = config.isTestnet === true || config.testnet === true;
+    this.nativeStops = true;
     this.apiConfig = {
       apiKey: config.apiKey,
       apiSecret: config.apiSecret,
@@ -59,16 +63,39 @@ class BinanceAdapter extends ExchangeAdapter {
   }
 
   // ===== ORDERS =====
+  /** Order ACKs carry no status; fills[] (and so the fee) only come back on order placement */
+  _order(symbol, o) {
+    const fills = o.fills || [];
+    return normalizedOrder({
+      orderId: o.orderId,
+      symbol,
+      side: o.side,
+      type: o.type,
+      status: BINANCE_STATUSES[o.status] || o.status || 'NEW',
+      price: o.price,
+      origQty: o.origQty,
+      executedQty: o.executedQty,
+      quoteQty: o.cummulativeQuoteQty,
+      fee: fills.length ? fills.reduce((sum, f) => sum + parseFloat(f.commission || 0), 0) : null,
+      feeAsset: fills[0]?.commissionAsset ?? null,
+    }, o);
+  }
+
   async createMarketOrder(symbol, side, quantity) {
-    return BinanceAPI.createMarketOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity);
+    return this._order(symbol, await BinanceAPI.createMarketOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity));
   }
 
   async createLimitOrder(symbol, side, quantity, price, timeInForce = 'GTC') {
-    return BinanceAPI.createLimitOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity, price, timeInForce);
+    return this._order(symbol, await BinanceAPI.createLimitOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity, price, timeInForce));
   }
 
   async createStopLoss(symbol, side, quantity, price, stopPrice) {
-    return BinanceAPI.createStopLossLimitOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity, price, stopPrice);
+    return this._order(symbol, await BinanceAPI.createStopLossLimitOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity, price, stopPrice));
+  }
+
+  /** Take-profit limit at `price` paired with a stop-limit; one fill cancels the other */
+  async createOCOOrder(symbol, side, quantity, price, stopPrice, stopLimitPrice) {
+    return BinanceAPI.createOCOOrder(this.apiConfig, this.normalizeSymbol(symbol), side, quantity, price, stopPrice, stopLimitPrice);
   }
 
   async cancelOrder(symbol, orderId) {
@@ -76,7 +103,12 @@ class BinanceAdapter extends ExchangeAdapter {
   }
 
   async getOrderStatus(symbol, orderId) {
-    return BinanceAPI.getOrderStatus(this.apiConfig, this.normalizeSymbol(symbol), orderId);
+    return this._order(symbol, await BinanceAPI.getOrderStatus(this.apiConfig, this.normalizeSymbol(symbol), orderId));
+  }
+
+  async getOpenOrders(symbol) {
+    const orders = await BinanceAPI.getOpenOrders(this.apiConfig, this.normalizeSymbol(symbol));
+    return orders.map(o => this._order(symbol, o));
   }
 
   // ===== TRADES =====
@@ -1,7 +1,7 @@
 // NeutronTrader - Bybit exchange adapter (v5 API)
 // Auth: HMAC-SHA256
 
-const { ExchangeAdapter } = require('./exchangeAdapter');
+const { ExchangeAdapter, normalizedOrder } = require('./exchangeAdapter');
 const https = require('https');
 const crypto = require('crypto');
 const querystring = require('querystring');
@@ -9,11 +9,26 @@ const querystring = require('querystring');
 const REST_HOST_PROD = 'api.bybit.com';
 const REST_HOST_TEST = 'api-testnet.bybit.com';
 
+const BYBIT_STATUSES = {
+  Created: 'NEW',
+  New: 'NEW',
+  Untriggered: 'NEW',
+  Triggered: 'NEW',
+  PartiallyFilled: 'PARTIALLY_FILLED',
+  Filled: 'FILLED',
+  Cancelled: 'CANCELED',
+  PartiallyFilledCanceled: 'CANCELED',
+  Deactivated: 'CANCELED',
+  Rejected: 'REJECTED',
+};
+
 class BybitAdapter extends ExchangeAdapter {
   constructor(config = {}) {
     super(config);
     this.name = 'bybit';
     this.isTestnet = config.isTestnet === true;
+    // Stops are conditional orders that need orderFilter on every query and cancel
+    this.nativeStops = false;
   }
 
   get baseUrl() {
@@ -89,7 +104,10 @@ class BybitAdapter extends ExchangeAdapter {
   async getCandlesticks(symbol, interval, options = {}) {
     const sym = this.normalizeSymbol(symbol);
     const intervalStr = this._intervalToBybit(interval);
-    const data = await this._request('GET', '/market/kline', { category: 'spot', symbol: sym, interval: intervalStr, limit: options.limit || 200 });
+    const params = { category: 'spot', symbol: sym, interval: intervalStr, limit: options.limit || 200 };
+    if (options.startTime) params.start = options.startTime;
+    if (options.endTime) params.end = options.endTime;
+    const data = await this._request('GET', '/market/kline', params);
     return (data.list || []).reverse().map(c => ({
       openTime: parseInt(c[0]),
       open: parseFloat(c[1]),
@@ -116,39 +134,34 @@ class BybitAdapter extends ExchangeAdapter {
     return coin ? { asset, free: parseFloat(coin.availableToWithdraw), locked: parseFloat(coin.locked) } : { asset, free: 0, locked: 0 };
   }
 
-  async createMarketOrder(symbol, side, quantity) {
-    return this._request('POST', '/order/create', {
+  /** /order/create answers { orderId, orderLinkId } */
+  async _create(symbol, side, quantity, price, params) {
+    const result = await this._request('POST', '/order/create', {
       category: 'spot',
       symbol: this.normalizeSymbol(symbol),
       side: side === 'BUY' ? 'Buy' : 'Sell',
-      orderType: 'Market',
-      qty: String(quantity)
+      qty: String(quantity),
+      ...params
     }, true);
+    return normalizedOrder({ orderId: result?.orderId, symbol, side, status: 'NEW', price, origQty: quantity }, result);
+  }
+
+  async createMarketOrder(symbol, side, quantity) {
+    // Spot market buys are sized in quote currency unless told otherwise
+    return this._create(symbol, side, quantity, null, { orderType: 'Market', marketUnit: 'baseCoin' });
   }
 
   async createLimitOrder(symbol, side, quantity, price) {
-    return this._request('POST', '/order/create', {
-      category: 'spot',
-      symbol: this.normalizeSymbol(symbol),
-      side: side === 'BUY' ? 'Buy' : 'Sell',
-      orderType: 'Limit',
-      qty: String(quantity),
-      price: String(price),
-      timeInForce: 'GTC'
-    }, true);
+    return this._create(symbol, side, quantity, price, { orderType: 'Limit', price: String(price), timeInForce: 'GTC' });
   }
 
   async createStopLoss(symbol, side, quantity, price, stopPrice) {
-    return this._request('POST', '/order/create', {
-      category: 'spot',
-      symbol: this.normalizeSymbol(symbol),
-      side: side === 'BUY' ? 'Buy' : 'Sell',
+    return this._create(symbol, side, quantity, price, {
       orderType: 'Limit',
-      qty: String(quantity),
       price: String(price),
       triggerPrice: String(stopPrice),
       orderFilter: 'StopOrder'
-    }, true);
+    });
   }
 
   async cancelOrder(symbol, orderId) {
@@ -160,7 +173,37 @@ class BybitAdapter extends ExchangeAdapter {
   }
 
   async getOrderStatus(symbol, orderId) {
-    return this._request('GET', '/order/realtime', { category: 'spot', symbol: this.normalizeSymbol(symbol), orderId }, true);
+    const params = { category: 'spot', symbol: this.normalizeSymbol(symbol), orderId };
+    let result = await this._request('GET', '/order/realtime', params, true);
+    // Orders drop out of realtime once they're done
+    if (!result?.list?.length) result = await this._request('GET', '/order/history', params, true);
+    const o = result?.list?.[0];
+    if (!o) throw new Error(`Bybit order ${orderId} not found`);
+    return this._order(symbol, o);
+  }
+
+  async getOpenOrders(symbol) {
+    const result = await this._request('GET', '/order/realtime', { category: 'spot', symbol: this.normalizeSymbol(symbol), openOnly: 0 }, true);
+    return (result?.list || []).map(o => this._order(symbol, o));
+  }
+
+  /** Spot fees come out of the asset received: base on buys, quote on sells */
+  _order(symbol, o) {
+    const [base, quote] = symbol.split('/');
+    return normalizedOrder({
+      orderId: o.orderId,
+      symbol,
+      side: o.side,
+      type: o.orderType?.toUpperCase(),
+      status: BYBIT_STATUSES[o.orderStatus] || o.orderStatus,
+      price: o.price,
+      origQty: o.qty,
+      executedQty: o.cumExecQty,
+      avgPrice: o.avgPrice,
+      quoteQty: o.cumExecValue,
+      fee: o.cumExecFee,
+      feeAsset: (o.side === 'Buy' ? base : quote) || null,
+    }, o);
   }
 
   async getMyTrades(symbol, options = {}) {
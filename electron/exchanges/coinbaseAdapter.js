@@ -1,18 +1,31 @@
 // NeutronTrader - Coinbase Advanced Trade adapter
 // Auth: JWT (ES256) — requires apiKey (key name) + apiSecret (EC private key PEM)
 
-const { ExchangeAdapter } = require('./exchangeAdapter');
+const { ExchangeAdapter, normalizedOrder } = require('./exchangeAdapter');
 const https = require('https');
 const crypto = require('crypto');
 
 const REST_HOST_PROD = 'api.coinbase.com';
 const REST_HOST_SAND = 'api.coinbase.com'; // Coinbase sandbox uses same host, different credentials
 
+const COINBASE_STATUSES = {
+  PENDING: 'NEW',
+  QUEUED: 'NEW',
+  OPEN: 'NEW',
+  CANCEL_QUEUED: 'NEW',
+  UNKNOWN_ORDER_STATUS: 'NEW',
+  FILLED: 'FILLED',
+  CANCELLED: 'CANCELED',
+  EXPIRED: 'EXPIRED',
+  FAILED: 'REJECTED',
+};
+
 class CoinbaseAdapter extends ExchangeAdapter {
   constructor(config = {}) {
     super(config);
     this.name = 'coinbase';
     this.isTestnet = config.isTestnet === true;
+    this.nativeStops = true;
   }
 
   get baseUrl() {
@@ -51,7 +64,8 @@ class CoinbaseAdapter extends ExchangeAdapter {
 
       const headers = { 'Content-Type': 'application/json' };
       if (auth) {
-        headers['Authorization'] = `Bearer ${this._buildJWT(method, fullPath)}`;
+        // The JWT's uri claim covers the path only, not the query string
+        headers['Authorization'] = `Bearer ${this._buildJWT(method, fullPath.split('?')[0])}`;
       }
 
       const body = (method !== 'GET' && params) ? JSON.stringify(params) : null;
@@ -101,8 +115,10 @@ class CoinbaseAdapter extends ExchangeAdapter {
   async getCandlesticks(symbol, interval, options = {}) {
     const productId = this.normalizeSymbol(symbol);
     const granularity = this._intervalToGranularity(interval);
-    const end = Math.floor(Date.now() / 1000);
-    const start = end - granularity * (options.limit || 300);
+    const end = Math.floor((options.endTime || Date.now()) / 1000);
+    const start = options.startTime
+      ? Math.floor(options.startTime / 1000)
+      : end - granularity * (options.limit || 300);
     const data = await this._request('GET', `/products/${productId}/candles`, { start, end, granularity }, false);
     return (data.candles || []).map(c => ({
       openTime: c.start * 1000,
@@ -137,7 +153,7 @@ class CoinbaseAdapter extends ExchangeAdapter {
       side: side.toUpperCase(),
       order_configuration: { market_market_ioc: { base_size: String(quantity) } }
     };
-    return this._request('POST', '/orders', body, true);
+    return this._placed(symbol, side, quantity, null, await this._request('POST', '/orders', body, true));
   }
 
   async createLimitOrder(symbol, side, quantity, price, timeInForce = 'GTC') {
@@ -149,7 +165,7 @@ class CoinbaseAdapter extends ExchangeAdapter {
         limit_limit_gtc: { base_size: String(quantity), limit_price: String(price) }
       }
     };
-    return this._request('POST', '/orders', body, true);
+    return this._placed(symbol, side, quantity, price, await this._request('POST', '/orders', body, true));
   }
 
   async createStopLoss(symbol, side, quantity, price, stopPrice) {
@@ -166,7 +182,7 @@ class CoinbaseAdapter extends ExchangeAdapter {
         }
       }
     };
-    return this._request('POST', '/orders', body, true);
+    return this._placed(symbol, side, quantity, price, await this._request('POST', '/orders', body, true));
   }
 
   async cancelOrder(symbol, orderId) {
@@ -174,7 +190,46 @@ class CoinbaseAdapter extends ExchangeAdapter {
   }
 
   async getOrderStatus(symbol, orderId) {
-    return this._request('GET', `/orders/historical/${orderId}`, null, true);
+    const { order: o } = await this._request('GET', `/orders/historical/${orderId}`, null, true);
+    if (!o) throw new Error(`Coinbase order ${orderId} not found`);
+    return this._order(symbol, o);
+  }
+
+  async getOpenOrders(symbol) {
+    const { orders } = await this._request('GET', '/orders/historical/batch', {
+      product_id: this.normalizeSymbol(symbol),
+      order_status: 'OPEN'
+    }, true);
+    return (orders || []).map(o => this._order(symbol, o));
+  }
+
+  _order(symbol, o) {
+    const config = Object.values(o.order_configuration || {})[0] || {};
+    let status = COINBASE_STATUSES[o.status] || o.status;
+    if (status === 'NEW' && parseFloat(o.filled_size || 0) > 0) status = 'PARTIALLY_FILLED';
+    return normalizedOrder({
+      orderId: o.order_id,
+      symbol,
+      side: o.side,
+      type: o.order_type,
+      status,
+      price: config.limit_price,
+      origQty: config.base_size,
+      executedQty: o.filled_size,
+      avgPrice: o.average_filled_price,
+      quoteQty: o.filled_value,
+      fee: o.total_fees,
+      feeAsset: symbol.split('/')[1] || null,
+    }, o);
+  }
+
+  /** POST /orders answers 200 with success: false when the order is rejected */
+  _placed(symbol, side, quantity, price, json) {
+    if (!json?.success) {
+      const reason = json?.error_response?.message || json?.error_response?.error || json?.failure_reason || 'unknown reason';
+      throw new Error(`Coinbase rejected the order: ${reason}`);
+    }
+    return normalizedOrder({ orderId: json.success_response?.order_id, symbol, side, status: 'NEW', price, origQty: quantity }, json);
   }
 
   async getMyTrades(symbol, options = {}) {
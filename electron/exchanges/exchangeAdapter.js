@@ -6,6 +6,8 @@ class ExchangeAdapter {
     this.name = 'base';
     this.isTestnet = config.isTestnet !== false; // default testnet
     this.apiConfig = config;
+    // createStopLoss ids can be polled with getOrderStatus and cancelled with cancelOrder
+    this.nativeStops = false;
   }
 
   // ===== MARKET DATA =====
@@ -25,6 +27,7 @@ class ExchangeAdapter {
   async createStopLoss(symbol, side, quantity, price, stopPrice) { throw new Error(`${this.name}: createStopLoss() not implemented`); }
   async cancelOrder(symbol, orderId) { throw new Error(`${this.name}: cancelOrder() not implemented`); }
   async getOrderStatus(symbol, orderId) { throw new Error(`${this.name}: getOrderStatus() not implemented`); }
+  async getOpenOrders(symbol) { throw new Error(`${this.name}: getOpenOrders() not implemented`); }
 
   // ===== TRADES =====
   async getMyTrades(symbol, options) { throw new Error(`${this.name}: getMyTrades() not implemented`); }
@@ -43,4 +46,41 @@ class ExchangeAdapter {
   get baseUrl() { throw new Error(`${this.name}: baseUrl getter not implemented`); }
 }
 
-module.exports = { ExchangeAdapter };
+const ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+
+const toNumber = v => (v == null || v === '' || !Number.isFinite(parseFloat(v)) ? null : parseFloat(v));
+
+/**
+ * The one shape createMarketOrder, createLimitOrder, createStopLoss and
+ * getOrderStatus resolve to on every adapter:
+ *   { orderId, symbol, side, type, status, price, origQty, executedQty,
+ *     avgPrice, quoteQty, fee, feeAsset, raw }
+ * `status` is one of ORDER_STATUSES (Binance's names) and amounts are numbers.
+ * avgPrice is null until something fills; fee is null when the exchange's
+ * response leaves it out (Binance order queries) and is charged in feeAsset.
+ * `raw` keeps the exchange's own response.
+ */
+function normalizedOrder(fields, raw = null) {
+  if (fields.orderId == null || fields.orderId === '') throw new Error('Exchange did not return an order id');
+  if (!ORDER_STATUSES.includes(fields.status)) throw new Error(`Unknown order status "${fields.status}"`);
+  const executedQty = toNumber(fields.executedQty) || 0;
+  const avgPrice = toNumber(fields.avgPrice) || null;
+  const quoteQty = toNumber(fields.quoteQty) ?? (avgPrice ? avgPrice * executedQty : 0);
+  return {
+    orderId: fields.orderId,
+    symbol: fields.symbol ?? null,
+    side: fields.side ? String(fields.side).toUpperCase() : null,
+    type: fields.type ?? null,
+    status: fields.status,
+    price: toNumber(fields.price) || null,
+    origQty: toNumber(fields.origQty),
+    executedQty,
+    avgPrice: avgPrice ?? (executedQty > 0 && quoteQty > 0 ? quoteQty / executedQty : null),
+    quoteQty,
+    fee: toNumber(fields.fee),
+    feeAsset: fields.feeAsset ?? null,
+    raw,
+  };
+}
+
+module.exports = { ExchangeAdapter, ORDER_STATUSES, normalizedOrder };
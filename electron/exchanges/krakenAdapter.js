@@ -1,18 +1,21 @@
 // NeutronTrader - Kraken exchange adapter
 // Auth: HMAC-SHA512 + nonce (REST v0)
 
-const { ExchangeAdapter } = require('./exchangeAdapter');
+const { ExchangeAdapter, normalizedOrder } = require('./exchangeAdapter');
 const https = require('https');
 const crypto = require('crypto');
 const querystring = require('querystring');
 
 const REST_HOST = 'api.kraken.com';
 
+const KRAKEN_STATUSES = { pending: 'NEW', open: 'NEW', closed: 'FILLED', canceled: 'CANCELED', expired: 'EXPIRED' };
+
 class KrakenAdapter extends ExchangeAdapter {
   constructor(config = {}) {
     super(config);
     this.name = 'kraken';
     this.isTestnet = false; // Kraken has no public testnet
+    this.nativeStops = true;
   }
 
   get baseUrl() { return REST_HOST; }
@@ -89,7 +92,10 @@ class KrakenAdapter extends ExchangeAdapter {
   async getCandlesticks(symbol, interval, options = {}) {
     const pair = this.normalizeSymbol(symbol);
     const minutes = this._intervalToMinutes(interval);
-    const data = await this._request('/OHLC', { pair, interval: minutes });
+    const params = { pair, interval: minutes };
+    // Kraken only serves the latest 720 bars; `since` trims from the left
+    if (options.startTime) params.since = Math.floor(options.startTime / 1000);
+    const data = await this._request('/OHLC', params);
     const key = Object.keys(data).find(k => k !== 'last');
     return (data[key] || []).map(c => ({
       openTime: c[0] * 1000,
@@ -118,34 +124,32 @@ class KrakenAdapter extends ExchangeAdapter {
     return { asset, free: parseFloat(val), locked: 0 };
   }
 
-  async createMarketOrder(symbol, side, quantity) {
-    return this._request('/AddOrder', {
+  /** AddOrder answers { descr, txid: [id] }; fciq keeps the fee in the quote currency */
+  async _addOrder(symbol, side, quantity, price, params) {
+    const result = await this._request('/AddOrder', {
       pair: this.normalizeSymbol(symbol),
       type: side.toLowerCase(),
-      ordertype: 'market',
-      volume: String(quantity)
+      volume: String(quantity),
+      oflags: 'fciq',
+      ...params
     }, true);
+    return normalizedOrder({ orderId: result?.txid?.[0], symbol, side, status: 'NEW', price, origQty: quantity }, result);
+  }
+
+  async createMarketOrder(symbol, side, quantity) {
+    return this._addOrder(symbol, side, quantity, null, { ordertype: 'market' });
   }
 
   async createLimitOrder(symbol, side, quantity, price) {
-    return this._request('/AddOrder', {
-      pair: this.normalizeSymbol(symbol),
-      type: side.toLowerCase(),
-      ordertype: 'limit',
-      price: String(price),
-      volume: String(quantity)
-    }, true);
+    return this._addOrder(symbol, side, quantity, price, { ordertype: 'limit', price: String(price) });
   }
 
   async createStopLoss(symbol, side, quantity, price, stopPrice) {
-    return this._request('/AddOrder', {
-      pair: this.normalizeSymbol(symbol),
-      type: side.toLowerCase(),
+    return this._addOrder(symbol, side, quantity, price, {
       ordertype: 'stop-loss-limit',
       price: String(stopPrice),
-      price2: String(price),
-      volume: String(quantity)
-    }, true);
+      price2: String(price)
+    });
   }
 
   async cancelOrder(symbol, orderId) {
@@ -153,7 +157,41 @@ class KrakenAdapter extends ExchangeAdapter {
   }
 
   async getOrderStatus(symbol, orderId) {
-    return this._request('/QueryOrders', { txid: orderId, trades: true }, true);
+    const result = await this._request('/QueryOrders', { txid: orderId, trades: true }, true);
+    const o = result?.[orderId];
+    if (!o) throw new Error(`Kraken order ${orderId} not found`);
+    return this._order(symbol, orderId, o);
+  }
+
+  /** OpenOrders covers every pair; descr.pair uses the altname ('XBTUSDT') */
+  async getOpenOrders(symbol) {
+    const result = await this._request('/OpenOrders', {}, true);
+    const pairs = [this.normalizeSymbol(symbol), this.normalizeSymbol(symbol).replace(/^X(.+)Z([^Z]+)$/, '$1$2')];
+    return Object.entries(result?.open || {})
+      .filter(([, o]) => pairs.includes(o.descr?.pair))
+      .map(([orderId, o]) => this._order(symbol, orderId, o));
+  }
+
+  _order(symbol, orderId, o) {
+    const executedQty = parseFloat(o.vol_exec || 0);
+    let status = KRAKEN_STATUSES[o.status] || o.status;
+    if (status === 'NEW' && executedQty > 0) status = 'PARTIALLY_FILLED';
+    // A closed order that stopped short of its volume expired with the rest unfilled
+    if (status === 'FILLED' && executedQty < parseFloat(o.vol)) status = 'EXPIRED';
+    return normalizedOrder({
+      orderId,
+      symbol,
+      side: o.descr?.type,
+      type: o.descr?.ordertype?.toUpperCase(),
+      status,
+      price: o.descr?.price,
+      origQty: o.vol,
+      executedQty,
+      avgPrice: o.price,
+      quoteQty: o.cost,
+      fee: o.fee,
+      feeAsset: symbol.split('/')[1] || null,
+    }, o);
   }
 
   async getMyTrades(symbol, options = {}) {
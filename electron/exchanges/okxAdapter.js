@@ -1,18 +1,28 @@
 // NeutronTrader - OKX exchange adapter
 // Auth: HMAC-SHA256 + passphrase
 
-const { ExchangeAdapter } = require('./exchangeAdapter');
+const { ExchangeAdapter, normalizedOrder } = require('./exchangeAdapter');
 const https = require('https');
 const crypto = require('crypto');
 
 const REST_HOST_PROD = 'www.okx.com';
 const REST_HOST_DEMO = 'www.okx.com'; // OKX demo uses header flag
 
+const OKX_STATES = {
+  live: 'NEW',
+  partially_filled: 'PARTIALLY_FILLED',
+  filled: 'FILLED',
+  canceled: 'CANCELED',
+  mmp_canceled: 'CANCELED',
+};
+
 class OKXAdapter extends ExchangeAdapter {
   constructor(config = {}) {
     super(config);
     this.name = 'okx';
     this.isTestnet = config.isTestnet === true;
+    // Stops are algo orders, which the plain order endpoints can't query or cancel
+    this.nativeStops = false;
   }
 
   get baseUrl() { return REST_HOST_PROD; }
@@ -83,7 +93,13 @@ class OKXAdapter extends ExchangeAdapter {
   async getCandlesticks(symbol, interval, options = {}) {
     const instId = this.normalizeSymbol(symbol);
     const bar = this._intervalToBar(interval);
-    const data = await this._request('GET', '/market/candles', { instId, bar, limit: options.limit || 300 });
+    // /market/candles only serves recent bars; ranged requests go to the
+    // history endpoint. `after`/`before` are exclusive bounds.
+    const ranged = options.startTime || options.endTime;
+    const params = { instId, bar, limit: options.limit || (ranged ? 100 : 300) };
+    if (options.endTime) params.after = options.endTime + 1;
+    if (options.startTime) params.before = options.startTime - 1;
+    const data = await this._request('GET', ranged ? '/market/history-candles' : '/market/candles', params);
     return data.map(c => ({
       openTime: parseInt(c[0]),
       open: parseFloat(c[1]),
@@ -111,18 +127,27 @@ class OKXAdapter extends ExchangeAdapter {
     return bal ? { asset, free: parseFloat(bal.availBal), locked: parseFloat(bal.frozenBal) } : { asset, free: 0, locked: 0 };
   }
 
+  /** Placement answers [{ ordId | algoId, sCode, sMsg }] */
+  _placed(symbol, side, quantity, price, data) {
+    const ack = data?.[0];
+    if (ack?.sCode && ack.sCode !== '0') throw new Error(ack.sMsg || `OKX error code ${ack.sCode}`);
+    return normalizedOrder({ orderId: ack?.ordId || ack?.algoId, symbol, side, status: 'NEW', price, origQty: quantity }, data);
+  }
+
   async createMarketOrder(symbol, side, quantity) {
-    return this._request('POST', '/trade/order', {
+    const data = await this._request('POST', '/trade/order', {
       instId: this.normalizeSymbol(symbol),
       tdMode: 'cash',
       side: side.toLowerCase(),
       ordType: 'market',
+      tgtCcy: 'base_ccy', // market buys are sized in quote currency otherwise
       sz: String(quantity)
     }, true);
+    return this._placed(symbol, side, quantity, null, data);
   }
 
   async createLimitOrder(symbol, side, quantity, price) {
-    return this._request('POST', '/trade/order', {
+    const data = await this._request('POST', '/trade/order', {
       instId: this.normalizeSymbol(symbol),
       tdMode: 'cash',
       side: side.toLowerCase(),
@@ -130,10 +155,11 @@ class OKXAdapter extends ExchangeAdapter {
       px: String(price),
       sz: String(quantity)
     }, true);
+    return this._placed(symbol, side, quantity, price, data);
   }
 
   async createStopLoss(symbol, side, quantity, price, stopPrice) {
-    return this._request('POST', '/trade/order-algo', {
+    const data = await this._request('POST', '/trade/order-algo', {
       instId: this.normalizeSymbol(symbol),
       tdMode: 'cash',
       side: side.toLowerCase(),
@@ -142,6 +168,7 @@ class OKXAdapter extends ExchangeAdapter {
       slOrdPx: String(price),
       sz: String(quantity)
     }, true);
+    return this._placed(symbol, side, quantity, price, data);
   }
 
   async cancelOrder(symbol, orderId) {
@@ -152,7 +179,32 @@ class OKXAdapter extends ExchangeAdapter {
   }
 
   async getOrderStatus(symbol, orderId) {
-    return this._request('GET', '/trade/order', { instId: this.normalizeSymbol(symbol), ordId: orderId }, true);
+    const data = await this._request('GET', '/trade/order', { instId: this.normalizeSymbol(symbol), ordId: orderId }, true);
+    const o = data?.[0];
+    if (!o) throw new Error(`OKX order ${orderId} not found`);
+    return this._order(symbol, o);
+  }
+
+  async getOpenOrders(symbol) {
+    const data = await this._request('GET', '/trade/orders-pending', { instType: 'SPOT', instId: this.normalizeSymbol(symbol) }, true);
+    return (data || []).map(o => this._order(symbol, o));
+  }
+
+  /** OKX reports fees as negative amounts (positive for rebates) */
+  _order(symbol, o) {
+    return normalizedOrder({
+      orderId: o.ordId,
+      symbol,
+      side: o.side,
+      type: o.ordType?.toUpperCase(),
+      status: OKX_STATES[o.state] || o.state,
+      price: o.px,
+      origQty: o.sz,
+      executedQty: o.accFillSz,
+      avgPrice: o.avgPx,
+      fee: o.fee === '' || o.fee == null ? null : -parseFloat(o.fee),
+      feeAsset: o.feeCcy || null,
+    }, o);
   }
 
   async getMyTrades(symbol, options = {}) {
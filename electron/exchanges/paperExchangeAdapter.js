@@ -0,0 +1,467 @@
+// NeutronTrader - Paper-trading exchange adapter
+// Simulates order fills against live PriceFeedAggregator quotes (or replayed
+// prices pushed in via feedPrice) so bots and engines can run end-to-end
+// without real keys. Market data calls are delegated to a real adapter.
+
+const { ExchangeAdapter } = require('./exchangeAdapter');
+const { fromExchange } = require('./symbolNormalizer');
+const { storageService } = require('../storageService');
+
+const DEFAULT_BALANCES = { USDT: 10000 };
+const DEFAULT_FEES = { taker: 0.001, maker: 0.001 };
+const MAX_CLOSED_ORDERS = 200; // finished orders kept on disk so status lookups survive a restart
+
+class PaperExchangeAdapter extends ExchangeAdapter {
+  /**
+   * @param {object} config
+   * @param {string} config.sourceExchange - exchange whose quotes drive fills (e.g. 'binance')
+   * @param {object} [config.priceFeed] - PriceFeedAggregator for live quotes
+   * @param {() => object} [config.getDataAdapter] - returns the real adapter for candles/order
+   *   book/fallback prices; looked up on every call so a reconfigured exchange takes effect
+   * @param {object} [config.dataAdapter] - fixed data adapter, when there is no lookup
+   * @param {{taker: number, maker: number}} [config.fees]
+   * @param {number} [config.slippageBps] - adverse slippage applied to taker fills
+   * @param {number} [config.latencyMs] - simulated order round-trip delay
+   * @param {object} [config.initialBalances] - e.g. { USDT: 10000 }
+   * @param {string} [config.storageKey] - settings key used to persist the paper account
+   */
+  constructor(config = {}) {
+    super({ ...config, isTestnet: true });
+    this.name = 'paper';
+    this.isPaper = true;
+    this.nativeStops = true;
+    this.sourceExchange = config.sourceExchange || 'binance';
+    this._getDataAdapter = config.getDataAdapter || (() => config.dataAdapter || null);
+    this.fees = { ...DEFAULT_FEES, ...(config.fees || {}) };
+    this.slippageBps = config.slippageBps ?? 5;
+    this.latencyMs = config.latencyMs ?? 250;
+    this.initialBalances = { ...(config.initialBalances || DEFAULT_BALANCES) };
+    this.storageKey = config.storageKey || null;
+
+    this._balances = new Map();
+    this._orders = new Map();
+    this._trades = [];
+    this._nextOrderId = 1;
+    this._replayPrices = new Map();
+    this._priceFeed = null;
+    this._snapshotHandler = () => this._sweepAll();
+
+    this._resetAccount(this.initialBalances);
+    if (config.priceFeed) this.setPriceFeed(config.priceFeed);
+  }
+
+  get baseUrl() { return 'paper'; }
+
+  // ===== CONFIGURATION =====
+
+  setPriceFeed(priceFeed) {
+    if (this._priceFeed) this._priceFeed.removeListener('snapshot-update', this._snapshotHandler);
+    this._priceFeed = priceFeed || null;
+    if (this._priceFeed) this._priceFeed.on('snapshot-update', this._snapshotHandler);
+  }
+
+  updateConfig({ fees, slippageBps, latencyMs } = {}) {
+    if (fees) this.fees = { ...this.fees, ...fees };
+    if (slippageBps != null) this.slippageBps = slippageBps;
+    if (latencyMs != null) this.latencyMs = latencyMs;
+  }
+
+  /** Reset balances, discard all orders and fills, and persist the fresh account. */
+  async reset(balances = this.initialBalances) {
+    this._resetAccount(balances);
+    await this._persist();
+  }
+
+  _resetAccount(balances) {
+    this._balances.clear();
+    for (const [asset, amount] of Object.entries(balances)) {
+      this._balances.set(asset.toUpperCase(), { free: Number(amount) || 0, locked: 0 });
+    }
+    this._orders.clear();
+    this._trades = [];
+  }
+
+  /** Restore a persisted paper account, if one exists. */
+  async load() {
+    if (!this.storageKey) return false;
+    const saved = await storageService.getSetting(this.storageKey, null);
+    if (!saved) return false;
+    this._balances = new Map(Object.entries(saved.balances || {}));
+    this._orders = new Map((saved.orders || []).map(o => [String(o.orderId), o]));
+    this._trades = saved.trades || [];
+    this._nextOrderId = saved.nextOrderId || 1;
+    return true;
+  }
+
+  async _persist() {
+    if (!this.storageKey) return;
+    const orders = Array.from(this._orders.values());
+    const isOpen = o => o.status === 'NEW' || o.status === 'PARTIALLY_FILLED';
+    const closed = orders.filter(o => !isOpen(o)).sort((a, b) => a.updateTime - b.updateTime);
+    for (const o of closed.splice(0, Math.max(0, closed.length - MAX_CLOSED_ORDERS))) {
+      this._orders.delete(String(o.orderId));
+    }
+    await storageService.saveSetting(this.storageKey, {
+      balances: Object.fromEntries(this._balances),
+      orders: [...orders.filter(isOpen), ...closed],
+      trades: this._trades.slice(-500),
+      nextOrderId: this._nextOrderId,
+    });
+  }
+
+  /**
+   * Push a replayed quote for a symbol. Replayed quotes take precedence over
+   * the live feed until cleared with clearReplay().
+   */
+  feedPrice(symbol, { price, bid, ask, timestamp } = {}) {
+    const sym = this.normalizeSymbol(symbol);
+    this._replayPrices.set(sym, {
+      price,
+      bid: bid ?? price,
+      ask: ask ?? price,
+      timestamp: timestamp || Date.now(),
+    });
+    return this._sweep(sym);
+  }
+
+  clearReplay(symbol) {
+    if (symbol) this._replayPrices.delete(this.normalizeSymbol(symbol));
+    else this._replayPrices.clear();
+  }
+
+  // ===== MARKET DATA =====
+
+  async ping() { return { status: 'connected', exchange: 'paper', source: this.sourceExchange }; }
+
+  async getCurrentPrice(symbol) {
+    const sym = this.normalizeSymbol(symbol);
+    const quote = await this._quote(sym);
+    return { symbol: sym, ...quote };
+  }
+
+  async getOrderBook(symbol, limit) { return this._data().getOrderBook(symbol, limit); }
+  async getCandlesticks(symbol, interval, options) { return this._data().getCandlesticks(symbol, interval, options); }
+  async get24hrTicker(symbol) { return this._data().get24hrTicker(symbol); }
+  async getListedSymbols() { return this._data().getListedSymbols(); }
+
+  _data() {
+    const data = this._getDataAdapter();
+    if (!data) throw new Error('paper: no market data adapter configured');
+    return data;
+  }
+
+  async _quote(sym) {
+    const replay = this._replayPrices.get(sym);
+    if (replay) return replay;
+
+    const live = this._priceFeed?.getPricesForSymbol(sym)
+      ?.find(p => p.exchange === this.sourceExchange && p.price);
+    if (live) return { price: live.price, bid: live.bid || live.price, ask: live.ask || live.price, timestamp: live.timestamp };
+
+    const dataAdapter = this._getDataAdapter();
+    if (dataAdapter) {
+      const data = await dataAdapter.getCurrentPrice(sym);
+      const price = parseFloat(data.price);
+      return {
+        price,
+        bid: parseFloat(data.bid) || price,
+        ask: parseFloat(data.ask) || price,
+        timestamp: Date.now(),
+      };
+    }
+    throw new Error(`paper: no price available for ${sym}`);
+  }
+
+  // ===== ACCOUNT =====
+
+  async getAccountInfo() {
+    return {
+      paper: true,
+      balances: Array.from(this._balances.entries()).map(([asset, b]) => ({ asset, free: b.free, locked: b.locked })),
+    };
+  }
+
+  async getBalance(asset) {
+    const key = asset.toUpperCase();
+    const b = this._balances.get(key) || { free: 0, locked: 0 };
+    return { asset: key, free: b.free, locked: b.locked };
+  }
+
+  _bal(asset) {
+    if (!this._balances.has(asset)) this._balances.set(asset, { free: 0, locked: 0 });
+    return this._balances.get(asset);
+  }
+
+  // ===== ORDERS =====
+
+  async createMarketOrder(symbol, side, quantity) {
+    const sym = this.normalizeSymbol(symbol);
+    const qty = parseFloat(quantity);
+    this._assertOrder(sym, side, qty);
+    await this._delay();
+
+    const quote = await this._quote(sym);
+    const slip = this.slippageBps / 10000;
+    const price = side.toUpperCase() === 'BUY' ? quote.ask * (1 + slip) : quote.bid * (1 - slip);
+
+    const order = this._newOrder(sym, side, 'MARKET', qty, 0);
+    this._checkFunds(order, price, this.fees.taker);
+    this._fill(order, price, false);
+    await this._persist();
+    return this._view(order);
+  }
+
+  async createLimitOrder(symbol, side, quantity, price) {
+    const sym = this.normalizeSymbol(symbol);
+    const qty = parseFloat(quantity);
+    this._assertOrder(sym, side, qty);
+    await this._delay();
+
+    const order = this._newOrder(sym, side, 'LIMIT', qty, parseFloat(price));
+    this._lock(order);
+    await this._sweep(sym, order);
+    await this._persist();
+    return this._view(order);
+  }
+
+  async createStopLoss(symbol, side, quantity, price, stopPrice) {
+    const sym = this.normalizeSymbol(symbol);
+    const qty = parseFloat(quantity);
+    this._assertOrder(sym, side, qty);
+    await this._delay();
+
+    const order = this._newOrder(sym, side, 'STOP_LOSS_LIMIT', qty, parseFloat(price));
+    order.stopPrice = parseFloat(stopPrice);
+    order.triggered = false;
+    this._lock(order);
+    await this._sweep(sym);
+    await this._persist();
+    return this._view(order);
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this._orders.get(String(orderId));
+    if (!order) throw new Error(`paper: order ${orderId} not found`);
+    if (order.status === 'NEW') {
+      this._unlock(order);
+      order.status = 'CANCELED';
+      order.updateTime = Date.now();
+      await this._persist();
+    }
+    return this._view(order);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const order = this._orders.get(String(orderId));
+    if (!order) throw new Error(`paper: order ${orderId} not found`);
+    if (order.status === 'NEW') await this._sweep(order.symbol);
+    return this._view(order);
+  }
+
+  async getOpenOrders(symbol = null) {
+    const sym = symbol ? this.normalizeSymbol(symbol) : null;
+    return Array.from(this._orders.values())
+      .filter(o => o.status === 'NEW' && (!sym || o.symbol === sym))
+      .map(o => this._view(o));
+  }
+
+  // ===== TRADES =====
+
+  async getMyTrades(symbol, options = {}) {
+    const sym = this.normalizeSymbol(symbol);
+    let trades = this._trades.filter(t => t.symbol === sym);
+    if (options.orderId != null) trades = trades.filter(t => String(t.orderId) === String(options.orderId));
+    if (options.startTime) trades = trades.filter(t => t.time >= options.startTime);
+    if (options.endTime) trades = trades.filter(t => t.time <= options.endTime);
+    return trades.slice(-(options.limit || 500));
+  }
+
+  // ===== SYMBOLS =====
+
+  /** Paper orders are keyed by universal symbols; accept either form. */
+  normalizeSymbol(symbol) {
+    const s = String(symbol).toUpperCase();
+    return s.includes('/') ? s : fromExchange(s, this.sourceExchange);
+  }
+
+  denormalizeSymbol(symbol) { return symbol; }
+
+  async subscribeToTicker(symbol, callback) { return this._data().subscribeToTicker(symbol, callback); }
+  async subscribeToOrderBook() { return null; }
+  async subscribeToTrades() { return null; }
+  async unsubscribe(subscriptionId) {
+    const data = this._getDataAdapter();
+    return data ? data.unsubscribe(subscriptionId) : true;
+  }
+
+  // ===== SIMULATION =====
+
+  _assertOrder(sym, side, qty) {
+    if (!sym.includes('/')) throw new Error(`paper: cannot resolve base/quote for ${sym}`);
+    if (!['BUY', 'SELL'].includes(String(side).toUpperCase())) throw new Error(`paper: invalid side ${side}`);
+    if (!(qty > 0)) throw new Error('paper: quantity must be greater than 0');
+  }
+
+  _delay() {
+    return this.latencyMs > 0 ? new Promise(r => setTimeout(r, this.latencyMs)) : Promise.resolve();
+  }
+
+  _newOrder(sym, side, type, qty, price) {
+    const order = {
+      orderId: this._nextOrderId++,
+      symbol: sym,
+      side: side.toUpperCase(),
+      type,
+      origQty: qty,
+      price,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      fills: [],
+      time: Date.now(),
+      updateTime: Date.now(),
+    };
+    this._orders.set(String(order.orderId), order);
+    return order;
+  }
+
+  _checkFunds(order, price, feeRate) {
+    const [base, quote] = order.symbol.split('/');
+    if (order.side === 'BUY') {
+      const cost = order.origQty * price * (1 + feeRate);
+      if (this._bal(quote).free < cost) {
+        order.status = 'REJECTED';
+        throw new Error(`paper: insufficient ${quote} balance (need ${cost.toFixed(4)})`);
+      }
+    } else if (this._bal(base).free < order.origQty) {
+      order.status = 'REJECTED';
+      throw new Error(`paper: insufficient ${base} balance (need ${order.origQty})`);
+    }
+  }
+
+  _lock(order) {
+    const [base, quote] = order.symbol.split('/');
+    this._checkFunds(order, order.price, this.fees.taker);
+    if (order.side === 'BUY') {
+      const amount = order.origQty * order.price * (1 + this.fees.taker);
+      this._bal(quote).free -= amount;
+      this._bal(quote).locked += amount;
+      order.lockedAmount = amount;
+    } else {
+      this._bal(base).free -= order.origQty;
+      this._bal(base).locked += order.origQty;
+      order.lockedAmount = order.origQty;
+    }
+  }
+
+  _unlock(order) {
+    if (!order.lockedAmount) return;
+    const [base, quote] = order.symbol.split('/');
+    const asset = order.side === 'BUY' ? quote : base;
+    this._bal(asset).free += order.lockedAmount;
+    this._bal(asset).locked -= order.lockedAmount;
+    order.lockedAmount = 0;
+  }
+
+  /** Settle an order in full at `price`, charging the fee in the quote asset. */
+  _fill(order, price, isMaker) {
+    const [base, quote] = order.symbol.split('/');
+    const feeRate = isMaker ? this.fees.maker : this.fees.taker;
+    const notional = order.origQty * price;
+    const commission = notional * feeRate;
+
+    this._unlock(order);
+    if (order.side === 'BUY') {
+      this._bal(quote).free -= notional + commission;
+      this._bal(base).free += order.origQty;
+    } else {
+      this._bal(base).free -= order.origQty;
+      this._bal(quote).free += notional - commission;
+    }
+
+    const now = Date.now();
+    order.executedQty = order.origQty;
+    order.cummulativeQuoteQty = notional;
+    order.status = 'FILLED';
+    order.updateTime = now;
+    order.fills = [{ price, qty: order.origQty, commission, commissionAsset: quote }];
+
+    this._trades.push({
+      symbol: order.symbol,
+      id: `${order.orderId}-1`,
+      orderId: order.orderId,
+      price,
+      qty: order.origQty,
+      quoteQty: notional,
+      commission,
+      commissionAsset: quote,
+      time: now,
+      isBuyer: order.side === 'BUY',
+      isMaker,
+      paper: true,
+    });
+  }
+
+  _sweepAll() {
+    const symbols = new Set();
+    for (const o of this._orders.values()) if (o.status === 'NEW') symbols.add(o.symbol);
+    for (const sym of symbols) this._sweep(sym).catch(() => {});
+  }
+
+  /**
+   * Match resting limit and stop orders for a symbol against the current quote.
+   * `incoming` is an order being placed: if it crosses it takes liquidity, as
+   * does a stop triggered here, and fills as a taker with slippage (never past
+   * its limit). Orders already resting fill at their price as makers.
+   */
+  async _sweep(sym, incoming = null) {
+    if (!this._openFor(sym).length) return 0;
+
+    let quote;
+    try { quote = await this._quote(sym); } catch { return 0; }
+
+    // Sweeps overlap (feed updates, status polls, new orders) and cancels can
+    // land during the quote fetch, so only match what is still open now.
+    const slip = this.slippageBps / 10000;
+    let filled = 0;
+    for (const order of this._openFor(sym)) {
+      if (order.status !== 'NEW') continue;
+      let taker = order === incoming;
+      if (order.type === 'STOP_LOSS_LIMIT' && !order.triggered) {
+        const hit = order.side === 'SELL' ? quote.bid <= order.stopPrice : quote.ask >= order.stopPrice;
+        if (!hit) continue;
+        order.triggered = true;
+        taker = true;
+      }
+      if (order.side === 'BUY' && quote.ask <= order.price) {
+        this._fill(order, Math.min(order.price, taker ? quote.ask * (1 + slip) : quote.ask), !taker);
+        filled++;
+      } else if (order.side === 'SELL' && quote.bid >= order.price) {
+        this._fill(order, Math.max(order.price, taker ? quote.bid * (1 - slip) : quote.bid), !taker);
+        filled++;
+      }
+    }
+    if (filled) await this._persist();
+    return filled;
+  }
+
+  _openFor(sym) {
+    return Array.from(this._orders.values()).filter(o => o.symbol === sym && o.status === 'NEW');
+  }
+
+  /** Binance-style order plus the normalizedOrder() fields */
+  _view(order) {
+    const view = { ...order, fills: order.fills.map(f => ({ ...f })), paper: true };
+    delete view.lockedAmount;
+    delete view.triggered;
+    return {
+      ...view,
+      avgPrice: order.executedQty > 0 ? order.cummulativeQuoteQty / order.executedQty : null,
+      quoteQty: order.cummulativeQuoteQty,
+      fee: order.fills.reduce((sum, f) => sum + f.commission, 0),
+      feeAsset: order.symbol.split('/')[1],
+    };
+  }
+}
+
+module.exports = { PaperExchangeAdapter };
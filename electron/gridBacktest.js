@@ -0,0 +1,250 @@
+// NeutronTrader - Grid strategy backtesting
+//
+// Runs GridStrategy unchanged against historical candles through a simulated
+// exchange. A resting limit order fills at its price on the first later bar
+// that trades through it (buys when the low reaches it, sells when the high
+// does; a bar opening beyond it fills at the open) and pays the maker fee.
+// Orders placed while handling a bar's fills rest from the next bar on, so a
+// single bar never completes its own round trip. Market orders (the starting
+// inventory and stop-outs) fill at the bar's close with the taker fee. The
+// grid starts on the first bar's close and checks its stop-out bounds on
+// every close, as a live grid does on every poll.
+
+const { GridStrategy, resolveGridConfig } = require('./strategies/gridStrategy');
+const { resolveFillModel } = require('./backtestFillModel');
+const { BacktestEngine } = require('./backtestEngine');
+const { intervalToMs } = require('./candleLoader');
+const { normalizedOrder } = require('./exchanges/exchangeAdapter');
+
+class CandleReplayAdapter {
+  constructor({ cash, makerFee, takerFee }) {
+    this.name = 'replay';
+    this.quote = cash;
+    this.base = 0;
+    this.lockedQuote = 0;
+    this.lockedBase = 0;
+    this.makerFee = makerFee;
+    this.takerFee = takerFee;
+    this.bar = null;
+    this.barIndex = 0;
+    this.totalFees = 0;
+    this._orders = new Map();
+    this._nextOrderId = 1;
+  }
+
+  /** Move to the next bar and fill the resting orders it trades through. */
+  advance(bar, index) {
+    this.bar = bar;
+    this.barIndex = index;
+    const open = parseFloat(bar.open);
+    const low = parseFloat(bar.low);
+    const high = parseFloat(bar.high);
+    for (const order of this._orders.values()) {
+      if (order.status !== 'NEW' || order.placedAt >= index) continue;
+      if (order.side === 'BUY' && low <= order.price) this._fillLimit(order, Math.min(order.price, open));
+      else if (order.side === 'SELL' && high >= order.price) this._fillLimit(order, Math.max(order.price, open));
+    }
+  }
+
+  async getCurrentPrice() {
+    return { price: String(parseFloat(this.bar.close)) };
+  }
+
+  async createLimitOrder(symbol, side, quantity, price) {
+    const qty = parseFloat(quantity);
+    const limit = parseFloat(price);
+    if (side === 'BUY') {
+      const reserve = qty * limit * (1 + this.makerFee);
+      if (this.quote - this.lockedQuote < reserve - 1e-9) throw new Error('replay: insufficient quote balance');
+      this.lockedQuote += reserve;
+    } else {
+      if (this.base - this.lockedBase < qty - 1e-12) throw new Error('replay: insufficient base balance');
+      this.lockedBase += qty;
+    }
+    const order = {
+      orderId: this._nextOrderId++, symbol, side, type: 'LIMIT', origQty: qty, price: limit,
+      executedQty: 0, quoteQty: 0, fee: 0, status: 'NEW', placedAt: this.barIndex,
+    };
+    this._orders.set(order.orderId, order);
+    return this._view(order);
+  }
+
+  async createMarketOrder(symbol, side, quantity) {
+    const qty = parseFloat(quantity);
+    const price = parseFloat(this.bar.close);
+    const fee = qty * price * this.takerFee;
+    if (side === 'BUY') {
+      if (this.quote - this.lockedQuote < qty * price + fee - 1e-9) throw new Error('replay: insufficient quote balance');
+      this.quote -= qty * price + fee;
+      this.base += qty;
+    } else {
+      if (this.base - this.lockedBase < qty - 1e-12) throw new Error('replay: insufficient base balance');
+      this.base -= qty;
+      this.quote += qty * price - fee;
+    }
+    this.totalFees += fee;
+    const order = {
+      orderId: this._nextOrderId++, symbol, side, type: 'MARKET', origQty: qty, price,
+      executedQty: qty, quoteQty: qty * price, fee, status: 'FILLED', placedAt: this.barIndex,
+    };
+    this._orders.set(order.orderId, order);
+    return this._view(order);
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this._orders.get(orderId);
+    if (!order) throw new Error(`replay: order ${orderId} not found`);
+    if (order.status === 'NEW') {
+      if (order.side === 'BUY') this.lockedQuote -= order.origQty * order.price * (1 + this.makerFee);
+      else this.lockedBase -= order.origQty;
+      order.status = 'CANCELED';
+    }
+    return this._view(order);
+  }
+
+  async getOrderStatus(symbol, orderId) {
+    const order = this._orders.get(orderId);
+    if (!order) throw new Error(`replay: order ${orderId} not found`);
+    return this._view(order);
+  }
+
+  async getOpenOrders() {
+    return [...this._orders.values()].filter(o => o.status === 'NEW').map(o => this._view(o));
+  }
+
+  /** Fees are charged in the quote asset */
+  _view(order) {
+    return normalizedOrder({ ...order, feeAsset: order.symbol.split('/')[1] });
+  }
+
+  _fillLimit(order, price) {
+    const qty = order.origQty;
+    const fee = qty * price * this.makerFee;
+    if (order.side === 'BUY') {
+      this.lockedQuote -= qty * order.price * (1 + this.makerFee);
+      this.quote -= qty * price + fee;
+      this.base += qty;
+    } else {
+      this.lockedBase -= qty;
+      this.base -= qty;
+      this.quote += qty * price - fee;
+    }
+    this.totalFees += fee;
+    Object.assign(order, { status: 'FILLED', executedQty: qty, quoteQty: qty * price, fee });
+  }
+}
+
+class GridBacktestEngine {
+  /** @param {Function} getCandlesFn same loader the BacktestEngine uses */
+  constructor(getCandlesFn) {
+    this.getCandles = getCandlesFn;
+  }
+
+  async run(config, onProgress) {
+    const {
+      exchange = 'binance',
+      symbol,
+      interval = '1h',
+      startTime,
+      endTime,
+      initialCapital = 10000,
+      datasetId = null,
+    } = config;
+
+    const loaded = await this.getCandles(exchange, symbol, interval, {
+      startTime,
+      endTime,
+      datasetId,
+      onPage: ({ pages, bars }) => onProgress?.({ percent: 0, phase: 'loading', pages, bars }),
+    });
+    const candles = Array.isArray(loaded) ? loaded : loaded?.candles;
+    const dataStats = (Array.isArray(loaded) ? null : loaded?.stats) || { bars: candles?.length || 0, gaps: [] };
+    if (!candles || candles.length < 2) {
+      throw new Error(`Insufficient candle data (${candles?.length || 0} bars)`);
+    }
+
+    const makerFee = resolveFillModel({ ...config, fillModel: { ...config.fillModel, orderType: 'limit' } }).feeRate;
+    const takerFee = resolveFillModel({ ...config, fillModel: { ...config.fillModel, orderType: 'market' } }).feeRate;
+    const adapter = new CandleReplayAdapter({ cash: initialCapital, makerFee, takerFee });
+    const grid = new GridStrategy(adapter, null, { ...resolveGridConfig(config.grid), exchange, symbol, feeRate: makerFee });
+
+    const trades = [];
+    const errors = [];
+    grid.on('fill', fill => trades.push({
+      side: fill.side,
+      price: fill.price,
+      quantity: fill.quantity,
+      fee: fill.fee,
+      timestamp: fill.time,
+      orderId: fill.orderId,
+      level: fill.level,
+      reason: fill.stopOut ? `Stop-out (${fill.stopOut})` : `Grid ${fill.side} L${fill.level + 1}`,
+      ...(fill.pnl != null ? { pnl: fill.pnl } : {}),
+    }));
+    grid.on('error', err => {
+      if (errors.length < 20) errors.push(err.message);
+    });
+
+    const barMs = intervalToMs(interval);
+    const firstClose = parseFloat(candles[0].close);
+    const equity = [];
+    let barsInMarket = 0;
+    const mark = bar => {
+      const close = parseFloat(bar.close);
+      const value = adapter.quote + adapter.base * close;
+      if (adapter.base > 0) barsInMarket++;
+      equity.push({
+        timestamp: bar.openTime + barMs - 1,
+        value,
+        benchmark: initialCapital * close / firstClose,
+        exposurePct: value > 0 ? (adapter.base * close / value) * 100 : 0,
+      });
+    };
+
+    adapter.advance(candles[0], 0);
+    await grid.start({ price: firstClose, time: candles[0].openTime, poll: false });
+    mark(candles[0]);
+
+    for (let i = 1; i < candles.length; i++) {
+      const bar = candles[i];
+      if (grid.isRunning()) {
+        adapter.advance(bar, i);
+        await grid.step({ price: parseFloat(bar.close), time: bar.openTime });
+      }
+      mark(bar);
+      if (onProgress && i % 250 === 0) {
+        onProgress({ percent: Math.round((i / candles.length) * 100), phase: 'running' });
+      }
+    }
+
+    const finalValue = equity[equity.length - 1].value;
+    const metrics = new BacktestEngine(null)._computeMetrics(trades, equity, initialCapital, finalValue, { interval, barsInMarket });
+    const status = grid.getStatus();
+    return {
+      trades,
+      equity,
+      metrics: {
+        ...metrics,
+        totalFees: adapter.totalFees,
+        roundTrips: status.roundTrips,
+        gridProfit: status.gridProfit,
+        avgRoundTripProfit: status.roundTrips ? status.gridProfit / status.roundTrips : 0,
+      },
+      finalValue,
+      initialCapital,
+      grid: {
+        levels: status.levels,
+        spacing: status.spacing,
+        quantity: status.quantity,
+        roundTrips: grid.getRoundTrips(),
+        openOrders: status.openOrders.length,
+        inventory: status.inventory,
+        stopOut: status.stopOut,
+        errors,
+      },
+      data: dataStats,
+    };
+  }
+}
+
+module.exports = { GridBacktestEngine };
@@ -0,0 +1,34 @@
+// NeutronTrader - JSON file helpers shared by the on-disk stores
+//
+// Candle cache, imported datasets, saved backtests and arbitrage recordings
+// all keep plain JSON files under <userData>. Writes go to a temp file that
+// is renamed over the target, so an interrupted write never leaves a
+// truncated file behind. Candles are stored as compact rows:
+//   [openTime, open, high, low, close, volume, closeTime]
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/** Parsed contents of `file`, or `fallback` when it does not exist. */
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+/** Atomically replace `file` with `data` as JSON, creating its directory. */
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+  await fs.rename(tempPath, file);
+}
+
+const toRow = c => [c.openTime, c.open, c.high, c.low, c.close, c.volume, c.closeTime];
+const fromRow = ([openTime, open, high, low, close, volume, closeTime]) =>
+  ({ openTime, open, high, low, close, volume, closeTime });
+
+module.exports = { readJson, writeJson, toRow, fromRow };
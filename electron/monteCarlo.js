@@ -0,0 +1,210 @@
+// NeutronTrader - Monte Carlo analysis of backtest results
+//
+// Re-runs a finished backtest's outcomes in random orders to show how much
+// of its equity curve was luck of sequencing. Three methods:
+//   shuffle   closed trades in a random order (same final equity, different path)
+//   resample  closed trades drawn with replacement (final equity varies too)
+//   returns   per-bar equity returns drawn with replacement in blocks of
+//             `blockSize` bars, which keeps short-range autocorrelation
+// Trades compound as a return on the realized equity they were closed
+// against and carry the time since the previous close, so drawdown recovery
+// is reported in wall-clock time for every method. Pure functions; seeded for repeatability.
+
+const MAX_ITERATIONS = 10000;
+const BAND_POINTS = 400;
+const HISTOGRAM_BINS = 20;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+/** Small seeded PRNG (mulberry32) so a given seed reproduces the same paths. */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort();
+  const out = { mean: values.reduce((s, v) => s + v, 0) / (values.length || 1) };
+  for (const p of PERCENTILES) out[`p${p}`] = percentile(sorted, p);
+  return out;
+}
+
+function histogram(values, bins = HISTOGRAM_BINS) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+/**
+ * Closed trades as { ret, dt, timestamp }: the realized P&L of each closing
+ * order (partial fills merged) as a return on the realized equity before it,
+ * and the time since the previous close. A position still open at the end
+ * becomes one last step worth its mark-to-market, so an unshuffled path ends
+ * on the backtest's final value.
+ */
+function tradeSteps(trades, equity, initialCapital, finalValue) {
+  const closes = new Map();
+  for (const t of trades.filter(t => t.pnl != null)) {
+    const key = t.orderId ?? t.timestamp;
+    const prev = closes.get(key);
+    closes.set(key, { pnl: (prev?.pnl || 0) + t.pnl, timestamp: t.timestamp });
+  }
+
+  const steps = [];
+  let realized = initialCapital;
+  let lastTime = equity[0]?.timestamp ?? 0;
+  for (const { pnl, timestamp } of [...closes.values()].sort((a, b) => a.timestamp - b.timestamp)) {
+    steps.push({ ret: realized > 0 ? pnl / realized : 0, dt: Math.max(0, timestamp - lastTime), timestamp });
+    realized += pnl;
+    lastTime = timestamp;
+  }
+
+  const end = equity[equity.length - 1]?.timestamp ?? lastTime;
+  if (finalValue != null && realized > 0 && Math.abs(finalValue - realized) > 0.01) {
+    steps.push({ ret: finalValue / realized - 1, dt: Math.max(0, end - lastTime), timestamp: end });
+  }
+  return steps;
+}
+
+function barSteps(equity) {
+  const steps = [];
+  for (let i = 1; i < equity.length; i++) {
+    const prev = equity[i - 1].value;
+    steps.push({
+      ret: prev > 0 ? equity[i].value / prev - 1 : 0,
+      dt: equity[i].timestamp - equity[i - 1].timestamp,
+      timestamp: equity[i].timestamp,
+    });
+  }
+  return steps;
+}
+
+/** One path's order of step indexes. */
+function drawOrder(method, n, rng, blockSize) {
+  const order = new Array(n);
+  if (method === 'shuffle') {
+    for (let i = 0; i < n; i++) order[i] = i;
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+  const block = method === 'returns' ? Math.max(1, Math.min(blockSize, n)) : 1;
+  for (let i = 0; i < n;) {
+    const start = Math.floor(rng() * (n - block + 1));
+    for (let k = 0; k < block && i < n; k++) order[i++] = start + k;
+  }
+  return order;
+}
+
+/**
+ * Monte Carlo over a BacktestEngine result.
+ * @param {object} result { trades, equity, initialCapital, finalValue }
+ * @param {object} options { method, iterations, ruinPct, blockSize, seed }
+ *   ruinPct: a path is ruined once equity falls ruinPct% below initial capital
+ * @returns {{ method, iterations, steps, finalEquity, maxDrawdown, recoveryMs,
+ *   unrecoveredPct, ruinProbability, histogram, bands }}
+ */
+function runMonteCarlo(result, { method = 'shuffle', iterations = 1000, ruinPct = 50, blockSize = 10, seed = Date.now() } = {}) {
+  const { trades = [], equity = [], initialCapital = 10000, finalValue = null } = result || {};
+  if (!['shuffle', 'resample', 'returns'].includes(method)) throw new Error(`Unknown Monte Carlo method: ${method}`);
+  const runs = Math.min(MAX_ITERATIONS, Math.max(10, parseInt(iterations, 10) || 1000));
+  const steps = method === 'returns' ? barSteps(equity) : tradeSteps(trades, equity, initialCapital, finalValue);
+  if (steps.length < 2) {
+    throw new Error(method === 'returns' ? 'Not enough equity points to resample' : 'Need at least 2 closed trades to resample');
+  }
+
+  const rng = createRng(seed);
+  const ruinLevel = initialCapital * (1 - Math.min(100, Math.max(0, ruinPct)) / 100);
+  const n = steps.length;
+  // Bands are kept at up to BAND_POINTS evenly spaced steps
+  const stride = Math.max(1, Math.ceil(n / BAND_POINTS));
+  const bandSteps = [];
+  for (let i = stride - 1; i < n; i += stride) bandSteps.push(i);
+  if (bandSteps[bandSteps.length - 1] !== n - 1) bandSteps.push(n - 1);
+  const bandValues = bandSteps.map(() => new Float64Array(runs));
+
+  const finals = new Float64Array(runs);
+  const drawdowns = new Float64Array(runs);
+  const recoveries = new Float64Array(runs);
+  let ruined = 0;
+  let unrecovered = 0;
+
+  for (let r = 0; r < runs; r++) {
+    const order = drawOrder(method, n, rng, blockSize);
+    let value = initialCapital;
+    let peak = value;
+    let peakTime = 0;
+    let time = 0;
+    let maxDd = 0;
+    let longestUnderwater = 0;
+    let isRuined = false;
+    let band = 0;
+
+    for (let i = 0; i < n; i++) {
+      const step = steps[order[i]];
+      value *= 1 + step.ret;
+      time += step.dt;
+      if (value >= peak) {
+        longestUnderwater = Math.max(longestUnderwater, time - peakTime);
+        peak = value;
+        peakTime = time;
+      } else {
+        maxDd = Math.max(maxDd, (peak - value) / peak);
+      }
+      if (!isRuined && value <= ruinLevel) isRuined = true;
+      if (bandSteps[band] === i) bandValues[band++][r] = value;
+    }
+    if (value < peak) {
+      longestUnderwater = Math.max(longestUnderwater, time - peakTime);
+      unrecovered++;
+    }
+
+    finals[r] = value;
+    drawdowns[r] = maxDd * 100;
+    recoveries[r] = longestUnderwater;
+    if (isRuined) ruined++;
+  }
+
+  // Band i sits at the timestamp of the original step, so it lines up with the equity curve
+  const bands = bandSteps.map((stepIdx, i) => {
+    const sorted = bandValues[i].sort();
+    const point = { timestamp: steps[stepIdx].timestamp };
+    for (const p of PERCENTILES) point[`p${p}`] = percentile(sorted, p);
+    return point;
+  });
+
+  return {
+    method,
+    iterations: runs,
+    steps: n,
+    seed,
+    finalEquity: summarize(finals),
+    maxDrawdown: summarize(drawdowns),
+    recoveryMs: summarize(recoveries),
+    unrecoveredPct: (unrecovered / runs) * 100,
+    ruinPct,
+    ruinProbability: (ruined / runs) * 100,
+    histogram: histogram(finals),
+    bands,
+  };
+}
+
+module.exports = { runMonteCarlo, createRng, percentile };
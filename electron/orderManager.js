@@ -32,7 +32,7 @@ class OrderManager {
       sellOrder = await sellAdapter.createMarketOrder(symbol, 'SELL', quantity);
 
       const result = { success: true, buyOrder, sellOrder, symbol, buyExchange, sellExchange, quantity, timestamp: Date.now() };
-      await storageService.saveTrade({ id: `arb_${Date.now()}`, ...result, source: 'arbitrage_engine' });
+      await storageService.saveTrade({ id: `arb_${Date.now()}`, ...result, paper: !!buyAdapter.isPaper, source: 'arbitrage_engine' });
       return result;
 
     } catch (err) {
@@ -62,14 +62,20 @@ class OrderManager {
 
     console.log(`[OrderManager] SNIPER BUY ${quantity} ${symbol} on ${exchange}`);
     const buyOrder = await adapter.createMarketOrder(symbol, 'BUY', quantity);
-    const entryPrice = buyOrder.price || buyOrder.fills?.[0]?.price;
+    // Most exchanges acknowledge a market order before it fills
+    let entry = buyOrder;
+    if (buyOrder.status !== 'FILLED') {
+      const fill = await this.waitForFill(exchange, symbol, buyOrder.orderId, 10000);
+      if (fill.status) entry = fill.status;
+    }
+    const entryPrice = entry.avgPrice;
 
     const orderId = `sniper_${Date.now()}`;
     this._activeOrders.set(orderId, { exchange, symbol, quantity, entryPrice, buyOrder });
 
     await storageService.saveTrade({
       id: orderId, exchange, symbol, side: 'BUY', quantity,
-      price: entryPrice, timestamp: Date.now(), source: 'sniper_engine'
+      price: entryPrice, timestamp: Date.now(), paper: !!adapter.isPaper, source: 'sniper_engine'
     });
 
     // Place stop-loss
@@ -92,7 +98,7 @@ class OrderManager {
         this._activeOrders.delete(orderId);
         await storageService.saveTrade({
           id: `${orderId}_sell`, exchange, symbol, side: 'SELL', quantity,
-          price: sellOrder.price, timestamp: Date.now(), source: 'sniper_engine_auto_sell'
+          price: sellOrder.avgPrice, timestamp: Date.now(), paper: !!adapter.isPaper, source: 'sniper_engine_auto_sell'
         });
       } catch (e) {
         console.error('[OrderManager] Auto-sell failed:', e.message);
@@ -121,6 +127,143 @@ class OrderManager {
     return { filled: false, reason: 'timeout' };
   }
 
+  /**
+   * Place a single bot order and wait for it to fill.
+   * Market orders are placed as-is; limit orders rest at `price`. Either is
+   * cancelled if it has not filled within `fillTimeoutMs`; whatever filled
+   * before the cancel comes back as a partial fill (`partial: true`).
+   * Returns { filled, orderId, price, quantity, quoteQty, fee, feeAsset, status }.
+   */
+  async executeBotOrder({ exchange, symbol, side, quantity, orderType = 'MARKET', price, fillTimeoutMs = 30000 }) {
+    const adapter = this.adapters.get(exchange);
+    if (!adapter) throw new Error(`Exchange not configured: ${exchange}`);
+
+    const type = String(orderType).toUpperCase();
+    console.log(`[OrderManager] BOT ${type} ${side} ${quantity} ${symbol} on ${exchange}${type === 'LIMIT' ? ` @ ${price}` : ''}`);
+
+    const order = type === 'LIMIT'
+      ? await adapter.createLimitOrder(symbol, side, quantity, price)
+      : await adapter.createMarketOrder(symbol, side, quantity);
+
+    const { orderId } = order;
+
+    let status = order;
+    if (order.status !== 'FILLED') {
+      const fill = await this.waitForFill(exchange, symbol, orderId, fillTimeoutMs);
+      if (!fill.filled) {
+        let final = fill.status || null;
+        if (!final) {
+          // Timed out: cancel what is left of the order, whatever its type
+          try { await adapter.cancelOrder(symbol, orderId); } catch (e) {
+            console.warn(`[OrderManager] Could not cancel unfilled order ${orderId}:`, e.message);
+          }
+          // Part of the order may have filled before (or while) it was cancelled
+          try { final = await adapter.getOrderStatus(symbol, orderId); } catch (e) {
+            console.warn(`[OrderManager] Could not read cancelled order ${orderId}:`, e.message);
+          }
+        }
+        if (parseFloat(final?.executedQty || 0) > 0) {
+          const result = await this._fillResult(adapter, symbol, orderId, final, price);
+          return final.status === 'FILLED' ? result : { ...result, partial: true, status: 'PARTIALLY_FILLED' };
+        }
+        return { filled: false, orderId, status: final?.status || fill.reason };
+      }
+      status = fill.status;
+    }
+
+    return this._fillResult(adapter, symbol, orderId, status, price);
+  }
+
+  /**
+   * Look up an order placed earlier (e.g. a resting stop) and, if any of it
+   * has executed, return the same shape as executeBotOrder: a fill that is
+   * not complete (still resting, or cancelled part way) has `partial: true`.
+   */
+  async getBotOrderFill({ exchange, symbol, orderId }) {
+    const adapter = this.adapters.get(exchange);
+    if (!adapter) throw new Error(`Exchange not configured: ${exchange}`);
+
+    const status = await adapter.getOrderStatus(symbol, orderId);
+    if (status.status !== 'FILLED' && !(parseFloat(status.executedQty || 0) > 0)) {
+      return { filled: false, orderId, status: status.status };
+    }
+    const result = await this._fillResult(adapter, symbol, orderId, status, status.price);
+    return status.status === 'FILLED' ? result : { ...result, partial: true, status: status.status };
+  }
+
+  /**
+   * Place resting exit orders for a long position: an OCO (take-profit limit +
+   * stop-limit) when the adapter supports it and both levels are set,
+   * otherwise a plain stop-loss. Levels that cannot be placed natively are
+   * reported back so the caller can watch them in-process; adapters without
+   * `nativeStops` get no resting orders at all.
+   * Returns { orders: [{ orderId, kind }], native: { stopLoss, takeProfit } }.
+   */
+  async placeProtectiveExit({ exchange, symbol, quantity, stopPrice, takeProfitPrice }) {
+    const adapter = this.adapters.get(exchange);
+    if (!adapter) throw new Error(`Exchange not configured: ${exchange}`);
+    if (!adapter.nativeStops) return { orders: [], native: { stopLoss: false, takeProfit: false } };
+
+    if (stopPrice && takeProfitPrice && typeof adapter.createOCOOrder === 'function') {
+      console.log(`[OrderManager] BOT OCO SELL ${quantity} ${symbol} on ${exchange} TP ${takeProfitPrice} / SL ${stopPrice}`);
+      const oco = await adapter.createOCOOrder(symbol, 'SELL', quantity, takeProfitPrice, stopPrice, stopPrice * 0.995);
+      const orders = (oco.orders || oco.orderReports || [])
+        .map(o => ({ orderId: o.orderId, kind: 'oco' }))
+        .filter(o => o.orderId != null);
+      if (orders.length) return { orders, native: { stopLoss: true, takeProfit: true } };
+    }
+
+    if (stopPrice) {
+      console.log(`[OrderManager] BOT STOP SELL ${quantity} ${symbol} on ${exchange} @ ${stopPrice}`);
+      const order = await adapter.createStopLoss(symbol, 'SELL', quantity, stopPrice * 0.995, stopPrice);
+      return { orders: [{ orderId: order.orderId, kind: 'stop-loss' }], native: { stopLoss: true, takeProfit: false } };
+    }
+
+    return { orders: [], native: { stopLoss: false, takeProfit: false } };
+  }
+
+  /** Cancel resting bot orders, ignoring ones that already filled or expired. */
+  async cancelBotOrders({ exchange, symbol, orderIds }) {
+    const adapter = this.adapters.get(exchange);
+    if (!adapter) throw new Error(`Exchange not configured: ${exchange}`);
+
+    for (const orderId of orderIds) {
+      try {
+        await adapter.cancelOrder(symbol, orderId);
+      } catch (e) {
+        console.warn(`[OrderManager] Could not cancel order ${orderId}:`, e.message);
+      }
+    }
+  }
+
+  /** `status` is a normalized order; its fee is null when the exchange left it out */
+  async _fillResult(adapter, symbol, orderId, status, price) {
+    let { fee, feeAsset } = status;
+    if (fee == null) {
+      // Binance order queries omit commission — fetch it from the trade list
+      fee = 0;
+      try {
+        const trades = await adapter.getMyTrades(symbol, { orderId });
+        const own = (Array.isArray(trades) ? trades : []).filter(t => String(t.orderId) === String(orderId));
+        fee = own.reduce((sum, t) => sum + parseFloat(t.commission || 0), 0);
+        feeAsset = own[0]?.commissionAsset || null;
+      } catch (e) {
+        console.warn(`[OrderManager] Could not load fills for ${orderId}:`, e.message);
+      }
+    }
+
+    return {
+      filled: true,
+      orderId,
+      price: status.avgPrice ?? parseFloat(price || 0),
+      quantity: status.executedQty,
+      quoteQty: status.quoteQty,
+      fee,
+      feeAsset,
+      status: 'FILLED',
+    };
+  }
+
   closePosition(orderId) {
     this._activeOrders.delete(orderId);
   }
@@ -0,0 +1,253 @@
+// NeutronTrader - Multi-symbol portfolio backtesting
+//
+// Runs one strategy over a basket of symbols from a single cash pool. Bars
+// are aligned on the union of every symbol's open times; each symbol is
+// evaluated when it has a bar, and marked at its last close otherwise. At
+// every step SELLs are processed first so freed cash can fund BUYs, and
+// BUYs competing for the remaining `maxOpenPositions` slots are ranked the
+// way live multi-pair bots rank them (confidence, then exposure, then
+// basket order). Long-only; fills use the same fill model, position sizing
+// and stop/target exits as BacktestEngine, except that every order fills in
+// full on the next bar (no volume-participation cap).
+
+const { runStrategy, executeComposedStrategy } = require('./strategies/technicalStrategies');
+const { rankBuySignals } = require('./strategies/multiPairAllocator');
+const { resolveExitRules, hasExitRules } = require('./strategies/exitRules');
+const { resolveFillModel, fillOrder } = require('./backtestFillModel');
+const { resolveSizing, positionSizeUSDT } = require('./backtestSizing');
+const { BacktestEngine, intrabarExit } = require('./backtestEngine');
+const { intervalToMs } = require('./candleLoader');
+const { loadTimeframes, TimeframeCursor } = require('./strategies/multiTimeframe');
+
+const MAX_SYMBOLS = 20;
+
+class PortfolioBacktestEngine {
+  /** @param {Function} getCandlesFn same loader the BacktestEngine uses */
+  constructor(getCandlesFn) {
+    this.getCandles = getCandlesFn;
+  }
+
+  async run(config, onProgress) {
+    const {
+      exchange = 'binance',
+      interval = '1h',
+      startTime,
+      endTime,
+      strategy = 'simpleMovingAverage',
+      strategyParams = {},
+      composedConfig = null,
+      initialCapital = 10000,
+      windowSize = 50,
+      maxOpenPositions = 5,
+    } = config;
+    const symbols = [...new Set((config.symbols || []).map(s => s.trim().toUpperCase()).filter(Boolean))];
+    if (symbols.length < 2) throw new Error('A portfolio backtest needs at least 2 symbols');
+    if (symbols.length > MAX_SYMBOLS) throw new Error(`At most ${MAX_SYMBOLS} symbols per portfolio backtest`);
+    const slots = Math.max(1, parseInt(maxOpenPositions, 10) || 1);
+
+    const series = {};
+    const dataStats = {};
+    for (const [n, symbol] of symbols.entries()) {
+      const loaded = await this.getCandles(exchange, symbol, interval, {
+        startTime,
+        endTime,
+        onPage: ({ bars }) => onProgress?.({ percent: 0, phase: 'loading', symbol, symbolIndex: n + 1, symbols: symbols.length, bars }),
+      });
+      const candles = Array.isArray(loaded) ? loaded : loaded?.candles;
+      if (!candles || candles.length < windowSize + 2) {
+        throw new Error(`Insufficient candle data for ${symbol} (${candles?.length || 0} bars)`);
+      }
+      // Higher-interval candles of composed rules, per symbol
+      const timeframes = new TimeframeCursor(await loadTimeframes(this.getCandles, { ...config, exchange, interval, symbol }, candles));
+      series[symbol] = { candles, timeframes, index: new Map(candles.map((c, i) => [c.openTime, i])) };
+      dataStats[symbol] = (Array.isArray(loaded) ? null : loaded?.stats) || { bars: candles.length, gaps: [] };
+    }
+
+    // Default sizing splits equity evenly across the position slots
+    const sizing = resolveSizing({ sizing: config.sizing || { mode: 'percent', percent: 100 / slots }, composedConfig });
+    const fillModel = { ...resolveFillModel(config), maxParticipation: 0 };
+    const exitRules = resolveExitRules(config);
+    const useExits = hasExitRules(exitRules);
+    const pessimistic = config.intrabarOrder !== 'optimistic';
+    const barMs = intervalToMs(interval);
+
+    const timeline = [...new Set(symbols.flatMap(s => series[s].candles.map(c => c.openTime)))].sort((a, b) => a - b);
+    const positions = new Map(); // symbol -> { quantity, cost, notional, openedAt, water }
+    const lastClose = {};
+    const firstClose = {}; // equal-weight buy-and-hold benchmark; unlisted symbols sit in cash
+    const perSymbol = Object.fromEntries(symbols.map(s => [s, { realizedPnl: 0, closed: 0, wins: 0, fees: 0, exposureBars: 0 }]));
+    const costs = { fees: 0, spread: 0, slippage: 0 };
+    const tradeReturns = [];
+    const trades = [];
+    const equity = [];
+    let cash = initialCapital;
+    let nextOrderId = 1;
+    let skippedSignals = 0;
+    let barsInMarket = 0;
+
+    const markValue = () => cash + [...positions].reduce((s, [sym, p]) => s + p.quantity * lastClose[sym], 0);
+
+    const record = (fill, bar, fields) => {
+      costs.fees += fill.fee;
+      costs.spread += fill.spreadCost;
+      costs.slippage += fill.slippageCost;
+      perSymbol[fields.symbol].fees += fill.fee;
+      trades.push({
+        direction: 'LONG',
+        price: fill.price,
+        quantity: fill.quantity,
+        fee: fill.fee,
+        timestamp: bar.openTime,
+        orderId: nextOrderId++,
+        partial: false,
+        ...fields,
+      });
+    };
+
+    const closePosition = (symbol, bar, reason, exitReason, price = null) => {
+      const pos = positions.get(symbol);
+      const fill = fillOrder(fillModel, {
+        side: 'SELL',
+        bar: price === null ? bar : { ...bar, open: price },
+        quantity: pos.quantity,
+      });
+      const pnl = fill.quantity * fill.price - fill.fee - pos.cost;
+      cash += fill.quantity * fill.price - fill.fee;
+      record(fill, bar, { symbol, side: 'SELL', action: 'close', reason, exitReason, pnl, holdMs: bar.openTime - pos.openedAt });
+      const stats = perSymbol[symbol];
+      stats.realizedPnl += pnl;
+      stats.closed++;
+      if (pnl > 0) stats.wins++;
+      tradeReturns.push(pnl / pos.cost);
+      positions.delete(symbol);
+    };
+
+    const openPosition = (symbol, bar, signal, window, price) => {
+      const size = Math.min(cash, positionSizeUSDT(sizing, {
+        side: 'LONG', cash, equity: markValue(), price, candles: window, tradeReturns,
+      }));
+      if (!(size > 0)) return false;
+      const fill = fillOrder(fillModel, { side: 'BUY', bar, cash: size });
+      if (!(fill.quantity > 0)) return false;
+      const cost = fill.quantity * fill.price + fill.fee;
+      cash -= cost;
+      positions.set(symbol, {
+        quantity: fill.quantity,
+        cost,
+        notional: fill.quantity * fill.price,
+        openedAt: bar.openTime,
+        water: null,
+      });
+      record(fill, bar, { symbol, side: 'BUY', action: 'open', reason: signal.reason });
+      return true;
+    };
+
+    for (let k = 0; k < timeline.length; k++) {
+      const t = timeline[k];
+      const sells = [];
+      const buys = [];
+
+      for (const symbol of symbols) {
+        const { candles, timeframes, index } = series[symbol];
+        const i = index.get(t);
+        if (i === undefined) continue;
+        lastClose[symbol] = parseFloat(candles[i].close);
+        firstClose[symbol] = firstClose[symbol] ?? lastClose[symbol];
+        if (i < windowSize || i + 1 >= candles.length) continue;
+
+        const window = candles.slice(0, i + 1);
+        const signal = strategy === 'composed' && composedConfig
+          ? executeComposedStrategy(window, composedConfig, lastClose[symbol], {
+            interval, series: timeframes.at(Number(t) + intervalToMs(interval)),
+          })
+          : runStrategy(strategy, window, strategyParams, lastClose[symbol]);
+        const entry = { ...signal, symbol, window, nextBar: candles[i + 1] };
+        if (signal.action === 'SELL' && positions.has(symbol)) sells.push(entry);
+        else if (signal.action === 'BUY' && !positions.has(symbol)) buys.push(entry);
+      }
+
+      for (const s of sells) closePosition(s.symbol, s.nextBar, s.reason, 'signal');
+
+      const exposure = Object.fromEntries([...positions].map(([sym, p]) => [sym, p.quantity * lastClose[sym]]));
+      for (const b of rankBuySignals(buys, exposure, symbols)) {
+        // BUYs beyond the free slots are dropped, as RiskManager rejects them live
+        if (positions.size >= slots) skippedSignals++;
+        else openPosition(b.symbol, b.nextBar, b, b.window, lastClose[b.symbol]);
+      }
+
+      // Stops and targets on each open position's next bar, as in BacktestEngine
+      if (useExits) {
+        for (const [symbol, pos] of [...positions]) {
+          const { candles, index } = series[symbol];
+          const i = index.get(t);
+          if (i === undefined || i + 1 >= candles.length) continue;
+          const bar = candles[i + 1];
+          const avgEntry = pos.notional / pos.quantity;
+          const exit = intrabarExit({ direction: 'LONG', avgEntry, water: pos.water ?? avgEntry, openedAt: pos.openedAt }, exitRules, bar, pessimistic);
+          if (exit) closePosition(symbol, bar, `${exit.reason} @ ${exit.price.toPrecision(6)}`, exit.reason, exit.price);
+          else pos.water = Math.max(pos.water ?? avgEntry, parseFloat(bar.high));
+        }
+      }
+
+      const value = markValue();
+      const invested = value - cash;
+      for (const symbol of positions.keys()) perSymbol[symbol].exposureBars++;
+      if (positions.size) barsInMarket++;
+      equity.push({
+        timestamp: t + barMs - 1,
+        value,
+        benchmark: initialCapital * symbols.reduce((sum, s) => sum + (firstClose[s] ? lastClose[s] / firstClose[s] : 1), 0) / symbols.length,
+        exposurePct: value > 0 ? (invested / value) * 100 : 0,
+        openPositions: positions.size,
+      });
+
+      if (onProgress && k % 25 === 0) {
+        onProgress({ percent: Math.round((k / timeline.length) * 100), phase: 'running' });
+      }
+    }
+
+    const finalValue = markValue();
+    const totalPnl = finalValue - initialCapital;
+    const symbolsReport = symbols.map(symbol => {
+      const s = perSymbol[symbol];
+      const pos = positions.get(symbol);
+      const unrealizedPnl = pos ? pos.quantity * lastClose[symbol] - pos.cost : 0;
+      const pnl = s.realizedPnl + unrealizedPnl;
+      return {
+        symbol,
+        trades: s.closed,
+        winRate: s.closed ? (s.wins / s.closed) * 100 : 0,
+        realizedPnl: s.realizedPnl,
+        unrealizedPnl,
+        pnl,
+        fees: s.fees,
+        contributionPct: totalPnl !== 0 ? (pnl / Math.abs(totalPnl)) * 100 : 0,
+        timeInMarketPct: equity.length ? (s.exposureBars / equity.length) * 100 : 0,
+      };
+    });
+
+    const metrics = new BacktestEngine(null)._computeMetrics(trades, equity, initialCapital, finalValue, { interval, barsInMarket });
+    return {
+      symbols: symbolsReport,
+      trades,
+      equity,
+      metrics: {
+        ...metrics,
+        totalFees: costs.fees,
+        totalSpreadCost: costs.spread,
+        totalSlippage: costs.slippage,
+        skippedSignals,
+        avgExposurePct: equity.reduce((s, e) => s + e.exposurePct, 0) / (equity.length || 1),
+      },
+      finalValue,
+      initialCapital,
+      maxOpenPositions: slots,
+      sizing,
+      fillModel,
+      exitRules: useExits ? exitRules : null,
+      data: dataStats,
+    };
+  }
+}
+
+module.exports = { PortfolioBacktestEngine };
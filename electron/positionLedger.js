@@ -0,0 +1,105 @@
+// NeutronTrader - Per-bot position ledger
+//
+// Wraps the plain `positions` object kept in a bot's persisted state, so the
+// ledger survives restarts as-is. One entry per symbol (spot, long only):
+//   { symbol, quantity, avgCost, costBasis, fees, entryPrice, openedAt, fills[] }
+// avgCost is quote per unit including fees, so realized P&L is net of fees on
+// both legs. Quantities are in the base asset, money in the quote asset.
+
+const DUST = 1e-9;
+const MAX_FILLS = 100; // per position; oldest fills are dropped past this
+
+class PositionLedger {
+  constructor(positions = {}) {
+    this.positions = positions; // mutated in place — the caller persists it
+  }
+
+  hasOpen(symbol) {
+    return (this.positions[symbol]?.quantity || 0) > DUST;
+  }
+
+  get(symbol) {
+    return this.hasOpen(symbol) ? this.positions[symbol] : null;
+  }
+
+  openSymbols() {
+    return Object.keys(this.positions).filter(sym => this.hasOpen(sym));
+  }
+
+  /**
+   * Book a confirmed fill. BUYs open or add to the position (averaging cost
+   * across partial fills); SELLs reduce it and realize P&L against avgCost.
+   * Returns { realizedPnl, position } — position is null once fully closed.
+   */
+  applyFill({ symbol, side, price, quantity, fee = 0, feeAsset = null, orderId = null, timestamp = Date.now() }) {
+    const [base, quote] = symbol.split('/');
+    // Exchanges charge fees in the received asset (or a third one like BNB).
+    // Base-asset fees shrink what we hold; only quote fees are valued here.
+    const baseFee = feeAsset === base ? fee : 0;
+    const quoteFee = feeAsset === quote ? fee : feeAsset === base ? fee * price : 0;
+    const fill = { side, price, quantity, fee, feeAsset, orderId, timestamp };
+
+    if (side === 'BUY') {
+      const pos = this.positions[symbol] && this.hasOpen(symbol)
+        ? this.positions[symbol]
+        : { symbol, quantity: 0, avgCost: 0, costBasis: 0, fees: 0, entryPrice: price, openedAt: timestamp, fills: [] };
+
+      const received = quantity - baseFee;
+      pos.costBasis += price * quantity + (feeAsset === quote ? fee : 0);
+      pos.quantity += received;
+      pos.fees += quoteFee;
+      pos.avgCost = pos.quantity > DUST ? pos.costBasis / pos.quantity : 0;
+      pos.fills = [...pos.fills, fill].slice(-MAX_FILLS);
+      this.positions[symbol] = pos;
+      return { realizedPnl: 0, position: pos };
+    }
+
+    const pos = this.positions[symbol];
+    if (!pos || !this.hasOpen(symbol)) {
+      return { realizedPnl: 0, position: null };
+    }
+
+    const closedQty = Math.min(quantity, pos.quantity);
+    const proceeds = price * closedQty - quoteFee;
+    const realizedPnl = proceeds - pos.avgCost * closedQty;
+
+    pos.quantity -= closedQty;
+    pos.costBasis = pos.avgCost * pos.quantity;
+    pos.fees += quoteFee;
+    pos.fills = [...pos.fills, fill].slice(-MAX_FILLS);
+
+    if (pos.quantity <= DUST) {
+      delete this.positions[symbol];
+      return { realizedPnl, position: null };
+    }
+    return { realizedPnl, position: pos };
+  }
+
+  /**
+   * Mark an open position to market. Returns { marketValue, unrealizedPnl,
+   * unrealizedPct } or null when flat or no price is known.
+   */
+  mark(symbol, price) {
+    const pos = this.get(symbol);
+    if (!pos || !(price > 0)) return null;
+    const marketValue = pos.quantity * price;
+    const unrealizedPnl = marketValue - pos.costBasis;
+    return {
+      markPrice: price,
+      marketValue,
+      unrealizedPnl,
+      unrealizedPct: pos.costBasis > 0 ? (unrealizedPnl / pos.costBasis) * 100 : 0,
+    };
+  }
+
+  /** Snapshot of open positions marked with `priceFor(symbol)` (may return null). */
+  snapshot(priceFor = () => null) {
+    return this.openSymbols().map(symbol => {
+      const pos = this.positions[symbol];
+      const { fills, ...rest } = pos;
+      return { ...rest, fillCount: fills.length, ...(this.mark(symbol, priceFor(symbol)) || {}) };
+    });
+  }
+}
+
+module.exports = { PositionLedger };
@@ -183,6 +183,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
       });
     },
 
+    // Supervised bots (survive restarts; can be paused/resumed individually)
+    list: () => ipcRenderer.invoke('bot:list'),
+    pause: (botId) => ipcRenderer.invoke('bot:pause', botId),
+    resume: (botId) => ipcRenderer.invoke('bot:resume', botId),
+    stopBot: (botId) => ipcRenderer.invoke('bot:stop', botId),
+
     onStatus: (callback) => {
       ipcRenderer.on('trading-status', (_, data) => callback(data));
 
@@ -310,6 +316,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // Grid trading API
+  grid: {
+    start: (config) => ipcRenderer.invoke('grid:start', config),
+    stop: (exchange, symbol, options) => ipcRenderer.invoke('grid:stop', exchange, symbol, options),
+    getStatus: () => ipcRenderer.invoke('grid:status'),
+    onUpdate: (callback) => {
+      const handler = (_, status) => callback(status);
+      ipcRenderer.on('grid:update', handler);
+      return () => ipcRenderer.removeListener('grid:update', handler);
+    }
+  },
+
   // Arbitrage API
   arbitrage: {
     start: (config) => ipcRenderer.invoke('arb:start', config),
@@ -322,6 +340,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // Snapshot recording and arbitrage replay backtests
+  arbReplay: {
+    startRecording: (options) => ipcRenderer.invoke('arbReplay:startRecording', options),
+    stopRecording: () => ipcRenderer.invoke('arbReplay:stopRecording'),
+    getStatus: () => ipcRenderer.invoke('arbReplay:status'),
+    listRecordings: () => ipcRenderer.invoke('arbReplay:recordings'),
+    deleteRecording: (id) => ipcRenderer.invoke('arbReplay:deleteRecording', id),
+    run: (id, config) => ipcRenderer.invoke('arbReplay:run', id, config),
+    sweep: (id, config, ranges) => ipcRenderer.invoke('arbReplay:sweep', id, config, ranges),
+  },
+
   // Listing detector API
   listing: {
     start: (config) => ipcRenderer.invoke('listing:start', config),
@@ -339,6 +368,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
     updateConfig: (config) => ipcRenderer.invoke('risk:updateConfig', config)
   },
 
+  // Paper-trading accounts (simulated fills)
+  paper: {
+    getAccount: () => ipcRenderer.invoke('paper:account'),
+    reset: (balances) => ipcRenderer.invoke('paper:reset', balances),
+    updateConfig: (config) => ipcRenderer.invoke('paper:config', config),
+  },
+
   portfolio: {
     getSnapshot: () => ipcRenderer.invoke('portfolio:snapshot'),
     getBscBalances: (address) => ipcRenderer.invoke('portfolio:getBscBalances', address),
@@ -346,11 +382,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   backtest: {
     run: (config) => ipcRenderer.invoke('backtest:run', config),
+    runPortfolio: (config) => ipcRenderer.invoke('backtest:portfolio', config),
+    runGrid: (config) => ipcRenderer.invoke('backtest:grid', config),
     onProgress: (callback) => {
       const handler = (_, data) => callback(data);
       ipcRenderer.on('backtest:progress', handler);
       return () => ipcRenderer.removeListener('backtest:progress', handler);
     },
+    optimize: (config, options) => ipcRenderer.invoke('backtest:optimize', config, options),
+    walkForward: (config, options) => ipcRenderer.invoke('backtest:walkForward', config, options),
+    cancelOptimize: () => ipcRenderer.invoke('backtest:optimizeCancel'),
+    monteCarlo: (result, options) => ipcRenderer.invoke('backtest:monteCarlo', result, options),
+    onOptimizeProgress: (callback) => {
+      const handler = (_, data) => callback(data);
+      ipcRenderer.on('backtest:optimizeProgress', handler);
+      return () => ipcRenderer.removeListener('backtest:optimizeProgress', handler);
+    },
+    listRuns: () => ipcRenderer.invoke('backtest:history'),
+    getRun: (id) => ipcRenderer.invoke('backtest:historyGet', id),
+    renameRun: (id, name) => ipcRenderer.invoke('backtest:historyRename', id, name),
+    deleteRun: (id) => ipcRenderer.invoke('backtest:historyDelete', id),
+    exportRun: (id, format) => ipcRenderer.invoke('backtest:export', id, format),
   },
 
   strategy: {
@@ -358,6 +410,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     list: () => ipcRenderer.invoke('strategy:list'),
     delete: (name) => ipcRenderer.invoke('strategy:delete', name),
     validate: (config, options) => ipcRenderer.invoke('strategy:validate', config, options),
+    preview: (config, market) => ipcRenderer.invoke('strategy:preview', config, market),
+    listPlugins: () => ipcRenderer.invoke('strategy:plugins'),
+    reloadPlugins: () => ipcRenderer.invoke('strategy:reloadPlugins'),
+    openPluginFolder: () => ipcRenderer.invoke('strategy:openPluginFolder'),
+    onPluginsChanged: (callback) => {
+      const handler = (_, plugins) => callback(plugins);
+      ipcRenderer.on('strategy:pluginsChanged', handler);
+      return () => ipcRenderer.removeListener('strategy:pluginsChanged', handler);
+    },
+  },
+
+  candles: {
+    coverage: () => ipcRenderer.invoke('candles:coverage'),
+    purge: (filter) => ipcRenderer.invoke('candles:purge', filter),
+  },
+
+  dataset: {
+    pick: () => ipcRenderer.invoke('dataset:pick'),
+    import: (filePath, options) => ipcRenderer.invoke('dataset:import', filePath, options),
+    list: () => ipcRenderer.invoke('dataset:list'),
+    delete: (id) => ipcRenderer.invoke('dataset:delete', id),
   },
 
   notification: {
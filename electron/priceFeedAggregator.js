@@ -1,6 +1,8 @@
 // NeutronTrader - Cross-exchange price feed aggregator with arbitrage detection
 //
-// Supports REST polling (default) or WebSocket streams (Binance, Bybit).
+// Supports REST polling (default) or WebSocket streams (Binance, Bybit). Both
+// write quotes into one cache, which arbitrage detection, snapshots (and so
+// the snapshot recorder) and price lookups all read.
 
 const EventEmitter = require('events');
 const { WebSocketPriceFeed } = require('./websocketPriceFeed');
@@ -17,6 +19,42 @@ const DEFAULT_SYMBOLS = ['BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'SOL/USDT', 'XRP/US
 
 const STAGGER_MS = 10000;
 const PER_EXCHANGE_INTERVAL_MS = 60000;
+const STALE_QUOTE_MS = 120000;
+const WS_SNAPSHOT_MS = 250; // WebSocket ticks coalesce into one snapshot per window
+
+/**
+ * Best cross-exchange spread for one symbol, or null when it nets less than
+ * `minProfitPct` after taker fees. `prices` are { exchange, bid, ask, timestamp };
+ * quotes older than two minutes at `now` are ignored. Shared with the
+ * snapshot replay backtester so live and replayed detection match.
+ */
+function detectArbitrage(symbol, prices, minProfitPct, now = Date.now()) {
+  const fresh = prices.filter(p => now - p.timestamp <= STALE_QUOTE_MS);
+  if (fresh.length < 2) return null;
+
+  const bestBid = fresh.reduce((a, b) => b.bid > a.bid ? b : a);
+  const bestAsk = fresh.reduce((a, b) => b.ask < a.ask ? b : a);
+  if (bestBid.exchange === bestAsk.exchange) return null;
+
+  const buyFee  = EXCHANGE_FEES[bestAsk.exchange]?.taker || 0.001;
+  const sellFee = EXCHANGE_FEES[bestBid.exchange]?.taker || 0.001;
+  const grossSpread = (bestBid.bid - bestAsk.ask) / bestAsk.ask;
+  const netProfit   = grossSpread - buyFee - sellFee;
+  const netPct      = netProfit * 100;
+  if (netPct < minProfitPct) return null;
+
+  return {
+    symbol,
+    buyExchange:   bestAsk.exchange,
+    buyPrice:      bestAsk.ask,
+    sellExchange:  bestBid.exchange,
+    sellPrice:     bestBid.bid,
+    grossSpreadPct: (grossSpread * 100).toFixed(4),
+    netProfitPct:   netPct.toFixed(4),
+    fees: { buy: buyFee, sell: sellFee },
+    timestamp: now,
+  };
+}
 
 class PriceFeedAggregator extends EventEmitter {
   constructor(adapters, options = {}) {
@@ -30,8 +68,8 @@ class PriceFeedAggregator extends EventEmitter {
     this._symbols = [];
     this._running = false;
     this._wsFeed = null;
-    this._wsOppHandler = null;
     this._wsPriceHandler = null;
+    this._snapshotTimer = null;
   }
 
   start(symbols = DEFAULT_SYMBOLS) {
@@ -59,22 +97,34 @@ class PriceFeedAggregator extends EventEmitter {
 
   _startWebSocket(symbols) {
     console.log('[PriceFeed] Starting WebSocket mode for', symbols.join(', '));
-    this._wsFeed = new WebSocketPriceFeed({ minProfitPct: this.minProfitPct });
-    this._wsOppHandler = (opp) => this.emit('arbitrage-opportunity', opp);
+    this._wsFeed = new WebSocketPriceFeed();
     this._wsPriceHandler = ({ symbol, exchange, price, bid, ask, timestamp }) => {
-      const key = `${symbol}:${exchange}`;
-      this.priceCache.set(key, { price, bid, ask, timestamp });
+      this.priceCache.set(`${symbol}:${exchange}`, { price, bid, ask, timestamp });
+      this._detectArbitrage(symbol);
+      this._queueSnapshot();
     };
-    this._wsFeed.on('arbitrage-opportunity', this._wsOppHandler);
     this._wsFeed.on('price-update', this._wsPriceHandler);
-    this._wsSnapshotHandler = () => this.emit('snapshot-update', this.getPriceSnapshot());
-    this._wsFeed.on('price-update', this._wsSnapshotHandler);
     this._wsFeed.start(symbols);
   }
 
+  /**
+   * Emit one snapshot for every tick that arrives within WS_SNAPSHOT_MS.
+   * Listeners (the recorder, paper order matching) would otherwise rebuild and
+   * process a full snapshot per quote.
+   */
+  _queueSnapshot() {
+    if (this._snapshotTimer) return;
+    this._snapshotTimer = setTimeout(() => {
+      this._snapshotTimer = null;
+      if (this._running) this.emit('snapshot-update', this.getPriceSnapshot());
+    }, WS_SNAPSHOT_MS);
+  }
+
   setMode(mode) {
     const wasRunning = this._running;
     if (wasRunning) this.stop();
+    // Quotes from the previous mode would otherwise linger in snapshots
+    if (mode !== this.mode) this.priceCache.clear();
     this.mode = mode;
     if (wasRunning) this.start(this._symbols);
   }
@@ -83,10 +133,10 @@ class PriceFeedAggregator extends EventEmitter {
     this._running = false;
     for (const [, id] of this._timers) clearInterval(id);
     this._timers.clear();
+    clearTimeout(this._snapshotTimer);
+    this._snapshotTimer = null;
     if (this._wsFeed) {
-      if (this._wsOppHandler) this._wsFeed.removeListener('arbitrage-opportunity', this._wsOppHandler);
-      if (this._wsPriceHandler) this._wsFeed.removeListener('price-update', this._wsPriceHandler);
-      if (this._wsSnapshotHandler) this._wsFeed.removeListener('price-update', this._wsSnapshotHandler);
+      this._wsFeed.removeListener('price-update', this._wsPriceHandler);
       this._wsFeed.stop();
       this._wsFeed = null;
     }
@@ -132,53 +182,17 @@ class PriceFeedAggregator extends EventEmitter {
   }
 
   _detectArbitrage(symbol) {
-    const prices = [];
-    for (const [key, data] of this.priceCache.entries()) {
-      const colon = key.lastIndexOf(':');
-      if (key.slice(0, colon) !== symbol) continue;
-      if (Date.now() - data.timestamp > 120000) continue;
-      prices.push({ exchange: key.slice(colon + 1), ...data });
-    }
-
-    if (prices.length < 2) return;
-
-    const bestBid = prices.reduce((a, b) => b.bid > a.bid ? b : a);
-    const bestAsk = prices.reduce((a, b) => b.ask < a.ask ? b : a);
-    if (bestBid.exchange === bestAsk.exchange) return;
-
-    const buyFee  = EXCHANGE_FEES[bestAsk.exchange]?.taker || 0.001;
-    const sellFee = EXCHANGE_FEES[bestBid.exchange]?.taker || 0.001;
-    const grossSpread = (bestBid.bid - bestAsk.ask) / bestAsk.ask;
-    const netProfit   = grossSpread - buyFee - sellFee;
-    const netPct      = netProfit * 100;
-
-    if (netPct >= this.minProfitPct) {
-      this.emit('arbitrage-opportunity', {
-        symbol,
-        buyExchange:   bestAsk.exchange,
-        buyPrice:      bestAsk.ask,
-        sellExchange:  bestBid.exchange,
-        sellPrice:     bestBid.bid,
-        grossSpreadPct: (grossSpread * 100).toFixed(4),
-        netProfitPct:   netPct.toFixed(4),
-        fees: { buy: buyFee, sell: sellFee },
-        timestamp: Date.now(),
-      });
-    }
+    const opportunity = detectArbitrage(symbol, this.getPricesForSymbol(symbol), this.minProfitPct);
+    if (opportunity) this.emit('arbitrage-opportunity', opportunity);
   }
 
   getPriceSnapshot() {
-    if (this._wsFeed) {
-      const wsSnap = this._wsFeed.getPriceSnapshot();
-      return { ...Object.fromEntries(this.priceCache), ...wsSnap };
-    }
     const snapshot = {};
     for (const [key, data] of this.priceCache.entries()) snapshot[key] = data;
     return snapshot;
   }
 
   getPricesForSymbol(symbol) {
-    if (this._wsFeed) return this._wsFeed.getPricesForSymbol(symbol);
     const result = [];
     for (const [key, data] of this.priceCache.entries()) {
       const colon = key.lastIndexOf(':');
@@ -195,4 +209,4 @@ class PriceFeedAggregator extends EventEmitter {
   }
 }
 
-module.exports = { PriceFeedAggregator, DEFAULT_SYMBOLS };
+module.exports = { PriceFeedAggregator, DEFAULT_SYMBOLS, EXCHANGE_FEES, detectArbitrage };
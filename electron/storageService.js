@@ -183,6 +183,9 @@ class StorageService {
         if (filters.source) {
             trades = trades.filter(t => t.source === filters.source);
         }
+        if (filters.paper != null) {
+            trades = trades.filter(t => !!t.paper === !!filters.paper);
+        }
         if (filters.arbType) {
             trades = trades.filter(t => t.arbType === filters.arbType);
         }
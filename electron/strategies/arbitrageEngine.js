@@ -34,6 +34,7 @@ class ArbitrageEngine extends BaseStrategy {
       source: 'arbitrage',
       arbType: type,
       strategy: 'arbitrage',
+      paper: !!this.config.paper,
       timestamp: record.timestamp || record.executedAt || Date.now(),
     };
     await storageService.saveTrade(trade);
@@ -0,0 +1,65 @@
+// NeutronTrader - Position exit rules (stop-loss, take-profit, trailing stop, max hold)
+//
+// Pure helpers shared by live bots and the backtester; levels are computed
+// from a position's average entry and the best price seen since entry.
+
+/**
+ * Collect a bot's exit rules. Explicit `config.exits` wins; composed configs
+ * fall back to their `riskOverrides`. Unset or non-positive values disable a rule.
+ */
+function resolveExitRules(config = {}) {
+  const exits = config.exits || {};
+  const overrides = config.composedConfig?.riskOverrides || {};
+  const positive = (...values) => {
+    const v = values.find(x => x != null && x !== '');
+    const n = parseFloat(v);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const maxHoldMinutes = positive(exits.maxHoldMinutes, overrides.maxHoldMinutes);
+  return {
+    stopLossPct: positive(exits.stopLossPct, overrides.stopLossPct),
+    takeProfitPct: positive(exits.takeProfitPct, overrides.takeProfitPct),
+    trailingStopPct: positive(exits.trailingStopPct, overrides.trailingStopPct),
+    maxHoldMs: maxHoldMinutes ? maxHoldMinutes * 60_000 : null,
+  };
+}
+
+function hasExitRules(rules) {
+  return !!(rules.stopLossPct || rules.takeProfitPct || rules.trailingStopPct || rules.maxHoldMs);
+}
+
+/**
+ * Price levels for a position entered at `entryPrice`; null where a rule is
+ * off. `water` is the best price since entry — the high for a long, the low
+ * for a short (direction 'SHORT' mirrors every level around the entry).
+ */
+function exitLevels(entryPrice, rules, water = entryPrice, direction = 'LONG') {
+  const sign = direction === 'SHORT' ? -1 : 1;
+  const best = direction === 'SHORT' ? Math.min(entryPrice, water) : Math.max(entryPrice, water);
+  return {
+    stopPrice: rules.stopLossPct ? entryPrice * (1 - sign * rules.stopLossPct / 100) : null,
+    takeProfitPrice: rules.takeProfitPct ? entryPrice * (1 + sign * rules.takeProfitPct / 100) : null,
+    trailingStopPrice: rules.trailingStopPct ? best * (1 - sign * rules.trailingStopPct / 100) : null,
+  };
+}
+
+/**
+ * Decide whether a long should exit at `price`. Stops are checked before
+ * take-profit so the worse outcome wins when both are crossed at once.
+ * Returns { reason, level } or null.
+ */
+function checkExit({ entryPrice, openedAt }, rules, { price, highWater = entryPrice, now = Date.now() }) {
+  const { stopPrice, takeProfitPrice, trailingStopPrice } = exitLevels(entryPrice, rules, highWater);
+
+  if (price > 0) {
+    if (stopPrice && price <= stopPrice) return { reason: 'stop-loss', level: stopPrice };
+    if (trailingStopPrice && price <= trailingStopPrice) return { reason: 'trailing-stop', level: trailingStopPrice };
+    if (takeProfitPrice && price >= takeProfitPrice) return { reason: 'take-profit', level: takeProfitPrice };
+  }
+  if (rules.maxHoldMs && openedAt && now - openedAt >= rules.maxHoldMs) {
+    return { reason: 'max-hold', level: null };
+  }
+  return null;
+}
+
+module.exports = { resolveExitRules, hasExitRules, exitLevels, checkExit };
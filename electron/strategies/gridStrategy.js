@@ -0,0 +1,458 @@
+// NeutronTrader - Grid trading strategy
+//
+// Keeps a ladder of limit orders between `lower` and `upper`: buys on the
+// levels below the price, sells on the levels above it, and the level nearest
+// the price left empty. A filled buy is replaced by a sell one level up and a
+// filled sell by a buy one level down, so every buy -> sell pair on
+// neighbouring levels is a round trip earning the level gap minus fees. The
+// first ladder's sells are backed by inventory bought at market on start.
+// Closing beyond a stop-out bound cancels the ladder and, with closeOnStop,
+// sells the grid's inventory at market.
+//
+// Works with any adapter returning normalized orders from createLimitOrder,
+// getOrderStatus and getOpenOrders (plus cancelOrder, getCurrentPrice, and
+// createMarketOrder for the initial inventory and stop-outs). Each poll lists
+// the open orders once and only looks up the orders that have left the book.
+// Live grids poll on a timer; gridBacktest.js drives the same class bar by bar
+// against a simulated exchange.
+
+const { BaseStrategy } = require('./baseStrategy');
+
+const MAX_LEVELS = 200;
+const MAX_ROUND_TRIPS = 500;
+const SPACINGS = ['arithmetic', 'geometric'];
+const CLOSED_STATUSES = ['CANCELED', 'REJECTED', 'EXPIRED'];
+
+const DEFAULT_GRID = {
+  exchange: 'binance',
+  symbol: null,
+  lower: null,
+  upper: null,
+  levels: 10,
+  spacing: 'arithmetic',
+  quantity: null,          // base asset per order
+  stopLossPrice: null,     // stop out when the price closes at or below
+  takeProfitPrice: null,   // stop out when the price closes at or above
+  closeOnStop: true,
+  feeRate: 0.001,          // per fill; used when the exchange does not report the fee
+  pollMs: 5000,
+};
+
+const positive = v => Number.isFinite(v) && v > 0;
+
+function resolveGridConfig(config = {}) {
+  const merged = { ...DEFAULT_GRID };
+  for (const [key, value] of Object.entries(config)) {
+    if (value != null && value !== '') merged[key] = value;
+  }
+  for (const key of ['lower', 'upper', 'levels', 'quantity', 'stopLossPrice', 'takeProfitPrice', 'feeRate', 'pollMs']) {
+    if (merged[key] != null) merged[key] = parseFloat(merged[key]);
+  }
+  return merged;
+}
+
+/** Ladder prices from lower to upper, `levels` of them, evenly spaced in price or in ratio. */
+function gridLevels({ lower, upper, levels, spacing = 'arithmetic' }) {
+  const n = levels - 1;
+  return Array.from({ length: levels }, (_, i) => (spacing === 'geometric'
+    ? lower * (upper / lower) ** (i / n)
+    : lower + (upper - lower) * (i / n)));
+}
+
+/** Problems with a grid config, as messages; empty when valid. */
+function validateGridConfig(config) {
+  const c = resolveGridConfig(config);
+  const errors = [];
+  if (!c.symbol) errors.push('Symbol is required');
+  if (!positive(c.lower)) errors.push('Lower bound must be greater than 0');
+  if (!positive(c.upper) || !(c.upper > c.lower)) errors.push('Upper bound must be above the lower bound');
+  if (!Number.isInteger(c.levels) || c.levels < 2 || c.levels > MAX_LEVELS) {
+    errors.push(`Levels must be a whole number from 2 to ${MAX_LEVELS}`);
+  }
+  if (!SPACINGS.includes(c.spacing)) errors.push(`Spacing must be ${SPACINGS.join(' or ')}`);
+  if (!positive(c.quantity)) errors.push('Quantity per order must be greater than 0');
+  if (c.stopLossPrice != null && !(positive(c.stopLossPrice) && c.stopLossPrice < c.lower)) {
+    errors.push('Stop-loss price must be below the lower bound');
+  }
+  if (c.takeProfitPrice != null && !(c.takeProfitPrice > c.upper)) {
+    errors.push('Take-profit price must be above the upper bound');
+  }
+  if (!(c.feeRate >= 0 && c.feeRate < 0.05)) errors.push('Fee rate must be from 0 to 0.05');
+  if (!errors.length) {
+    // The narrowest gap sits at the bottom (geometric) or top (arithmetic) of the ladder
+    const levels = gridLevels(c);
+    const gapPct = Math.min(...levels.slice(1).map((p, i) => (p - levels[i]) / p));
+    if (gapPct <= 2 * c.feeRate) {
+      errors.push(`Level gap (${(gapPct * 100).toFixed(3)}%) does not cover two fills' fees (${(c.feeRate * 200).toFixed(3)}%) — every round trip would lose money`);
+    }
+  }
+  return errors;
+}
+
+/** Average fill price of an order, falling back to `fallback` (the limit price). */
+function fillPrice(status, fallback) {
+  return status?.avgPrice || fallback;
+}
+
+class GridStrategy extends BaseStrategy {
+  /**
+   * @param {object} adapter exchange adapter (live, paper or the backtest replay)
+   * @param {RiskManager|null} riskManager approves the grid's capital on start
+   */
+  constructor(adapter, riskManager, config = {}) {
+    super('grid', riskManager, null);
+    this.adapter = adapter;
+    this.config = resolveGridConfig(config);
+    this.levels = [];
+    this._orders = new Map(); // orderId -> { orderId, level, side, price, quantity, buyPrice, buyFee }
+    this._unplaced = [];      // levels to place on the next step
+    this._timer = null;
+    this._stepping = false;
+    this._positionId = null;
+    this.inventory = 0;       // base asset held by the grid
+    this.inventoryCost = 0;   // what that inventory cost, fees excluded
+    this.fees = 0;
+    this.gridProfit = 0;
+    this.roundTripCount = 0;
+    this._roundTrips = [];
+    this.stopOut = null;
+    this.lastPrice = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Buy the inventory for the sells, place the ladder and start polling.
+   * `price`/`time` replace the adapter's quote and the clock (backtests);
+   * `poll: false` leaves stepping to the caller.
+   */
+  async start({ price = null, time = Date.now(), poll = true } = {}) {
+    const { symbol, exchange, lower, upper, quantity } = this.config;
+    const errors = validateGridConfig(this.config);
+    if (errors.length) throw new Error(errors.join('; '));
+
+    const current = price ?? parseFloat((await this.adapter.getCurrentPrice(symbol)).price);
+    if (!(current > lower && current < upper)) {
+      throw new Error(`Price ${current} is outside the grid (${lower} - ${upper})`);
+    }
+    this.levels = gridLevels(this.config);
+
+    // Capital the grid can tie up: every buy level filled, or the whole inventory bought
+    const capital = this.levels.reduce((sum, p) => sum + p * quantity, 0);
+    const risk = this.riskManager?.validate({ positionSizeUSDT: capital, symbol, exchange });
+    if (risk && !risk.approved) throw new Error(`Risk rejected grid: ${risk.reason}`);
+
+    super.start();
+    this.startedAt = time;
+    this.lastPrice = current;
+    this._positionId = `grid_${symbol}_${time}`;
+    this.riskManager?.recordOpen(this._positionId);
+
+    const gap = this.levels.reduce((best, p, i) => (Math.abs(p - current) < Math.abs(this.levels[best] - current) ? i : best), 0);
+    const sellLevels = this.levels.map((_, i) => i).filter(i => i > gap);
+    let entryPrice = current;
+    let entryFee = 0; // per order's quantity
+    if (sellLevels.length) {
+      const size = quantity * sellLevels.length;
+      try {
+        const order = await this._marketOrder('BUY', size);
+        entryPrice = fillPrice(order, current);
+        entryFee = this._addFee(order, entryPrice, size) / sellLevels.length;
+        this.inventory += size;
+        this.inventoryCost += entryPrice * size;
+      } catch (err) {
+        this._halt();
+        throw new Error(`Could not buy the grid's starting inventory: ${err.message}`, { cause: err });
+      }
+    }
+
+    for (let i = 0; i < this.levels.length; i++) {
+      if (i < gap) await this._place({ level: i, side: 'BUY' }, time);
+      else if (i > gap) await this._place({ level: i, side: 'SELL', buyPrice: entryPrice, buyFee: entryFee }, time);
+    }
+
+    if (poll) {
+      this._timer = setInterval(() => {
+        this.step().catch(err => this.emit('error', { message: err.message }));
+      }, this.config.pollMs);
+    }
+    console.log(`[GridStrategy] Started ${symbol}: ${this.levels.length} ${this.config.spacing} levels ${lower} - ${upper}`);
+    this.emit('started', this.getStatus());
+  }
+
+  /**
+   * One poll: place the levels left over from earlier steps, pick up fills,
+   * hand each filled level over to its neighbour and check the stop-out
+   * bounds. `quote` ({ price, time }) replaces the adapter's current price and
+   * the clock.
+   */
+  async step(quote = null) {
+    if (!this.isRunning() || this._stepping) return;
+    this._stepping = this._step(quote);
+    try {
+      await this._stepping;
+    } finally {
+      this._stepping = null;
+    }
+  }
+
+  async _step(quote) {
+    const { symbol } = this.config;
+    const time = quote?.time ?? Date.now();
+    const price = quote?.price ?? parseFloat((await this.adapter.getCurrentPrice(symbol)).price);
+    this.lastPrice = price;
+
+    const open = await this.adapter.getOpenOrders(symbol);
+    const tracked = [...this._orders.values()];
+    for (const spec of this._unplaced.splice(0)) {
+      // A placement that errored may still have reached the book
+      const match = spec.unconfirmed ? this._matchOpen(open, spec) : null;
+      if (match) this._track(match.orderId, spec, time);
+      else await this._place(spec, time);
+    }
+
+    const resting = new Set(open.map(o => String(o.orderId)));
+    for (const order of tracked) {
+      if (resting.has(String(order.orderId))) continue;
+      const status = await this.adapter.getOrderStatus(symbol, order.orderId);
+      if (status.status === 'FILLED') {
+        this._orders.delete(order.orderId);
+        await this._onFill(order, status, time);
+      } else if (CLOSED_STATUSES.includes(status.status)) {
+        // Cancelled outside the grid (or expired): book what filled, put the level back
+        this._orders.delete(order.orderId);
+        const fill = this._bookFill(order, status, time);
+        const buyFee = order.buyFee - (fill?.buyFee || 0);
+        this._unplaced.push({ level: order.level, side: order.side, buyPrice: order.buyPrice, buyFee });
+      }
+    }
+
+    const { stopLossPrice, takeProfitPrice } = this.config;
+    if (stopLossPrice != null && price <= stopLossPrice) await this._stopOut('stop-loss', price, time);
+    else if (takeProfitPrice != null && price >= takeProfitPrice) await this._stopOut('take-profit', price, time);
+  }
+
+  /** Stop polling and, by default, cancel the resting orders; inventory is left as is. */
+  async stop({ cancelOrders = true } = {}) {
+    clearInterval(this._timer);
+    this._timer = null;
+    // A step in flight may still be placing orders; cancel only once it is done
+    if (this._stepping) await this._stepping.catch(() => {});
+    if (!this.isRunning()) return; // that step stopped the grid out
+    if (cancelOrders) await this._cancelAll();
+    this._halt();
+    console.log(`[GridStrategy] Stopped ${this.config.symbol}`);
+    this.emit('stopped', this.getStatus());
+  }
+
+  getStatus() {
+    const { symbol, exchange, lower, upper, spacing, quantity, stopLossPrice, takeProfitPrice } = this.config;
+    return {
+      running: this.isRunning(),
+      exchange,
+      symbol,
+      lower,
+      upper,
+      spacing,
+      quantity,
+      stopLossPrice,
+      takeProfitPrice,
+      levels: this.levels,
+      openOrders: [...this._orders.values()].map(o => ({ ...o })).sort((a, b) => a.level - b.level),
+      inventory: this.inventory,
+      unrealizedPnl: this.lastPrice != null ? this.inventory * this.lastPrice - this.inventoryCost : 0,
+      roundTrips: this.roundTripCount,
+      gridProfit: this.gridProfit,
+      fees: this.fees,
+      stopOut: this.stopOut,
+      lastPrice: this.lastPrice,
+      startedAt: this.startedAt,
+    };
+  }
+
+  /** Latest completed round trips, oldest first. */
+  getRoundTrips() {
+    return this._roundTrips.map(t => ({ ...t }));
+  }
+
+  /**
+   * Place one ladder order. A placement that errors may still have reached
+   * the exchange, so it is never retried blindly: the next step adopts a
+   * matching open order or, finding none, places it again. Failures are
+   * reported once.
+   */
+  async _place(spec, time) {
+    const { level, side } = spec;
+    const { symbol, quantity } = this.config;
+    const price = this.levels[level];
+    try {
+      const order = await this.adapter.createLimitOrder(symbol, side, quantity, price);
+      this._track(order.orderId, spec, time);
+    } catch (err) {
+      const failures = (spec.failures || 0) + 1;
+      this._unplaced.push({ ...spec, failures, unconfirmed: true });
+      if (failures === 1) {
+        console.warn(`[GridStrategy] ${side} ${quantity} ${symbol} @ ${price} failed:`, err.message);
+        this.emit('error', { message: `${side} @ ${price}: ${err.message}`, level });
+      }
+    }
+  }
+
+  _track(orderId, { level, side, buyPrice = null, buyFee = 0 }, time) {
+    const { quantity } = this.config;
+    this._orders.set(orderId, { orderId, level, side, price: this.levels[level], quantity, buyPrice, buyFee, placedAt: time });
+  }
+
+  /** Untracked open order on the spec's level (within half a gap) with its side and size. */
+  _matchOpen(open, { level, side }) {
+    const { quantity } = this.config;
+    const price = this.levels[level];
+    const gap = Math.min(...[this.levels[level - 1], this.levels[level + 1]]
+      .filter(p => p != null)
+      .map(p => Math.abs(p - price)));
+    return open.find(o => o.side === side
+      && !this._orders.has(o.orderId)
+      && Math.abs(o.price - price) < gap / 2
+      && Math.abs(o.origQty - quantity) <= quantity * 0.01) || null;
+  }
+
+  /** Market order, re-read once when the exchange only acknowledged it. */
+  async _marketOrder(side, quantity) {
+    const { symbol } = this.config;
+    const order = await this.adapter.createMarketOrder(symbol, side, quantity);
+    return order.status === 'FILLED' ? order : this.adapter.getOrderStatus(symbol, order.orderId);
+  }
+
+  async _onFill(order, status, time) {
+    const fill = this._bookFill(order, status, time);
+    if (order.side === 'BUY') await this._place({ level: order.level + 1, side: 'SELL', buyPrice: fill.price, buyFee: fill.fee }, time);
+    else await this._place({ level: order.level - 1, side: 'BUY' }, time);
+  }
+
+  /**
+   * Book what an order executed (all of it once FILLED, else its executedQty)
+   * into inventory and fees; a sell also closes a round trip on that share.
+   * Returns the fill, with the share of the buy fee a sell used up, or null
+   * when nothing executed.
+   */
+  _bookFill(order, status, time) {
+    const quantity = status.status === 'FILLED' ? order.quantity : Math.min(parseFloat(status.executedQty) || 0, order.quantity);
+    if (!(quantity > 0)) return null;
+    const price = fillPrice(status, order.price);
+    const fee = this._addFee(status, price, quantity);
+    const fill = { orderId: order.orderId, side: order.side, level: order.level, price, quantity, fee, time };
+
+    if (order.side === 'BUY') {
+      this.inventory += quantity;
+      this.inventoryCost += price * quantity;
+      this.emit('fill', fill);
+      return fill;
+    }
+
+    const buyFee = order.buyFee * (quantity / order.quantity);
+    this.inventory -= quantity;
+    this.inventoryCost -= order.buyPrice * quantity;
+    const profit = (price - order.buyPrice) * quantity - buyFee - fee;
+    const trip = { buyPrice: order.buyPrice, sellPrice: price, quantity, profit, level: order.level, time };
+    this.gridProfit += profit;
+    this.roundTripCount++;
+    this._roundTrips.push(trip);
+    if (this._roundTrips.length > MAX_ROUND_TRIPS) this._roundTrips.shift();
+    this.emit('fill', { ...fill, pnl: profit });
+    this.emit('roundTrip', trip);
+    return { ...fill, buyFee };
+  }
+
+  async _stopOut(reason, price, time) {
+    const { symbol, closeOnStop } = this.config;
+    console.log(`[GridStrategy] ${symbol} ${reason} at ${price}`);
+    await this._cancelAll(time);
+
+    let exit = null;
+    if (closeOnStop && this.inventory > 0) {
+      try {
+        const order = await this._marketOrder('SELL', this.inventory);
+        const exitPrice = fillPrice(order, price);
+        const fee = this._addFee(order, exitPrice, this.inventory);
+        exit = { price: exitPrice, quantity: this.inventory, fee, pnl: exitPrice * this.inventory - fee - this.inventoryCost };
+        this.emit('fill', { orderId: order.orderId, side: 'SELL', level: null, stopOut: reason, ...exit, time });
+        this.inventory = 0;
+        this.inventoryCost = 0;
+      } catch (err) {
+        this.emit('error', { message: `Stop-out sell failed: ${err.message}` });
+      }
+    }
+
+    this.stopOut = { reason, price, time, exit };
+    this._halt(exit?.pnl ?? 0);
+    this.emit('stopped', this.getStatus());
+  }
+
+  async _cancelAll(time = Date.now()) {
+    const { symbol } = this.config;
+    for (const order of [...this._orders.values()]) {
+      let cancelled = false;
+      try {
+        await this.adapter.cancelOrder(symbol, order.orderId);
+        cancelled = true;
+      } catch (err) {
+        console.warn(`[GridStrategy] Could not cancel ${order.orderId}:`, err.message);
+      }
+      // The order may have filled, in full or in part, before the cancel landed
+      let status = null;
+      try {
+        status = await this.adapter.getOrderStatus(symbol, order.orderId);
+      } catch (err) {
+        console.warn(`[GridStrategy] Could not read ${order.orderId} after cancelling:`, err.message);
+      }
+      const done = status && (status.status === 'FILLED' || CLOSED_STATUSES.includes(status.status));
+      if (!cancelled && !done) continue;
+      this._orders.delete(order.orderId);
+      if (done) this._bookFill(order, status, time);
+    }
+    // Placements that errored may be resting all the same
+    const unconfirmed = this._unplaced.filter(spec => spec.unconfirmed);
+    if (unconfirmed.length) {
+      try {
+        const open = await this.adapter.getOpenOrders(symbol);
+        for (const spec of unconfirmed) {
+          const match = this._matchOpen(open, spec);
+          if (match) await this.adapter.cancelOrder(symbol, match.orderId);
+        }
+      } catch (err) {
+        console.warn(`[GridStrategy] Could not clear unconfirmed ${symbol} orders:`, err.message);
+      }
+    }
+    this._unplaced = [];
+  }
+
+  _halt(exitPnl = 0) {
+    clearInterval(this._timer);
+    this._timer = null;
+    if (this.isRunning()) {
+      this.riskManager?.recordClose(this._positionId, this.gridProfit + exitPnl);
+      super.stop();
+    }
+  }
+
+  /**
+   * Fee of a fill in the quote asset: as reported by the exchange when it says
+   * (a base-asset fee is valued at the fill price), else estimated from feeRate.
+   */
+  _addFee(status, price, quantity) {
+    const [base, quote] = this.config.symbol.split('/');
+    const { fee = null, feeAsset = null } = status || {};
+    let charged = price * quantity * this.config.feeRate;
+    if (fee != null && (!feeAsset || feeAsset === quote)) charged = fee;
+    else if (fee != null && feeAsset === base) charged = fee * price;
+    this.fees += charged;
+    return charged;
+  }
+}
+
+module.exports = {
+  GridStrategy,
+  gridLevels,
+  validateGridConfig,
+  resolveGridConfig,
+  DEFAULT_GRID,
+};
@@ -0,0 +1,52 @@
+// NeutronTrader - Shared-budget allocation for multi-pair bots
+//
+// A multi-pair bot evaluates one strategy across several pairs per tick and
+// funds BUYs from a single USDT budget. When the budget cannot cover every
+// BUY, signals are ranked and funded in order; each pair is also capped.
+
+const MIN_ORDER_USDT = 10;
+
+/**
+ * Order BUY signals by priority:
+ *   1. higher confidence (composed configs report rule agreement)
+ *   2. lower existing exposure in that pair (spread the budget)
+ *   3. position in the configured pair list
+ */
+function rankBuySignals(signals, exposureBySymbol = {}, symbolOrder = []) {
+  const order = sym => {
+    const idx = symbolOrder.indexOf(sym);
+    return idx === -1 ? Infinity : idx;
+  };
+  return [...signals].sort((a, b) =>
+    (b.confidence ?? 0) - (a.confidence ?? 0) ||
+    (exposureBySymbol[a.symbol] || 0) - (exposureBySymbol[b.symbol] || 0) ||
+    order(a.symbol) - order(b.symbol)
+  );
+}
+
+/**
+ * Split the remaining budget across ranked BUY signals.
+ * Returns [{ ...signal, allocationUSDT, skipped, reason }] in ranked order;
+ * skipped entries carry allocationUSDT 0 and the reason they were not funded.
+ */
+function allocateBuys(signals, { budgetUSDT, perPairCapUSDT, exposureBySymbol = {}, symbolOrder = [], minOrderUSDT = MIN_ORDER_USDT }) {
+  const committed = Object.values(exposureBySymbol).reduce((s, v) => s + v, 0);
+  let remaining = Math.max(0, budgetUSDT - committed);
+
+  return rankBuySignals(signals, exposureBySymbol, symbolOrder).map(signal => {
+    const headroom = Math.max(0, perPairCapUSDT - (exposureBySymbol[signal.symbol] || 0));
+    const allocationUSDT = Math.min(headroom, remaining);
+
+    if (headroom < minOrderUSDT) {
+      return { ...signal, allocationUSDT: 0, skipped: true, reason: `Per-pair cap ${perPairCapUSDT} USDT reached` };
+    }
+    if (allocationUSDT < minOrderUSDT) {
+      return { ...signal, allocationUSDT: 0, skipped: true, reason: `Shared budget exhausted (${remaining.toFixed(2)} USDT left)` };
+    }
+
+    remaining -= allocationUSDT;
+    return { ...signal, allocationUSDT, skipped: false };
+  });
+}
+
+module.exports = { rankBuySignals, allocateBuys, MIN_ORDER_USDT };
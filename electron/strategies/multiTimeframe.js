@@ -0,0 +1,174 @@
+// NeutronTrader - Multi-timeframe composed strategies
+//
+// A composed rule may carry its own `interval` (expression series take an
+// `@interval` suffix: ema(50)@4h); rules without one run on the bot's or
+// backtest's interval, the base. Other timeframes must be at least the base
+// interval and are aligned without look-ahead: at a base bar, a rule sees only
+// the bars of its timeframe that had closed when that base bar closed, so the
+// 4h bar opening 08:00 becomes visible to a 15m run at the bar closing 12:00.
+//
+// executeComposedStrategy takes the aligned candles as
+// { interval: base, series: { [interval]: candles } }.
+
+const { intervalToMs } = require('../candleLoader');
+const { strategyCandleWindow } = require('./technicalStrategies');
+
+const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+const barEnd = (candle, ms) => Number(candle.openTime) + ms;
+
+/** Every rule interval of a composed config, with a label for error messages. */
+function ruleIntervals(config) {
+  if (config?.combineMode === 'EXPRESSION') {
+    // Required lazily: ruleExpressions imports TIMEFRAMES from this module
+    return Object.keys(require('./ruleExpressions').ruleSetTimeframes(config)).map(interval => ({ interval, label: `@${interval}` }));
+  }
+  return (config?.rules || [])
+    .map((rule, idx) => ({ interval: rule.interval, label: `Rule ${idx + 1}` }))
+    .filter(r => r.interval);
+}
+
+/** Problems with a composed config's rule intervals against the run's base interval. */
+function checkTimeframes(config, baseInterval) {
+  const errors = [];
+  const baseMs = intervalToMs(baseInterval);
+  for (const { interval, label } of ruleIntervals(config)) {
+    if (!TIMEFRAMES.includes(interval)) {
+      errors.push(`${label}: interval "${interval}" must be one of ${TIMEFRAMES.join(', ')}`);
+    } else if (intervalToMs(interval) < baseMs) {
+      errors.push(`${label}: ${interval} is shorter than the ${baseInterval} base interval — rule timeframes must be the base interval or higher`);
+    }
+  }
+  return errors;
+}
+
+/** Intervals a composed config uses besides `baseInterval`, with the bars each one needs. */
+function requiredTimeframes(config, baseInterval) {
+  const needed = {};
+  const add = (interval, bars) => {
+    if (interval && interval !== baseInterval) needed[interval] = Math.max(needed[interval] || 0, bars);
+  };
+  if (config?.combineMode === 'EXPRESSION') {
+    for (const [interval, bars] of Object.entries(require('./ruleExpressions').ruleSetTimeframes(config))) add(interval, bars);
+  } else {
+    for (const rule of config?.rules || []) add(rule.interval, strategyCandleWindow(rule.strategy));
+  }
+  return needed;
+}
+
+/** How many of `candles` (oldest first) had closed by `asOf`. */
+function closedCount(candles, intervalMs, asOf) {
+  let lo = 0;
+  let hi = candles.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (barEnd(candles[mid], intervalMs) <= asOf) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Live alignment: each series cut to the bars closed by `asOf` (drops the forming bar). */
+function closedTimeframes(series, asOf) {
+  return Object.fromEntries(Object.entries(series).map(([interval, candles]) =>
+    [interval, candles.slice(0, closedCount(candles, intervalToMs(interval), asOf))]));
+}
+
+/**
+ * Backtest alignment. at(asOf) returns every series cut to the bars closed by
+ * `asOf`; asOf must not decrease between calls, and slices are reused while a
+ * timeframe has no newly closed bar.
+ */
+class TimeframeCursor {
+  constructor(series = {}) {
+    this.entries = Object.entries(series).map(([interval, candles]) => ({
+      interval, candles, ms: intervalToMs(interval), count: -1, slice: null,
+    }));
+  }
+
+  get empty() {
+    return this.entries.length === 0;
+  }
+
+  at(asOf) {
+    const out = {};
+    for (const entry of this.entries) {
+      let count = Math.max(0, entry.count);
+      while (count < entry.candles.length && barEnd(entry.candles[count], entry.ms) <= asOf) count++;
+      if (count !== entry.count) {
+        entry.count = count;
+        entry.slice = entry.candles.slice(0, count);
+      }
+      out[entry.interval] = entry.slice;
+    }
+    return out;
+  }
+}
+
+/**
+ * Aggregate base candles into `interval` bars on UTC boundaries (for CSV
+ * datasets, which hold one interval). A leading bucket the data starts part
+ * way into is dropped; its bar would miss the open and part of the range.
+ */
+function resampleCandles(candles, interval) {
+  const ms = intervalToMs(interval);
+  const out = [];
+  for (const c of candles) {
+    const openTime = Math.floor(Number(c.openTime) / ms) * ms;
+    const bar = out[out.length - 1];
+    if (!bar || bar.openTime !== openTime) {
+      out.push({
+        openTime,
+        open: parseFloat(c.open),
+        high: parseFloat(c.high),
+        low: parseFloat(c.low),
+        close: parseFloat(c.close),
+        volume: parseFloat(c.volume),
+        closeTime: openTime + ms - 1,
+      });
+    } else {
+      bar.high = Math.max(bar.high, parseFloat(c.high));
+      bar.low = Math.min(bar.low, parseFloat(c.low));
+      bar.close = parseFloat(c.close);
+      bar.volume += parseFloat(c.volume);
+    }
+  }
+  if (out.length && Number(candles[0].openTime) !== out[0].openTime) out.shift();
+  return out;
+}
+
+/**
+ * Candles for every extra timeframe of a composed backtest config, covering the
+ * base range plus each rule's warmup. Datasets are resampled from `baseCandles`.
+ * @returns {Promise<object>} { [interval]: candles }, empty for single-timeframe runs
+ */
+async function loadTimeframes(getCandles, config, baseCandles) {
+  if (config.strategy !== 'composed' || !config.composedConfig) return {};
+  const baseInterval = config.interval || '1h';
+  const errors = checkTimeframes(config.composedConfig, baseInterval);
+  if (errors.length) throw new Error(errors.join('; '));
+
+  const series = {};
+  for (const [interval, bars] of Object.entries(requiredTimeframes(config.composedConfig, baseInterval))) {
+    if (config.datasetId) {
+      series[interval] = resampleCandles(baseCandles, interval);
+      continue;
+    }
+    const loaded = await getCandles(config.exchange || 'binance', config.symbol, interval, {
+      startTime: Number(baseCandles[0].openTime) - bars * intervalToMs(interval),
+      endTime: barEnd(baseCandles[baseCandles.length - 1], intervalToMs(baseInterval)),
+    });
+    series[interval] = (Array.isArray(loaded) ? loaded : loaded?.candles) || [];
+  }
+  return series;
+}
+
+module.exports = {
+  TIMEFRAMES,
+  checkTimeframes,
+  requiredTimeframes,
+  closedTimeframes,
+  TimeframeCursor,
+  resampleCandles,
+  loadTimeframes,
+};
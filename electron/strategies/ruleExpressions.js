@@ -0,0 +1,852 @@
+// NeutronTrader - Rule expressions for composed strategies
+//
+// A composed config with combineMode 'EXPRESSION' carries an `entry` and an
+// optional `exit` rule instead of indicator rules:
+//
+//   entry: rsi(14) < 30 AND close > ema(200)
+//   exit:  (rsi(14) > 70 OR close crosses_below ema(50)) AND NOT volume < avgVolume(20)
+//
+// Grammar, loosest binding first:
+//   OR / ||  ·  AND / &&  ·  NOT / !  ·  < <= > >= == !=  crosses_above  crosses_below
+//   + -  ·  * /  ·  unary -  ·  number | true | false | series[lookback]@interval | ( expr )
+// A series is a price field (close, high, ...) or an indicator call with numeric
+// arguments (ema(200), bbLower(20, 2)); `[n]` reads it n bars back. `@4h` reads
+// it from closed 4h candles instead of the run's own interval, and its `[n]`
+// and crosses count 4h bars (see multiTimeframe.js). `a crosses_above b`
+// (also `crosses above`) means a > b on this bar and a <= b on the previous one.
+//
+// The entry rule produces BUY and the exit rule SELL, so bots, backtests and
+// the optimizer run expression configs through executeComposedStrategy unchanged.
+
+const {
+  calculateSMA, calculateEMA, calculateRSI, calculateATR, calculateADX, calculateSupertrend, priceRange, CANDLE_WINDOW,
+} = require('./technicalStrategies');
+const { TIMEFRAMES } = require('./multiTimeframe');
+
+// Longest history a rule may need: exchanges return at most 1000 klines per request
+const MAX_RULE_BARS = 1000;
+
+class RuleSyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'RuleSyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const num = v => parseFloat(v);
+const closesOf = candles => candles.map(c => num(c.close));
+const last = values => (values.length ? values[values.length - 1] : null);
+
+function bollinger(candles, period, multiplier) {
+  if (candles.length < period) return null;
+  const slice = closesOf(candles.slice(-period));
+  const mean = slice.reduce((a, b) => a + b, 0) / period;
+  const stdDev = Math.sqrt(slice.reduce((sum, p) => sum + (p - mean) ** 2, 0) / period);
+  return { upper: mean + multiplier * stdDev, middle: mean, lower: mean - multiplier * stdDev };
+}
+
+function macd(candles, fastPeriod, slowPeriod, signalPeriod) {
+  const closes = closesOf(candles);
+  const fast = calculateEMA(closes, fastPeriod);
+  const slow = calculateEMA(closes, slowPeriod);
+  if (!slow.length) return null;
+  const offset = slowPeriod - fastPeriod;
+  const line = slow.map((s, i) => fast[i + offset] - s);
+  const signal = signalPeriod ? calculateEMA(line, signalPeriod) : [];
+  return { line: last(line), signal: last(signal) };
+}
+
+function stochasticK(candles, kPeriod, end = candles.length) {
+  const { high, low } = priceRange(candles, end - kPeriod, end);
+  return high === low ? 50 : ((num(candles[end - 1].close) - low) / (high - low)) * 100;
+}
+
+// Each field or function: args (name, default; no default = required),
+// bars(args) = candles needed for a value, value(candles, args) = number or null.
+const FIELDS = {
+  open: c => num(c.open),
+  high: c => num(c.high),
+  low: c => num(c.low),
+  close: c => num(c.close),
+  volume: c => num(c.volume),
+  hl2: c => (num(c.high) + num(c.low)) / 2,
+  hlc3: c => (num(c.high) + num(c.low) + num(c.close)) / 3,
+};
+
+const FUNCTIONS = {
+  sma: {
+    args: [['period']],
+    bars: ([n]) => n,
+    value: (candles, [n]) => last(calculateSMA(closesOf(candles.slice(-n)), n)),
+  },
+  ema: {
+    args: [['period']],
+    bars: ([n]) => n,
+    value: (candles, [n]) => last(calculateEMA(closesOf(candles), n)),
+  },
+  rsi: {
+    args: [['period', 14]],
+    bars: ([n]) => n + 1,
+    value: (candles, [n]) => calculateRSI(closesOf(candles), n),
+  },
+  atr: {
+    args: [['period', 14]],
+    bars: ([n]) => n + 1,
+    value: (candles, [n]) => last(calculateATR(candles, n)),
+  },
+  adx: {
+    args: [['period', 14]],
+    bars: ([n]) => 2 * n + 1,
+    value: (candles, [n]) => calculateADX(candles, n)?.adx ?? null,
+  },
+  plusDi: {
+    args: [['period', 14]],
+    bars: ([n]) => 2 * n + 1,
+    value: (candles, [n]) => calculateADX(candles, n)?.plusDI ?? null,
+  },
+  minusDi: {
+    args: [['period', 14]],
+    bars: ([n]) => 2 * n + 1,
+    value: (candles, [n]) => calculateADX(candles, n)?.minusDI ?? null,
+  },
+  stochK: {
+    args: [['kPeriod', 14]],
+    bars: ([k]) => k,
+    value: (candles, [k]) => (candles.length < k ? null : stochasticK(candles, k)),
+  },
+  stochD: {
+    args: [['kPeriod', 14], ['dPeriod', 3]],
+    bars: ([k, d]) => k + d - 1,
+    value: (candles, [k, d]) => {
+      if (candles.length < k + d - 1) return null;
+      let sum = 0;
+      for (let end = candles.length - d + 1; end <= candles.length; end++) sum += stochasticK(candles, k, end);
+      return sum / d;
+    },
+  },
+  macd: {
+    args: [['fastPeriod', 12], ['slowPeriod', 26]],
+    bars: ([, slow]) => slow,
+    value: (candles, [fast, slow]) => macd(candles, fast, slow, 0)?.line ?? null,
+  },
+  macdSignal: {
+    args: [['fastPeriod', 12], ['slowPeriod', 26], ['signalPeriod', 9]],
+    bars: ([, slow, signal]) => slow + signal - 1,
+    value: (candles, [fast, slow, signal]) => macd(candles, fast, slow, signal)?.signal ?? null,
+  },
+  macdHist: {
+    args: [['fastPeriod', 12], ['slowPeriod', 26], ['signalPeriod', 9]],
+    bars: ([, slow, signal]) => slow + signal - 1,
+    value: (candles, [fast, slow, signal]) => {
+      const m = macd(candles, fast, slow, signal);
+      return m?.signal == null ? null : m.line - m.signal;
+    },
+  },
+  bbUpper: {
+    args: [['period', 20], ['stdDevMultiplier', 2]],
+    bars: ([n]) => n,
+    value: (candles, [n, mult]) => bollinger(candles, n, mult)?.upper ?? null,
+  },
+  bbMiddle: {
+    args: [['period', 20]],
+    bars: ([n]) => n,
+    value: (candles, [n]) => bollinger(candles, n, 0)?.middle ?? null,
+  },
+  bbLower: {
+    args: [['period', 20], ['stdDevMultiplier', 2]],
+    bars: ([n]) => n,
+    value: (candles, [n, mult]) => bollinger(candles, n, mult)?.lower ?? null,
+  },
+  vwap: {
+    args: [['period', 20]],
+    bars: ([n]) => n,
+    value: (candles, [n]) => {
+      if (candles.length < n) return null;
+      let pv = 0;
+      let volume = 0;
+      for (const c of candles.slice(-n)) {
+        pv += FIELDS.hlc3(c) * num(c.volume);
+        volume += num(c.volume);
+      }
+      return volume > 0 ? pv / volume : null;
+    },
+  },
+  obv: {
+    args: [],
+    bars: () => 2,
+    value: candles => {
+      let obv = 0;
+      for (let i = 1; i < candles.length; i++) {
+        obv += Math.sign(num(candles[i].close) - num(candles[i - 1].close)) * num(candles[i].volume);
+      }
+      return obv;
+    },
+  },
+  highest: {
+    args: [['period']],
+    bars: ([n]) => n,
+    value: (candles, [n]) => (candles.length < n ? null : priceRange(candles, candles.length - n, candles.length).high),
+  },
+  lowest: {
+    args: [['period']],
+    bars: ([n]) => n,
+    value: (candles, [n]) => (candles.length < n ? null : priceRange(candles, candles.length - n, candles.length).low),
+  },
+  avgVolume: {
+    args: [['period']],
+    bars: ([n]) => n,
+    value: (candles, [n]) => (candles.length < n
+      ? null
+      : candles.slice(-n).reduce((s, c) => s + num(c.volume), 0) / n),
+  },
+  supertrend: {
+    args: [['period', 10], ['multiplier', 3]],
+    bars: ([n]) => n + 1,
+    value: (candles, [n, mult]) => last(calculateSupertrend(candles, n, mult))?.level ?? null,
+  },
+};
+
+// Arguments that are not bar counts; everything else must be a whole number >= 1
+const RATIO_ARGS = new Set(['stdDevMultiplier', 'multiplier']);
+
+// Names are matched case-insensitively: EMA(20), ema(20) and Ema(20) are the same call
+const NAMES = new Map([...Object.keys(FIELDS), ...Object.keys(FUNCTIONS)].map(n => [n.toLowerCase(), n]));
+
+// ---- Tokenizer ----
+
+const WORD_OPERATORS = {
+  and: 'AND', or: 'OR', not: 'NOT', true: 'TRUE', false: 'FALSE',
+  crosses_above: 'CROSSES_ABOVE', crosses_below: 'CROSSES_BELOW', crosses: 'CROSSES',
+};
+const SYMBOLS = ['<=', '>=', '==', '!=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '(', ')', '[', ']', ','];
+const SYMBOL_ALIASES = { '&&': 'AND', '||': 'OR', '!': 'NOT' };
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(i));
+      if (!match) throw new RuleSyntaxError(`Unexpected "${ch}"`, i, i + 1);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: parseFloat(match[0]), text: match[0], start, end: i });
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+      i += word.length;
+      const op = WORD_OPERATORS[word.toLowerCase()];
+      tokens.push(op ? { type: 'op', value: op, text: word, start, end: i } : { type: 'name', value: word, text: word, start, end: i });
+      continue;
+    }
+    if (ch === '@') {
+      const match = /^@(\d+[A-Za-z])/.exec(source.slice(i));
+      if (!match) throw new RuleSyntaxError('Expected an interval after "@" (e.g. @4h)', i, i + 1);
+      i += match[0].length;
+      tokens.push({ type: 'timeframe', value: match[1], text: match[0], start, end: i });
+      continue;
+    }
+    const symbol = SYMBOLS.find(s => source.startsWith(s, i));
+    if (!symbol) throw new RuleSyntaxError(`Unexpected character "${ch}"`, i, i + 1);
+    i += symbol.length;
+    tokens.push({ type: 'op', value: SYMBOL_ALIASES[symbol] || symbol, text: symbol, start, end: i });
+  }
+  tokens.push({ type: 'end', value: null, text: 'end of rule', start: source.length, end: source.length });
+  return tokens;
+}
+
+// ---- Parser (recursive descent; every node keeps its [start, end) span) ----
+
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.tokens[this.pos + offset];
+    return token?.type === 'op' && token.value === value;
+  }
+
+  expectOp(value, context) {
+    const token = this.peek();
+    if (!this.isOp(value)) throw unexpected(token, `expected "${value}" ${context}`);
+    return this.next();
+  }
+
+  parse() {
+    if (this.peek().type === 'end') throw new RuleSyntaxError('Rule is empty', 0, 0);
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') throw unexpected(token, 'expected AND, OR or the end of the rule');
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isOp('OR')) {
+      this.next();
+      const right = this.parseAnd();
+      left = { type: 'logical', op: 'OR', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isOp('AND')) {
+      this.next();
+      const right = this.parseNot();
+      left = { type: 'logical', op: 'AND', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (!this.isOp('NOT')) return this.parseComparison();
+    const token = this.next();
+    const operand = this.parseNot();
+    return { type: 'not', operand, start: token.start, end: operand.end };
+  }
+
+  /** Comparison or cross operator at the cursor (consumed), or null. */
+  takeComparison() {
+    const token = this.peek();
+    if (token.type !== 'op') return null;
+    if (COMPARISONS.includes(token.value)) return { op: this.next().value, token };
+    if (token.value === 'CROSSES_ABOVE' || token.value === 'CROSSES_BELOW') {
+      this.next();
+      return { op: token.value === 'CROSSES_ABOVE' ? 'above' : 'below', cross: true, token };
+    }
+    if (token.value === 'CROSSES') {
+      this.next();
+      const direction = this.peek();
+      const word = direction.type === 'name' ? direction.value.toLowerCase() : null;
+      if (word !== 'above' && word !== 'below') throw unexpected(direction, 'expected "above" or "below" after "crosses"');
+      this.next();
+      return { op: word, cross: true, token };
+    }
+    return null;
+  }
+
+  parseComparison() {
+    const left = this.parseSum();
+    const comparison = this.takeComparison();
+    if (!comparison) return left;
+    const right = this.parseSum();
+    const node = comparison.cross
+      ? { type: 'cross', direction: comparison.op, left, right, start: left.start, end: right.end }
+      : { type: 'compare', op: comparison.op, left, right, start: left.start, end: right.end };
+    const chained = this.peek();
+    if (this.takeComparison()) {
+      throw new RuleSyntaxError('Comparisons cannot be chained — join them with AND', chained.start, chained.end);
+    }
+    return node;
+  }
+
+  parseSum() {
+    let left = this.parseProduct();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      const right = this.parseProduct();
+      left = { type: 'arithmetic', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseProduct() {
+    let left = this.parseUnary();
+    while (this.isOp('*') || this.isOp('/')) {
+      const op = this.next().value;
+      const right = this.parseUnary();
+      left = { type: 'arithmetic', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (!this.isOp('-')) return this.parsePrimary();
+    const token = this.next();
+    const operand = this.parseUnary();
+    // Fold literals so "-1" stays a number (lookbacks and arguments need literals)
+    if (operand.type === 'number') return { ...operand, value: -operand.value, start: token.start };
+    return { type: 'negate', operand, start: token.start, end: operand.end };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'number', value: token.value, start: token.start, end: token.end };
+    }
+    if (this.isOp('TRUE') || this.isOp('FALSE')) {
+      this.next();
+      return { type: 'boolean', value: token.value === 'TRUE', start: token.start, end: token.end };
+    }
+    if (this.isOp('(')) {
+      this.next();
+      const inner = this.parseOr();
+      const close = this.expectOp(')', 'to close the group');
+      return { ...inner, start: token.start, end: close.end };
+    }
+    if (token.type === 'name') return this.parseSeries();
+    throw unexpected(token, 'expected a number, price field or indicator');
+  }
+
+  parseSeries() {
+    const token = this.next();
+    const node = {
+      type: 'series', name: token.value, args: null, lookback: null, interval: null, start: token.start, end: token.end, nameEnd: token.end,
+    };
+    if (this.isOp('(')) {
+      this.next();
+      node.args = [];
+      if (!this.isOp(')')) {
+        node.args.push(this.parseSum());
+        while (this.isOp(',')) {
+          this.next();
+          node.args.push(this.parseSum());
+        }
+      }
+      node.end = this.expectOp(')', `to close ${token.value}(…)`).end;
+    }
+    // Lookback and interval suffixes, in either order: close[1]@4h or close@4h[1]
+    for (;;) {
+      if (this.isOp('[') && !node.lookback) {
+        this.next();
+        node.lookback = this.parseUnary();
+        node.end = this.expectOp(']', 'after the lookback').end;
+      } else if (this.peek().type === 'timeframe' && !node.interval) {
+        const tf = this.next();
+        node.interval = { value: tf.value, start: tf.start, end: tf.end };
+        node.end = tf.end;
+      } else {
+        return node;
+      }
+    }
+  }
+}
+
+function unexpected(token, expectation) {
+  const found = token.type === 'end' ? 'end of rule' : `"${token.text}"`;
+  return new RuleSyntaxError(`Unexpected ${found} — ${expectation}`, token.start, Math.max(token.end, token.start + 1));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestName(name) {
+  const lower = name.toLowerCase();
+  let best = null;
+  for (const [key, canonical] of NAMES) {
+    const distance = editDistance(lower, key);
+    if (distance <= 2 && (!best || distance < best.distance)) best = { canonical, distance };
+  }
+  return best ? ` — did you mean "${best.canonical}"?` : '';
+}
+
+// ---- Validation (types, arity, arguments, warmup) ----
+
+/**
+ * Type-check a parsed rule. Resolves series names and argument values onto the
+ * nodes in place, and returns { errors: [{ message, start, end }], bars, timeframes }
+ * where `bars` is the history the rule needs on the run's interval, cross
+ * operators and lookbacks included, and `timeframes` the same for each `@interval`.
+ */
+function checkRule(ast) {
+  const errors = [];
+  const fail = (node, message) => errors.push({ message, start: node.start, end: Math.max(node.end, node.start + 1) });
+  let bars = 1;
+  const timeframes = {};
+
+  const check = (node, extraBars) => {
+    switch (node.type) {
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'condition';
+      case 'negate':
+        if (check(node.operand, extraBars) !== 'number') fail(node.operand, 'Only numbers can be negated');
+        return 'number';
+      case 'arithmetic':
+        for (const side of [node.left, node.right]) {
+          if (check(side, extraBars) !== 'number') fail(side, `"${node.op}" needs a number on each side, not a condition`);
+        }
+        return 'number';
+      case 'compare':
+      case 'cross': {
+        const shift = node.type === 'cross' ? 1 : 0;
+        const label = node.type === 'cross' ? `crosses_${node.direction}` : `"${node.op}"`;
+        for (const side of [node.left, node.right]) {
+          if (check(side, extraBars + shift) !== 'number') fail(side, `${label} compares numbers — this side is a condition`);
+        }
+        return 'condition';
+      }
+      case 'logical':
+        for (const side of [node.left, node.right]) {
+          if (check(side, extraBars) !== 'condition') {
+            fail(side, `${node.op} joins conditions — compare this value with something (e.g. "> 0")`);
+          }
+        }
+        return 'condition';
+      case 'not':
+        if (check(node.operand, extraBars) !== 'condition') fail(node.operand, 'NOT applies to a condition, not a number');
+        return 'condition';
+      case 'series':
+        checkSeries(node, extraBars);
+        return 'number';
+      default:
+        fail(node, 'Unsupported expression');
+        return 'number';
+    }
+  };
+
+  const checkSeries = (node, extraBars) => {
+    const canonical = NAMES.get(node.name.toLowerCase());
+    const nameSpan = { start: node.start, end: node.nameEnd };
+    if (!canonical) {
+      fail(nameSpan, `Unknown name "${node.name}"${suggestName(node.name)}`);
+      return;
+    }
+    node.name = canonical;
+
+    let lookback = 0;
+    if (node.lookback) {
+      const value = node.lookback.type === 'number' ? node.lookback.value : NaN;
+      if (!Number.isInteger(value) || value < 0) {
+        fail(node.lookback, 'Lookback must be a whole number of bars back, 0 or more (future bars are not available)');
+      } else {
+        lookback = value;
+      }
+    }
+    node.offset = lookback;
+
+    if (node.interval && !TIMEFRAMES.includes(node.interval.value)) {
+      fail(node.interval, `Unknown interval "@${node.interval.value}" — use one of ${TIMEFRAMES.map(tf => `@${tf}`).join(', ')}`);
+      return;
+    }
+    node.timeframe = node.interval?.value || null;
+
+    let needed;
+    if (FIELDS[canonical]) {
+      if (node.args) fail(node, `"${canonical}" is a price field and takes no arguments`);
+      needed = 1;
+    } else {
+      const def = FUNCTIONS[canonical];
+      const given = node.args || [];
+      const required = def.args.filter(a => a.length === 1).length;
+      const usage = `${canonical}(${def.args.map(([name, dflt]) => (dflt == null ? name : `${name}=${dflt}`)).join(', ')})`;
+      if (given.length < required || given.length > def.args.length) {
+        fail(node, `${usage} takes ${required === def.args.length ? required : `${required}-${def.args.length}`} argument${def.args.length === 1 ? '' : 's'}, got ${given.length}`);
+        return;
+      }
+      const values = [];
+      let ok = true;
+      def.args.forEach(([name, dflt], i) => {
+        const arg = given[i];
+        if (!arg) {
+          values.push(dflt);
+          return;
+        }
+        if (arg.type !== 'number') {
+          fail(arg, `${name} must be a number literal`);
+          ok = false;
+        } else if (RATIO_ARGS.has(name) ? !(arg.value > 0) : !(Number.isInteger(arg.value) && arg.value >= 1)) {
+          fail(arg, RATIO_ARGS.has(name) ? `${name} must be greater than 0` : `${name} must be a whole number of bars (1 or more)`);
+          ok = false;
+        }
+        values.push(arg.value);
+      });
+      if (!ok) return;
+      if (canonical.startsWith('macd') && values[0] >= values[1]) {
+        fail(node, `fastPeriod (${values[0]}) must be less than slowPeriod (${values[1]})`);
+        return;
+      }
+      node.values = values;
+      needed = def.bars(values);
+    }
+    const total = needed + lookback + extraBars;
+    if (node.timeframe) timeframes[node.timeframe] = Math.max(timeframes[node.timeframe] || 0, total);
+    else bars = Math.max(bars, total);
+  };
+
+  if (check(ast, 0) !== 'condition') {
+    fail(ast, 'A rule must be a condition (e.g. close > ema(50)), not just a value');
+  }
+  return { errors, bars, timeframes };
+}
+
+/** Line and column (both 1-based) of a character offset. */
+function locate(source, offset) {
+  const before = source.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function withLocation(source, error) {
+  return { ...error, ...locate(source, error.start) };
+}
+
+/** Syntax tree of one rule; throws RuleSyntaxError with the offending [start, end) span. */
+function parseRule(source) {
+  return new Parser(String(source ?? '')).parse();
+}
+
+/**
+ * Parse and check one rule.
+ * @returns {{ valid, errors: [{ message, start, end, line, column }], bars, timeframes, ast }}
+ */
+function validateRuleExpression(source, { maxBars = MAX_RULE_BARS } = {}) {
+  const text = String(source ?? '');
+  let ast;
+  try {
+    ast = parseRule(text);
+  } catch (err) {
+    if (!(err instanceof RuleSyntaxError)) throw err;
+    return {
+      valid: false, errors: [withLocation(text, { message: err.message, start: err.start, end: err.end })], bars: null, timeframes: null, ast: null,
+    };
+  }
+  const { errors, bars, timeframes } = checkRule(ast);
+  if (!errors.length) {
+    for (const [interval, needed] of [['', bars], ...Object.entries(timeframes)]) {
+      if (needed <= maxBars) continue;
+      errors.push({
+        message: `Rule needs ${needed}${interval && ` ${interval}`} bars of history but at most ${maxBars} can be loaded — it would never trigger in a live bot`,
+        start: 0,
+        end: text.length,
+      });
+    }
+  }
+  return { valid: errors.length === 0, errors: errors.map(e => withLocation(text, e)), bars, timeframes, ast };
+}
+
+const RULE_SIDES = [['entry', 'Entry'], ['exit', 'Exit']];
+
+/**
+ * Check a composed config's entry (required) and exit (optional) rules.
+ * @returns {Array<{ field, label, message, start, end, line, column }>}
+ */
+function validateRuleSet(config, options) {
+  const errors = [];
+  for (const [field, label] of RULE_SIDES) {
+    const source = config?.[field];
+    if (!String(source ?? '').trim()) {
+      if (field === 'entry') errors.push({ field, label, message: 'Entry rule is required', start: 0, end: 0, line: 1, column: 1 });
+      continue;
+    }
+    for (const err of validateRuleExpression(source, options).errors) errors.push({ field, label, ...err });
+  }
+  return errors;
+}
+
+/** Bars each `@interval` of `config`'s rules needs (CANDLE_WINDOW at least), by interval. */
+function ruleSetTimeframes(config) {
+  const needed = {};
+  for (const [field] of RULE_SIDES) {
+    if (!String(config?.[field] ?? '').trim()) continue;
+    const rule = compileRule(config[field]);
+    for (const [interval, bars] of Object.entries(rule.timeframes || {})) {
+      needed[interval] = Math.max(needed[interval] || CANDLE_WINDOW, Math.min(bars, MAX_RULE_BARS));
+    }
+  }
+  return needed;
+}
+
+/**
+ * Candles a live bot must load on its own `interval` for `config`'s rules: at
+ * least CANDLE_WINDOW, more for long lookbacks (series tagged @interval count too).
+ */
+function ruleSetBars(config, interval) {
+  let bars = CANDLE_WINDOW;
+  for (const [field] of RULE_SIDES) {
+    if (!String(config?.[field] ?? '').trim()) continue;
+    const rule = compileRule(config[field]);
+    for (const needed of [rule.bars, rule.timeframes?.[interval]]) {
+      if (needed) bars = Math.max(bars, Math.min(needed, MAX_RULE_BARS));
+    }
+  }
+  return bars;
+}
+
+// ---- Evaluation ----
+
+const compiled = new Map();
+const MAX_COMPILED = 200;
+
+/** Parsed and checked rule for `source`, memoized since bots and backtests evaluate the same text every bar. */
+function compileRule(source) {
+  let entry = compiled.get(source);
+  if (!entry) {
+    const result = validateRuleExpression(source, { maxBars: Infinity });
+    entry = result.valid ? { ast: result.ast, bars: result.bars, timeframes: result.timeframes } : { error: result.errors[0] };
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(source, entry);
+  }
+  return entry;
+}
+
+/**
+ * Value of a node on the bar `shift` bars before the last one. Conditions are
+ * true/false, or null when some series lacks history (null AND false is false,
+ * null OR true is true; anything else involving null stays null).
+ */
+function evaluate(node, ctx, shift = 0) {
+  switch (node.type) {
+    case 'number':
+    case 'boolean':
+      return node.value;
+    case 'negate': {
+      const v = evaluate(node.operand, ctx, shift);
+      return v == null ? null : -v;
+    }
+    case 'arithmetic': {
+      const a = evaluate(node.left, ctx, shift);
+      const b = evaluate(node.right, ctx, shift);
+      if (a == null || b == null) return null;
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      return b === 0 ? null : a / b;
+    }
+    case 'compare': {
+      const a = evaluate(node.left, ctx, shift);
+      const b = evaluate(node.right, ctx, shift);
+      if (a == null || b == null) return null;
+      switch (node.op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '==': return a === b;
+        default: return a !== b;
+      }
+    }
+    case 'cross': {
+      const a = evaluate(node.left, ctx, shift);
+      const b = evaluate(node.right, ctx, shift);
+      const prevA = evaluate(node.left, ctx, shift + 1);
+      const prevB = evaluate(node.right, ctx, shift + 1);
+      if ([a, b, prevA, prevB].some(v => v == null)) return null;
+      return node.direction === 'above' ? prevA <= prevB && a > b : prevA >= prevB && a < b;
+    }
+    case 'logical': {
+      const a = evaluate(node.left, ctx, shift);
+      if (node.op === 'AND' && a === false) return false;
+      if (node.op === 'OR' && a === true) return true;
+      const b = evaluate(node.right, ctx, shift);
+      if (node.op === 'AND') return b === false ? false : a == null || b == null ? null : true;
+      return b === true ? true : a == null || b == null ? null : false;
+    }
+    case 'not': {
+      const v = evaluate(node.operand, ctx, shift);
+      return v == null ? null : !v;
+    }
+    case 'series':
+      return seriesValue(node, ctx, shift);
+    default:
+      return null;
+  }
+}
+
+function seriesValue(node, ctx, shift) {
+  const candles = ctx.seriesFor(node.timeframe);
+  const end = candles.length - node.offset - shift;
+  if (end <= 0) return null;
+  if (FIELDS[node.name]) {
+    const value = FIELDS[node.name](candles[end - 1]);
+    return Number.isFinite(value) ? value : null;
+  }
+  const key = `${node.name}(${node.values.join(',')})${node.timeframe || ''}@${end}`;
+  if (!ctx.cache.has(key)) {
+    const window = end === candles.length ? candles : candles.slice(0, end);
+    const value = FUNCTIONS[node.name].value(window, node.values);
+    ctx.cache.set(key, Number.isFinite(value) ? value : null);
+  }
+  return ctx.cache.get(key);
+}
+
+function shorten(source, max = 80) {
+  const flat = source.replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/**
+ * Run an EXPRESSION composed config on `candles` (oldest first, last bar is
+ * the current one). BUY when only the entry rule holds, SELL when only the
+ * exit rule holds, HOLD otherwise. `timeframes` ({ interval, series }) holds
+ * the closed candles of every @interval the rules use.
+ */
+function executeRuleSet(candles, config, timeframes) {
+  const ctx = {
+    seriesFor: interval => (!interval || interval === timeframes?.interval ? candles : timeframes?.series?.[interval]),
+    cache: new Map(),
+  };
+  const results = {};
+  for (const [field, label] of RULE_SIDES) {
+    const source = String(config?.[field] ?? '');
+    if (!source.trim()) {
+      if (field === 'entry') return { action: 'HOLD', reason: 'No entry rule configured' };
+      results[field] = false;
+      continue;
+    }
+    const rule = compileRule(source);
+    if (rule.error) {
+      const { message, line, column } = rule.error;
+      return { action: 'HOLD', reason: `${label} rule invalid at line ${line}, column ${column}: ${message}` };
+    }
+    const missing = Object.keys(rule.timeframes).find(interval => !ctx.seriesFor(interval));
+    if (missing) return { action: 'HOLD', reason: `No ${missing} candles loaded for ${label.toLowerCase()} rule` };
+    results[field] = evaluate(rule.ast, ctx);
+  }
+
+  const { entry, exit } = results;
+  if (entry === true && exit === true) {
+    return { action: 'HOLD', reason: 'Entry and exit rules both matched' };
+  }
+  if (entry === true) return { action: 'BUY', reason: `Entry: ${shorten(config.entry)}`, confidence: 1 };
+  if (exit === true) return { action: 'SELL', reason: `Exit: ${shorten(config.exit)}`, confidence: 1 };
+  if (entry == null || exit == null) {
+    return { action: 'HOLD', reason: 'Insufficient data for rule expressions' };
+  }
+  return { action: 'HOLD', reason: 'Entry/exit rules not matched' };
+}
+
+module.exports = {
+  RuleSyntaxError,
+  parseRule,
+  validateRuleExpression,
+  validateRuleSet,
+  executeRuleSet,
+  ruleSetBars,
+  ruleSetTimeframes,
+  MAX_RULE_BARS,
+};
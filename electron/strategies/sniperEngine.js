@@ -121,6 +121,7 @@ class SniperEngine extends BaseStrategy {
         listing,
         result,
         dryRun: this.config.dryRun,
+        paper: !!this.config.paper,
         allocationUSDT: alloc,
         executedAt: Date.now(),
       };
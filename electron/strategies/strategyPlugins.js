@@ -0,0 +1,294 @@
+// NeutronTrader - User strategy plugins
+//
+// Every .js file in <userData>/strategies is a strategy plugin:
+//
+//   module.exports = {
+//     name: 'myBreakout',                 // strategy id used by bots, backtests and composed rules
+//     label: 'My Breakout',
+//     description: 'What it does',
+//     minCandles: 30,                     // bars needed before evaluate() is called
+//     params: [{ key: 'period', label: 'Period', default: 20, min: 2, max: 500 }],
+//     evaluate(candles, params, currentPrice) {
+//       return { action: 'BUY' | 'SELL' | 'HOLD', reason: '...', confidence: 0..1 };
+//     },
+//   };
+//
+// Plugins run in their own vm context with no require, process or host
+// objects: candles, params and signals cross the boundary as JSON strings, and
+// loading and each evaluate() call are cut off after a timeout. Evaluation is
+// synchronous on the calling thread, so a plugin that keeps timing out throws
+// after a few calls in a row, aborting the backtest (or bot check) that runs it
+// instead of blocking the main process for every bar. String eval and wasm are
+// disabled inside the context. This keeps a buggy or slow plugin from stalling
+// a bot loop; it is not a security boundary against hostile code.
+//
+// Valid plugins are registered in STRATEGY_RUNNERS and TradingBotValidator's
+// strategy list; the loader watches the folder and reloads on changes.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const vm = require('vm');
+const TradingBotValidator = require('../validators/tradingBotValidator');
+const {
+  registerStrategy, unregisterStrategy, isBuiltinStrategy, CANDLE_WINDOW,
+} = require('./technicalStrategies');
+
+const LOAD_TIMEOUT_MS = 1000;
+const EVALUATE_TIMEOUT_MS = 250;
+const MAX_TIMEOUT_STREAK = 3; // consecutive evaluate() timeouts before the caller is aborted
+const MAX_MIN_CANDLES = 1000;
+const RELOAD_DEBOUNCE_MS = 300;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{1,39}$/;
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+
+// name -> { file, code, meta } for every plugin registered in this thread;
+// optimizer workers get the same set through pluginSources()
+const registered = new Map();
+
+const isFiniteNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+/** Problems with a plugin's exported metadata, as messages; empty when valid. */
+function validatePluginMeta(meta) {
+  const errors = [];
+  if (!meta || typeof meta !== 'object') return ['module.exports must be an object'];
+
+  if (typeof meta.name !== 'string' || !NAME_PATTERN.test(meta.name)) {
+    errors.push('name must be 2-40 letters, digits or underscores, starting with a letter');
+  } else if (isBuiltinStrategy(meta.name)) {
+    errors.push(`name "${meta.name}" is a built-in strategy`);
+  }
+  if (meta.label != null && typeof meta.label !== 'string') errors.push('label must be a string');
+  if (meta.description != null && typeof meta.description !== 'string') errors.push('description must be a string');
+  if (!Number.isInteger(meta.minCandles) || meta.minCandles < 1 || meta.minCandles > MAX_MIN_CANDLES) {
+    errors.push(`minCandles must be a whole number from 1 to ${MAX_MIN_CANDLES}`);
+  }
+  if (!meta.hasEvaluate) errors.push('evaluate(candles, params, currentPrice) must be a function');
+
+  if (meta.params != null && !Array.isArray(meta.params)) {
+    errors.push('params must be an array');
+  } else {
+    const keys = new Set();
+    (meta.params || []).forEach((p, i) => {
+      const at = `params[${i}]`;
+      if (!p || typeof p !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof p.key !== 'string' || !KEY_PATTERN.test(p.key)) errors.push(`${at}.key must be an identifier`);
+      else if (keys.has(p.key)) errors.push(`${at}.key "${p.key}" is declared twice`);
+      keys.add(p.key);
+      if (p.type != null && p.type !== 'number') errors.push(`${at}.type must be "number"`);
+      if (!isFiniteNumber(p.default)) errors.push(`${at}.default must be a number`);
+      if (p.min != null && !isFiniteNumber(p.min)) errors.push(`${at}.min must be a number`);
+      if (p.max != null && !isFiniteNumber(p.max)) errors.push(`${at}.max must be a number`);
+      if (isFiniteNumber(p.default) && ((isFiniteNumber(p.min) && p.default < p.min) || (isFiniteNumber(p.max) && p.default > p.max))) {
+        errors.push(`${at}.default (${p.default}) is outside min/max`);
+      }
+    });
+  }
+  return errors;
+}
+
+/** Defaults filled in and values clamped to each param's min/max. */
+function resolveParams(schema, params = {}) {
+  const resolved = {};
+  for (const p of schema) {
+    const value = parseFloat(params[p.key]);
+    let v = Number.isFinite(value) ? value : p.default;
+    if (isFiniteNumber(p.min)) v = Math.max(p.min, v);
+    if (isFiniteNumber(p.max)) v = Math.min(p.max, v);
+    resolved[p.key] = v;
+  }
+  return resolved;
+}
+
+/** Signal returned by the plugin, reduced to plain fields the engine understands. */
+function sanitizeSignal(raw, label) {
+  if (!raw || !ACTIONS.includes(raw.action)) {
+    return { action: 'HOLD', reason: `${label} returned an invalid signal (action must be BUY, SELL or HOLD)` };
+  }
+  const signal = { action: raw.action, reason: String(raw.reason || `${label} ${raw.action}`).slice(0, 200) };
+  if (isFiniteNumber(raw.confidence)) signal.confidence = Math.min(1, Math.max(0, raw.confidence));
+  return signal;
+}
+
+/**
+ * Run a plugin's source in a fresh sandbox and check its metadata.
+ * @returns {{ meta, runner }} runner has STRATEGY_RUNNERS' signature
+ * @throws when the code fails to load, times out or exports invalid metadata
+ */
+function compilePlugin(code, file) {
+  const context = vm.createContext({}, {
+    name: `strategy-plugin:${file}`,
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  // The wrapper sits on line 1, so lineOffset keeps stack traces on the file's own lines
+  vm.runInContext(
+    `globalThis.__plugin = (function () { const module = { exports: {} };\n(function (module, exports) {${code}\n}).call(module.exports, module, module.exports);\nreturn module.exports; })();`,
+    context,
+    { filename: file, lineOffset: -1, timeout: LOAD_TIMEOUT_MS },
+  );
+  const meta = JSON.parse(vm.runInContext(
+    `JSON.stringify(__plugin && { name: __plugin.name, label: __plugin.label, description: __plugin.description,
+      minCandles: __plugin.minCandles, params: __plugin.params, hasEvaluate: typeof __plugin.evaluate === 'function' })`,
+    context,
+    { timeout: LOAD_TIMEOUT_MS },
+  ) ?? 'null');
+
+  const errors = validatePluginMeta(meta);
+  if (errors.length) throw new Error(errors.join('; '));
+
+  const label = meta.label || meta.name;
+  const params = (meta.params || []).map(p => ({ key: p.key, label: p.label || p.key, type: 'number', default: p.default, min: p.min, max: p.max }));
+  const info = { name: meta.name, label, description: meta.description || '', minCandles: meta.minCandles, params };
+  // Live bots see CANDLE_WINDOW bars; backtests pass the same window instead of the whole history
+  const windowBars = Math.max(meta.minCandles, CANDLE_WINDOW);
+  const evaluate = new vm.Script(
+    '(() => { const input = JSON.parse(__input); return JSON.stringify(__plugin.evaluate(input.candles, input.params, input.currentPrice) ?? null); })()',
+    { filename: file },
+  );
+
+  let timeoutStreak = 0;
+  const runner = (candles, runParams = {}, currentPrice) => {
+    if (candles.length < meta.minCandles) {
+      return { action: 'HOLD', reason: `Insufficient data for ${label} (${candles.length}/${meta.minCandles} bars)` };
+    }
+    context.__input = JSON.stringify({
+      candles: candles.slice(-windowBars).map(c => ({
+        openTime: c.openTime,
+        open: parseFloat(c.open),
+        high: parseFloat(c.high),
+        low: parseFloat(c.low),
+        close: parseFloat(c.close),
+        volume: parseFloat(c.volume),
+      })),
+      params: resolveParams(params, runParams),
+      currentPrice: currentPrice ?? parseFloat(candles[candles.length - 1].close),
+    });
+    let output;
+    try {
+      output = evaluate.runInContext(context, { timeout: EVALUATE_TIMEOUT_MS });
+    } catch (err) {
+      if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        timeoutStreak = 0;
+        return { action: 'HOLD', reason: `${label} failed: ${err.message}` };
+      }
+      if (++timeoutStreak >= MAX_TIMEOUT_STREAK) {
+        timeoutStreak = 0;
+        throw new Error(`${label} timed out ${MAX_TIMEOUT_STREAK} times in a row (limit ${EVALUATE_TIMEOUT_MS} ms per call)`, { cause: err });
+      }
+      return { action: 'HOLD', reason: `${label} failed: ${err.message}` };
+    }
+    timeoutStreak = 0;
+    try {
+      return sanitizeSignal(JSON.parse(output), label);
+    } catch (err) {
+      return { action: 'HOLD', reason: `${label} failed: ${err.message}` };
+    }
+  };
+  runner.minCandles = meta.minCandles;
+  return { meta: info, runner };
+}
+
+function registerPlugin(file, code, plugin) {
+  registerStrategy(plugin.meta.name, plugin.runner);
+  TradingBotValidator.registerStrategy(plugin.meta.name);
+  registered.set(plugin.meta.name, { file, code, meta: plugin.meta });
+}
+
+function unregisterPlugin(name) {
+  unregisterStrategy(name);
+  TradingBotValidator.unregisterStrategy(name);
+  registered.delete(name);
+}
+
+/** Source of every registered plugin, for handing to worker threads. */
+function pluginSources() {
+  return [...registered.values()].map(({ file, code }) => ({ file, code }));
+}
+
+/** Register sources received from the main thread (optimizer workers); bad ones are skipped. */
+function registerPluginSources(sources = []) {
+  for (const { file, code } of sources) {
+    try {
+      registerPlugin(file, code, compilePlugin(code, file));
+    } catch (err) {
+      console.warn(`[StrategyPlugins] ${file}: ${err.message}`);
+    }
+  }
+}
+
+class StrategyPluginLoader extends EventEmitter {
+  constructor(rootDir) {
+    super();
+    this.rootDir = rootDir;
+    this._entries = []; // { file, name, label, description, minCandles, params, loadedAt } or { file, error }
+    this._watcher = null;
+    this._timer = null;
+  }
+
+  /** Every plugin file with its metadata, or its load error. */
+  list() {
+    return this._entries.map(e => ({ ...e }));
+  }
+
+  /** (Re)load every plugin in the folder and sync the registry; emits 'change' with the new list. */
+  async load() {
+    await fsp.mkdir(this.rootDir, { recursive: true });
+    const files = (await fsp.readdir(this.rootDir)).filter(f => f.endsWith('.js')).sort();
+    const entries = [];
+    const loaded = new Map(); // name -> { file, code, plugin }
+
+    for (const file of files) {
+      try {
+        const code = await fsp.readFile(path.join(this.rootDir, file), 'utf8');
+        const plugin = compilePlugin(code, file);
+        const clash = loaded.get(plugin.meta.name);
+        if (clash) throw new Error(`name "${plugin.meta.name}" is already used by ${clash.file}`);
+        loaded.set(plugin.meta.name, { file, code, plugin });
+        entries.push({ file, ...plugin.meta, loadedAt: Date.now() });
+      } catch (err) {
+        entries.push({ file, error: err.message });
+      }
+    }
+
+    for (const name of [...registered.keys()]) {
+      if (!loaded.has(name)) unregisterPlugin(name);
+    }
+    for (const { file, code, plugin } of loaded.values()) registerPlugin(file, code, plugin);
+
+    this._entries = entries;
+    this.emit('change', this.list());
+    return this.list();
+  }
+
+  /** Reload shortly after any file in the folder changes (editors write in bursts). */
+  watch() {
+    if (this._watcher) return;
+    this._watcher = fs.watch(this.rootDir, () => {
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => {
+        this.load().catch(err => console.warn('[StrategyPlugins] Reload failed:', err.message));
+      }, RELOAD_DEBOUNCE_MS);
+    });
+    this._watcher.on('error', err => console.warn('[StrategyPlugins] Watch failed:', err.message));
+  }
+
+  close() {
+    clearTimeout(this._timer);
+    this._watcher?.close();
+    this._watcher = null;
+  }
+}
+
+module.exports = {
+  StrategyPluginLoader,
+  compilePlugin,
+  validatePluginMeta,
+  pluginSources,
+  registerPluginSources,
+};
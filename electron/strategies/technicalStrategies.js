@@ -45,11 +45,9 @@ function executeSimpleMovingAverage(candles, shortPeriod = 5, longPeriod = 20) {
   return { action: 'HOLD', reason: 'No SMA crossover signal' };
 }
 
-function executeRSIStrategy(candles, period = 14, overbought = 70, oversold = 30) {
-  const closes = candles.map(c => parseFloat(c.close));
-  if (closes.length < period + 1) {
-    return { action: 'HOLD', reason: 'Insufficient data for RSI calculation' };
-  }
+/** Wilder RSI of the last close, or null with fewer than period + 1 closes. */
+function calculateRSI(closes, period = 14) {
+  if (closes.length < period + 1) return null;
 
   const deltas = [];
   for (let i = 1; i < closes.length; i++) deltas.push(closes[i] - closes[i - 1]);
@@ -66,7 +64,14 @@ function executeRSIStrategy(candles, period = 14, overbought = 70, oversold = 30
   }
 
   const rs = avgLoss === 0 ? Infinity : avgGain / avgLoss;
-  const rsi = 100 - (100 / (1 + rs));
+  return 100 - (100 / (1 + rs));
+}
+
+function executeRSIStrategy(candles, period = 14, overbought = 70, oversold = 30) {
+  const rsi = calculateRSI(candles.map(c => parseFloat(c.close)), period);
+  if (rsi == null) {
+    return { action: 'HOLD', reason: 'Insufficient data for RSI calculation' };
+  }
 
   if (rsi < oversold) return { action: 'BUY', reason: `RSI oversold (${rsi.toFixed(1)})` };
   if (rsi > overbought) return { action: 'SELL', reason: `RSI overbought (${rsi.toFixed(1)})` };
@@ -134,6 +139,313 @@ function executeMACDStrategy(candles, fastPeriod = 12, slowPeriod = 26, signalPe
   return { action: 'HOLD', reason: `MACD neutral (hist ${histogram.toFixed(6)})` };
 }
 
+const num = v => parseFloat(v);
+
+/** Wilder-smoothed series (RMA), seeded with the simple average of the first `period` values. */
+function wilderSmooth(values, period) {
+  if (values.length < period) return [];
+  let avg = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const result = [avg];
+  for (let i = period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+    result.push(avg);
+  }
+  return result;
+}
+
+function trueRanges(candles) {
+  const result = [];
+  for (let i = 1; i < candles.length; i++) {
+    const high = num(candles[i].high);
+    const low = num(candles[i].low);
+    const prevClose = num(candles[i - 1].close);
+    result.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  return result;
+}
+
+/** Wilder ATR series; element k covers candles up to index k + period. */
+function calculateATR(candles, period) {
+  return wilderSmooth(trueRanges(candles), period);
+}
+
+/** Highest high and lowest low of candles[from, to). */
+function priceRange(candles, from, to) {
+  let high = -Infinity;
+  let low = Infinity;
+  for (let i = Math.max(0, from); i < to; i++) {
+    high = Math.max(high, num(candles[i].high));
+    low = Math.min(low, num(candles[i].low));
+  }
+  return { high, low };
+}
+
+function executeEMACrossover(candles, fastPeriod = 9, slowPeriod = 21) {
+  const closes = candles.map(c => num(c.close));
+  const fast = calculateEMA(closes, fastPeriod);
+  const slow = calculateEMA(closes, slowPeriod);
+  if (fast.length < 2 || slow.length < 2) {
+    return { action: 'HOLD', reason: 'Insufficient data for EMA calculation' };
+  }
+
+  const currentFast = fast[fast.length - 1];
+  const previousFast = fast[fast.length - 2];
+  const currentSlow = slow[slow.length - 1];
+  const previousSlow = slow[slow.length - 2];
+
+  if (previousFast <= previousSlow && currentFast > currentSlow) {
+    return { action: 'BUY', reason: 'EMA bullish crossover detected' };
+  }
+  if (previousFast >= previousSlow && currentFast < currentSlow) {
+    return { action: 'SELL', reason: 'EMA bearish crossover detected' };
+  }
+  return { action: 'HOLD', reason: 'No EMA crossover signal' };
+}
+
+function executeStochasticStrategy(candles, kPeriod = 14, dPeriod = 3, overbought = 80, oversold = 20) {
+  if (candles.length < kPeriod + dPeriod) {
+    return { action: 'HOLD', reason: 'Insufficient data for Stochastic calculation' };
+  }
+
+  const k = [];
+  for (let i = kPeriod - 1; i < candles.length; i++) {
+    const { high, low } = priceRange(candles, i - kPeriod + 1, i + 1);
+    k.push(high === low ? 50 : ((num(candles[i].close) - low) / (high - low)) * 100);
+  }
+  const d = calculateSMA(k, dPeriod);
+  const kNow = k[k.length - 1];
+  const kPrev = k[k.length - 2];
+  const dNow = d[d.length - 1];
+  const dPrev = d[d.length - 2];
+
+  // %K crossing %D only counts inside the oversold / overbought zones
+  if (kPrev <= dPrev && kNow > dNow && Math.min(kPrev, dPrev) < oversold) {
+    return { action: 'BUY', reason: `Stochastic bullish cross in oversold zone (%K ${kNow.toFixed(1)})` };
+  }
+  if (kPrev >= dPrev && kNow < dNow && Math.max(kPrev, dPrev) > overbought) {
+    return { action: 'SELL', reason: `Stochastic bearish cross in overbought zone (%K ${kNow.toFixed(1)})` };
+  }
+  return { action: 'HOLD', reason: `Stochastic neutral (%K ${kNow.toFixed(1)}, %D ${dNow.toFixed(1)})` };
+}
+
+function executeATRChannelStrategy(candles, currentPrice, period = 20, atrPeriod = 14, multiplier = 2) {
+  const closes = candles.map(c => num(c.close));
+  const ema = calculateEMA(closes, period);
+  const atr = calculateATR(candles, atrPeriod);
+  if (ema.length < 2 || atr.length < 2) {
+    return { action: 'HOLD', reason: 'Insufficient data for ATR channels' };
+  }
+
+  const price = currentPrice ?? closes[closes.length - 1];
+  const prevClose = closes[closes.length - 2];
+  const upper = ema[ema.length - 1] + multiplier * atr[atr.length - 1];
+  const lower = ema[ema.length - 1] - multiplier * atr[atr.length - 1];
+  const prevUpper = ema[ema.length - 2] + multiplier * atr[atr.length - 2];
+  const prevLower = ema[ema.length - 2] - multiplier * atr[atr.length - 2];
+
+  if (prevClose <= prevUpper && price > upper) {
+    return { action: 'BUY', reason: `Breakout above ATR channel (${upper.toFixed(4)})` };
+  }
+  if (prevClose >= prevLower && price < lower) {
+    return { action: 'SELL', reason: `Breakdown below ATR channel (${lower.toFixed(4)})` };
+  }
+  return { action: 'HOLD', reason: `Price within ATR channel (${lower.toFixed(4)} - ${upper.toFixed(4)})` };
+}
+
+/** { adx, plusDI, minusDI } of the last bar, or null with fewer than 2 * period + 1 candles. */
+function calculateADX(candles, period = 14) {
+  if (candles.length < 2 * period + 1) return null;
+  const plusDM = [];
+  const minusDM = [];
+  for (let i = 1; i < candles.length; i++) {
+    const up = num(candles[i].high) - num(candles[i - 1].high);
+    const down = num(candles[i - 1].low) - num(candles[i].low);
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+  const atr = wilderSmooth(trueRanges(candles), period);
+  const plus = wilderSmooth(plusDM, period);
+  const minus = wilderSmooth(minusDM, period);
+  const dx = atr.map((tr, i) => {
+    const pdi = tr ? (plus[i] / tr) * 100 : 0;
+    const mdi = tr ? (minus[i] / tr) * 100 : 0;
+    return pdi + mdi ? (Math.abs(pdi - mdi) / (pdi + mdi)) * 100 : 0;
+  });
+  const adx = wilderSmooth(dx, period);
+  const last = atr.length - 1;
+  return {
+    adx: adx[adx.length - 1],
+    plusDI: atr[last] ? (plus[last] / atr[last]) * 100 : 0,
+    minusDI: atr[last] ? (minus[last] / atr[last]) * 100 : 0,
+  };
+}
+
+function executeADXStrategy(candles, period = 14, threshold = 25) {
+  const dmi = calculateADX(candles, period);
+  if (!dmi) return { action: 'HOLD', reason: 'Insufficient data for ADX calculation' };
+  const { adx, plusDI, minusDI } = dmi;
+  const detail = `ADX ${adx.toFixed(1)}, +DI ${plusDI.toFixed(1)}, -DI ${minusDI.toFixed(1)}`;
+
+  // A trend filter: it votes with the trend only while ADX says there is one
+  if (adx < threshold) return { action: 'HOLD', reason: `No trend (${detail})` };
+  if (plusDI > minusDI) return { action: 'BUY', reason: `Strong uptrend (${detail})` };
+  if (minusDI > plusDI) return { action: 'SELL', reason: `Strong downtrend (${detail})` };
+  return { action: 'HOLD', reason: `Trend direction unclear (${detail})` };
+}
+
+function executeVWAPReversion(candles, currentPrice, period = 20, deviationPct = 1) {
+  if (candles.length < period) {
+    return { action: 'HOLD', reason: 'Insufficient data for VWAP calculation' };
+  }
+
+  // Rolling VWAP over `period` bars; crypto trades around the clock, so there is no session reset
+  let pv = 0;
+  let volume = 0;
+  for (const c of candles.slice(-period)) {
+    const typical = (num(c.high) + num(c.low) + num(c.close)) / 3;
+    pv += typical * num(c.volume);
+    volume += num(c.volume);
+  }
+  if (!(volume > 0)) return { action: 'HOLD', reason: 'No volume for VWAP calculation' };
+
+  const vwap = pv / volume;
+  const price = currentPrice ?? num(candles[candles.length - 1].close);
+  const deviation = ((price - vwap) / vwap) * 100;
+
+  if (deviation <= -deviationPct) {
+    return { action: 'BUY', reason: `Price ${deviation.toFixed(2)}% below VWAP (${vwap.toFixed(4)})` };
+  }
+  if (deviation >= deviationPct) {
+    return { action: 'SELL', reason: `Price ${deviation.toFixed(2)}% above VWAP (${vwap.toFixed(4)})` };
+  }
+  return { action: 'HOLD', reason: `Price near VWAP (${deviation.toFixed(2)}%)` };
+}
+
+function executeOBVDivergence(candles, lookback = 20) {
+  if (candles.length < lookback + 2) {
+    return { action: 'HOLD', reason: 'Insufficient data for OBV divergence' };
+  }
+
+  const closes = candles.map(c => num(c.close));
+  const obv = [0];
+  for (let i = 1; i < candles.length; i++) {
+    const direction = Math.sign(closes[i] - closes[i - 1]);
+    obv.push(obv[i - 1] + direction * num(candles[i].volume));
+  }
+
+  // Compare the last bar with the extreme close of the `lookback` bars before it
+  const last = closes.length - 1;
+  let lowIdx = last - lookback;
+  let highIdx = last - lookback;
+  for (let i = last - lookback; i < last; i++) {
+    if (closes[i] < closes[lowIdx]) lowIdx = i;
+    if (closes[i] > closes[highIdx]) highIdx = i;
+  }
+
+  if (closes[last] < closes[lowIdx] && obv[last] > obv[lowIdx]) {
+    return { action: 'BUY', reason: 'Bullish OBV divergence (lower low in price, higher OBV)' };
+  }
+  if (closes[last] > closes[highIdx] && obv[last] < obv[highIdx]) {
+    return { action: 'SELL', reason: 'Bearish OBV divergence (higher high in price, lower OBV)' };
+  }
+  return { action: 'HOLD', reason: 'No OBV divergence' };
+}
+
+/** Supertrend direction per bar (1 up, -1 down) from the first bar with an ATR. */
+function calculateSupertrend(candles, period = 10, multiplier = 3) {
+  const atr = calculateATR(candles, period);
+  const directions = [];
+  let upperBand = Infinity;
+  let lowerBand = -Infinity;
+  let direction = 1;
+  for (let k = 0; k < atr.length; k++) {
+    const i = k + period;
+    const close = num(candles[i].close);
+    const prevClose = num(candles[i - 1].close);
+    const mid = (num(candles[i].high) + num(candles[i].low)) / 2;
+    const basicUpper = mid + multiplier * atr[k];
+    const basicLower = mid - multiplier * atr[k];
+    // Bands only tighten while price stays on their side
+    upperBand = basicUpper < upperBand || prevClose > upperBand ? basicUpper : upperBand;
+    lowerBand = basicLower > lowerBand || prevClose < lowerBand ? basicLower : lowerBand;
+    if (direction === 1 && close < lowerBand) direction = -1;
+    else if (direction === -1 && close > upperBand) direction = 1;
+    directions.push({ direction, level: direction === 1 ? lowerBand : upperBand });
+  }
+  return directions;
+}
+
+function executeSupertrendStrategy(candles, period = 10, multiplier = 3) {
+  const trend = calculateSupertrend(candles, period, multiplier);
+  if (trend.length < 2) return { action: 'HOLD', reason: 'Insufficient data for Supertrend' };
+  const now = trend[trend.length - 1];
+  const prev = trend[trend.length - 2];
+
+  if (prev.direction === -1 && now.direction === 1) {
+    return { action: 'BUY', reason: `Supertrend flipped up (support ${now.level.toFixed(4)})` };
+  }
+  if (prev.direction === 1 && now.direction === -1) {
+    return { action: 'SELL', reason: `Supertrend flipped down (resistance ${now.level.toFixed(4)})` };
+  }
+  return { action: 'HOLD', reason: `Supertrend ${now.direction === 1 ? 'up' : 'down'} (${now.level.toFixed(4)})` };
+}
+
+function executeDonchianBreakout(candles, currentPrice, period = 20) {
+  if (candles.length < period + 1) {
+    return { action: 'HOLD', reason: 'Insufficient data for Donchian channel' };
+  }
+
+  // Channel of the `period` bars before the current one, so the current bar can break it
+  const { high, low } = priceRange(candles, candles.length - 1 - period, candles.length - 1);
+  const price = currentPrice ?? num(candles[candles.length - 1].close);
+
+  if (price > high) return { action: 'BUY', reason: `Breakout above ${period}-bar high (${high.toFixed(4)})` };
+  if (price < low) return { action: 'SELL', reason: `Breakdown below ${period}-bar low (${low.toFixed(4)})` };
+  return { action: 'HOLD', reason: `Price inside Donchian channel (${low.toFixed(4)} - ${high.toFixed(4)})` };
+}
+
+function executeIchimokuStrategy(candles, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+  if (candles.length < spanBPeriod + displacement + 1) {
+    return { action: 'HOLD', reason: 'Insufficient data for Ichimoku cloud' };
+  }
+
+  const midpoint = (end, period) => {
+    const { high, low } = priceRange(candles, end - period + 1, end + 1);
+    return (high + low) / 2;
+  };
+  const last = candles.length - 1;
+  const tenkan = i => midpoint(i, conversionPeriod);
+  const kijun = i => midpoint(i, basePeriod);
+  // The cloud over bar i was projected `displacement` bars earlier
+  const cloud = i => {
+    const from = i - displacement;
+    const spanA = (tenkan(from) + kijun(from)) / 2;
+    const spanB = midpoint(from, spanBPeriod);
+    return { top: Math.max(spanA, spanB), bottom: Math.min(spanA, spanB) };
+  };
+
+  const close = num(candles[last].close);
+  const prevClose = num(candles[last - 1].close);
+  const { top, bottom } = cloud(last);
+  const prevCloud = cloud(last - 1);
+  const tkNow = tenkan(last) - kijun(last);
+  const tkPrev = tenkan(last - 1) - kijun(last - 1);
+
+  const bullishCross = tkPrev <= 0 && tkNow > 0;
+  const bearishCross = tkPrev >= 0 && tkNow < 0;
+  const brokeAbove = prevClose <= prevCloud.top && close > top;
+  const brokeBelow = prevClose >= prevCloud.bottom && close < bottom;
+
+  if (close > top && (bullishCross || (brokeAbove && tkNow > 0))) {
+    return { action: 'BUY', reason: bullishCross ? 'Ichimoku TK bullish cross above the cloud' : 'Price broke above the Ichimoku cloud' };
+  }
+  if (close < bottom && (bearishCross || (brokeBelow && tkNow < 0))) {
+    return { action: 'SELL', reason: bearishCross ? 'Ichimoku TK bearish cross below the cloud' : 'Price broke below the Ichimoku cloud' };
+  }
+  const position = close > top ? 'above' : close < bottom ? 'below' : 'inside';
+  return { action: 'HOLD', reason: `Price ${position} the Ichimoku cloud (${bottom.toFixed(4)} - ${top.toFixed(4)})` };
+}
+
 const STRATEGY_RUNNERS = {
   simpleMovingAverage: (candles, params = {}, currentPrice) =>
     executeSimpleMovingAverage(candles, params.shortPeriod, params.longPeriod),
@@ -143,74 +455,151 @@ const STRATEGY_RUNNERS = {
     executeBollingerBandsStrategy(candles, currentPrice, params.period, params.stdDevMultiplier),
   macd: (candles, params = {}) =>
     executeMACDStrategy(candles, params.fastPeriod, params.slowPeriod, params.signalPeriod),
+  emaCrossover: (candles, params = {}) =>
+    executeEMACrossover(candles, params.fastPeriod, params.slowPeriod),
+  stochastic: (candles, params = {}) =>
+    executeStochasticStrategy(candles, params.kPeriod, params.dPeriod, params.overbought, params.oversold),
+  atrChannels: (candles, params = {}, currentPrice) =>
+    executeATRChannelStrategy(candles, currentPrice, params.period, params.atrPeriod, params.multiplier),
+  adx: (candles, params = {}) =>
+    executeADXStrategy(candles, params.period, params.threshold),
+  vwapReversion: (candles, params = {}, currentPrice) =>
+    executeVWAPReversion(candles, currentPrice, params.period, params.deviationPct),
+  obvDivergence: (candles, params = {}) =>
+    executeOBVDivergence(candles, params.lookback),
+  supertrend: (candles, params = {}) =>
+    executeSupertrendStrategy(candles, params.period, params.multiplier),
+  donchian: (candles, params = {}, currentPrice) =>
+    executeDonchianBreakout(candles, currentPrice, params.period),
+  ichimoku: (candles, params = {}) =>
+    executeIchimokuStrategy(candles, params.conversionPeriod, params.basePeriod, params.spanBPeriod, params.displacement),
 };
 
+const BUILTIN_STRATEGIES = new Set([...Object.keys(STRATEGY_RUNNERS), 'composed']);
+
+function isBuiltinStrategy(name) {
+  return BUILTIN_STRATEGIES.has(name);
+}
+
+/** Add a runner at runtime (user strategy plugins); built-in names cannot be replaced. */
+function registerStrategy(name, runner) {
+  if (isBuiltinStrategy(name)) throw new Error(`"${name}" is a built-in strategy`);
+  STRATEGY_RUNNERS[name] = runner;
+}
+
+function unregisterStrategy(name) {
+  if (!isBuiltinStrategy(name)) delete STRATEGY_RUNNERS[name];
+}
+
 function runStrategy(strategyName, candles, params = {}, currentPrice) {
   const runner = STRATEGY_RUNNERS[strategyName];
   if (!runner) return { action: 'HOLD', reason: `Unknown strategy: ${strategyName}` };
   return runner(candles, params, currentPrice);
 }
 
-function executeComposedStrategy(candles, config, currentPrice) {
+/**
+ * Combine a composed config's rules into one signal. Rules with an `interval`
+ * other than the run's run on `timeframes.series[interval]` ({ interval, series },
+ * closed candles only — see multiTimeframe.js); the rest run on `candles`.
+ */
+function executeComposedStrategy(candles, config, currentPrice, timeframes) {
+  if (config?.combineMode === 'EXPRESSION') {
+    // Required lazily: ruleExpressions builds on this module's indicator helpers
+    return require('./ruleExpressions').executeRuleSet(candles, config, timeframes);
+  }
   if (!config?.rules?.length) {
     return { action: 'HOLD', reason: 'No strategy rules configured' };
   }
 
-  const signals = config.rules.map(rule => ({
-    ...runStrategy(rule.strategy, candles, rule.params || {}, currentPrice),
-    weight: rule.weight || 1,
-    strategy: rule.strategy,
-  }));
+  const signals = config.rules.map(rule => {
+    const own = !rule.interval || rule.interval === timeframes?.interval;
+    const series = own ? candles : timeframes?.series?.[rule.interval];
+    const signal = series
+      ? runStrategy(rule.strategy, series, rule.params || {}, currentPrice)
+      : { action: 'HOLD', reason: `No ${rule.interval} candles loaded` };
+    return {
+      ...signal,
+      weight: rule.weight || 1,
+      strategy: own ? rule.strategy : `${rule.strategy}@${rule.interval}`,
+    };
+  });
 
   const buys = signals.filter(s => s.action === 'BUY');
   const sells = signals.filter(s => s.action === 'SELL');
   const mode = config.combineMode || 'AND';
 
+  // confidence = share of rule weight behind the chosen action (0..1); used
+  // by multi-pair bots to rank BUYs competing for the same budget
+  const totalWeight = signals.reduce((s, sig) => s + sig.weight, 0);
+  const buyWeight = buys.reduce((s, sig) => s + sig.weight, 0);
+  const sellWeight = sells.reduce((s, sig) => s + sig.weight, 0);
+
   if (mode === 'OR') {
     if (buys.length > 0) {
-      return { action: 'BUY', reason: `OR: ${buys.map(s => s.strategy).join(', ')}` };
+      return { action: 'BUY', reason: `OR: ${buys.map(s => s.strategy).join(', ')}`, confidence: buyWeight / totalWeight };
     }
     if (sells.length > 0) {
-      return { action: 'SELL', reason: `OR: ${sells.map(s => s.strategy).join(', ')}` };
+      return { action: 'SELL', reason: `OR: ${sells.map(s => s.strategy).join(', ')}`, confidence: sellWeight / totalWeight };
     }
     return { action: 'HOLD', reason: 'OR: no signals' };
   }
 
   if (mode === 'MAJORITY') {
-    const totalWeight = signals.reduce((s, sig) => s + sig.weight, 0);
-    const buyWeight = buys.reduce((s, sig) => s + sig.weight, 0);
-    const sellWeight = sells.reduce((s, sig) => s + sig.weight, 0);
     if (buyWeight > totalWeight / 2) {
-      return { action: 'BUY', reason: `MAJORITY buy (${buyWeight}/${totalWeight})` };
+      return { action: 'BUY', reason: `MAJORITY buy (${buyWeight}/${totalWeight})`, confidence: buyWeight / totalWeight };
     }
     if (sellWeight > totalWeight / 2) {
-      return { action: 'SELL', reason: `MAJORITY sell (${sellWeight}/${totalWeight})` };
+      return { action: 'SELL', reason: `MAJORITY sell (${sellWeight}/${totalWeight})`, confidence: sellWeight / totalWeight };
     }
     return { action: 'HOLD', reason: 'MAJORITY: no consensus' };
   }
 
   // AND (default)
   if (buys.length === signals.length) {
-    return { action: 'BUY', reason: `AND: all strategies agree BUY` };
+    return { action: 'BUY', reason: `AND: all strategies agree BUY`, confidence: 1 };
   }
   if (sells.length === signals.length) {
-    return { action: 'SELL', reason: `AND: all strategies agree SELL` };
+    return { action: 'SELL', reason: `AND: all strategies agree SELL`, confidence: 1 };
   }
   return { action: 'HOLD', reason: 'AND: strategies disagree' };
 }
 
 const MAX_POSITION_USDT = 500;
-const CANDLE_WINDOW = 50;
+// Bars of history live bots evaluate strategies on (Ichimoku's defaults need 79)
+const CANDLE_WINDOW = 100;
+
+/** Bars a live bot loads for a strategy; plugin runners may declare more via `minCandles`. */
+function strategyCandleWindow(strategyName) {
+  return Math.max(CANDLE_WINDOW, STRATEGY_RUNNERS[strategyName]?.minCandles || 0);
+}
+
+/**
+ * Bars a live bot on `interval` loads for a composed config; expression rules
+ * may look further back. Rules on other intervals load their own candles.
+ */
+function composedCandleWindow(config, interval) {
+  if (config?.combineMode === 'EXPRESSION') return require('./ruleExpressions').ruleSetBars(config, interval);
+  const own = (config?.rules || []).filter(rule => !rule.interval || rule.interval === interval);
+  return Math.max(CANDLE_WINDOW, ...own.map(rule => strategyCandleWindow(rule.strategy)));
+}
 
 function validateComposedConfig(config, options = {}) {
   const errors = [];
   const accountBalance = options.accountBalanceUSDT;
+  const expressionMode = config?.combineMode === 'EXPRESSION';
+  let expressionErrors = [];
 
   if (!config?.name?.trim()) {
     errors.push('Config name is required.');
   }
 
-  if (!config?.rules?.length) {
+  if (expressionMode) {
+    // Entry/exit rules replace the indicator list; errors keep their line/column for the editor
+    expressionErrors = require('./ruleExpressions').validateRuleSet(config);
+    for (const err of expressionErrors) {
+      errors.push(`${err.label} rule, line ${err.line} col ${err.column}: ${err.message}`);
+    }
+  } else if (!config?.rules?.length) {
     errors.push('At least one strategy rule is required.');
   }
 
@@ -231,10 +620,14 @@ function validateComposedConfig(config, options = {}) {
     errors.push('Stop-loss % is mandatory for live trading — without it a single bad signal can wipe the position.');
   }
 
-  (config?.rules || []).forEach((rule, idx) => {
+  (expressionMode ? [] : config?.rules || []).forEach((rule, idx) => {
     const n = idx + 1;
     const p = rule.params || {};
 
+    if (rule.interval && !require('./multiTimeframe').TIMEFRAMES.includes(rule.interval)) {
+      errors.push(`Rule ${n}: unknown interval "${rule.interval}" — leave it empty to use the bot's interval.`);
+    }
+
     if (rule.weight === 0) {
       errors.push(`Rule ${n}: weight of 0 ignores this strategy but still clutters the config — remove it instead.`);
     }
@@ -269,6 +662,89 @@ function validateComposedConfig(config, options = {}) {
         errors.push(`Rule ${n} (MACD): fast period (${fast}) must be less than slow period (${slow}) — standard MACD requires fast < slow.`);
       }
     }
+
+    // Lookbacks must be whole bars and fit the candle window live bots evaluate on
+    const checkBars = (label, value, needed = value) => {
+      if (!Number.isInteger(value) || value < 2) {
+        errors.push(`Rule ${n} (${label}): must be a whole number of at least 2 bars (got ${value}).`);
+      } else if (needed > CANDLE_WINDOW) {
+        errors.push(`Rule ${n} (${label}): needs ${needed} bars but the candle window is ${CANDLE_WINDOW} — the rule would never produce a signal.`);
+      }
+    };
+    const checkPositive = (label, value) => {
+      if (!(value > 0)) errors.push(`Rule ${n} (${label}): must be greater than 0 (got ${value}).`);
+    };
+
+    if (rule.strategy === 'emaCrossover') {
+      const fast = p.fastPeriod ?? 9;
+      const slow = p.slowPeriod ?? 21;
+      checkBars('EMA slow period', slow);
+      if (fast >= slow) {
+        errors.push(`Rule ${n} (EMA): fast period (${fast}) must be less than slow period (${slow}) — otherwise crossover logic is reversed.`);
+      }
+    }
+
+    if (rule.strategy === 'stochastic') {
+      const k = p.kPeriod ?? 14;
+      const d = p.dPeriod ?? 3;
+      const oversold = p.oversold ?? 20;
+      const overbought = p.overbought ?? 80;
+      checkBars('Stochastic %K period', k, k + d);
+      checkBars('Stochastic %D period', d, k + d);
+      if (oversold < 0 || overbought > 100 || oversold >= overbought) {
+        errors.push(`Rule ${n} (Stochastic): need 0 ≤ oversold (${oversold}) < overbought (${overbought}) ≤ 100 — the oscillator is bounded to 0-100.`);
+      }
+    }
+
+    if (rule.strategy === 'atrChannels') {
+      checkBars('ATR channel period', p.period ?? 20);
+      checkBars('ATR period', p.atrPeriod ?? 14, (p.atrPeriod ?? 14) + 2);
+      checkPositive('ATR multiplier', p.multiplier ?? 2);
+    }
+
+    if (rule.strategy === 'adx') {
+      const period = p.period ?? 14;
+      const threshold = p.threshold ?? 25;
+      checkBars('ADX period', period, 2 * period + 1);
+      if (threshold <= 0 || threshold >= 100) {
+        errors.push(`Rule ${n} (ADX): threshold (${threshold}) must be between 0 and 100 — 20-30 separates trending from ranging markets.`);
+      }
+    }
+
+    if (rule.strategy === 'vwapReversion') {
+      checkBars('VWAP period', p.period ?? 20);
+      checkPositive('VWAP deviation %', p.deviationPct ?? 1);
+    }
+
+    if (rule.strategy === 'obvDivergence') {
+      const lookback = p.lookback ?? 20;
+      checkBars('OBV lookback', lookback, lookback + 2);
+    }
+
+    if (rule.strategy === 'supertrend') {
+      const period = p.period ?? 10;
+      checkBars('Supertrend ATR period', period, period + 2);
+      checkPositive('Supertrend multiplier', p.multiplier ?? 3);
+    }
+
+    if (rule.strategy === 'donchian') {
+      const period = p.period ?? 20;
+      checkBars('Donchian period', period, period + 1);
+    }
+
+    if (rule.strategy === 'ichimoku') {
+      const conversion = p.conversionPeriod ?? 9;
+      const base = p.basePeriod ?? 26;
+      const spanB = p.spanBPeriod ?? 52;
+      const displacement = p.displacement ?? 26;
+      checkBars('Ichimoku span B period', spanB, spanB + displacement + 1);
+      if (!(conversion < base && base < spanB)) {
+        errors.push(`Rule ${n} (Ichimoku): periods must increase — conversion (${conversion}) < base (${base}) < span B (${spanB}).`);
+      }
+      if (!Number.isInteger(displacement) || displacement < 1) {
+        errors.push(`Rule ${n} (Ichimoku): displacement (${displacement}) must be a whole number of bars.`);
+      }
+    }
   });
 
   // Detect contradictory strategy pairs under AND mode
@@ -281,7 +757,7 @@ function validateComposedConfig(config, options = {}) {
     }
   }
 
-  return { valid: errors.length === 0, errors };
+  return { valid: errors.length === 0, errors, expressionErrors };
 }
 
 module.exports = {
@@ -291,8 +767,28 @@ module.exports = {
   executeRSIStrategy,
   executeBollingerBandsStrategy,
   executeMACDStrategy,
+  executeEMACrossover,
+  executeStochasticStrategy,
+  executeATRChannelStrategy,
+  executeADXStrategy,
+  executeVWAPReversion,
+  executeOBVDivergence,
+  executeSupertrendStrategy,
+  executeDonchianBreakout,
+  executeIchimokuStrategy,
+  calculateRSI,
+  calculateATR,
+  calculateADX,
+  calculateSupertrend,
+  priceRange,
   runStrategy,
+  registerStrategy,
+  unregisterStrategy,
+  isBuiltinStrategy,
   executeComposedStrategy,
   validateComposedConfig,
   STRATEGY_RUNNERS,
+  CANDLE_WINDOW,
+  strategyCandleWindow,
+  composedCandleWindow,
 };
@@ -1,25 +1,50 @@
-const { validateApiKeyFormat } = require('../security/encryption');
+const { checkTimeframes } = require('../strategies/multiTimeframe');
 
+const VALID_EXCHANGES = ['binance', 'coinbase', 'kraken', 'okx', 'bybit'];
 const VALID_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
-const VALID_STRATEGIES = ['simpleMovingAverage', 'relativeStrengthIndex', 'bollingerBands', 'macd', 'composed'];
+const BUILTIN_STRATEGIES = [
+  'simpleMovingAverage', 'relativeStrengthIndex', 'bollingerBands', 'macd',
+  'emaCrossover', 'stochastic', 'atrChannels', 'adx', 'vwapReversion',
+  'obvDivergence', 'supertrend', 'donchian', 'ichimoku',
+  'composed',
+];
+// Built-ins plus whatever strategy plugins are currently loaded
+const VALID_STRATEGIES = new Set(BUILTIN_STRATEGIES);
 const MIN_AMOUNT = 0.00001;
 const MAX_AMOUNT = 1_000_000;
+const MAX_PAIRS = 20;
 
 class TradingBotValidator {
   constructor(riskManagerConfig = {}) {
     this.maxPosition = riskManagerConfig.maxPositionUSDT ?? 500;
   }
 
+  /** Accept a strategy added at runtime (see strategies/strategyPlugins.js). */
+  static registerStrategy(name) {
+    VALID_STRATEGIES.add(name);
+  }
+
+  static unregisterStrategy(name) {
+    if (!BUILTIN_STRATEGIES.includes(name)) VALID_STRATEGIES.delete(name);
+  }
+
   validateConfig(config) {
     if (!config || typeof config !== 'object') {
       throw new Error('Configuration must be a valid object');
     }
 
-    this._validateAmount(config.amount);
-    this._validateSymbol(config.symbol);
+    this._validateExchange(config.exchange);
+    if (config.symbols !== undefined) {
+      this._validateSymbols(config.symbols);
+      this._validateBudget(config.budgetUSDT, config.perPairCapUSDT);
+    } else {
+      this._validateAmount(config.amount);
+      this._validateSymbol(config.symbol);
+    }
     this._validateInterval(config.interval);
     this._validateStrategy(config.strategy);
-    this._validateApiConfig(config.apiConfig);
+    this._validateTimeframes(config);
+    this._validateExits(config);
 
     return true;
   }
@@ -42,12 +67,72 @@ class TradingBotValidator {
     }
   }
 
+  _validateExchange(exchange) {
+    if (!exchange || typeof exchange !== 'string') {
+      throw new Error('Exchange must be a non-empty string');
+    }
+    if (!VALID_EXCHANGES.includes(exchange)) {
+      throw new Error(`Exchange must be one of: ${VALID_EXCHANGES.join(', ')}`);
+    }
+  }
+
   _validateSymbol(symbol) {
     if (!symbol || typeof symbol !== 'string') {
       throw new Error('Symbol must be a non-empty string');
     }
-    if (!/^[A-Z0-9]{4,20}$/.test(symbol)) {
-      throw new Error('Symbol must be an uppercase trading pair (e.g. BNBUSDT)');
+    if (!/^[A-Z0-9]{2,10}\/[A-Z0-9]{2,10}$/.test(symbol)) {
+      throw new Error('Symbol must be an uppercase BASE/QUOTE pair (e.g. BNB/USDT)');
+    }
+  }
+
+  _validateSymbols(symbols) {
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+      throw new Error('Symbols must be a non-empty array of pairs');
+    }
+    if (symbols.length > MAX_PAIRS) {
+      throw new Error(`A multi-pair bot can trade at most ${MAX_PAIRS} pairs`);
+    }
+    symbols.forEach(symbol => this._validateSymbol(symbol));
+    if (new Set(symbols).size !== symbols.length) {
+      throw new Error('Symbols must not contain duplicates');
+    }
+  }
+
+  _validateBudget(budgetUSDT, perPairCapUSDT) {
+    if (typeof budgetUSDT !== 'number' || !Number.isFinite(budgetUSDT) || budgetUSDT <= 0) {
+      throw new Error('Shared budget must be a positive number of USDT');
+    }
+    if (typeof perPairCapUSDT !== 'number' || !Number.isFinite(perPairCapUSDT) || perPairCapUSDT <= 0) {
+      throw new Error('Per-pair cap must be a positive number of USDT');
+    }
+    if (perPairCapUSDT > budgetUSDT) {
+      throw new Error(`Per-pair cap (${perPairCapUSDT}) cannot exceed the shared budget (${budgetUSDT})`);
+    }
+    if (perPairCapUSDT > this.maxPosition) {
+      throw new Error(`Per-pair cap (${perPairCapUSDT}) exceeds max position size (${this.maxPosition})`);
+    }
+  }
+
+  _validateExits(config) {
+    const exits = config.exits || {};
+    const pct = (name, value, max) => {
+      if (value == null || value === '' || value === 0) return;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} must be a positive number`);
+      }
+      if (max != null && value >= max) {
+        throw new Error(`${name} must be below ${max}`);
+      }
+    };
+    pct('Stop-loss %', exits.stopLossPct, 100);
+    pct('Take-profit %', exits.takeProfitPct);
+    pct('Trailing stop %', exits.trailingStopPct, 100);
+    pct('Max holding time (minutes)', exits.maxHoldMinutes);
+
+    // validateComposedConfig flags this as mandatory for live trading — enforce it
+    const stopLoss = exits.stopLossPct || config.composedConfig?.riskOverrides?.stopLossPct;
+    if (config.strategy === 'composed' && !config.paper && !stopLoss) {
+      throw new Error('Stop-loss % is mandatory for live composed bots');
     }
   }
 
@@ -60,24 +145,19 @@ class TradingBotValidator {
     }
   }
 
+  // Composed rules may confirm on higher intervals, never on bars shorter than the bot's
+  _validateTimeframes(config) {
+    if (config.strategy !== 'composed' || !config.composedConfig) return;
+    const errors = checkTimeframes(config.composedConfig, config.interval);
+    if (errors.length) throw new Error(errors[0]);
+  }
+
   _validateStrategy(strategy) {
     if (!strategy || typeof strategy !== 'string') {
       throw new Error('Strategy must be a non-empty string');
     }
-    if (!VALID_STRATEGIES.includes(strategy)) {
-      throw new Error(`Strategy must be one of: ${VALID_STRATEGIES.join(', ')}`);
-    }
-  }
-
-  _validateApiConfig(apiConfig) {
-    if (!apiConfig || typeof apiConfig !== 'object') {
-      throw new Error('API configuration must be a valid object');
-    }
-    if (!validateApiKeyFormat(apiConfig.apiKey)) {
-      throw new Error('API key is missing or invalid');
-    }
-    if (!apiConfig.apiSecret || typeof apiConfig.apiSecret !== 'string' || apiConfig.apiSecret.length < 16) {
-      throw new Error('API secret is missing or invalid');
+    if (!VALID_STRATEGIES.has(strategy)) {
+      throw new Error(`Strategy must be one of: ${[...VALID_STRATEGIES].join(', ')}`);
     }
   }
 }
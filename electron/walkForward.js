@@ -0,0 +1,199 @@
+// NeutronTrader - Walk-forward analysis
+//
+// Splits the candle range into consecutive in-sample / out-of-sample windows.
+// Each in-sample window is optimized with BacktestOptimizer; the winning
+// parameters then trade the out-of-sample window that follows it, which the
+// optimizer never saw. Out-of-sample runs compound from one window to the
+// next and are stitched into a single equity curve. Windows are either
+// rolling (fixed in-sample length) or anchored (in-sample grows from the
+// first bar). Every run gets `windowSize` bars of history before its window
+// so indicators are warm on the first bar; positions still open at a
+// window's end are marked to market and the next window starts flat.
+// Higher-interval candles of composed rules are loaded once for the whole
+// range and handed to every run, which aligns them to its own bars.
+
+const { BacktestEngine } = require('./backtestEngine');
+const { BacktestOptimizer, applyParams } = require('./backtestOptimizer');
+const { loadTimeframes } = require('./strategies/multiTimeframe');
+
+const MIN_WINDOW_BARS = 10;
+
+/**
+ * Bar-index windows over `totalBars` candles. In-sample [isStart, isEnd) and
+ * out-of-sample [isEnd, oosEnd) cover the bars being traded, not the warm-up.
+ */
+function buildWindows(totalBars, { warmup, inSampleBars, outOfSampleBars, anchored = false }) {
+  const isBars = parseInt(inSampleBars, 10);
+  const oosBars = parseInt(outOfSampleBars, 10);
+  if (!(isBars >= MIN_WINDOW_BARS) || !(oosBars >= MIN_WINDOW_BARS)) {
+    throw new Error(`In-sample and out-of-sample windows need at least ${MIN_WINDOW_BARS} bars each`);
+  }
+
+  const windows = [];
+  // The last candle is only ever used as the fill bar for the one before it
+  const lastBar = totalBars - 1;
+  for (let isEnd = warmup + isBars; isEnd + oosBars / 2 <= lastBar; isEnd += oosBars) {
+    windows.push({
+      isStart: anchored ? warmup : isEnd - isBars,
+      isEnd,
+      oosEnd: Math.min(isEnd + oosBars, lastBar),
+    });
+  }
+  if (!windows.length) {
+    throw new Error(`Need at least ${warmup + isBars + Math.ceil(oosBars / 2) + 1} bars for one walk-forward window (have ${totalBars})`);
+  }
+  return windows;
+}
+
+/** Average return per bar, so windows of different lengths compare fairly. */
+function perBarReturn(totalReturnPct, bars) {
+  return bars > 0 ? Math.pow(1 + totalReturnPct / 100, 1 / bars) - 1 : 0;
+}
+
+function average(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+class WalkForwardAnalyzer {
+  /** @param {Function} getCandlesFn same loader the BacktestEngine uses */
+  constructor(getCandlesFn) {
+    this.getCandles = getCandlesFn;
+    this.optimizer = null;
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * @param {object} config base backtest config
+   * @param {object} options { ranges, objective, maxDrawdownPct, inSampleBars, outOfSampleBars, anchored }
+   * @param {Function} onProgress ({ phase, window, windows, done, total })
+   */
+  async run(config, options = {}, onProgress) {
+    if (this.running) throw new Error('A walk-forward analysis is already running');
+    this.running = true;
+    this.cancelled = false;
+    try {
+      return await this._analyze(config, options, onProgress);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _analyze(config, options, onProgress) {
+    const { ranges, objective = 'sharpe', maxDrawdownPct = null } = options;
+    const warmup = config.windowSize || 50;
+
+    const loaded = await this.getCandles(config.exchange || 'binance', config.symbol, config.interval || '1h', {
+      startTime: config.startTime,
+      endTime: config.endTime,
+      datasetId: config.datasetId || null,
+      onPage: ({ pages, bars }) => onProgress?.({ phase: 'loading', pages, bars }),
+    });
+    const candles = Array.isArray(loaded) ? loaded : loaded?.candles;
+    const stats = (Array.isArray(loaded) ? null : loaded?.stats) || { bars: candles?.length || 0, gaps: [] };
+    const windows = buildWindows(candles?.length || 0, { ...options, warmup });
+    const timeframes = windows.length ? await loadTimeframes(this.getCandles, config, candles) : {};
+    const source = slice => async (exchange, symbol, interval) => (
+      timeframes[interval] ? { candles: timeframes[interval] } : { candles: slice, stats }
+    );
+
+    const initialCapital = config.initialCapital || 10000;
+    let capital = initialCapital;
+    // Buy-and-hold over the same windows, chained like the strategy's capital
+    let benchmarkCapital = initialCapital;
+    let barsInMarket = 0;
+    const equity = [];
+    const trades = [];
+    const report = [];
+
+    for (let w = 0; w < windows.length && !this.cancelled; w++) {
+      const { isStart, isEnd, oosEnd } = windows[w];
+      const inSample = candles.slice(isStart - warmup, isEnd);
+      const outOfSample = candles.slice(isEnd - warmup, oosEnd + 1);
+
+      this.optimizer = new BacktestOptimizer(source(inSample));
+      let sweep;
+      try {
+        sweep = await this.optimizer.run(config, { ranges, objective, maxDrawdownPct }, progress => {
+          if (progress.phase === 'running') {
+            onProgress?.({ phase: 'optimizing', window: w + 1, windows: windows.length, done: progress.done, total: progress.total });
+          }
+        });
+      } finally {
+        this.optimizer = null;
+      }
+      if (this.cancelled) break;
+
+      const best = sweep.results.find(r => r.metrics && !r.rejected);
+      const entry = {
+        window: w + 1,
+        inSample: { from: candles[isStart].openTime, to: candles[isEnd - 1].openTime, bars: isEnd - isStart },
+        outOfSample: { from: candles[isEnd].openTime, to: candles[oosEnd - 1].openTime, bars: oosEnd - isEnd },
+        params: best?.params || null,
+        inSampleMetrics: best?.metrics || null,
+        outOfSampleMetrics: null,
+      };
+      report.push(entry);
+
+      if (!best) {
+        // Nothing passed the drawdown limit in-sample: sit out this window
+        for (let i = isEnd; i < oosEnd; i++) {
+          const benchmark = benchmarkCapital * candles[i].close / candles[isEnd].close;
+          equity.push({ timestamp: candles[i].closeTime || candles[i].openTime, value: capital, benchmark, window: w + 1 });
+        }
+        benchmarkCapital *= candles[oosEnd - 1].close / candles[isEnd].close;
+        continue;
+      }
+
+      onProgress?.({ phase: 'testing', window: w + 1, windows: windows.length });
+      const engine = new BacktestEngine(source(outOfSample));
+      const oos = await engine.run({ ...applyParams(config, sweep.ranges, best.values), initialCapital: capital });
+      entry.outOfSampleMetrics = oos.metrics;
+
+      const benchScale = benchmarkCapital / capital;
+      for (const point of oos.equity) equity.push({ ...point, benchmark: point.benchmark * benchScale, window: w + 1 });
+      benchmarkCapital = equity[equity.length - 1].benchmark;
+      barsInMarket += Math.round((oos.metrics.exposurePct / 100) * oos.equity.length);
+      // Order ids restart in every run; keep them unique across the stitched log
+      for (const t of oos.trades) trades.push({ ...t, orderId: `${w + 1}-${t.orderId}`, window: w + 1 });
+      capital = oos.finalValue;
+    }
+
+    const tested = report.filter(r => r.inSampleMetrics && r.outOfSampleMetrics);
+    const isRate = average(tested.map(r => perBarReturn(r.inSampleMetrics.totalReturn, r.inSample.bars)));
+    const oosRate = average(tested.map(r => perBarReturn(r.outOfSampleMetrics.totalReturn, r.outOfSample.bars)));
+    const isSharpe = average(tested.map(r => r.inSampleMetrics.sharpeRatio));
+    const oosSharpe = average(tested.map(r => r.outOfSampleMetrics.sharpeRatio));
+
+    return {
+      windows: report,
+      equity,
+      trades,
+      initialCapital,
+      finalValue: capital,
+      metrics: new BacktestEngine(null)._computeMetrics(trades, equity, initialCapital, capital, {
+        interval: config.interval || '1h',
+        barsInMarket,
+      }),
+      degradation: {
+        inSampleReturnPerBar: isRate * 100,
+        outOfSampleReturnPerBar: oosRate * 100,
+        // Walk-forward efficiency: share of the in-sample return rate kept out of sample
+        efficiency: isRate > 0 ? (oosRate / isRate) * 100 : null,
+        inSampleSharpe: isSharpe,
+        outOfSampleSharpe: oosSharpe,
+        profitableWindows: tested.filter(r => r.outOfSampleMetrics.totalReturn > 0).length,
+        testedWindows: tested.length,
+      },
+      cancelled: this.cancelled,
+      data: stats,
+    };
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.optimizer?.cancel();
+  }
+}
+
+module.exports = { WalkForwardAnalyzer, buildWindows };
@@ -1,18 +1,13 @@
 // NeutronTrader - WebSocket price feed for Binance and Bybit
+// Streams quotes as `price-update` events and keeps no quotes of its own;
+// PriceFeedAggregator caches them and runs arbitrage detection.
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 
-const EXCHANGE_FEES = {
-  binance: { taker: 0.001 },
-  bybit: { taker: 0.001 },
-};
-
 class WebSocketPriceFeed extends EventEmitter {
-  constructor(options = {}) {
+  constructor() {
     super();
-    this.minProfitPct = options.minProfitPct || 0.3;
-    this.priceCache = new Map();
     this._connections = new Map();
     this._symbols = [];
     this._running = false;
@@ -111,63 +106,8 @@ class WebSocketPriceFeed extends EventEmitter {
   }
 
   _updatePrice(symbol, exchange, price, bid, ask) {
-    const key = `${symbol}:${exchange}`;
-    const entry = { price, bid, ask, timestamp: Date.now() };
-    this.priceCache.set(key, entry);
     this._lastUpdateAt = Date.now();
-    this.emit('price-update', { symbol, exchange, ...entry });
-    this._detectArbitrage(symbol);
-  }
-
-  _detectArbitrage(symbol) {
-    const prices = [];
-    for (const [key, data] of this.priceCache.entries()) {
-      const colon = key.lastIndexOf(':');
-      if (key.slice(0, colon) !== symbol) continue;
-      if (Date.now() - data.timestamp > 120000) continue;
-      prices.push({ exchange: key.slice(colon + 1), ...data });
-    }
-    if (prices.length < 2) return;
-
-    const bestBid = prices.reduce((a, b) => b.bid > a.bid ? b : a);
-    const bestAsk = prices.reduce((a, b) => b.ask < a.ask ? b : a);
-    if (bestBid.exchange === bestAsk.exchange) return;
-
-    const buyFee = EXCHANGE_FEES[bestAsk.exchange]?.taker || 0.001;
-    const sellFee = EXCHANGE_FEES[bestBid.exchange]?.taker || 0.001;
-    const grossSpread = (bestBid.bid - bestAsk.ask) / bestAsk.ask;
-    const netPct = (grossSpread - buyFee - sellFee) * 100;
-
-    if (netPct >= this.minProfitPct) {
-      this.emit('arbitrage-opportunity', {
-        symbol,
-        buyExchange: bestAsk.exchange,
-        buyPrice: bestAsk.ask,
-        sellExchange: bestBid.exchange,
-        sellPrice: bestBid.bid,
-        grossSpreadPct: (grossSpread * 100).toFixed(4),
-        netProfitPct: netPct.toFixed(4),
-        fees: { buy: buyFee, sell: sellFee },
-        timestamp: Date.now(),
-      });
-    }
-  }
-
-  getPriceSnapshot() {
-    const snapshot = {};
-    for (const [key, data] of this.priceCache.entries()) snapshot[key] = data;
-    return snapshot;
-  }
-
-  getPricesForSymbol(symbol) {
-    const result = [];
-    for (const [key, data] of this.priceCache.entries()) {
-      const colon = key.lastIndexOf(':');
-      if (key.slice(0, colon) === symbol) {
-        result.push({ exchange: key.slice(colon + 1), ...data });
-      }
-    }
-    return result;
+    this.emit('price-update', { symbol, exchange, price, bid, ask, timestamp: this._lastUpdateAt });
   }
 
   getLatencyMs() {
@@ -6,15 +6,15 @@ const path = require('path');
 const isDev = !app.isPackaged;
 const url = require('url');
 const BinanceAPI = require('./electron/binanceApi');
-const schedule = require('node-schedule');
 const { storageService } = require('./electron/storageService');
 const { keyVault } = require('./electron/security/keyVault');
-const { PriceFeedAggregator, DEFAULT_SYMBOLS } = require('./electron/priceFeedAggregator');
+const { PriceFeedAggregator, DEFAULT_SYMBOLS, EXCHANGE_FEES } = require('./electron/priceFeedAggregator');
 const { ListingDetector } = require('./electron/listingDetector/index');
 const { riskManager } = require('./electron/riskManager');
 const { OrderManager } = require('./electron/orderManager');
 const { ArbitrageEngine } = require('./electron/strategies/arbitrageEngine');
 const { SniperEngine } = require('./electron/strategies/sniperEngine');
+const { GridStrategy } = require('./electron/strategies/gridStrategy');
 const { encrypt, decrypt, hashApiKey, validateApiKeyFormat } = require('./electron/security/encryption');
 // NOTE: DeFi modules (ethers.js) are NOT imported here — they are lazy-loaded
 // on first use to avoid persistent JsonRpcProvider connections (~200-500 MB each)
@@ -24,6 +24,8 @@ const { CoinbaseAdapter } = require('./electron/exchanges/coinbaseAdapter');
 const { KrakenAdapter } = require('./electron/exchanges/krakenAdapter');
 const { OKXAdapter } = require('./electron/exchanges/okxAdapter');
 const { BybitAdapter } = require('./electron/exchanges/bybitAdapter');
+const { PaperExchangeAdapter } = require('./electron/exchanges/paperExchangeAdapter');
+const { fromExchange } = require('./electron/exchanges/symbolNormalizer');
 const TradingBotValidator = require('./electron/validators/tradingBotValidator');
 const {
   executeSimpleMovingAverage,
@@ -32,11 +34,27 @@ const {
   executeMACDStrategy,
   executeComposedStrategy,
   validateComposedConfig,
+  runStrategy,
+  strategyCandleWindow,
+  composedCandleWindow,
 } = require('./electron/strategies/technicalStrategies');
+const { StrategyPluginLoader } = require('./electron/strategies/strategyPlugins');
+const { checkTimeframes, requiredTimeframes, closedTimeframes } = require('./electron/strategies/multiTimeframe');
 const { setupWebSocketIPC } = require('./electron/websocketHandlers');
 const { notificationService } = require('./electron/notificationService');
 const { BacktestEngine } = require('./electron/backtestEngine');
-const activeBots = new Map();
+const { BacktestOptimizer } = require('./electron/backtestOptimizer');
+const { WalkForwardAnalyzer } = require('./electron/walkForward');
+const { runMonteCarlo } = require('./electron/monteCarlo');
+const { PortfolioBacktestEngine } = require('./electron/portfolioBacktest');
+const { GridBacktestEngine } = require('./electron/gridBacktest');
+const { BacktestHistory } = require('./electron/backtestHistory');
+const { ArbSnapshotRecorder } = require('./electron/arbSnapshotRecorder');
+const { replayArbitrage, sweepArbitrage } = require('./electron/arbReplayBacktester');
+const { loadCandles } = require('./electron/candleLoader');
+const { CandleStore } = require('./electron/candleStore');
+const { CandleDatasets } = require('./electron/candleDatasets');
+const { BotSupervisor } = require('./electron/botSupervisor');
 
 const ADAPTER_CLASSES = {
   binance: BinanceAdapter,
@@ -64,6 +82,60 @@ function getAdapter(name) {
   if (!adapter) throw new Error(`Exchange "${name}" not configured`);
   return adapter;
 }
+
+// Closed candles are cached on disk so backtests, bots and the Composer only
+// fetch bars they haven't seen. Testnet/sandbox data of every exchange is
+// kept apart from its mainnet data.
+const candleStore = new CandleStore(path.join(app.getPath('userData'), 'candles'));
+
+async function loadCachedCandles(exchange, symbol, interval, options = {}) {
+  const adapter = getAdapter(exchange);
+  const cacheKey = adapter.isTestnet ? `${exchange}-testnet` : exchange;
+  return candleStore.getCandles(
+    { exchange: cacheKey, symbol, interval, ...options },
+    range => loadCandles(adapter, { exchange, symbol, interval, ...range })
+  );
+}
+
+// Closed candles of every other interval a composed config's rules use, in the
+// shape executeComposedStrategy takes; the still-forming bar is dropped so a
+// 4h rule cannot confirm on a bar that may yet reverse
+async function loadRuleTimeframes(exchange, symbol, interval, composedConfig) {
+  const errors = checkTimeframes(composedConfig, interval);
+  if (errors.length) throw new Error(errors[0]);
+  const series = {};
+  for (const [tf, bars] of Object.entries(requiredTimeframes(composedConfig, interval))) {
+    ({ candles: series[tf] } = await loadCachedCandles(exchange, symbol, tf, { limit: bars + 1 }));
+  }
+  return { interval, series: closedTimeframes(series, Date.now()) };
+}
+
+// Paper-trading twins of the real adapters. Each one fills against its own
+// exchange's quotes from the price feed and keeps a separate simulated
+// balance, so cross-exchange engines behave as they would live.
+const paperAdapters = new Map();
+let _paperLoaded = null;
+
+async function ensurePaperTrading() {
+  if (_paperLoaded) return _paperLoaded;
+  _paperLoaded = (async () => {
+    const paperConfig = await storageService.getSetting('paper_config', {});
+    for (const name of Object.keys(ADAPTER_CLASSES)) {
+      const adapter = new PaperExchangeAdapter({
+        ...paperConfig,
+        sourceExchange: name,
+        getDataAdapter: () => exchangeAdapters.get(name),
+        fees: { ...EXCHANGE_FEES[name], ...(paperConfig.fees || {}) },
+        priceFeed: priceFeedAggregator,
+        storageKey: `paper_account_${name}`,
+      });
+      await adapter.load();
+      paperAdapters.set(name, adapter);
+    }
+    return paperAdapters;
+  })();
+  return _paperLoaded;
+}
 let mainWindow
 
 async function createWindow() {
@@ -106,8 +178,6 @@ async function createWindow() {
     // Handle window closed
     mainWindow.on('closed', () => {
       mainWindow = null;
-      // Stop all active trading bots
-      stopAllTradingBots();
     });
 
     // Handle external links
@@ -177,6 +247,15 @@ app.whenReady().then(async () => {
     await notificationService.initialize();
     setupWebSocketIPC(ipcMain);
 
+    // Strategy plugins must be registered before saved bots that use them resume
+    try {
+      const plugins = await strategyPlugins.load();
+      strategyPlugins.watch();
+      console.log(`[App] Loaded ${plugins.filter(p => !p.error).length} strategy plugin(s) from ${strategyPlugins.rootDir}`);
+    } catch (e) {
+      console.warn('[App] Strategy plugins failed to load:', e.message);
+    }
+
     // Create main window
     await createWindow();
 
@@ -193,6 +272,17 @@ app.whenReady().then(async () => {
       console.warn('[App] Price feed failed to start:', e.message);
     }
 
+    // Resume bots that were still active when the app last exited
+    try {
+      const { restored, failed } = await botSupervisor.restoreAll();
+      if (restored.length || failed.length) {
+        console.log(`[App] Restored ${restored.length} trading bot(s), ${failed.length} failed`);
+      }
+      failed.forEach(({ botId, error }) => broadcastToWindows('trading-error', `[${botId}] Could not resume: ${error}`));
+    } catch (e) {
+      console.warn('[App] Bot restore failed:', e.message);
+    }
+
     // Handle app activation (macOS)
     app.on('activate', () => {
       if (BrowserWindow.getAllWindows().length === 0) {
@@ -214,6 +304,37 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Quitting is held until bot state is persisted, recordings are flushed and
+// grid orders are cancelled (or QUIT_CLEANUP_MS passes), then resumed once.
+const QUIT_CLEANUP_MS = 15000;
+let quitCleanup = null;
+let quitReady = false;
+
+app.on('before-quit', (event) => {
+  if (quitReady) return;
+  event.preventDefault();
+  if (quitCleanup) return;
+
+  strategyPlugins.close();
+  const tasks = [
+    // Cancel bot jobs but keep their active records so they resume next launch
+    botSupervisor.shutdown().catch(err => console.error('[App] Bot shutdown failed:', err.message)),
+    arbRecorder.stop().catch(err => console.error('[App] Snapshot recording stop failed:', err.message)),
+    // Grids are not restored on launch, so take their resting orders off the book (best effort)
+    ...[...gridStrategies.values()].filter(grid => grid.isRunning()).map(grid =>
+      grid.stop().catch(err => console.error('[App] Grid stop failed:', err.message))),
+  ];
+  const timeout = new Promise(resolve => setTimeout(() => {
+    console.warn('[App] Shutdown cleanup timed out');
+    resolve();
+  }, QUIT_CLEANUP_MS).unref());
+
+  quitCleanup = Promise.race([Promise.all(tasks), timeout]).then(() => {
+    quitReady = true;
+    app.quit();
+  });
+});
+
 // Prevent multiple instances
 const gotTheLock = app.requestSingleInstanceLock();
 
@@ -420,7 +541,12 @@ function getDefiAdapter(chain) {
 let arbitrageEngine = null;
 let sniperEngine = null;
 let listingDetector = null;
+// Running grids, keyed by "exchange:symbol"
+const gridStrategies = new Map();
+// Keys reserved by a grid:start still buying inventory and placing its ladder
+const startingGrids = new Set();
 const orderManager = new OrderManager(exchangeAdapters);
+const paperOrderManager = new OrderManager(paperAdapters);
 
 // ===== STRATEGY ENGINE IPC HANDLERS =====
 
@@ -430,7 +556,8 @@ ipcMain.handle('arb:start', async (event, config) => {
       minProfitPct: config?.minProfitPct ?? 0.3,
     });
     if (arbitrageEngine) arbitrageEngine.stop();
-    arbitrageEngine = new ArbitrageEngine(priceFeedAggregator, riskManager, orderManager, config);
+    if (config?.paper) await ensurePaperTrading();
+    arbitrageEngine = new ArbitrageEngine(priceFeedAggregator, riskManager, config?.paper ? paperOrderManager : orderManager, config);
     arbitrageEngine.on('executed', (record) => {
       notificationService.notifyArbExecuted(record);
       const allWindows = require('electron').BrowserWindow.getAllWindows();
@@ -469,7 +596,8 @@ ipcMain.handle('arb:history', async (event, filters = {}) => {
 ipcMain.handle('sniper:start', async (event, config) => {
   try {
     if (sniperEngine) sniperEngine.stop();
-    sniperEngine = new SniperEngine(listingDetector, riskManager, orderManager, config);
+    if (config?.paper) await ensurePaperTrading();
+    sniperEngine = new SniperEngine(listingDetector, riskManager, config?.paper ? paperOrderManager : orderManager, config);
     sniperEngine.on('sniped', (record) => {
       const allWindows = require('electron').BrowserWindow.getAllWindows();
       allWindows.forEach(w => w.webContents.send('sniper:alert', record));
@@ -493,6 +621,72 @@ ipcMain.handle('sniper:config', async (event, config) => {
   return { success: true };
 });
 
+const gridKey = (exchange, symbol) => `${exchange || 'binance'}:${symbol}`;
+
+ipcMain.handle('grid:start', async (event, config = {}) => {
+  try {
+    const exchange = config.exchange || 'binance';
+    const key = gridKey(exchange, config.symbol);
+    if (startingGrids.has(key) || gridStrategies.get(key)?.isRunning()) {
+      throw new Error(`A grid is already running on ${config.symbol} (${exchange})`);
+    }
+    startingGrids.add(key);
+    try {
+      return { success: true, data: await launchGrid(key, exchange, config) };
+    } finally {
+      startingGrids.delete(key);
+    }
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+async function launchGrid(key, exchange, config) {
+  if (config.paper) await ensurePaperTrading();
+  const adapter = config.paper ? paperAdapters.get(exchange) : getAdapter(exchange);
+  if (!adapter) throw new Error(`Exchange "${exchange}" not configured`);
+
+  const grid = new GridStrategy(adapter, riskManager, { ...config, exchange });
+  const update = () => broadcastToWindows('grid:update', grid.getStatus());
+  grid.on('fill', (fill) => {
+    storageService.saveTrade({
+      id: `grid_${fill.orderId}_${fill.time}`,
+      symbol: config.symbol,
+      exchange,
+      side: fill.side,
+      price: fill.price,
+      quantity: fill.quantity,
+      fee: fill.fee,
+      pnl: fill.pnl,
+      strategy: 'grid',
+      source: 'grid',
+      reason: fill.stopOut ? `Grid stop-out (${fill.stopOut})` : `Grid level ${fill.level + 1}`,
+      paper: !!config.paper,
+      timestamp: fill.time,
+    }).catch(err => console.error('[Grid] Failed to save fill:', err.message));
+    update();
+  });
+  grid.on('stopped', update);
+  grid.on('error', err => broadcastToWindows('grid:update', { ...grid.getStatus(), error: err.message }));
+
+  await grid.start();
+  gridStrategies.set(key, grid);
+  return grid.getStatus();
+}
+
+ipcMain.handle('grid:stop', async (event, exchange, symbol, options = {}) => {
+  try {
+    const key = gridKey(exchange, symbol);
+    const grid = gridStrategies.get(key);
+    if (!grid) throw new Error(`No grid on ${symbol}`);
+    if (grid.isRunning()) await grid.stop(options);
+    gridStrategies.delete(key);
+    return { success: true, data: grid.getStatus() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('grid:status', async () => {
+  return { success: true, data: [...gridStrategies.values()].map(g => g.getStatus()) };
+});
+
 ipcMain.handle('risk:status', async () => {
   return { success: true, data: riskManager.getStatus() };
 });
@@ -583,6 +777,8 @@ ipcMain.handle('defi:poolPrice', async (event, chain, tokenA, tokenB) => {
 // ===== PRICE FEED AGGREGATOR =====
 
 let priceFeedAggregator = null;
+// Records `snapshot-update` events for arbitrage replay backtests while active
+const arbRecorder = new ArbSnapshotRecorder(path.join(app.getPath('userData'), 'arb-recordings'));
 
 function wirePriceFeedEvents(aggregator) {
   aggregator.on('arbitrage-opportunity', (opp) => {
@@ -599,6 +795,7 @@ function wirePriceFeedEvents(aggregator) {
   });
 
   aggregator.on('snapshot-update', (snapshot) => {
+    arbRecorder.record(snapshot);
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('prices:snapshot', snapshot);
     }
@@ -609,6 +806,7 @@ function ensurePriceFeedRunning(symbols = DEFAULT_SYMBOLS, options = {}) {
   if (!priceFeedAggregator) {
     priceFeedAggregator = new PriceFeedAggregator(exchangeAdapters, options);
     wirePriceFeedEvents(priceFeedAggregator);
+    for (const paper of paperAdapters.values()) paper.setPriceFeed(priceFeedAggregator);
     priceFeedAggregator.start(symbols);
     return priceFeedAggregator;
   }
@@ -640,6 +838,7 @@ ipcMain.handle('pricefeed:latency', async () => {
 
 ipcMain.handle('pricefeed:stop', async () => {
   if (priceFeedAggregator) { priceFeedAggregator.stop(); priceFeedAggregator = null; }
+  for (const paper of paperAdapters.values()) paper.setPriceFeed(null);
   return { success: true };
 });
 
@@ -653,6 +852,89 @@ ipcMain.handle('pricefeed:symbolPrices', async (event, symbol) => {
   return { success: true, data: priceFeedAggregator.getPricesForSymbol(symbol) };
 });
 
+// ===== ARBITRAGE REPLAY =====
+
+ipcMain.handle('arbReplay:startRecording', async (event, options = {}) => {
+  try {
+    ensurePriceFeedRunning(options.symbols?.length ? options.symbols : DEFAULT_SYMBOLS);
+    return { success: true, data: await arbRecorder.start(options) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('arbReplay:stopRecording', async () => {
+  try {
+    return { success: true, data: await arbRecorder.stop() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('arbReplay:status', async () => {
+  return { success: true, data: arbRecorder.status() };
+});
+
+ipcMain.handle('arbReplay:recordings', async () => {
+  try {
+    return { success: true, data: await arbRecorder.list() };
+  } catch (e) { return { success: false, error: e.message, data: [] }; }
+});
+
+ipcMain.handle('arbReplay:deleteRecording', async (event, id) => {
+  try {
+    return { success: true, data: await arbRecorder.remove(id) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('arbReplay:run', async (event, id, config) => {
+  try {
+    const { events } = await arbRecorder.load(id);
+    return { success: true, data: replayArbitrage(events, config) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('arbReplay:sweep', async (event, id, config, ranges) => {
+  try {
+    const { events } = await arbRecorder.load(id);
+    return { success: true, data: sweepArbitrage(events, config, ranges) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+// ===== PAPER TRADING =====
+
+ipcMain.handle('paper:account', async () => {
+  try {
+    await ensurePaperTrading();
+    const data = {};
+    for (const [name, adapter] of paperAdapters.entries()) {
+      const info = await adapter.getAccountInfo();
+      data[name] = info.balances;
+    }
+    return { success: true, data };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('paper:reset', async (event, balances) => {
+  try {
+    await ensurePaperTrading();
+    for (const adapter of paperAdapters.values()) {
+      await adapter.reset(balances || adapter.initialBalances);
+    }
+    return { success: true };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('paper:config', async (event, config = {}) => {
+  try {
+    await ensurePaperTrading();
+    const current = await storageService.getSetting('paper_config', {});
+    const next = { ...current, ...config };
+    await storageService.saveSetting('paper_config', next);
+    for (const adapter of paperAdapters.values()) {
+      adapter.updateConfig({ fees: next.fees, slippageBps: next.slippageBps, latencyMs: next.latencyMs });
+      if (next.initialBalances) adapter.initialBalances = { ...next.initialBalances };
+    }
+    return { success: true, data: next };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
 // ===== PORTFOLIO =====
 
 ipcMain.handle('portfolio:snapshot', async () => {
@@ -728,10 +1010,22 @@ ipcMain.handle('portfolio:getBscBalances', async (event, address) => {
 
 // ===== BACKTEST =====
 
-const backtestEngine = new BacktestEngine(async (exchange, symbol, interval, options) => {
-  const adapter = getAdapter(exchange);
-  return adapter.getCandlesticks(symbol, interval, options);
-});
+// Imported CSV datasets can replace a live exchange as the candle source
+const candleDatasets = new CandleDatasets(path.join(app.getPath('userData'), 'datasets'));
+
+const loadBacktestCandles = (exchange, symbol, interval, options) =>
+  options.datasetId
+    ? candleDatasets.load(options.datasetId, options)
+    : loadCachedCandles(exchange, symbol, interval, options);
+
+const backtestEngine = new BacktestEngine(loadBacktestCandles);
+// Parameter sweeps run their backtests in worker threads
+const backtestOptimizer = new BacktestOptimizer(loadBacktestCandles);
+const walkForwardAnalyzer = new WalkForwardAnalyzer(loadBacktestCandles);
+const portfolioBacktestEngine = new PortfolioBacktestEngine(loadCachedCandles);
+const gridBacktestEngine = new GridBacktestEngine(loadBacktestCandles);
+// Completed single-symbol runs are kept so they can be reopened, compared and exported
+const backtestHistory = new BacktestHistory(path.join(app.getPath('userData'), 'backtests'));
 
 ipcMain.handle('backtest:run', async (event, config) => {
   try {
@@ -740,12 +1034,183 @@ ipcMain.handle('backtest:run', async (event, config) => {
       if (win) win.webContents.send('backtest:progress', progress);
     };
     const result = await backtestEngine.run(config, sendProgress);
+    try {
+      const run = await backtestHistory.save(config, result);
+      result.runId = run.id;
+    } catch (saveErr) {
+      console.error('Failed to save backtest run:', saveErr.message);
+    }
     return { success: true, data: result };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
+ipcMain.handle('backtest:optimize', async (event, config, options) => {
+  try {
+    const sendProgress = (progress) => {
+      const win = BrowserWindow.getAllWindows()[0];
+      if (win) win.webContents.send('backtest:optimizeProgress', progress);
+    };
+    const result = await backtestOptimizer.run(config, options, sendProgress);
+    return { success: true, data: result };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backtest:walkForward', async (event, config, options) => {
+  try {
+    const sendProgress = (progress) => {
+      const win = BrowserWindow.getAllWindows()[0];
+      if (win) win.webContents.send('backtest:optimizeProgress', progress);
+    };
+    const result = await walkForwardAnalyzer.run(config, options, sendProgress);
+    return { success: true, data: result };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backtest:portfolio', async (event, config) => {
+  try {
+    const sendProgress = (progress) => {
+      const win = BrowserWindow.getAllWindows()[0];
+      if (win) win.webContents.send('backtest:progress', progress);
+    };
+    // The slot limit defaults to the live RiskManager's so results match what bots may hold
+    const result = await portfolioBacktestEngine.run({
+      ...config,
+      maxOpenPositions: config.maxOpenPositions || riskManager.config.maxOpenPositions,
+    }, sendProgress);
+    return { success: true, data: result };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backtest:grid', async (event, config) => {
+  try {
+    const sendProgress = (progress) => {
+      const win = BrowserWindow.getAllWindows()[0];
+      if (win) win.webContents.send('backtest:progress', progress);
+    };
+    return { success: true, data: await gridBacktestEngine.run(config, sendProgress) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backtest:monteCarlo', async (event, result, options) => {
+  try {
+    return { success: true, data: runMonteCarlo(result, options) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('backtest:optimizeCancel', () => {
+  backtestOptimizer.cancel();
+  walkForwardAnalyzer.cancel();
+  return { success: true };
+});
+
+// ===== BACKTEST HISTORY =====
+
+ipcMain.handle('backtest:history', async () => {
+  try {
+    return { success: true, data: await backtestHistory.list() };
+  } catch (e) { return { success: false, error: e.message, data: [] }; }
+});
+
+ipcMain.handle('backtest:historyGet', async (event, id) => {
+  try {
+    return { success: true, data: await backtestHistory.get(id) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('backtest:historyRename', async (event, id, name) => {
+  try {
+    return { success: true, data: await backtestHistory.rename(id, name) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('backtest:historyDelete', async (event, id) => {
+  try {
+    return { success: true, data: await backtestHistory.remove(id) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('backtest:export', async (event, id, format = 'json') => {
+  try {
+    const run = await backtestHistory.get(id);
+    const csv = format !== 'json';
+    const suffix = format === 'trades-csv' ? '-trades' : format === 'equity-csv' ? '-equity' : '';
+    const baseName = run.name.replace(/[^\w.-]+/g, '_');
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Backtest',
+      defaultPath: `${baseName}${suffix}.${csv ? 'csv' : 'json'}`,
+      filters: [
+        csv ? { name: 'CSV Files', extensions: ['csv'] } : { name: 'JSON Files', extensions: ['json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (canceled || !filePath) return { success: false, error: 'Export cancelled' };
+    return { success: true, data: { filePath: await backtestHistory.exportRun(id, format, filePath) } };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+// ===== CANDLE CACHE =====
+
+ipcMain.handle('candles:coverage', async () => {
+  try {
+    return { success: true, data: await candleStore.coverage() };
+  } catch (e) { return { success: false, error: e.message, data: [] }; }
+});
+
+ipcMain.handle('candles:purge', async (event, filter = {}) => {
+  try {
+    return { success: true, data: { removed: await candleStore.purge(filter) } };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+// ===== CSV DATASETS =====
+
+ipcMain.handle('dataset:pick', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Candles (CSV)',
+      filters: [
+        { name: 'CSV Files', extensions: ['csv', 'txt', 'tsv'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+    if (canceled || !filePaths?.length) return { success: false, error: 'Import cancelled' };
+    return { success: true, data: await candleDatasets.inspect(filePaths[0]) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('dataset:import', async (event, filePath, options = {}) => {
+  try {
+    const { dataset, errors, warnings } = await candleDatasets.importCsv(filePath, options);
+    if (!dataset) return { success: false, error: 'CSV failed validation', data: { errors, warnings } };
+    return { success: true, data: { dataset, warnings } };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('dataset:list', async () => {
+  try {
+    return { success: true, data: await candleDatasets.list() };
+  } catch (e) { return { success: false, error: e.message, data: [] }; }
+});
+
+ipcMain.handle('dataset:delete', async (event, id) => {
+  try {
+    return { success: true, data: await candleDatasets.remove(id) };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
 // ===== STRATEGY COMPOSER =====
 
 ipcMain.handle('strategy:save', async (event, config) => {
@@ -775,6 +1240,42 @@ ipcMain.handle('strategy:delete', async (event, name) => {
   } catch (e) { return { success: false, error: e.message }; }
 });
 
+// User strategy plugins: <userData>/strategies/*.js, reloaded when the folder changes
+const strategyPlugins = new StrategyPluginLoader(path.join(app.getPath('userData'), 'strategies'));
+strategyPlugins.on('change', plugins => broadcastToWindows('strategy:pluginsChanged', plugins));
+
+ipcMain.handle('strategy:plugins', async () => {
+  try {
+    return { success: true, data: { dir: strategyPlugins.rootDir, plugins: strategyPlugins.list() } };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('strategy:reloadPlugins', async () => {
+  try {
+    return { success: true, data: await strategyPlugins.load() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('strategy:openPluginFolder', async () => {
+  try {
+    const error = await shell.openPath(strategyPlugins.rootDir);
+    if (error) throw new Error(error);
+    return { success: true, data: strategyPlugins.rootDir };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+// Latest signal of a (draft) composed config on cached candles
+ipcMain.handle('strategy:preview', async (event, config, { exchange = 'binance', symbol, interval = '1h', bars = 200 } = {}) => {
+  try {
+    const { candles, stats } = await loadCachedCandles(exchange, symbol, interval, { limit: Math.max(bars, composedCandleWindow(config, interval)) });
+    if (!candles.length) throw new Error('No candle data');
+    const price = parseFloat(candles[candles.length - 1].close);
+    const timeframes = await loadRuleTimeframes(exchange, symbol, interval, config);
+    const signal = executeComposedStrategy(candles, config, price, timeframes);
+    return { success: true, data: { signal, price, bars: stats.bars, asOf: candles[candles.length - 1].openTime } };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
 ipcMain.handle('strategy:validate', async (event, config, options = {}) => {
   try {
     const result = validateComposedConfig(config, { ...options, requireStopLoss: true });
@@ -1005,11 +1506,90 @@ ipcMain.handle('exchange:symbols', async (event, exchange) => {
 
 // ===== TRADING BOT IPC HANDLERS =====
 
-let activeTradingBots = new Map();
 const tradingBotValidator = new TradingBotValidator(riskManager.config);
 
+// Bring a renderer/stored bot config to the current shape: explicit exchange,
+// universal BASE/QUOTE symbol, and no credentials (those live in keyVault).
+function normalizeBotConfig(config) {
+  if (!config || typeof config !== 'object') return config;
+  const rest = { ...config };
+  delete rest.apiConfig;
+  const exchange = rest.exchange || 'binance';
+  const toUniversal = sym => (typeof sym === 'string' && !sym.includes('/')
+    ? fromExchange(sym.toUpperCase(), exchange)
+    : sym);
+  const normalized = { ...rest, exchange, symbol: toUniversal(rest.symbol) };
+  if (Array.isArray(rest.symbols) && rest.symbols.length) {
+    // Multi-pair bots: `symbol` mirrors the first pair for single-pair consumers
+    normalized.symbols = rest.symbols.map(toUniversal);
+    normalized.symbol = normalized.symbols[0];
+  }
+  return normalized;
+}
+
+// Make sure the exchange a bot trades on is reachable with the credentials
+// stored in keyVault. Throws so the supervisor can refuse to start/restore it.
+async function prepareBotExchange(config) {
+  const exchange = config.exchange || 'binance';
+
+  // The price feed marks open positions (and fills paper orders)
+  ensurePriceFeedRunning(config.symbols || [config.symbol]);
+
+  if (config.paper) {
+    // Paper bots fill against the price feed — no keys or account check needed
+    await ensurePaperTrading();
+    return;
+  }
+
+  const Cls = ADAPTER_CLASSES[exchange];
+  if (!Cls) throw new Error(`Unknown exchange: ${exchange}`);
+
+  // Orders are routed through the shared adapter registry; make sure the
+  // adapter carries the keys saved for this exchange.
+  let adapter = exchangeAdapters.get(exchange);
+  if (!adapter?.apiConfig?.apiKey) {
+    const creds = await keyVault.getExchangeCredentials(exchange);
+    if (!creds?.apiKey) {
+      throw new Error(`No API credentials stored for ${exchange} — add them in the Exchanges tab`);
+    }
+    adapter = new Cls({ ...creds, isTestnet: adapter ? adapter.isTestnet : false });
+    exchangeAdapters.set(exchange, adapter);
+  }
+  // Test API connection before starting
+  try {
+    await adapter.getAccountInfo();
+    console.log(`✓ ${exchange} API connection verified`);
+  } catch (err) {
+    console.error(`✗ ${exchange} API connection failed:`, err.message);
+    throw new Error(`API connection failed: ${err.message}`, { cause: err });
+  }
+}
+
+const botSupervisor = new BotSupervisor({
+  normalize: normalizeBotConfig,
+  prepare: prepareBotExchange,
+  evaluate: executeTradeStrategy,
+  getOrderManager: (config) => (config.paper ? paperOrderManager : orderManager),
+  riskManager,
+  getMarkPrice: (exchange, symbol) => {
+    if (!priceFeedAggregator) return null;
+    const quote = priceFeedAggregator.getPricesForSymbol(symbol).find(p => p.exchange === exchange);
+    return quote?.price || null;
+  },
+});
+
+// Bots outlive the renderer that started them (and are restored at launch),
+// so their events go to every open window rather than a single event.reply.
+function broadcastToWindows(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(w => w.webContents.send(channel, payload));
+}
+botSupervisor.on('status', status => broadcastToWindows('trading-status', status));
+botSupervisor.on('error', message => broadcastToWindows('trading-error', message));
+botSupervisor.on('trade-executed', trade => broadcastToWindows('trade-executed', trade));
+
 // Start trading bot with full configuration persistence
-ipcMain.on('start-trading-bot', withErrorHandling(async (event, config) => {
+ipcMain.on('start-trading-bot', withErrorHandling(async (event, rawConfig) => {
+  const config = normalizeBotConfig(rawConfig);
   try {
     tradingBotValidator.validateConfig(config);
   } catch (validationError) {
@@ -1018,157 +1598,32 @@ ipcMain.on('start-trading-bot', withErrorHandling(async (event, config) => {
     return;
   }
 
-  const botId = `${config.symbol}-${Date.now()}`;
-
-  console.log(`Starting enhanced trading bot: ${botId}`);
+  console.log('Starting enhanced trading bot');
   console.log('Configuration:', {
+    exchange: config.exchange,
     symbol: config.symbol,
+    symbols: config.symbols,
     strategy: config.strategy,
     amount: config.amount,
+    budgetUSDT: config.budgetUSDT,
     interval: config.interval
   });
 
-  // Save bot configuration
-  await storageService.saveSetting(`bot_config_${botId}`, {
-    ...config,
-    botId,
-    startTime: Date.now(),
-    status: 'starting'
-  });
-
-  // Test API connection before starting
+  let botId;
   try {
-    await BinanceAPI.getAccountInfo(config.apiConfig);
-    console.log('✓ API connection verified');
+    botId = await botSupervisor.start(config);
   } catch (err) {
-    console.error('✗ API connection failed:', err.message);
-    event.reply('trading-error', `API connection failed: ${err.message}`);
+    event.reply('trading-error', err.message);
     return;
   }
 
-  // Convert interval to cron schedule
-  const cronSchedule = convertToCronSchedule(config.interval);
-  console.log(`Scheduled with cron: ${cronSchedule}`);
-
-  // Initialize bot state
-  const botState = {
-    config,
-    botId,
-    startTime: Date.now(),
-    lastCheck: null,
-    lastSignal: null,
-    tradesExecuted: 0,
-    totalProfit: 0,
-    positions: {},
-    orders: {},
-    status: 'active'
-  };
-
-  // Schedule the trading strategy
-  const job = schedule.scheduleJob(cronSchedule, async () => {
-    try {
-      console.log(`[${botId}] Executing scheduled check at ${new Date().toLocaleTimeString()}`);
-
-      const result = await executeTradeStrategy(config, botState);
-
-      // Update bot state
-      botState.lastCheck = Date.now();
-      botState.lastSignal = result.action;
-
-      if (result.action !== 'HOLD') {
-        botState.tradesExecuted++;
-        if (result.profit) {
-          botState.totalProfit += result.profit;
-        }
-
-        // Save trade execution to persistent storage
-        await storageService.saveTrade({
-          id: `bot_${botId}_${Date.now()}`,
-          botId: botId,
-          symbol: config.symbol,
-          side: result.action,
-          quantity: result.quantity,
-          price: result.price,
-          timestamp: Date.now(),
-          strategy: config.strategy,
-          reason: result.reason,
-          profit: result.profit || 0,
-          source: 'trading_bot_auto'
-        });
-
-        // Notify UI of trade execution
-        notificationService.notifyBotSignal({
-          symbol: config.symbol,
-          side: result.action,
-          price: result.price,
-          reason: result.reason,
-          strategy: config.strategy,
-        });
-        event.reply('trade-executed', {
-          botId: botId,
-          time: new Date().toISOString(),
-          symbol: config.symbol,
-          side: result.action,
-          price: result.price,
-          quantity: result.quantity,
-          reason: result.reason,
-          profit: result.profit
-        });
-      }
-
-      // Save updated bot state
-      await storageService.saveSetting(`bot_state_${botId}`, botState);
-
-      // Update UI with status
-      event.reply('trading-status', {
-        status: 'running',
-        botId,
-        lastCheck: botState.lastCheck,
-        signal: result.action,
-        reason: result.reason,
-        tradesExecuted: botState.tradesExecuted,
-        totalProfit: botState.totalProfit,
-        message: `Last check: ${new Date().toLocaleTimeString()} - Signal: ${result.action} - ${result.reason}`
-      });
-
-    } catch (err) {
-      console.error(`[${botId}] Error executing trade strategy:`, err.message);
-
-      // Save error to storage (single key per bot — no unbounded key accumulation)
-      await storageService.saveSetting(`bot_error_${botId}`, {
-        botId,
-        error: err.message,
-        timestamp: Date.now(),
-        config
-      });
-
-      event.reply('trading-error', `[${botId}] Trade execution failed: ${err.message}`);
-    }
-  });
-
-  // Store the active bot
-  activeBots.set(botId, {
-    job,
-    config,
-    state: botState,
-    createdAt: Date.now()
-  });
-
-  // Save bot as active
-  await storageService.saveSetting(`active_bot_${botId}`, {
-    botId,
-    symbol: config.symbol,
-    strategy: config.strategy,
-    startTime: Date.now(),
-    status: 'active'
-  });
-
   // Reply to renderer
   event.reply('trading-status', {
     status: 'started',
     botId,
-    message: `Enhanced bot started for ${config.symbol} using ${config.strategy} strategy`,
+    message: `Enhanced bot started for ${config.symbols ? config.symbols.join(', ') : config.symbol} on ${config.exchange} using ${config.strategy} strategy`,
     config: {
+      exchange: config.exchange,
       symbol: config.symbol,
       strategy: config.strategy,
       amount: config.amount,
@@ -1182,7 +1637,7 @@ ipcMain.on('start-trading-bot', withErrorHandling(async (event, config) => {
 ipcMain.on('stop-trading-bot', withErrorHandling(async (event, { botId } = {}) => {
   if (!botId) {
     // Stop all bots
-    const stopCount = await stopAllTradingBots();
+    const stopCount = await botSupervisor.stopAll();
     event.reply('trading-status', {
       status: 'stopped',
       message: `All trading bots stopped (${stopCount} bots)`
@@ -1191,7 +1646,7 @@ ipcMain.on('stop-trading-bot', withErrorHandling(async (event, { botId } = {}) =
   }
 
   // Stop specific bot
-  const stopped = await stopTradingBot(botId);
+  const stopped = await botSupervisor.stop(botId);
 
   if (stopped) {
     event.reply('trading-status', {
@@ -1204,6 +1659,35 @@ ipcMain.on('stop-trading-bot', withErrorHandling(async (event, { botId } = {}) =
   }
 }, { operation: 'stop_trading_bot' }));
 
+ipcMain.handle('bot:list', async () => {
+  try { return { success: true, data: botSupervisor.list() }; }
+  catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('bot:pause', async (event, botId) => {
+  try {
+    if (!(await botSupervisor.pause(botId))) return { success: false, error: `Bot ${botId} not found` };
+    broadcastToWindows('trading-status', { status: 'paused', botId, message: `Bot ${botId} paused` });
+    return { success: true, data: botSupervisor.list() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('bot:resume', async (event, botId) => {
+  try {
+    if (!(await botSupervisor.resume(botId))) return { success: false, error: `Bot ${botId} not found` };
+    broadcastToWindows('trading-status', { status: 'resumed', botId, message: `Bot ${botId} resumed` });
+    return { success: true, data: botSupervisor.list() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
+ipcMain.handle('bot:stop', async (event, botId) => {
+  try {
+    if (!(await botSupervisor.stop(botId))) return { success: false, error: `Bot ${botId} not found` };
+    broadcastToWindows('trading-status', { status: 'stopped', botId, message: `Bot ${botId} stopped successfully` });
+    return { success: true, data: botSupervisor.list() };
+  } catch (e) { return { success: false, error: e.message }; }
+});
+
 // ============================
 // Enhanced Storage IPC Handlers
 // ============================
@@ -1262,71 +1746,23 @@ ipcMain.handle('storage:importData', withErrorHandling(async (event) => {
 // Helper Functions
 // ============================
 
-// Helper function to convert intervals to cron schedules
-function convertToCronSchedule(interval) {
-  const unit = interval.slice(-1);
-  const value = parseInt(interval.slice(0, -1), 10);
-
-  switch (unit) {
-    case 'm': // minutes
-      return `*/${value} * * * *`;
-    case 'h': // hours
-      return `0 */${value} * * *`;
-    case 'd': // days
-      return `0 0 */${value} * *`;
-    default:
-      return '*/15 * * * *'; // Default to 15 minutes
-  }
-}
-
-async function stopTradingBot(botId) {
-  const bot = activeBots.get(botId);
-  if (bot && bot.job) {
-    bot.job.cancel();
-    activeBots.delete(botId);
-
-    // Update bot status in storage
-    await storageService.saveSetting(`bot_final_state_${botId}`, {
-      ...bot.state,
-      status: 'stopped',
-      stopTime: Date.now()
-    });
-
-    // Remove from active bots
-    await storageService.saveSetting(`active_bot_${botId}`, null);
-
-    console.log(`✓ Bot stopped: ${botId}`);
-    return true;
-  }
-  return false;
-}
-
-async function stopAllTradingBots() {
-  let stopCount = 0;
-  const botIds = Array.from(activeBots.keys());
-
-  for (const botId of botIds) {
-    if (await stopTradingBot(botId)) {
-      stopCount++;
-    }
-  }
-
-  return stopCount;
-}
-
 async function executeTradeStrategy(config, botState) {
   console.log(`[${botState.botId}] Executing ${config.strategy} strategy for ${config.symbol}`);
 
   try {
+    // Market data always comes from the live adapter, paper bots included
+    const adapter = getAdapter(config.exchange || 'binance');
+
     // Get current price
-    const priceResult = await BinanceAPI.getCurrentPrice(config.symbol);
+    const priceResult = await adapter.getCurrentPrice(config.symbol);
     const currentPrice = parseFloat(priceResult.price);
 
-    // Get historical candles for analysis
-    const candlesResult = await BinanceAPI.getCandlesticks(config.symbol, config.interval, { limit: 50 });
-
-    // candlesResult is already formatted by getCandlesticks
-    const candles = candlesResult;
+    // Get historical candles for analysis (oldest first); only bars newer
+    // than the local cache are fetched
+    const limit = config.strategy === 'composed'
+      ? composedCandleWindow(config.composedConfig, config.interval)
+      : strategyCandleWindow(config.strategy);
+    const { candles } = await loadCachedCandles(config.exchange || 'binance', config.symbol, config.interval, { limit });
 
     // Execute strategy
     let signal;
@@ -1344,11 +1780,13 @@ async function executeTradeStrategy(config, botState) {
       case 'macd':
         signal = executeMACDStrategy(candles, strategyParams.fastPeriod, strategyParams.slowPeriod, strategyParams.signalPeriod);
         break;
-      case 'composed':
-        signal = executeComposedStrategy(candles, config.composedConfig, currentPrice);
+      case 'composed': {
+        const timeframes = await loadRuleTimeframes(config.exchange || 'binance', config.symbol, config.interval, config.composedConfig);
+        signal = executeComposedStrategy(candles, config.composedConfig, currentPrice, timeframes);
         break;
+      }
       default:
-        signal = { action: 'HOLD', reason: 'Unknown strategy' };
+        signal = runStrategy(config.strategy, candles, strategyParams, currentPrice);
     }
 
     console.log(`[${botState.botId}] Strategy signal: ${signal.action} - ${signal.reason}`);
@@ -1358,6 +1796,7 @@ async function executeTradeStrategy(config, botState) {
       price: currentPrice,
       quantity: config.amount,
       reason: signal.reason,
+      confidence: signal.confidence,
       timestamp: Date.now()
     };
 
@@ -9,6 +9,7 @@ import TradingHistory from './components/TradingHistory';
 import DiagnosticTest from './components/DiagnosticTest';
 import ArbitragePanel from './components/ArbitragePanel';
 import SniperPanel from './components/SniperPanel';
+import GridPanel from './components/GridPanel';
 import WalletManager from './components/WalletManager';
 import ExchangeConfig from './components/ExchangeConfig';
 import PortfolioPanel from './components/PortfolioPanel';
@@ -25,6 +26,7 @@ const TABS = [
   { id: 'history',    label: 'History' },
   { id: 'arbitrage',  label: 'Arbitrage' },
   { id: 'sniper',     label: 'Sniper' },
+  { id: 'grid',       label: 'Grid' },
   { id: 'wallets',    label: 'Wallets' },
   { id: 'exchanges',  label: 'Exchanges' },
   { id: 'diagnostic', label: 'Diagnostic' },
@@ -74,6 +76,7 @@ function App() {
         {activeTab === 'history'    && <TradingHistory apiConfig={{}} />}
         {activeTab === 'arbitrage'  && <ArbitragePanel />}
         {activeTab === 'sniper'     && <SniperPanel />}
+        {activeTab === 'grid'       && <GridPanel />}
         {activeTab === 'wallets'    && <WalletManager />}
         {activeTab === 'exchanges'  && <ExchangeConfig />}
         {activeTab === 'diagnostic' && <DiagnosticTest apiConfig={{}} />}
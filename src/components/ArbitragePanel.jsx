@@ -8,6 +8,7 @@ import {
   onArbitrageExecuted, getRiskStatus, resetCircuitBreaker, updateRiskConfig
 } from '../services/arbitrageService';
 import { onArbitrageOpportunity } from '../services/multiExchangeService';
+import ArbitrageReplay from './ArbitrageReplay';
 
 const DEFAULT_CONFIG = {
   minProfitPct: 0.3,
@@ -171,6 +172,7 @@ export default function ArbitragePanel() {
       minProfitPct: config.minProfitPct,
       maxPositionUSDT: config.maxPositionUSDT,
       symbols: config.symbols,
+      paper: !!config.paper,
     });
     if (result?.success !== false) {
       setRunning(true);
@@ -246,7 +248,7 @@ export default function ArbitragePanel() {
 
       {/* Tabs */}
       <div style={{ display: 'flex', gap: '2px', marginBottom: '16px' }}>
-        {['live', 'history', 'config'].map(t => (
+        {['live', 'history', 'config', 'replay'].map(t => (
           <button key={t} onClick={() => setTab(t)} style={{
             padding: '8px 16px', border: 'none', cursor: 'pointer',
             background: tab === t ? '#1a3a5a' : '#1a1a1a',
@@ -320,6 +322,13 @@ export default function ArbitragePanel() {
         </div>
       )}
 
+      {tab === 'replay' && (
+        <ArbitrageReplay config={config} onApply={(values) => {
+          const next = { ...config, ...values };
+          setConfig(next); persistConfig(next);
+        }} />
+      )}
+
       {tab === 'config' && (
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
           <div className="card">
@@ -348,6 +357,16 @@ export default function ArbitragePanel() {
                   setConfig(next); persistConfig(next);
                 }} />
             </div>
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={!!config.paper}
+                  onChange={e => {
+                    const next = { ...config, paper: e.target.checked };
+                    setConfig(next); persistConfig(next);
+                  }} />
+                {' '}Paper trading (simulated fills, no keys)
+              </label>
+            </div>
           </div>
 
           <div className="card">
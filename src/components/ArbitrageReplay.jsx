@@ -0,0 +1,275 @@
+// NeutronTrader - Snapshot recorder and replay backtester (Arbitrage tab)
+//
+// Records the live price feed to disk, then replays a recording through the
+// engine's detection and fee logic with simulated latency and leg failures
+// to tune min profit % and position size against real spreads.
+
+import { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import {
+  startSnapshotRecording, stopSnapshotRecording, getSnapshotRecordingStatus, listSnapshotRecordings,
+  deleteSnapshotRecording, runArbitrageReplay, sweepArbitrageReplay,
+} from '../services/arbitrageService';
+
+const REPLAY_FIELDS = [
+  { key: 'minProfitPct', label: 'Min Profit %', step: 0.05 },
+  { key: 'positionSizeUSDT', label: 'Position Size (USDT)', step: 10 },
+  { key: 'latencyMs', label: 'Execution Latency (ms)', step: 100 },
+  { key: 'legFailurePct', label: 'Leg Failure %', step: 1 },
+  { key: 'impactBpsPer1kUSDT', label: 'Impact (bps / 1k USDT)', step: 1 },
+  { key: 'seed', label: 'Seed', step: 1 },
+];
+
+const OUTCOME_COLORS = { filled: '#4caf50', failed: '#888', 'unwound-buy': '#ff9800', 'unwound-sell': '#ff9800' };
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  return Number(n).toFixed(d);
+}
+
+function fmtTime(ts) {
+  return ts == null ? '—' : new Date(ts).toLocaleString();
+}
+
+function fmtSpan(ms) {
+  const minutes = ms / 60000;
+  return minutes >= 120 ? `${fmt(minutes / 60, 1)}h` : `${fmt(minutes, 0)}m`;
+}
+
+export default function ArbitrageReplay({ config, onApply }) {
+  const [recording, setRecording] = useState(null);
+  const [recordings, setRecordings] = useState([]);
+  const [recordName, setRecordName] = useState('');
+  const [selectedId, setSelectedId] = useState('');
+  const [params, setParams] = useState({
+    minProfitPct: config.minProfitPct,
+    positionSizeUSDT: config.maxPositionUSDT,
+    latencyMs: 500,
+    legFailurePct: 2,
+    impactBpsPer1kUSDT: 0,
+    seed: 1,
+  });
+  const [ranges, setRanges] = useState({
+    minProfitPct: { min: 0.1, max: 1, step: 0.1 },
+    positionSizeUSDT: { min: 50, max: 500, step: 50 },
+  });
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [sweep, setSweep] = useState(null);
+  const [error, setError] = useState('');
+  const statusTimer = useRef(null);
+
+  const refresh = () => listSnapshotRecordings().then(list => {
+    setRecordings(list);
+    setSelectedId(id => (list.some(r => r.id === id) ? id : list[list.length - 1]?.id || ''));
+  });
+
+  const pollStatus = () => getSnapshotRecordingStatus().then(setRecording);
+
+  useEffect(() => {
+    refresh();
+    pollStatus();
+    statusTimer.current = setInterval(pollStatus, 5000);
+    return () => clearInterval(statusTimer.current);
+  }, []);
+
+  const handleRecord = async () => {
+    setError('');
+    const res = recording
+      ? await stopSnapshotRecording()
+      : await startSnapshotRecording({ name: recordName || undefined, symbols: config.symbols });
+    if (res.success === false) setError(res.error);
+    setRecordName('');
+    await pollStatus();
+    refresh();
+  };
+
+  const handleDelete = async (id) => {
+    const res = await deleteSnapshotRecording(id);
+    if (res.success) refresh();
+    else setError(res.error);
+  };
+
+  const replayConfig = () => Object.fromEntries(Object.entries(params).map(([k, v]) => [k, parseFloat(v)]));
+
+  const handleRun = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await runArbitrageReplay(selectedId, replayConfig());
+      if (res.success) setResult(res.data);
+      else setError(res.error || 'Replay failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSweep = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await sweepArbitrageReplay(selectedId, replayConfig(), ranges);
+      if (res.success) setSweep(res.data);
+      else setError(res.error || 'Sweep failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setRange = (key, bound, value) => setRanges(p => ({ ...p, [key]: { ...p[key], [bound]: value } }));
+  const m = result?.metrics;
+
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      <div className="card">
+        <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Snapshot Recorder</h3>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px' }}>
+          {!recording && (
+            <input placeholder="Recording name (optional)" value={recordName}
+              onChange={e => setRecordName(e.target.value)} style={{ flex: 1 }} />
+          )}
+          {recording && (
+            <span style={{ flex: 1, color: '#f44336' }}>
+              ● Recording “{recording.name}” — {recording.updates} updates, {fmt(recording.bytes / 1024, 0)} KB
+            </span>
+          )}
+          <button className="primary-btn" onClick={handleRecord}>{recording ? 'Stop Recording' : 'Start Recording'}</button>
+        </div>
+        <div style={{ fontSize: '11px', color: '#888', marginTop: '6px' }}>
+          Records bid/ask for {config.symbols.join(', ')} on every exchange in the price feed
+        </div>
+
+        {recordings.length > 0 && (
+          <table style={{ width: '100%', fontSize: '12px', marginTop: '12px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th /><th>Name</th><th>Started</th><th>Length</th><th>Updates</th><th>Exchanges</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {recordings.map(r => (
+                <tr key={r.id}>
+                  <td><input type="radio" checked={selectedId === r.id} onChange={() => setSelectedId(r.id)} /></td>
+                  <td>{r.name}</td>
+                  <td>{fmtTime(r.startedAt)}</td>
+                  <td>{r.endedAt ? fmtSpan(r.endedAt - r.startedAt) : recording?.id === r.id ? 'recording' : 'interrupted'}</td>
+                  <td>{r.updates}</td>
+                  <td>{r.exchanges?.join(', ') || '—'}</td>
+                  <td>
+                    <button className="secondary-btn" onClick={() => handleDelete(r.id)} disabled={recording?.id === r.id}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Replay Backtest</h3>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', fontSize: '12px' }}>
+          {REPLAY_FIELDS.map(f => (
+            <label key={f.key}>{f.label}
+              <input type="number" step={f.step} value={params[f.key]}
+                onChange={e => setParams(p => ({ ...p, [f.key]: e.target.value }))} />
+            </label>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', fontSize: '12px', marginTop: '12px' }}>
+          {[['minProfitPct', 'Min Profit % sweep'], ['positionSizeUSDT', 'Position Size sweep']].map(([key, label]) => (
+            <div key={key}>
+              <div style={{ color: '#888' }}>{label} (min / max / step)</div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {['min', 'max', 'step'].map(bound => (
+                  <input key={bound} type="number" value={ranges[key][bound]}
+                    onChange={e => setRange(key, bound, e.target.value)} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+          <button className="primary-btn" onClick={handleRun} disabled={busy || !selectedId}>Replay</button>
+          <button className="secondary-btn" onClick={handleSweep} disabled={busy || !selectedId}>Sweep</button>
+          {busy && <span style={{ fontSize: '12px', color: '#888', alignSelf: 'center' }}>Replaying...</span>}
+        </div>
+        {error && <div style={{ color: '#f44336', marginTop: '8px', fontSize: '13px' }}>{error}</div>}
+
+        {m && (
+          <div style={{ marginTop: '12px' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', fontSize: '13px', marginBottom: '12px' }}>
+              {[
+                ['Total P&L', `${fmt(m.totalPnl)} USDT`, m.totalPnl >= 0 ? '#4caf50' : '#f44336'],
+                ['P&L / Day', m.pnlPerDay == null ? '—' : `${fmt(m.pnlPerDay)} USDT`],
+                ['Max Drawdown', `${fmt(m.maxDrawdownUSDT)} USDT`],
+                ['Win Rate', `${fmt(m.winRate, 1)}%`],
+                ['Opportunities', `${m.opportunities} of ${m.updates} updates`],
+                ['Filled / Unwound / Failed', `${m.filled} / ${m.unwound} / ${m.bothLegsFailed}`],
+                ['Detected Net %', m.avgDetectedPct == null ? '—' : `${fmt(m.avgDetectedPct, 3)}%`],
+                ['Realized Net %', m.avgRealizedPct == null ? '—' : `${fmt(m.avgRealizedPct, 3)}%`],
+              ].map(([label, value, color]) => (
+                <div key={label}>
+                  <div style={{ color: '#888', fontSize: '11px' }}>{label}</div>
+                  <div style={{ fontWeight: 'bold', color }}>{value}</div>
+                </div>
+              ))}
+            </div>
+            {result.equity.length > 1 && (
+              <div style={{ height: '180px', marginBottom: '12px' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={result.equity}>
+                    <XAxis dataKey="timestamp" hide />
+                    <YAxis tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={(v) => `${fmt(v)} USDT`} labelFormatter={fmtTime} />
+                    <Line type="stepAfter" dataKey="value" stroke="#2196f3" dot={false} name="Cumulative P&L" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+            <div style={{ maxHeight: '200px', overflow: 'auto' }}>
+              {result.trades.slice(-200).reverse().map((t, i) => (
+                <div key={i} style={{ fontSize: '12px', padding: '4px 0', borderBottom: '1px solid #2a2a2a' }}>
+                  <span style={{ color: '#888' }}>{fmtTime(t.detectedAt)}</span>{' '}
+                  <strong>{t.symbol}</strong> {t.buyExchange} → {t.sellExchange}{' '}
+                  detected {fmt(t.detectedNetPct, 3)}%{' '}
+                  <span style={{ color: OUTCOME_COLORS[t.outcome] }}>{t.outcome}</span>{' '}
+                  <span style={{ color: t.pnl >= 0 ? '#4caf50' : '#f44336' }}>({fmt(t.pnl, 4)} USDT)</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {sweep && (
+          <div style={{ marginTop: '12px', maxHeight: '260px', overflow: 'auto' }}>
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ color: '#888', textAlign: 'left' }}>
+                  <th>Min Profit %</th><th>Size (USDT)</th><th>Total P&L</th><th>Attempts</th><th>Win Rate</th><th>Max DD</th><th />
+                </tr>
+              </thead>
+              <tbody>
+                {sweep.results.slice(0, 25).map((r, i) => (
+                  <tr key={i}>
+                    <td>{r.params.minProfitPct ?? params.minProfitPct}</td>
+                    <td>{r.params.positionSizeUSDT ?? params.positionSizeUSDT}</td>
+                    <td style={{ color: r.metrics.totalPnl >= 0 ? '#4caf50' : '#f44336' }}>{fmt(r.metrics.totalPnl)}</td>
+                    <td>{r.metrics.attempts}</td>
+                    <td>{fmt(r.metrics.winRate, 1)}%</td>
+                    <td>{fmt(r.metrics.maxDrawdownUSDT)}</td>
+                    <td>
+                      <button className="secondary-btn" onClick={() => onApply({
+                        minProfitPct: r.params.minProfitPct ?? parseFloat(params.minProfitPct),
+                        maxPositionUSDT: r.params.positionSizeUSDT ?? parseFloat(params.positionSizeUSDT),
+                      })}>Apply</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
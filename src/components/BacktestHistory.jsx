@@ -0,0 +1,208 @@
+// NeutronTrader - Saved backtest runs (Backtest tab)
+//
+// Lists every saved run; a run can be reopened in the panel, exported, or
+// ticked for comparison, which overlays the selected equity curves (as % return,
+// so runs with different capital line up) above their metrics side by side.
+
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  listBacktestRuns, getBacktestRun, renameBacktestRun, deleteBacktestRun, exportBacktestRun,
+} from '../services/backtestService';
+
+const MAX_COMPARE = 6;
+const COLORS = ['#4caf50', '#2196f3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4'];
+
+const COMPARE_METRICS = [
+  ['Total Return', m => `${fmt(m.totalReturn)}%`],
+  ['CAGR', m => `${fmt(m.cagr)}%`],
+  ['Max Drawdown', m => `${fmt(m.maxDrawdown)}%`],
+  ['Sharpe', m => fmt(m.sharpeRatio)],
+  ['Sortino', m => fmt(m.sortinoRatio)],
+  ['Win Rate', m => `${fmt(m.winRate)}%`],
+  ['Profit Factor', m => fmt(m.profitFactor)],
+  ['Trades', m => m.totalTrades],
+  ['Exposure', m => `${fmt(m.exposurePct, 1)}%`],
+  ['Fees', m => `$${fmt(m.totalFees)}`],
+];
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  if (n === Infinity) return '∞';
+  return Number(n).toFixed(d);
+}
+
+function fmtDay(ts) {
+  return ts == null ? '—' : new Date(ts).toISOString().slice(0, 10);
+}
+
+/** One row per timestamp with each run's return % under its id. */
+function overlay(runs) {
+  const rows = new Map();
+  for (const run of runs) {
+    const base = run.result.initialCapital || run.result.equity[0]?.value || 1;
+    for (const p of run.result.equity) {
+      if (!rows.has(p.timestamp)) rows.set(p.timestamp, { timestamp: p.timestamp });
+      rows.get(p.timestamp)[run.id] = (p.value / base - 1) * 100;
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export default function BacktestHistory({ latestRunId, onOpen }) {
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loaded, setLoaded] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const refresh = () => listBacktestRuns().then(list => {
+    setRuns(list);
+    setSelected(ids => ids.filter(id => list.some(r => r.id === id)));
+  });
+
+  useEffect(() => { refresh(); }, [latestRunId]);
+
+  const fetchRun = async (id) => {
+    if (loaded[id]) return loaded[id];
+    const res = await getBacktestRun(id);
+    if (!res.success) {
+      setMessage(res.error);
+      return null;
+    }
+    setLoaded(p => ({ ...p, [id]: res.data }));
+    return res.data;
+  };
+
+  const toggleCompare = async (id) => {
+    if (selected.includes(id)) {
+      setSelected(ids => ids.filter(x => x !== id));
+      return;
+    }
+    if (selected.length >= MAX_COMPARE) {
+      setMessage(`Compare up to ${MAX_COMPARE} runs at a time`);
+      return;
+    }
+    if (await fetchRun(id)) setSelected(ids => [...ids, id]);
+  };
+
+  const handleOpen = async (id) => {
+    const run = await fetchRun(id);
+    if (run) onOpen(run);
+  };
+
+  const handleExport = async (id, format) => {
+    setMessage('');
+    const res = await exportBacktestRun(id, format);
+    if (res.success) setMessage(`Saved ${res.data.filePath}`);
+    else if (res.error !== 'Export cancelled') setMessage(res.error);
+  };
+
+  const handleRename = async () => {
+    const res = await renameBacktestRun(editing.id, editing.name);
+    if (res.success) {
+      setRuns(res.data);
+      setLoaded(p => (p[editing.id] ? { ...p, [editing.id]: { ...p[editing.id], name: editing.name.trim() } } : p));
+      setEditing(null);
+    } else {
+      setMessage(res.error);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    const res = await deleteBacktestRun(id);
+    if (res.success) {
+      setRuns(res.data);
+      setSelected(ids => ids.filter(x => x !== id));
+    }
+  };
+
+  const compared = selected.map(id => loaded[id]).filter(Boolean);
+
+  return (
+    <div className="card" style={{ padding: '16px', marginTop: '20px' }}>
+      <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>Run History ({runs.length})</h3>
+      {message && <div style={{ color: '#888', fontSize: '12px', marginBottom: '8px' }}>{message}</div>}
+      {runs.length === 0 ? (
+        <div style={{ color: '#888', fontSize: '12px' }}>Completed backtests are saved here</div>
+      ) : (
+        <div style={{ maxHeight: '240px', overflow: 'auto' }}>
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th>Compare</th><th>Run</th><th>Data</th><th>Return</th><th>Max DD</th><th>Sharpe</th><th>Trades</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(r => (
+                <tr key={r.id} style={{ background: r.id === latestRunId ? '#1f2a1f' : undefined }}>
+                  <td><input type="checkbox" checked={selected.includes(r.id)} onChange={() => toggleCompare(r.id)} /></td>
+                  <td>
+                    {editing?.id === r.id ? (
+                      <input value={editing.name} autoFocus
+                        onChange={e => setEditing({ ...editing, name: e.target.value })}
+                        onKeyDown={e => { if (e.key === 'Enter') handleRename(); if (e.key === 'Escape') setEditing(null); }}
+                        onBlur={handleRename} />
+                    ) : (
+                      <span title="Double-click to rename" onDoubleClick={() => setEditing({ id: r.id, name: r.name })}>
+                        <strong>{r.name}</strong>
+                        <div style={{ color: '#888' }}>{new Date(r.savedAt).toLocaleString()}</div>
+                      </span>
+                    )}
+                  </td>
+                  <td>{r.exchange || 'CSV'} {fmtDay(r.dataStart)} → {fmtDay(r.dataEnd)}</td>
+                  <td style={{ color: r.totalReturn >= 0 ? '#4caf50' : '#f44336' }}>{fmt(r.totalReturn)}%</td>
+                  <td>{fmt(r.maxDrawdown)}%</td>
+                  <td>{fmt(r.sharpeRatio)}</td>
+                  <td>{r.totalTrades}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <button className="secondary-btn" onClick={() => handleOpen(r.id)}>Open</button>
+                    <button className="secondary-btn" onClick={() => handleExport(r.id, 'trades-csv')}>Trades CSV</button>
+                    <button className="secondary-btn" onClick={() => handleExport(r.id, 'equity-csv')}>Equity CSV</button>
+                    <button className="secondary-btn" onClick={() => handleExport(r.id, 'json')}>JSON</button>
+                    <button className="secondary-btn" onClick={() => handleDelete(r.id)}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {compared.length > 0 && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ height: '240px', marginBottom: '12px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={overlay(compared)}>
+                <XAxis dataKey="timestamp" tickFormatter={fmtDay} tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} unit="%" />
+                <Tooltip formatter={(v) => `${fmt(v)}%`} labelFormatter={fmtDay} />
+                <Legend wrapperStyle={{ fontSize: '11px' }} />
+                {compared.map((run, i) => (
+                  <Line key={run.id} type="monotone" dataKey={run.id} name={run.name}
+                    stroke={COLORS[i % COLORS.length]} dot={false} connectNulls />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th />
+                {compared.map((run, i) => <th key={run.id} style={{ color: COLORS[i % COLORS.length] }}>{run.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_METRICS.map(([label, value]) => (
+                <tr key={label}>
+                  <td style={{ color: '#888' }}>{label}</td>
+                  {compared.map(run => <td key={run.id}>{value(run.result.metrics)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
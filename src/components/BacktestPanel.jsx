@@ -1,15 +1,50 @@
 // NeutronTrader - Backtesting panel
 
 import { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
-import { runBacktest, onBacktestProgress } from '../services/backtestService';
-import { listStrategyConfigs, STRATEGY_OPTIONS } from '../services/strategyService';
+import { ComposedChart, Line, Area, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import {
+  runBacktest, onBacktestProgress, getCandleCacheCoverage, purgeCandleCache, listCandleDatasets,
+} from '../services/backtestService';
+import { listStrategyConfigs } from '../services/strategyService';
+import { useStrategyOptions } from '../hooks/useStrategyOptions';
+import CandleCsvImport from './CandleCsvImport';
+import ParameterOptimizer from './ParameterOptimizer';
+import MonteCarloCard from './MonteCarloCard';
+import PortfolioBacktest from './PortfolioBacktest';
+import BacktestHistory from './BacktestHistory';
+
+function toTimestamp(date, endOfDay = false) {
+  if (!date) return undefined;
+  return new Date(`${date}T${endOfDay ? '23:59:59' : '00:00:00'}Z`).getTime();
+}
+
+function fmtDate(ts) {
+  return new Date(ts).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/** Equity points with the Monte Carlo band in force at each (bands step at trade closes). */
+function withBands(equity, bands) {
+  if (!bands?.length) return equity;
+  let b = -1;
+  return equity.map(point => {
+    while (b + 1 < bands.length && bands[b + 1].timestamp <= point.timestamp) b++;
+    if (b < 0) return point;
+    const { p5, p25, p50, p75, p95 } = bands[b];
+    return { ...point, outer: [p5, p95], inner: [p25, p75], median: p50 };
+  });
+}
 
 function fmt(n, d = 2) {
   if (n == null || isNaN(n)) return '—';
   return Number(n).toFixed(d);
 }
 
+function fmtDuration(ms) {
+  if (ms == null || isNaN(ms)) return '—';
+  const hours = ms / 3_600_000;
+  return hours >= 48 ? `${fmt(hours / 24, 1)}d` : `${fmt(hours, 1)}h`;
+}
+
 const DEFAULT_CONFIG = {
   exchange: 'binance',
   symbol: 'BTC/USDT',
@@ -18,43 +53,172 @@ const DEFAULT_CONFIG = {
   initialCapital: 10000,
   feeRate: 0.001,
   strategyParams: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  fillModel: {
+    orderType: 'market',
+    feeSource: 'exchange',
+    slippageBps: 5,
+    volumeImpactBps: 0,
+    spreadBps: 0,
+    maxParticipation: 0.1,
+  },
+  sizing: { mode: 'all-in' },
+  allowShort: false,
+  borrowRatePct: 10,
+  exits: {},
+  intrabarOrder: 'pessimistic',
+};
+
+const SIZING_MODES = [
+  { id: 'all-in', label: 'All-in (cash balance)', fields: [] },
+  { id: 'fixed', label: 'Fixed USDT', fields: [{ key: 'amountUSDT', label: 'Amount (USDT)', default: 1000 }] },
+  { id: 'percent', label: '% of equity', fields: [{ key: 'percent', label: 'Equity %', default: 10 }] },
+  {
+    id: 'volatility', label: 'Volatility target (ATR)', fields: [
+      { key: 'riskPct', label: 'Risk per trade %', default: 1 },
+      { key: 'atrPeriod', label: 'ATR period', default: 14 },
+      { key: 'atrMultiplier', label: 'Stop (x ATR)', default: 2 },
+    ],
+  },
+  {
+    id: 'kelly', label: 'Kelly fraction', fields: [
+      { key: 'kellyFraction', label: 'Kelly multiplier', default: 0.5 },
+      { key: 'minTrades', label: 'Warm-up trades', default: 10 },
+      { key: 'percent', label: 'Warm-up equity %', default: 10 },
+    ],
+  },
+];
+
+const FILL_FIELDS = [
+  { key: 'slippageBps', label: 'Slippage (bps)', step: 1 },
+  { key: 'spreadBps', label: 'Spread (bps)', step: 1 },
+  { key: 'volumeImpactBps', label: 'Volume Impact (bps)', step: 1 },
+  { key: 'maxParticipation', label: 'Max % of Bar Volume', step: 1, scale: 100 },
+];
+
+const EXIT_FIELDS = [
+  { key: 'stopLossPct', label: 'Stop Loss %' },
+  { key: 'takeProfitPct', label: 'Take Profit %' },
+  { key: 'trailingStopPct', label: 'Trailing Stop %' },
+  { key: 'maxHoldMinutes', label: 'Max Hold (min)' },
+];
+
+const EXIT_LABELS = {
+  'stop-loss': 'Stop loss',
+  'take-profit': 'Take profit',
+  'trailing-stop': 'Trailing stop',
+  'max-hold': 'Max hold',
+  signal: 'Signal',
 };
 
 export default function BacktestPanel() {
   const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const { options: strategyOptions } = useStrategyOptions();
   const [savedConfigs, setSavedConfigs] = useState([]);
   const [running, setRunning] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [loadedBars, setLoadedBars] = useState(null);
   const [result, setResult] = useState(null);
+  const [monteCarlo, setMonteCarlo] = useState(null);
   const [error, setError] = useState('');
+  const [cacheCoverage, setCacheCoverage] = useState([]);
+  const [datasets, setDatasets] = useState([]);
+
+  const refreshCache = () => getCandleCacheCoverage().then(setCacheCoverage);
+  const refreshDatasets = () => listCandleDatasets().then(list => {
+    setDatasets(list);
+    setConfig(p => (p.datasetId && !list.some(d => d.id === p.datasetId) ? { ...p, datasetId: null } : p));
+  });
 
   useEffect(() => {
     listStrategyConfigs().then(setSavedConfigs);
-    const cleanup = onBacktestProgress(p => setProgress(p.percent || 0));
+    refreshCache();
+    refreshDatasets();
+    const cleanup = onBacktestProgress(p => {
+      setProgress(p.percent || 0);
+      setLoadedBars(p.phase === 'loading' ? p.bars : null);
+    });
     return cleanup;
   }, []);
 
+  const buildPayload = () => {
+    const payload = {
+      ...config,
+      startTime: toTimestamp(config.startDate),
+      endTime: toTimestamp(config.endDate, true),
+    };
+    if (config.strategy === 'composed' && config.composedConfig) {
+      payload.composedConfig = config.composedConfig;
+    }
+    return payload;
+  };
+
   const handleRun = async () => {
     setRunning(true);
     setError('');
     setResult(null);
+    setMonteCarlo(null);
     setProgress(0);
+    setLoadedBars(null);
     try {
-      const payload = { ...config };
-      if (config.strategy === 'composed' && config.composedConfig) {
-        payload.composedConfig = config.composedConfig;
-      }
-      const res = await runBacktest(payload);
+      const res = await runBacktest(buildPayload());
       if (res.success) setResult(res.data);
       else setError(res.error || 'Backtest failed');
     } catch (e) {
       setError(e.message);
     } finally {
       setRunning(false);
+      refreshCache();
     }
   };
 
-  const strategyDef = STRATEGY_OPTIONS.find(s => s.id === config.strategy);
+  // Reload a saved run's config and result into the panel
+  const openRun = (run) => {
+    // The form keeps dates as startDate/endDate; the resolved timestamps stay with the run
+    const saved = { ...run.config };
+    delete saved.startTime;
+    delete saved.endTime;
+    setConfig({ ...DEFAULT_CONFIG, ...saved });
+    setResult({ ...run.result, runId: run.id });
+    setMonteCarlo(null);
+    setError('');
+  };
+
+  const handlePurge = async (filter) => {
+    await purgeCandleCache(filter);
+    refreshCache();
+  };
+
+  const handleSourceChange = (value) => {
+    const dataset = datasets.find(d => `dataset:${d.id}` === value);
+    setConfig(p => dataset
+      ? { ...p, datasetId: dataset.id, symbol: dataset.symbol, interval: dataset.interval }
+      : { ...p, datasetId: null, exchange: value });
+  };
+
+  const setSizing = (key, value) => setConfig(p => ({ ...p, sizing: { ...p.sizing, [key]: value } }));
+  const setFill = (key, value) => setConfig(p => ({ ...p, fillModel: { ...p.fillModel, [key]: value } }));
+  const setExit = (key, value) => setConfig(p => ({ ...p, exits: { ...p.exits, [key]: value } }));
+
+  // Copy an optimization result's values into the strategy or composed rule params
+  const applyOptimized = (ranges, values) => setConfig(p => {
+    const strategyParams = { ...p.strategyParams };
+    const rules = p.composedConfig?.rules?.map(r => ({ ...r, params: { ...r.params } }));
+    ranges.forEach((r, i) => {
+      if (r.rule == null) strategyParams[r.key] = values[i];
+      else if (rules?.[r.rule]) rules[r.rule].params[r.key] = values[i];
+    });
+    return { ...p, strategyParams, composedConfig: rules ? { ...p.composedConfig, rules } : p.composedConfig };
+  });
+
+  const strategyDef = strategyOptions.find(s => s.id === config.strategy);
+  const activeDataset = datasets.find(d => d.id === config.datasetId);
+  const sizingMode = SIZING_MODES.find(m => m.id === config.sizing.mode) || SIZING_MODES[0];
+  const composedRisk = config.strategy === 'composed' ? config.composedConfig?.riskOverrides || {} : {};
+  const composedCap = composedRisk.maxPositionUSDT;
+  const exitCounts = (result?.trades || []).reduce((acc, t) => {
+    if (t.exitReason && !t.partial) acc[t.exitReason] = (acc[t.exitReason] || 0) + 1;
+    return acc;
+  }, {});
 
   return (
     <div style={{ maxWidth: '900px', margin: '0 auto' }}>
@@ -64,32 +228,60 @@ export default function BacktestPanel() {
         <div className="card" style={{ padding: '16px' }}>
           <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Configuration</h3>
           <div className="form-group">
-            <label>Exchange</label>
-            <select value={config.exchange} onChange={e => setConfig(p => ({ ...p, exchange: e.target.value }))}
+            <label>Data Source</label>
+            <select value={activeDataset ? `dataset:${activeDataset.id}` : config.exchange}
+              onChange={e => handleSourceChange(e.target.value)}
               style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
-              {['binance', 'bybit', 'okx', 'kraken', 'coinbase'].map(ex => (
-                <option key={ex} value={ex}>{ex}</option>
-              ))}
+              <optgroup label="Exchange">
+                {['binance', 'bybit', 'okx', 'kraken', 'coinbase'].map(ex => (
+                  <option key={ex} value={ex}>{ex}</option>
+                ))}
+              </optgroup>
+              {datasets.length > 0 && (
+                <optgroup label="CSV dataset">
+                  {datasets.map(d => <option key={d.id} value={`dataset:${d.id}`}>{d.name}</option>)}
+                </optgroup>
+              )}
             </select>
           </div>
-          <div className="form-group">
-            <label>Symbol</label>
-            <input value={config.symbol} onChange={e => setConfig(p => ({ ...p, symbol: e.target.value }))} />
-          </div>
-          <div className="form-group">
-            <label>Interval</label>
-            <select value={config.interval} onChange={e => setConfig(p => ({ ...p, interval: e.target.value }))}
-              style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
-              {['1m', '5m', '15m', '30m', '1h', '4h', '1d'].map(i => (
-                <option key={i} value={i}>{i}</option>
-              ))}
-            </select>
+          {activeDataset ? (
+            <div style={{ fontSize: '12px', color: '#888', marginBottom: '12px' }}>
+              {activeDataset.symbol} {activeDataset.interval} — {activeDataset.bars} bars, {fmtDate(activeDataset.startTime)} → {fmtDate(activeDataset.endTime)} UTC
+            </div>
+          ) : (
+            <>
+              <div className="form-group">
+                <label>Symbol</label>
+                <input value={config.symbol} onChange={e => setConfig(p => ({ ...p, symbol: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label>Interval</label>
+                <select value={config.interval} onChange={e => setConfig(p => ({ ...p, interval: e.target.value }))}
+                  style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                  {['1m', '5m', '15m', '30m', '1h', '4h', '1d'].map(i => (
+                    <option key={i} value={i}>{i}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>From (UTC)</label>
+              <input type="date" value={config.startDate || ''}
+                onChange={e => setConfig(p => ({ ...p, startDate: e.target.value }))} />
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>To (UTC)</label>
+              <input type="date" value={config.endDate || ''}
+                onChange={e => setConfig(p => ({ ...p, endDate: e.target.value }))} />
+            </div>
           </div>
           <div className="form-group">
             <label>Strategy</label>
             <select value={config.strategy} onChange={e => setConfig(p => ({ ...p, strategy: e.target.value }))}
               style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
-              {STRATEGY_OPTIONS.map(s => (
+              {strategyOptions.map(s => (
                 <option key={s.id} value={s.id}>{s.label}</option>
               ))}
               <option value="composed">Composed Strategy</option>
@@ -123,8 +315,95 @@ export default function BacktestPanel() {
             <input type="number" value={config.initialCapital}
               onChange={e => setConfig(p => ({ ...p, initialCapital: parseFloat(e.target.value) }))} />
           </div>
+          <div className="form-group">
+            <label>Position Sizing</label>
+            <select value={sizingMode.id} onChange={e => setSizing('mode', e.target.value)}
+              style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+              {SIZING_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </div>
+          {sizingMode.fields.length > 0 && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0 8px' }}>
+              {sizingMode.fields.map(f => (
+                <div className="form-group" key={f.key}>
+                  <label>{f.label}</label>
+                  <input type="number" min="0" value={config.sizing[f.key] ?? f.default}
+                    onChange={e => setSizing(f.key, parseFloat(e.target.value))} />
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="form-group">
+            <label>Max Position (USDT)</label>
+            <input type="number" min="0" value={config.sizing.maxPositionUSDT ?? ''}
+              placeholder={composedCap ? `${composedCap} (from composer config)` : 'No cap'}
+              onChange={e => setSizing('maxPositionUSDT', e.target.value === '' ? null : parseFloat(e.target.value))} />
+          </div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+            <label style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', marginBottom: '12px' }}>
+              <input type="checkbox" checked={config.allowShort}
+                onChange={e => setConfig(p => ({ ...p, allowShort: e.target.checked }))} />
+              Short on SELL signals
+            </label>
+            {config.allowShort && (
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Borrow Rate (% APR)</label>
+                <input type="number" min="0" step="0.5" value={config.borrowRatePct}
+                  onChange={e => setConfig(p => ({ ...p, borrowRatePct: parseFloat(e.target.value) }))} />
+              </div>
+            )}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0 8px' }}>
+            {EXIT_FIELDS.map(f => (
+              <div className="form-group" key={f.key}>
+                <label>{f.label}</label>
+                <input type="number" min="0" step="0.5" value={config.exits[f.key] ?? ''}
+                  placeholder={composedRisk[f.key] ? `${composedRisk[f.key]} (from composer config)` : 'Off'}
+                  onChange={e => setExit(f.key, e.target.value === '' ? null : parseFloat(e.target.value))} />
+              </div>
+            ))}
+          </div>
+          <div className="form-group">
+            <label>Stop and Target in Same Bar</label>
+            <select value={config.intrabarOrder} onChange={e => setConfig(p => ({ ...p, intrabarOrder: e.target.value }))}
+              style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+              <option value="pessimistic">Pessimistic (stop first)</option>
+              <option value="optimistic">Optimistic (target first)</option>
+            </select>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>Orders</label>
+              <select value={config.fillModel.orderType} onChange={e => setFill('orderType', e.target.value)}
+                style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                <option value="market">Market (taker)</option>
+                <option value="limit">Limit at open (maker)</option>
+              </select>
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>Fees</label>
+              <select value={config.fillModel.feeSource} onChange={e => setFill('feeSource', e.target.value)}
+                style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                <option value="exchange">Exchange maker/taker</option>
+                <option value="flat">Flat {fmt(config.feeRate * 100, 2)}%</option>
+              </select>
+            </div>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0 8px' }}>
+            {FILL_FIELDS.map(f => (
+              <div className="form-group" key={f.key}>
+                <label>{f.label}</label>
+                <input type="number" min="0" step={f.step}
+                  disabled={config.fillModel.orderType === 'limit' && f.key !== 'maxParticipation'}
+                  value={+((config.fillModel[f.key] || 0) * (f.scale || 1)).toFixed(4)}
+                  onChange={e => setFill(f.key, (parseFloat(e.target.value) || 0) / (f.scale || 1))} />
+              </div>
+            ))}
+          </div>
           <button className="primary-btn" onClick={handleRun} disabled={running} style={{ marginTop: '8px' }}>
-            {running ? `Running... ${progress}%` : 'Run Backtest'}
+            {running
+              ? (loadedBars != null ? `Loading candles... ${loadedBars} bars` : `Running... ${progress}%`)
+              : 'Run Backtest'}
           </button>
           {error && <div style={{ color: '#f44336', marginTop: '8px', fontSize: '13px' }}>{error}</div>}
         </div>
@@ -136,10 +415,22 @@ export default function BacktestPanel() {
               {[
                 ['Total Return', `${fmt(result.metrics.totalReturn)}%`],
                 ['Max Drawdown', `${fmt(result.metrics.maxDrawdown)}%`],
+                ['CAGR', `${fmt(result.metrics.cagr)}%`],
+                ['Buy & Hold Return', `${fmt(result.metrics.benchmarkReturn)}%`],
                 ['Sharpe Ratio', fmt(result.metrics.sharpeRatio)],
+                ['Sortino Ratio', fmt(result.metrics.sortinoRatio)],
+                ['Calmar Ratio', fmt(result.metrics.calmarRatio)],
+                ['Alpha / Beta', `${fmt(result.metrics.alpha)}% / ${fmt(result.metrics.beta)}`],
                 ['Win Rate', `${fmt(result.metrics.winRate)}%`],
                 ['Profit Factor', fmt(result.metrics.profitFactor)],
                 ['Trades', result.metrics.totalTrades],
+                ['Max Consecutive Losses', result.metrics.maxConsecutiveLosses],
+                ['Exposure', `${fmt(result.metrics.exposurePct, 1)}%`],
+                ['Avg Trade Duration', fmtDuration(result.metrics.avgTradeDurationMs)],
+                ['Fees', `$${fmt(result.metrics.totalFees)}`],
+                ['Spread + Slippage', `$${fmt((result.metrics.totalSpreadCost || 0) + (result.metrics.totalSlippage || 0))}`],
+                ...(result.metrics.totalBorrowCost ? [['Borrow Cost', `$${fmt(result.metrics.totalBorrowCost)}`]] : []),
+                ...(result.exitRules ? [['Exits', Object.entries(exitCounts).map(([r, n]) => `${EXIT_LABELS[r] || r} ${n}`).join(', ') || '—']] : []),
               ].map(([label, value]) => (
                 <div key={label}>
                   <div style={{ color: '#888', fontSize: '11px' }}>{label}</div>
@@ -147,23 +438,55 @@ export default function BacktestPanel() {
                 </div>
               ))}
             </div>
+            {result.data && (
+              <div style={{ marginTop: '12px', fontSize: '12px', color: '#888' }}>
+                {result.data.source === 'csv' && `${result.data.dataset}: `}
+                {result.data.bars} bars loaded
+                {result.data.expectedBars != null && ` of ${result.data.expectedBars} expected`}
+                {result.data.pages != null && ` in ${result.data.pages} request${result.data.pages === 1 ? '' : 's'}`}
+                {result.data.cachedBars != null && ` (${result.data.cachedBars} from cache)`}
+                {result.data.fetchError && (
+                  <div style={{ color: '#ff9800' }}>Using cached data only: {result.data.fetchError}</div>
+                )}
+                {result.data.gaps?.length > 0 && (
+                  <div style={{ color: '#ff9800' }}>
+                    {result.data.gaps.length} gap{result.data.gaps.length === 1 ? '' : 's'} ({result.data.missingBars} missing bars),
+                    first at {fmtDate(result.data.gaps[0].from)} UTC
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
 
       {result?.equity?.length > 0 && (
         <div className="card" style={{ padding: '16px', height: '280px', marginBottom: '20px' }}>
-          <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>Equity Curve</h3>
+          <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>
+            Equity Curve
+            {monteCarlo && <span style={{ color: '#888', fontWeight: 'normal' }}> — Monte Carlo 5–95% and 25–75% bands</span>}
+          </h3>
           <ResponsiveContainer width="100%" height="90%">
-            <LineChart data={result.equity}>
+            <ComposedChart data={withBands(result.equity, monteCarlo?.bands)}>
               <XAxis dataKey="timestamp" hide />
               <YAxis domain={['auto', 'auto']} tick={{ fontSize: 10 }} />
-              <Tooltip formatter={(v) => `$${fmt(v)}`} />
-              <Line type="monotone" dataKey="value" stroke="#4caf50" dot={false} />
-            </LineChart>
+              <Tooltip formatter={(v) => (Array.isArray(v) ? `$${fmt(v[0])} – $${fmt(v[1])}` : `$${fmt(v)}`)} />
+              {monteCarlo && (
+                <>
+                  <Area type="stepAfter" dataKey="outer" stroke="none" fill="#2196f3" fillOpacity={0.12} name="5–95%" />
+                  <Area type="stepAfter" dataKey="inner" stroke="none" fill="#2196f3" fillOpacity={0.25} name="25–75%" />
+                  <Line type="stepAfter" dataKey="median" stroke="#2196f3" strokeDasharray="4 3" dot={false} name="Median" />
+                </>
+              )}
+              <Line type="monotone" dataKey="benchmark" stroke="#888" strokeDasharray="2 2" dot={false} name="Buy & Hold" />
+              <Line type="monotone" dataKey="value" stroke="#4caf50" dot={false} name="Equity" />
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       )}
+      {result?.equity?.length > 0 && (
+        <MonteCarloCard result={result} monteCarlo={monteCarlo} onChange={setMonteCarlo} />
+      )}
 
       {result?.trades?.length > 0 && (
         <div className="card" style={{ padding: '16px' }}>
@@ -172,13 +495,48 @@ export default function BacktestPanel() {
             {result.trades.map((t, i) => (
               <div key={i} style={{ fontSize: '12px', padding: '4px 0', borderBottom: '1px solid #2a2a2a' }}>
                 <span style={{ color: t.side === 'BUY' ? '#4caf50' : '#f44336', fontWeight: 'bold' }}>{t.side}</span>
+                {t.direction === 'SHORT' && <span style={{ color: '#888' }}> {t.action === 'open' ? 'short' : 'cover'}</span>}
                 {' '}@ ${fmt(t.price)} — {t.reason}
+                {t.exitReason && t.exitReason !== 'signal' && (
+                  <span style={{ color: '#ff9800' }}> [{EXIT_LABELS[t.exitReason] || t.exitReason}]</span>
+                )}
+                {t.partial && <span style={{ color: '#ff9800' }}> (partial)</span>}
                 {t.pnl != null && <span style={{ color: t.pnl >= 0 ? '#4caf50' : '#f44336' }}> ({fmt(t.pnl)} USDT)</span>}
               </div>
             ))}
           </div>
         </div>
       )}
+      <BacktestHistory latestRunId={result?.runId} onOpen={openRun} />
+      <ParameterOptimizer config={config} buildPayload={buildPayload} onApply={applyOptimized} />
+      <PortfolioBacktest config={config} buildPayload={buildPayload} />
+      <CandleCsvImport datasets={datasets} onChange={refreshDatasets} />
+
+      <div className="card" style={{ padding: '16px', marginTop: '20px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <h3 style={{ fontSize: '14px' }}>Candle Cache</h3>
+          {cacheCoverage.length > 0 && (
+            <button onClick={() => handlePurge({})} style={{ fontSize: '12px', color: '#f44336', cursor: 'pointer' }}>Clear All</button>
+          )}
+        </div>
+        {cacheCoverage.length === 0 ? (
+          <div style={{ color: '#555', fontSize: '12px' }}>No cached candles yet</div>
+        ) : (
+          cacheCoverage.map(s => (
+            <div key={`${s.exchange}-${s.symbol}-${s.interval}`}
+              style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', padding: '4px 0', borderBottom: '1px solid #2a2a2a' }}>
+              <div>
+                <strong>{s.exchange} {s.symbol} {s.interval}</strong> — {s.bars} bars, {fmt(s.sizeBytes / 1024 / 1024, 1)} MB
+                <div style={{ color: '#888' }}>
+                  {s.coverage.map(([from, to]) => `${fmtDate(from)} → ${fmtDate(to)}`).join(', ')}
+                </div>
+              </div>
+              <button onClick={() => handlePurge({ exchange: s.exchange, symbol: s.symbol, interval: s.interval })}
+                style={{ fontSize: '12px', color: '#f44336', cursor: 'pointer' }}>Purge</button>
+            </div>
+          ))
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,173 @@
+// NeutronTrader - CSV candle import card (Backtest tab)
+
+import { useState } from 'react';
+import { pickCandleCsv, importCandleCsv, deleteCandleDataset } from '../services/backtestService';
+
+const FIELDS = [
+  ['time', 'Timestamp'],
+  ['open', 'Open'],
+  ['high', 'High'],
+  ['low', 'Low'],
+  ['close', 'Close'],
+  ['volume', 'Volume'],
+];
+
+const DELIMITERS = [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']];
+
+const selectStyle = { width: '100%', padding: '6px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' };
+
+function fmtDate(ts) {
+  return new Date(ts).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+export default function CandleCsvImport({ datasets, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const handlePick = async () => {
+    setErrors([]);
+    setMessage('');
+    const res = await pickCandleCsv();
+    if (!res.success) {
+      if (res.error !== 'Import cancelled') setErrors([res.error]);
+      return;
+    }
+    const info = res.data;
+    setDraft({
+      ...info,
+      name: info.fileName.replace(/\.[^.]+$/, ''),
+      symbol: 'BTC/USDT',
+      timestampUnit: 'auto',
+    });
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setErrors([]);
+    try {
+      const res = await importCandleCsv(draft.filePath, {
+        name: draft.name,
+        symbol: draft.symbol,
+        delimiter: draft.delimiter,
+        mapping: draft.mapping,
+        timestampUnit: draft.timestampUnit,
+        hasHeader: !!draft.header,
+      });
+      if (res.success) {
+        const { dataset, warnings } = res.data;
+        setMessage(`Imported "${dataset.name}": ${dataset.bars} ${dataset.interval} bars${warnings.length ? ` — ${warnings.join('; ')}` : ''}`);
+        setDraft(null);
+        onChange?.();
+      } else {
+        setErrors(res.data?.errors?.length ? res.data.errors : [res.error || 'Import failed']);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    await deleteCandleDataset(id);
+    onChange?.();
+  };
+
+  const setMapping = (field, value) => setDraft(d => {
+    const mapping = { ...d.mapping };
+    if (value === '') delete mapping[field];
+    else mapping[field] = parseInt(value, 10);
+    return { ...d, mapping };
+  });
+
+  return (
+    <div className="card" style={{ padding: '16px', marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ fontSize: '14px' }}>CSV Datasets</h3>
+        <button onClick={handlePick} style={{ fontSize: '12px', cursor: 'pointer' }}>Import CSV...</button>
+      </div>
+
+      {draft && (
+        <div style={{ border: '1px solid #333', borderRadius: '6px', padding: '12px', marginBottom: '12px', fontSize: '12px' }}>
+          <div style={{ marginBottom: '8px', color: '#888' }}>{draft.fileName}</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '8px' }}>
+            <label>Name
+              <input value={draft.name} onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} />
+            </label>
+            <label>Symbol
+              <input value={draft.symbol} onChange={e => setDraft(d => ({ ...d, symbol: e.target.value.toUpperCase() }))} />
+            </label>
+            <label>Delimiter
+              <select value={draft.delimiter} style={selectStyle}
+                onChange={e => setDraft(d => ({ ...d, delimiter: e.target.value }))}>
+                {DELIMITERS.map(([d, label]) => <option key={label} value={d}>{label}</option>)}
+              </select>
+            </label>
+            <label>Timestamps
+              <select value={draft.timestampUnit} style={selectStyle}
+                onChange={e => setDraft(d => ({ ...d, timestampUnit: e.target.value }))}>
+                <option value="auto">Auto-detect</option>
+                <option value="ms">Unix ms</option>
+                <option value="s">Unix seconds</option>
+                <option value="iso">ISO date/time</option>
+              </select>
+            </label>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: '8px', marginBottom: '8px' }}>
+            {FIELDS.map(([field, label]) => (
+              <label key={field}>{label}
+                <select value={draft.mapping[field] ?? ''} style={selectStyle} onChange={e => setMapping(field, e.target.value)}>
+                  <option value="">—</option>
+                  {draft.columns.map((col, i) => <option key={i} value={i}>{col}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div style={{ overflowX: 'auto', marginBottom: '8px' }}>
+            <table style={{ width: '100%', fontSize: '11px', color: '#aaa' }}>
+              <thead>
+                <tr>{draft.columns.map((col, i) => <th key={i} style={{ textAlign: 'left' }}>{col}</th>)}</tr>
+              </thead>
+              <tbody>
+                {draft.rows.map((row, r) => (
+                  <tr key={r}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button className="primary-btn" onClick={handleImport} disabled={importing || !draft.symbol}>
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+            <button onClick={() => setDraft(null)} style={{ cursor: 'pointer' }}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul style={{ margin: '0 0 8px', paddingLeft: '18px', color: '#ff8a80', fontSize: '12px' }}>
+          {errors.map((err, i) => <li key={i}>{err}</li>)}
+        </ul>
+      )}
+      {message && <div style={{ color: '#4caf50', fontSize: '12px', marginBottom: '8px' }}>{message}</div>}
+
+      {datasets.length === 0 ? (
+        <div style={{ color: '#555', fontSize: '12px' }}>No imported datasets</div>
+      ) : (
+        datasets.map(d => (
+          <div key={d.id}
+            style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', padding: '4px 0', borderBottom: '1px solid #2a2a2a' }}>
+            <div>
+              <strong>{d.name}</strong> — {d.symbol} {d.interval}, {d.bars} bars
+              <div style={{ color: '#888' }}>
+                {fmtDate(d.startTime)} → {fmtDate(d.endTime)}
+                {d.gapCount > 0 && <span style={{ color: '#ff9800' }}> ({d.gapCount} gaps)</span>}
+              </div>
+            </div>
+            <button onClick={() => handleDelete(d.id)} style={{ fontSize: '12px', color: '#f44336', cursor: 'pointer' }}>Delete</button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
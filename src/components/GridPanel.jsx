@@ -0,0 +1,323 @@
+// NeutronTrader - Grid trading control panel
+// src/components/GridPanel.jsx
+
+import { useState, useEffect } from 'react';
+import { startGrid, stopGrid, getGridStatus, onGridUpdate } from '../services/gridService';
+import { runGridBacktest, onBacktestProgress } from '../services/backtestService';
+
+const EXCHANGES = ['binance', 'coinbase', 'kraken', 'okx', 'bybit'];
+const INTERVALS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+const DEFAULT_CONFIG = {
+  exchange: 'binance',
+  symbol: 'BTC/USDT',
+  lower: '',
+  upper: '',
+  levels: 10,
+  spacing: 'arithmetic',
+  quantity: '',
+  stopLossPrice: '',
+  takeProfitPrice: '',
+  closeOnStop: true,
+  paper: true,
+};
+
+const DEFAULT_BACKTEST = {
+  interval: '1h',
+  startDate: '',
+  endDate: '',
+  initialCapital: 10000,
+};
+
+const selectStyle = { width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' };
+
+function fmt(n, d = 2) { return Number(n).toFixed(d); }
+
+function toTimestamp(date, endOfDay = false) {
+  if (!date) return undefined;
+  return new Date(`${date}T${endOfDay ? '23:59:59' : '00:00:00'}Z`).getTime();
+}
+
+/** Form values as numbers; blank optional prices become null. */
+function gridPayload(config) {
+  const num = v => (v === '' || v == null ? null : parseFloat(v));
+  return {
+    ...config,
+    lower: num(config.lower),
+    upper: num(config.upper),
+    levels: parseInt(config.levels),
+    quantity: num(config.quantity),
+    stopLossPrice: num(config.stopLossPrice),
+    takeProfitPrice: num(config.takeProfitPrice),
+  };
+}
+
+function GridCard({ grid, onStop }) {
+  const pnlColor = v => (v >= 0 ? '#4caf50' : '#f44336');
+  return (
+    <div className="card" style={{ marginBottom: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <div>
+          <strong>{grid.symbol}</strong>
+          <span style={{ color: '#aaa', marginLeft: '8px' }}>{grid.exchange}</span>
+          <span style={{ color: '#888', marginLeft: '8px', fontSize: '12px' }}>
+            {fmt(grid.lower, 4)} – {fmt(grid.upper, 4)} · {grid.levels?.length || 0} levels · {grid.spacing}
+          </span>
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <span style={{
+            padding: '3px 10px', borderRadius: '4px', fontSize: '12px',
+            background: grid.running ? '#1a4a1a' : '#2a2a2a',
+            color: grid.running ? '#4caf50' : '#888'
+          }}>
+            {grid.running ? 'RUNNING' : grid.stopOut ? `STOPPED (${grid.stopOut})` : 'STOPPED'}
+          </span>
+          {grid.running && (
+            <>
+              <button onClick={() => onStop(grid, true)} style={{ fontSize: '12px', padding: '4px 10px', cursor: 'pointer' }}>
+                Stop
+              </button>
+              <button onClick={() => onStop(grid, false)} title="Stop polling and leave the resting orders on the exchange"
+                style={{ fontSize: '12px', padding: '4px 10px', cursor: 'pointer' }}>
+                Detach
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px', fontSize: '13px' }}>
+        {[
+          { label: 'Last Price', value: grid.lastPrice != null ? fmt(grid.lastPrice, 4) : '—' },
+          { label: 'Open Orders', value: grid.openOrders?.length ?? 0 },
+          { label: 'Inventory', value: fmt(grid.inventory || 0, 6) },
+          { label: 'Round Trips', value: grid.roundTrips },
+          { label: 'Grid Profit', value: `${grid.gridProfit >= 0 ? '+' : ''}${fmt(grid.gridProfit || 0)} USDT`, color: pnlColor(grid.gridProfit || 0) },
+          { label: 'Unrealized', value: `${fmt(grid.unrealizedPnl || 0)} USDT`, color: pnlColor(grid.unrealizedPnl || 0) },
+          { label: 'Fees', value: fmt(grid.fees || 0, 4) },
+          { label: 'Stop-Loss', value: grid.stopLossPrice ?? '—' },
+          { label: 'Take-Profit', value: grid.takeProfitPrice ?? '—' },
+        ].map(({ label, value, color }) => (
+          <div key={label}>
+            <div style={{ fontSize: '11px', color: '#888' }}>{label}</div>
+            <div style={{ color: color || '#fff' }}>{value}</div>
+          </div>
+        ))}
+      </div>
+      {grid.error && <div style={{ color: '#f44336', fontSize: '12px', marginTop: '8px' }}>{grid.error}</div>}
+    </div>
+  );
+}
+
+export default function GridPanel() {
+  const [config, setConfig] = useState(DEFAULT_CONFIG);
+  const [backtest, setBacktest] = useState(DEFAULT_BACKTEST);
+  const [grids, setGrids] = useState([]);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getGridStatus().then(res => {
+      if (res?.success) setGrids(res.data);
+    });
+    return onGridUpdate(status => {
+      setGrids(prev => {
+        const others = prev.filter(g => g.exchange !== status.exchange || g.symbol !== status.symbol);
+        return [...others, status];
+      });
+    });
+  }, []);
+
+  const set = (key, parse = v => v) => e => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : parse(e.target.value);
+    setConfig(p => ({ ...p, [key]: value }));
+  };
+
+  const handleStart = async () => {
+    setError(null);
+    setStarting(true);
+    try {
+      const res = await startGrid(gridPayload(config));
+      if (!res?.success) return setError(res?.error || 'Failed to start grid');
+      setGrids(prev => [...prev.filter(g => g.exchange !== res.data.exchange || g.symbol !== res.data.symbol), res.data]);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleStop = async (grid, cancelOrders) => {
+    setError(null);
+    const res = await stopGrid(grid.exchange, grid.symbol, { cancelOrders });
+    if (!res?.success) return setError(res?.error || 'Failed to stop grid');
+    setGrids(prev => prev.filter(g => g.exchange !== grid.exchange || g.symbol !== grid.symbol));
+  };
+
+  const handleBacktest = async () => {
+    setError(null);
+    setResult(null);
+    setBusy(true);
+    const unsubscribe = onBacktestProgress(setProgress);
+    try {
+      const { lower, upper, levels, spacing, quantity, stopLossPrice, takeProfitPrice, closeOnStop } = gridPayload(config);
+      const res = await runGridBacktest({
+        exchange: config.exchange,
+        symbol: config.symbol,
+        interval: backtest.interval,
+        startTime: toTimestamp(backtest.startDate),
+        endTime: toTimestamp(backtest.endDate, true),
+        initialCapital: parseFloat(backtest.initialCapital),
+        grid: { lower, upper, levels, spacing, quantity, stopLossPrice, takeProfitPrice, closeOnStop },
+      });
+      if (!res?.success) setError(res?.error || 'Grid backtest failed');
+      else setResult(res.data);
+    } finally {
+      unsubscribe();
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  const m = result?.metrics;
+
+  return (
+    <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+      <h2 style={{ marginBottom: '20px' }}>Grid Trading</h2>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '20px' }}>
+        <div className="card">
+          <h3 style={{ fontSize: '14px', marginBottom: '16px' }}>Grid</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0 12px' }}>
+            <div className="form-group">
+              <label>Exchange</label>
+              <select value={config.exchange} onChange={set('exchange')} style={selectStyle}>
+                {EXCHANGES.map(ex => <option key={ex} value={ex}>{ex}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Symbol</label>
+              <input value={config.symbol} onChange={set('symbol')} />
+            </div>
+            <div className="form-group">
+              <label>Lower bound</label>
+              <input type="number" value={config.lower} onChange={set('lower')} />
+            </div>
+            <div className="form-group">
+              <label>Upper bound</label>
+              <input type="number" value={config.upper} onChange={set('upper')} />
+            </div>
+            <div className="form-group">
+              <label>Levels</label>
+              <input type="number" min="2" value={config.levels} onChange={set('levels')} />
+            </div>
+            <div className="form-group">
+              <label>Spacing</label>
+              <select value={config.spacing} onChange={set('spacing')} style={selectStyle}>
+                <option value="arithmetic">Arithmetic (equal price gap)</option>
+                <option value="geometric">Geometric (equal % gap)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Quantity per order (base)</label>
+              <input type="number" value={config.quantity} onChange={set('quantity')} />
+            </div>
+            <div className="form-group" />
+            <div className="form-group">
+              <label>Stop-out below (optional)</label>
+              <input type="number" value={config.stopLossPrice} onChange={set('stopLossPrice')} />
+            </div>
+            <div className="form-group">
+              <label>Stop-out above (optional)</label>
+              <input type="number" value={config.takeProfitPrice} onChange={set('takeProfitPrice')} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={config.closeOnStop} onChange={set('closeOnStop')} />
+              {' '}Sell the grid&apos;s inventory at market on stop-out
+            </label>
+          </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={config.paper} onChange={set('paper')} />
+              {' '}Paper trading (simulated fills against live prices)
+            </label>
+          </div>
+          <button className="primary-btn" onClick={handleStart} disabled={starting}>
+            {starting ? 'Starting...' : 'Start Grid'}
+          </button>
+        </div>
+
+        <div className="card">
+          <h3 style={{ fontSize: '14px', marginBottom: '16px' }}>Backtest</h3>
+          <div className="form-group">
+            <label>Interval</label>
+            <select value={backtest.interval} onChange={e => setBacktest(p => ({ ...p, interval: e.target.value }))} style={selectStyle}>
+              {INTERVALS.map(i => <option key={i} value={i}>{i}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Start date</label>
+            <input type="date" value={backtest.startDate} onChange={e => setBacktest(p => ({ ...p, startDate: e.target.value }))} />
+          </div>
+          <div className="form-group">
+            <label>End date</label>
+            <input type="date" value={backtest.endDate} onChange={e => setBacktest(p => ({ ...p, endDate: e.target.value }))} />
+          </div>
+          <div className="form-group">
+            <label>Initial capital (USDT)</label>
+            <input type="number" value={backtest.initialCapital} onChange={e => setBacktest(p => ({ ...p, initialCapital: e.target.value }))} />
+          </div>
+          <button className="primary-btn" onClick={handleBacktest} disabled={busy}>
+            {busy ? `Running${progress?.percent != null ? ` ${progress.percent}%` : '...'}` : 'Run Backtest'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div style={{ color: '#f44336', marginBottom: '16px' }}>{error}</div>}
+
+      {grids.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Active Grids</h3>
+          {grids.map(g => <GridCard key={`${g.exchange}:${g.symbol}`} grid={g} onStop={handleStop} />)}
+        </div>
+      )}
+
+      {m && (
+        <div className="card">
+          <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>
+            Backtest Result
+            {result.grid.stopOut && <span style={{ color: '#ff9800', marginLeft: '8px' }}>stopped out ({result.grid.stopOut})</span>}
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px', marginBottom: '16px' }}>
+            {[
+              { label: 'Total Return', value: `${fmt(m.totalReturn)}%`, color: m.totalReturn >= 0 ? '#4caf50' : '#f44336' },
+              { label: 'Buy & Hold', value: m.benchmarkReturn != null ? `${fmt(m.benchmarkReturn)}%` : '—' },
+              { label: 'Max Drawdown', value: `${fmt(m.maxDrawdown)}%` },
+              { label: 'Sharpe', value: m.sharpeRatio },
+              { label: 'Round Trips', value: m.roundTrips },
+              { label: 'Grid Profit', value: `${fmt(m.gridProfit)} USDT`, color: m.gridProfit >= 0 ? '#4caf50' : '#f44336' },
+              { label: 'Avg per Round Trip', value: `${fmt(m.avgRoundTripProfit, 4)} USDT` },
+              { label: 'Fees Paid', value: `${fmt(m.totalFees)} USDT` },
+            ].map(({ label, value, color }) => (
+              <div key={label}>
+                <div style={{ fontSize: '11px', color: '#888', marginBottom: '4px' }}>{label}</div>
+                <div style={{ fontSize: '18px', fontWeight: 'bold', color: color || '#fff' }}>{value}</div>
+              </div>
+            ))}
+          </div>
+          <div style={{ fontSize: '12px', color: '#888' }}>
+            {result.data?.bars} bars · {result.grid.levels.length} levels ({result.grid.spacing}) · {fmt(result.grid.quantity, 6)} per order ·
+            {' '}final value {fmt(result.finalValue)} USDT · {result.grid.openOrders} orders resting · inventory {fmt(result.grid.inventory, 6)}
+          </div>
+          {result.grid.errors.length > 0 && (
+            <div style={{ color: '#ff9800', fontSize: '12px', marginTop: '8px' }}>
+              {result.grid.errors.map((e, i) => <div key={i}>{e}</div>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+// NeutronTrader - Monte Carlo card (Backtest tab)
+//
+// Resamples the current backtest result; the percentile bands it returns are
+// drawn on the panel's equity curve, the distributions are shown here.
+
+import { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { runMonteCarlo } from '../services/backtestService';
+
+const METHODS = [
+  ['shuffle', 'Shuffle trade order'],
+  ['resample', 'Resample trades (bootstrap)'],
+  ['returns', 'Bootstrap bar returns'],
+];
+
+const selectStyle = { width: '100%', padding: '6px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' };
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  return Number(n).toFixed(d);
+}
+
+function fmtDuration(ms) {
+  if (ms == null || isNaN(ms)) return '—';
+  const hours = ms / 3_600_000;
+  return hours >= 48 ? `${fmt(hours / 24, 1)}d` : `${fmt(hours, 1)}h`;
+}
+
+export default function MonteCarloCard({ result, monteCarlo, onChange }) {
+  const [options, setOptions] = useState({ method: 'shuffle', iterations: 1000, ruinPct: 50, blockSize: 10 });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const { trades, equity, initialCapital, finalValue } = result;
+      const res = await runMonteCarlo({ trades, equity, initialCapital, finalValue }, options);
+      if (res.success) onChange(res.data);
+      else setError(res.error || 'Monte Carlo failed');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const setOption = (key, value) => setOptions(o => ({ ...o, [key]: value }));
+  const mc = monteCarlo;
+  const ruinColor = mc && (mc.ruinProbability >= 5 ? '#f44336' : mc.ruinProbability > 0 ? '#ff9800' : '#4caf50');
+
+  return (
+    <div className="card" style={{ padding: '16px', marginBottom: '20px' }}>
+      <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>Monte Carlo</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr auto', gap: '8px', alignItems: 'end', fontSize: '12px' }}>
+        <label>Method
+          <select value={options.method} onChange={e => setOption('method', e.target.value)} style={selectStyle}>
+            {METHODS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+        <label>Iterations
+          <input type="number" min="10" max="10000" step="100" value={options.iterations}
+            onChange={e => setOption('iterations', parseInt(e.target.value, 10))} />
+        </label>
+        <label>Ruin at loss %
+          <input type="number" min="1" max="100" value={options.ruinPct}
+            onChange={e => setOption('ruinPct', parseFloat(e.target.value))} />
+        </label>
+        <label>Block (bars)
+          <input type="number" min="1" value={options.blockSize} disabled={options.method !== 'returns'}
+            onChange={e => setOption('blockSize', parseInt(e.target.value, 10))} />
+        </label>
+        <button className="primary-btn" onClick={handleRun} disabled={running}>
+          {running ? 'Simulating...' : 'Run'}
+        </button>
+      </div>
+      {error && <div style={{ color: '#f44336', marginTop: '8px', fontSize: '13px' }}>{error}</div>}
+
+      {mc && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginTop: '12px' }}>
+          <div style={{ fontSize: '12px' }}>
+            <div style={{ marginBottom: '8px' }}>
+              Probability of ruin ({mc.ruinPct}% loss):{' '}
+              <strong style={{ color: ruinColor }}>{fmt(mc.ruinProbability, 1)}%</strong>
+              <span style={{ color: '#888' }}> — {mc.iterations} paths of {mc.steps} steps</span>
+            </div>
+            <table style={{ width: '100%' }}>
+              <thead>
+                <tr style={{ color: '#888', textAlign: 'left' }}>
+                  <th /><th>5th</th><th>25th</th><th>Median</th><th>75th</th><th>95th</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ['Final equity', mc.finalEquity, v => `$${fmt(v, 0)}`],
+                  ['Max drawdown', mc.maxDrawdown, v => `${fmt(v, 1)}%`],
+                  ['Longest recovery', mc.recoveryMs, fmtDuration],
+                ].map(([label, dist, f]) => (
+                  <tr key={label}>
+                    <td style={{ color: '#888' }}>{label}</td>
+                    {['p5', 'p25', 'p50', 'p75', 'p95'].map(p => <td key={p}>{f(dist[p])}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {mc.unrecoveredPct > 0 && (
+              <div style={{ color: '#ff9800', marginTop: '8px' }}>
+                {fmt(mc.unrecoveredPct, 1)}% of paths end below their peak
+              </div>
+            )}
+          </div>
+          <div style={{ height: '160px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={mc.histogram.map(b => ({ ...b, mid: (b.from + b.to) / 2 }))}>
+                <XAxis dataKey="mid" tickFormatter={v => `$${fmt(v / 1000, 1)}k`} tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} />
+                <Tooltip formatter={(v) => [v, 'paths']} labelFormatter={(v) => `Final equity ≈ $${fmt(v, 0)}`} />
+                <Bar dataKey="count" fill="#2196f3" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
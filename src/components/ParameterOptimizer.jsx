@@ -0,0 +1,320 @@
+// NeutronTrader - Parameter optimization card (Backtest tab)
+//
+// One sweep over the whole range, or walk-forward: the same sweep repeated on
+// rolling in-sample windows, each winner tested on the window that follows.
+
+import { useState, useEffect } from 'react';
+import {
+  runOptimization, runWalkForward, cancelOptimization, onOptimizationProgress,
+} from '../services/backtestService';
+import { useStrategyOptions } from '../hooks/useStrategyOptions';
+import WalkForwardReport from './WalkForwardReport';
+
+const OBJECTIVES = [
+  ['sharpe', 'Sharpe ratio'],
+  ['sortino', 'Sortino ratio'],
+  ['calmar', 'Calmar ratio'],
+  ['return', 'Total return'],
+  ['profitFactor', 'Profit factor'],
+  ['drawdown', 'Lowest drawdown'],
+];
+
+const MAX_COMBINATIONS = 2000;
+const TOP_ROWS = 20;
+
+const selectStyle = { width: '100%', padding: '6px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' };
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  if (n === Infinity) return '∞';
+  return Number(n).toFixed(d);
+}
+
+/** Parameters the sweep can vary: the strategy's own, or every composed rule's. */
+function sweepableParams(config, strategyOptions) {
+  if (config.strategy !== 'composed') {
+    const def = strategyOptions.find(s => s.id === config.strategy);
+    return (def?.params || []).map(p => ({
+      id: `:${p.key}`, rule: null, key: p.key, label: p.label,
+      current: config.strategyParams?.[p.key] ?? p.default,
+    }));
+  }
+  return (config.composedConfig?.rules || []).flatMap((rule, i) => {
+    const def = strategyOptions.find(s => s.id === rule.strategy);
+    return (def?.params || []).map(p => ({
+      id: `${i}:${p.key}`, rule: i, key: p.key, label: `Rule ${i + 1} ${def.label} — ${p.label}`,
+      current: rule.params?.[p.key] ?? p.default,
+    }));
+  });
+}
+
+function progressLabel(progress) {
+  if (!progress || progress.phase === 'loading') return 'Loading candles...';
+  const prefix = progress.window ? `Window ${progress.window}/${progress.windows}: ` : '';
+  if (progress.phase === 'testing') return `${prefix}testing`;
+  return `${prefix}${progress.done}/${progress.total}`;
+}
+
+function defaultRange(current) {
+  const step = current >= 8 ? Math.round(current / 4) : current >= 2 ? 1 : 0.1;
+  const round = v => Number(v.toFixed(4));
+  return { enabled: false, min: round(Math.max(step, current - 2 * step)), max: round(current + 2 * step), step };
+}
+
+function countValues({ min, max, step }) {
+  if (!(step > 0) || !(max > min)) return 1;
+  return Math.floor((max - min) / step + 1e-9) + 1;
+}
+
+// Red (worst) to green (best) for a 0..1 position within the scores
+function heatColor(t) {
+  const hue = Math.round(120 * Math.min(1, Math.max(0, t)));
+  return `hsl(${hue}, 60%, 35%)`;
+}
+
+function Heatmap({ report }) {
+  const [xRange, yRange] = report.ranges;
+  const byKey = new Map(report.results.map(r => [r.values.join('|'), r]));
+  const scored = report.results.filter(r => r.metrics && !r.rejected).map(r => r.score);
+  const lo = Math.min(...scored);
+  const hi = Math.max(...scored);
+
+  return (
+    <div style={{ overflowX: 'auto', marginTop: '12px' }}>
+      <div style={{ fontSize: '11px', color: '#888', marginBottom: '4px' }}>
+        {yRange.label} ↓ / {xRange.label} →
+      </div>
+      <table style={{ borderCollapse: 'collapse', fontSize: '10px' }}>
+        <thead>
+          <tr>
+            <th />
+            {xRange.values.map(x => <th key={x} style={{ padding: '2px 4px', color: '#888' }}>{x}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {yRange.values.map(y => (
+            <tr key={y}>
+              <th style={{ padding: '2px 4px', color: '#888', textAlign: 'right' }}>{y}</th>
+              {xRange.values.map(x => {
+                const r = byKey.get(`${x}|${y}`);
+                const usable = r?.metrics && !r.rejected;
+                const t = hi > lo ? (r?.score - lo) / (hi - lo) : 1;
+                return (
+                  <td key={x}
+                    title={r?.metrics
+                      ? `${xRange.label}=${x}, ${yRange.label}=${y}: return ${fmt(r.metrics.totalReturn)}%, Sharpe ${fmt(r.metrics.sharpeRatio)}, DD ${fmt(r.metrics.maxDrawdown)}%${r.rejected ? ' (rejected)' : ''}`
+                      : r?.error || 'not run'}
+                    style={{
+                      width: '36px', height: '22px', textAlign: 'center', border: '1px solid #1a1a1a',
+                      background: usable ? heatColor(t) : '#2a2a2a', color: usable ? '#fff' : '#666',
+                    }}>
+                    {r?.metrics ? fmt(r.score, 1) : '—'}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function ParameterOptimizer({ config, buildPayload, onApply }) {
+  const { options: strategyOptions } = useStrategyOptions();
+  const params = sweepableParams(config, strategyOptions);
+  const paramsKey = params.map(p => p.id).join(',');
+  const [ranges, setRanges] = useState({});
+  const [objective, setObjective] = useState('sharpe');
+  const [maxDrawdownPct, setMaxDrawdownPct] = useState('');
+  const [mode, setMode] = useState('sweep');
+  const [walkForward, setWalkForward] = useState({ inSampleBars: 500, outOfSampleBars: 100, anchored: false });
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [wfReport, setWfReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setRanges(Object.fromEntries(params.map(p => [p.id, defaultRange(Number(p.current) || 1)])));
+    setReport(null);
+    setWfReport(null);
+  }, [paramsKey]);
+
+  useEffect(() => onOptimizationProgress(setProgress), []);
+
+  const selected = params.filter(p => ranges[p.id]?.enabled);
+  const combinations = selected.reduce((n, p) => n * countValues(ranges[p.id]), selected.length ? 1 : 0);
+
+  const setRange = (id, key, value) => setRanges(r => ({ ...r, [id]: { ...r[id], [key]: value } }));
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    setReport(null);
+    setWfReport(null);
+    setProgress(null);
+    try {
+      const options = {
+        ranges: selected.map(p => {
+          const { min, max, step } = ranges[p.id];
+          return { rule: p.rule, key: p.key, min, max, step };
+        }),
+        objective,
+        maxDrawdownPct: maxDrawdownPct === '' ? null : parseFloat(maxDrawdownPct),
+      };
+      const res = mode === 'walk-forward'
+        ? await runWalkForward(buildPayload(), { ...options, ...walkForward })
+        : await runOptimization(buildPayload(), options);
+      if (!res.success) setError(res.error || 'Optimization failed');
+      else if (mode === 'walk-forward') setWfReport(res.data);
+      else setReport(res.data);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const best = report?.results.find(r => r.metrics && !r.rejected);
+
+  return (
+    <div className="card" style={{ padding: '16px', marginTop: '20px' }}>
+      <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>Parameter Optimization</h3>
+      {params.length === 0 ? (
+        <div style={{ color: '#555', fontSize: '12px' }}>
+          {config.strategy === 'composed' ? 'Load a composer config to optimize its rules' : 'This strategy has no parameters'}
+        </div>
+      ) : (
+        <>
+          <table style={{ width: '100%', fontSize: '12px', marginBottom: '8px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th>Sweep</th><th>Parameter</th><th>Min</th><th>Max</th><th>Step</th><th>Values</th>
+              </tr>
+            </thead>
+            <tbody>
+              {params.map(p => {
+                const r = ranges[p.id];
+                if (!r) return null;
+                return (
+                  <tr key={p.id}>
+                    <td><input type="checkbox" checked={r.enabled} onChange={e => setRange(p.id, 'enabled', e.target.checked)} /></td>
+                    <td>{p.label} <span style={{ color: '#555' }}>({p.current})</span></td>
+                    {['min', 'max', 'step'].map(k => (
+                      <td key={k}>
+                        <input type="number" value={r[k]} disabled={!r.enabled} style={{ width: '70px' }}
+                          onChange={e => setRange(p.id, k, parseFloat(e.target.value))} />
+                      </td>
+                    ))}
+                    <td style={{ color: '#888' }}>{r.enabled ? countValues(r) : ''}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', alignItems: 'end', fontSize: '12px', marginBottom: '8px' }}>
+            <label>Mode
+              <select value={mode} onChange={e => setMode(e.target.value)} style={selectStyle}>
+                <option value="sweep">Single sweep</option>
+                <option value="walk-forward">Walk-forward</option>
+              </select>
+            </label>
+            {mode === 'walk-forward' && (
+              <>
+                <label>In-sample bars
+                  <input type="number" min="10" value={walkForward.inSampleBars}
+                    onChange={e => setWalkForward(w => ({ ...w, inSampleBars: parseInt(e.target.value, 10) }))} />
+                </label>
+                <label>Out-of-sample bars
+                  <input type="number" min="10" value={walkForward.outOfSampleBars}
+                    onChange={e => setWalkForward(w => ({ ...w, outOfSampleBars: parseInt(e.target.value, 10) }))} />
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <input type="checkbox" checked={walkForward.anchored}
+                    onChange={e => setWalkForward(w => ({ ...w, anchored: e.target.checked }))} />
+                  Anchored (in-sample grows from the start)
+                </label>
+              </>
+            )}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', alignItems: 'end', fontSize: '12px' }}>
+            <label>Objective
+              <select value={objective} onChange={e => setObjective(e.target.value)} style={selectStyle}>
+                {OBJECTIVES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </label>
+            <label>Max Drawdown % (reject above)
+              <input type="number" min="0" value={maxDrawdownPct} placeholder="No limit"
+                onChange={e => setMaxDrawdownPct(e.target.value)} />
+            </label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="primary-btn" onClick={handleRun}
+                disabled={running || !combinations || combinations > MAX_COMBINATIONS}>
+                {running
+                  ? progressLabel(progress)
+                  : mode === 'walk-forward' ? `Walk forward (${combinations} runs/window)` : `Optimize (${combinations} runs)`}
+              </button>
+              {running && <button onClick={cancelOptimization} style={{ cursor: 'pointer' }}>Stop</button>}
+            </div>
+          </div>
+          {combinations > MAX_COMBINATIONS && (
+            <div style={{ color: '#ff9800', fontSize: '12px', marginTop: '8px' }}>
+              {combinations} combinations exceed the limit of {MAX_COMBINATIONS}
+            </div>
+          )}
+        </>
+      )}
+      {error && <div style={{ color: '#f44336', marginTop: '8px', fontSize: '13px' }}>{error}</div>}
+
+      {report && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ fontSize: '12px', color: '#888', marginBottom: '8px' }}>
+            {report.results.length} of {report.total} runs{report.cancelled && ' (stopped)'}
+            {report.maxDrawdownPct != null && `, ${report.results.filter(r => r.rejected).length} rejected for drawdown over ${report.maxDrawdownPct}%`}
+            {best && (
+              <button onClick={() => onApply(report.ranges, best.values)} style={{ marginLeft: '8px', fontSize: '12px', cursor: 'pointer' }}>
+                Apply best
+              </button>
+            )}
+          </div>
+          <div style={{ maxHeight: '260px', overflow: 'auto' }}>
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ color: '#888', textAlign: 'left' }}>
+                  <th>#</th>
+                  {report.ranges.map(r => <th key={r.label}>{r.label}</th>)}
+                  <th>Return</th><th>Sharpe</th><th>PF</th><th>Max DD</th><th>Trades</th><th />
+                </tr>
+              </thead>
+              <tbody>
+                {report.results.slice(0, TOP_ROWS).map((r, i) => (
+                  <tr key={r.values.join('|')} style={{ color: r.rejected || r.error ? '#666' : undefined }}>
+                    <td>{i + 1}</td>
+                    {r.values.map((v, j) => <td key={j}>{v}</td>)}
+                    {r.error ? (
+                      <td colSpan={5} style={{ color: '#f44336' }}>{r.error}</td>
+                    ) : (
+                      <>
+                        <td>{fmt(r.metrics.totalReturn)}%</td>
+                        <td>{fmt(r.metrics.sharpeRatio)}</td>
+                        <td>{fmt(r.metrics.profitFactor)}</td>
+                        <td>{fmt(r.metrics.maxDrawdown)}%{r.rejected && ' ✗'}</td>
+                        <td>{r.metrics.totalTrades}</td>
+                      </>
+                    )}
+                    <td>
+                      <button onClick={() => onApply(report.ranges, r.values)} style={{ fontSize: '11px', cursor: 'pointer' }}>Apply</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {report.ranges.length === 2 && <Heatmap report={report} />}
+        </div>
+      )}
+      {wfReport && <WalkForwardReport report={wfReport} />}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+// NeutronTrader - Portfolio backtest card (Backtest tab)
+//
+// Runs the panel's strategy, fill model and exits over a basket of symbols
+// sharing one cash pool and a max-open-positions limit.
+
+import { useState, useEffect } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { runPortfolioBacktest, onBacktestProgress } from '../services/backtestService';
+import { getRiskStatus } from '../services/arbitrageService';
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  if (n === Infinity) return '∞';
+  return Number(n).toFixed(d);
+}
+
+export default function PortfolioBacktest({ config, buildPayload }) {
+  const [symbols, setSymbols] = useState('BTC/USDT, ETH/USDT, SOL/USDT, BNB/USDT');
+  const [maxOpenPositions, setMaxOpenPositions] = useState('');
+  const [riskLimit, setRiskLimit] = useState(null);
+  const [positionPct, setPositionPct] = useState('');
+  const [usePanelSizing, setUsePanelSizing] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getRiskStatus().then(res => setRiskLimit(res?.data?.config?.maxOpenPositions ?? null));
+    return onBacktestProgress(p => setProgress(p));
+  }, []);
+
+  const slots = parseInt(maxOpenPositions, 10) || riskLimit || 5;
+  const evenSplit = +(100 / slots).toFixed(2);
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    setResult(null);
+    setProgress(null);
+    try {
+      const payload = {
+        ...buildPayload(),
+        datasetId: null,
+        symbols: symbols.split(/[,\s]+/).filter(Boolean),
+        maxOpenPositions: parseInt(maxOpenPositions, 10) || null,
+      };
+      if (!usePanelSizing) {
+        payload.sizing = {
+          ...config.sizing,
+          mode: 'percent',
+          percent: positionPct === '' ? evenSplit : parseFloat(positionPct),
+        };
+      }
+      const res = await runPortfolioBacktest(payload);
+      if (res.success) setResult(res.data);
+      else setError(res.error || 'Portfolio backtest failed');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const maxAbsPnl = result ? Math.max(...result.symbols.map(s => Math.abs(s.pnl)), 1) : 1;
+
+  return (
+    <div className="card" style={{ padding: '16px', marginTop: '20px' }}>
+      <h3 style={{ fontSize: '14px', marginBottom: '8px' }}>Portfolio Backtest</h3>
+      {config.datasetId && (
+        <div style={{ color: '#ff9800', fontSize: '12px', marginBottom: '8px' }}>
+          CSV datasets hold one symbol; the portfolio run loads {config.exchange} candles instead
+        </div>
+      )}
+      <div style={{ display: 'grid', gridTemplateColumns: '3fr 1fr 1fr', gap: '8px', fontSize: '12px', alignItems: 'end' }}>
+        <label>Symbols (comma-separated)
+          <input value={symbols} onChange={e => setSymbols(e.target.value.toUpperCase())} />
+        </label>
+        <label>Max Open Positions
+          <input type="number" min="1" value={maxOpenPositions}
+            placeholder={riskLimit ? `${riskLimit} (risk manager)` : '5'}
+            onChange={e => setMaxOpenPositions(e.target.value)} />
+        </label>
+        <label>Per Position % of Equity
+          <input type="number" min="1" max="100" value={positionPct} disabled={usePanelSizing}
+            placeholder={`${evenSplit} (even split)`}
+            onChange={e => setPositionPct(e.target.value)} />
+        </label>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px', fontSize: '12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={usePanelSizing} onChange={e => setUsePanelSizing(e.target.checked)} />
+          Use the position sizing set above
+        </label>
+        <button className="primary-btn" onClick={handleRun} disabled={running}>
+          {running
+            ? (progress?.phase === 'loading'
+              ? `Loading ${progress.symbol} (${progress.symbolIndex}/${progress.symbols})...`
+              : `Running... ${progress?.percent || 0}%`)
+            : 'Run Portfolio Backtest'}
+        </button>
+      </div>
+      {error && <div style={{ color: '#f44336', marginTop: '8px', fontSize: '13px' }}>{error}</div>}
+
+      {result && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', fontSize: '13px', marginBottom: '12px' }}>
+            {[
+              ['Total Return', `${fmt(result.metrics.totalReturn)}%`],
+              ['Max Drawdown', `${fmt(result.metrics.maxDrawdown)}%`],
+              ['Sharpe Ratio', fmt(result.metrics.sharpeRatio)],
+              ['Equal-Weight Buy & Hold', `${fmt(result.metrics.benchmarkReturn)}%`],
+              ['Win Rate', `${fmt(result.metrics.winRate)}%`],
+              ['Trades', result.metrics.totalTrades],
+              ['Avg Exposure', `${fmt(result.metrics.avgExposurePct, 1)}%`],
+              ['Alpha / Beta', `${fmt(result.metrics.alpha)}% / ${fmt(result.metrics.beta)}`],
+              ['Fees', `$${fmt(result.metrics.totalFees)}`],
+              ['BUYs Skipped (slots full)', result.metrics.skippedSignals],
+            ].map(([label, value]) => (
+              <div key={label}>
+                <div style={{ color: '#888', fontSize: '11px' }}>{label}</div>
+                <div style={{ fontWeight: 'bold' }}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ height: '240px', marginBottom: '12px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={result.equity}>
+                <XAxis dataKey="timestamp" hide />
+                <YAxis yAxisId="equity" domain={['auto', 'auto']} tick={{ fontSize: 10 }} />
+                <YAxis yAxisId="exposure" orientation="right" domain={[0, 100]} tick={{ fontSize: 10 }} unit="%" />
+                <Tooltip formatter={(v, name) => (name === 'Exposure' ? `${fmt(v, 1)}%` : `$${fmt(v)}`)} />
+                <Area yAxisId="exposure" type="stepAfter" dataKey="exposurePct" name="Exposure"
+                  stroke="none" fill="#ff9800" fillOpacity={0.2} />
+                <Line yAxisId="equity" type="monotone" dataKey="benchmark" name="Buy & Hold" stroke="#888" strokeDasharray="2 2" dot={false} />
+                <Line yAxisId="equity" type="monotone" dataKey="value" name="Equity" stroke="#4caf50" dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'left' }}>
+                <th>Symbol</th><th>Trades</th><th>Win Rate</th><th>Realized</th><th>Open</th>
+                <th>Fees</th><th>In Market</th><th style={{ width: '30%' }}>Contribution</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.symbols.map(s => (
+                <tr key={s.symbol}>
+                  <td><strong>{s.symbol}</strong></td>
+                  <td>{s.trades}</td>
+                  <td>{fmt(s.winRate, 0)}%</td>
+                  <td style={{ color: s.realizedPnl >= 0 ? '#4caf50' : '#f44336' }}>${fmt(s.realizedPnl)}</td>
+                  <td>{s.unrealizedPnl ? `$${fmt(s.unrealizedPnl)}` : '—'}</td>
+                  <td>${fmt(s.fees)}</td>
+                  <td>{fmt(s.timeInMarketPct, 0)}%</td>
+                  <td>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      <div style={{
+                        height: '8px',
+                        width: `${(Math.abs(s.pnl) / maxAbsPnl) * 70}%`,
+                        background: s.pnl >= 0 ? '#4caf50' : '#f44336',
+                        borderRadius: '2px',
+                      }} />
+                      <span>{fmt(s.contributionPct, 1)}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
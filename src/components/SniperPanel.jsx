@@ -18,6 +18,7 @@ const DEFAULT_CONFIG = {
   stopLossPct: 10,
   sellWindowMs: 900000,
   dryRun: false,
+  paper: false,
 };
 
 function fmt(n, d = 2) { return Number(n).toFixed(d); }
@@ -284,6 +285,13 @@ export default function SniperPanel() {
               {' '}Dry-run mode (no real orders)
             </label>
           </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={config.paper}
+                onChange={e => setConfig(p => ({ ...p, paper: e.target.checked }))} />
+              {' '}Paper trading (simulated fills against live prices)
+            </label>
+          </div>
           <div className="form-group">
             <label>Stop Loss (%)</label>
             <input type="number" value={config.stopLossPct}
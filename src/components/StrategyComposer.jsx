@@ -3,8 +3,10 @@
 import { useState, useEffect, useMemo } from 'react';
 import {
   saveStrategyConfig, listStrategyConfigs, deleteStrategyConfig,
-  STRATEGY_OPTIONS, STRATEGY_HELP, validateStrategyConfig,
+  STRATEGY_HELP, validateStrategyConfig, previewStrategyConfig,
+  reloadStrategyPlugins, openStrategyPluginFolder,
 } from '../services/strategyService';
+import { useStrategyOptions } from '../hooks/useStrategyOptions';
 import {
   getNotificationPrefs, updateNotificationPrefs, testNotification
 } from '../services/notificationService';
@@ -12,31 +14,67 @@ import HelpIcon from './HelpIcon';
 
 const EMPTY_RULE = { strategy: 'relativeStrengthIndex', params: { period: 14, overbought: 70, oversold: 30 }, weight: 1 };
 
+const RULE_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+const EMPTY_ENTRY_RULE = 'rsi(14) < 30 AND close > ema(50)';
+const EMPTY_EXIT_RULE = 'rsi(14) > 70';
+
 const STRATEGY_HELP_MAP = {
   relativeStrengthIndex: STRATEGY_HELP.rsi,
   simpleMovingAverage: STRATEGY_HELP.sma,
   bollingerBands: STRATEGY_HELP.bollingerBands,
   macd: STRATEGY_HELP.macd,
+  emaCrossover: STRATEGY_HELP.emaCrossover,
+  stochastic: STRATEGY_HELP.stochastic,
+  atrChannels: STRATEGY_HELP.atrChannels,
+  adx: STRATEGY_HELP.adx,
+  vwapReversion: STRATEGY_HELP.vwapReversion,
+  obvDivergence: STRATEGY_HELP.obvDivergence,
+  supertrend: STRATEGY_HELP.supertrend,
+  donchian: STRATEGY_HELP.donchian,
+  ichimoku: STRATEGY_HELP.ichimoku,
 };
 
+/** The offending line of a rule with a caret run under the error span. */
+function RuleError({ source, error }) {
+  const lineText = source.split('\n')[error.line - 1] ?? '';
+  const width = Math.max(1, Math.min(error.end - error.start, lineText.length - error.column + 1));
+  return (
+    <div style={{ marginTop: '4px', fontSize: '12px', color: '#ff8a80' }}>
+      Line {error.line}, col {error.column}: {error.message}
+      {lineText && (
+        <pre style={{ margin: '2px 0 0', fontSize: '11px', color: '#ccc' }}>
+          {lineText}{'\n'}{' '.repeat(error.column - 1)}{'^'.repeat(width)}
+        </pre>
+      )}
+    </div>
+  );
+}
+
 export default function StrategyComposer() {
   const [configs, setConfigs] = useState([]);
   const [name, setName] = useState('');
   const [rules, setRules] = useState([{ ...EMPTY_RULE }]);
   const [combineMode, setCombineMode] = useState('AND');
+  const [entryRule, setEntryRule] = useState(EMPTY_ENTRY_RULE);
+  const [exitRule, setExitRule] = useState(EMPTY_EXIT_RULE);
+  const [ruleErrors, setRuleErrors] = useState([]);
   const [riskOverrides, setRiskOverrides] = useState({ maxPositionUSDT: 200, stopLossPct: 2 });
   const [message, setMessage] = useState('');
   const [validationErrors, setValidationErrors] = useState([]);
+  const [previewMarket, setPreviewMarket] = useState({ exchange: 'binance', symbol: 'BTC/USDT', interval: '1h' });
+  const [preview, setPreview] = useState(null);
+  const { options: strategyOptions, plugins, pluginDir } = useStrategyOptions();
   const [notifPrefs, setNotifPrefs] = useState({
     arbOpportunities: true, arbExecutions: true, listingAlerts: true, botSignals: true, minArbProfitPct: 0.3,
   });
 
-  const draftConfig = useMemo(() => ({
-    name: name.trim(),
-    rules,
-    combineMode,
-    riskOverrides,
-  }), [name, rules, combineMode, riskOverrides]);
+  const expressionMode = combineMode === 'EXPRESSION';
+
+  const draftConfig = useMemo(() => (combineMode === 'EXPRESSION'
+    ? { name: name.trim(), rules: [], combineMode, entry: entryRule, exit: exitRule, riskOverrides }
+    : { name: name.trim(), rules, combineMode, riskOverrides }
+  ), [name, rules, combineMode, entryRule, exitRule, riskOverrides]);
 
   const load = async () => {
     const [c, n] = await Promise.all([listStrategyConfigs(), getNotificationPrefs()]);
@@ -50,6 +88,7 @@ export default function StrategyComposer() {
     const runValidation = async () => {
       const result = await validateStrategyConfig(draftConfig);
       setValidationErrors(result.errors || []);
+      setRuleErrors(result.expressionErrors || []);
     };
     runValidation();
   }, [draftConfig]);
@@ -77,11 +116,19 @@ export default function StrategyComposer() {
 
   const loadConfig = (config) => {
     setName(config.name);
-    setRules(config.rules);
+    setRules(config.rules.length ? config.rules : [{ ...EMPTY_RULE }]);
     setCombineMode(config.combineMode || 'AND');
+    setEntryRule(config.entry ?? EMPTY_ENTRY_RULE);
+    setExitRule(config.exit ?? EMPTY_EXIT_RULE);
     setRiskOverrides(config.riskOverrides || { maxPositionUSDT: 200, stopLossPct: 2 });
   };
 
+  const handlePreview = async () => {
+    setPreview({ loading: true });
+    const res = await previewStrategyConfig(draftConfig, previewMarket);
+    setPreview(res.success ? res.data : { error: res.error || 'Preview failed' });
+  };
+
   const updateRule = (idx, field, value) => {
     setRules(prev => prev.map((r, i) => i === idx ? { ...r, [field]: value } : r));
   };
@@ -127,21 +174,51 @@ export default function StrategyComposer() {
               <option value="AND">AND — all must agree</option>
               <option value="OR">OR — any triggers</option>
               <option value="MAJORITY">MAJORITY — weighted vote</option>
+              <option value="EXPRESSION">EXPRESSION — custom entry/exit rules</option>
             </select>
           </div>
 
-          {rules.map((rule, idx) => {
-            const def = STRATEGY_OPTIONS.find(s => s.id === rule.strategy);
+          {expressionMode && [
+            ['entry', 'Entry Rule (BUY)', entryRule, setEntryRule, STRATEGY_HELP.entryRule],
+            ['exit', 'Exit Rule (SELL)', exitRule, setExitRule, STRATEGY_HELP.exitRule],
+          ].map(([field, label, value, setValue, help]) => (
+            <div className="form-group" key={field}>
+              <label style={{ display: 'flex', alignItems: 'center' }}>
+                {label}
+                <HelpIcon text={help} />
+              </label>
+              <textarea value={value} rows={3} spellCheck={false}
+                onChange={e => setValue(e.target.value)}
+                style={{ width: '100%', padding: '8px', fontFamily: 'monospace', fontSize: '12px', background: '#1a1a1a', color: '#fff', border: `1px solid ${ruleErrors.some(err => err.field === field) ? '#f44336' : '#333'}`, borderRadius: '4px' }} />
+              {ruleErrors.filter(err => err.field === field).map((err, i) => (
+                <RuleError key={i} source={value} error={err} />
+              ))}
+            </div>
+          ))}
+
+          {!expressionMode && rules.map((rule, idx) => {
+            const def = strategyOptions.find(s => s.id === rule.strategy);
             return (
               <div key={idx} style={{ border: '1px solid #333', borderRadius: '6px', padding: '12px', marginBottom: '12px' }}>
                 <div className="form-group">
                   <label style={{ display: 'flex', alignItems: 'center' }}>
                     Strategy {idx + 1}
-                    <HelpIcon text={STRATEGY_HELP_MAP[rule.strategy] || 'Technical indicator rule'} />
+                    <HelpIcon text={STRATEGY_HELP_MAP[rule.strategy] || def?.description || 'Technical indicator rule'} />
                   </label>
                   <select value={rule.strategy} onChange={e => updateRule(idx, 'strategy', e.target.value)}
                     style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
-                    {STRATEGY_OPTIONS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                    {strategyOptions.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center' }}>
+                    Interval
+                    <HelpIcon text={STRATEGY_HELP.ruleInterval} />
+                  </label>
+                  <select value={rule.interval || ''} onChange={e => updateRule(idx, 'interval', e.target.value || undefined)}
+                    style={{ width: '100%', padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                    <option value="">Bot / backtest interval</option>
+                    {RULE_INTERVALS.map(i => <option key={i} value={i}>{i}</option>)}
                   </select>
                 </div>
                 {def?.params?.map(p => (
@@ -171,10 +248,12 @@ export default function StrategyComposer() {
             );
           })}
 
-          <button onClick={() => setRules(prev => [...prev, { ...EMPTY_RULE, strategy: 'macd', params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 } }])}
-            style={{ fontSize: '12px', marginBottom: '12px', cursor: 'pointer' }}>
-            + Add Strategy
-          </button>
+          {!expressionMode && (
+            <button onClick={() => setRules(prev => [...prev, { ...EMPTY_RULE, strategy: 'macd', params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 } }])}
+              style={{ fontSize: '12px', marginBottom: '12px', cursor: 'pointer' }}>
+              + Add Strategy
+            </button>
+          )}
 
           <div className="form-group">
             <label style={{ display: 'flex', alignItems: 'center' }}>
@@ -209,7 +288,7 @@ export default function StrategyComposer() {
                 <div key={c.name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 0', borderBottom: '1px solid #2a2a2a' }}>
                   <div>
                     <div style={{ fontWeight: 'bold' }}>{c.name}</div>
-                    <div style={{ fontSize: '11px', color: '#888' }}>{c.combineMode} — {c.rules.length} rules</div>
+                    <div style={{ fontSize: '11px', color: '#888' }}>{c.combineMode === 'EXPRESSION' ? 'EXPRESSION — entry/exit rules' : `${c.combineMode} — ${c.rules.length} rules`}</div>
                   </div>
                   <div style={{ display: 'flex', gap: '8px' }}>
                     <button onClick={() => loadConfig(c)} style={{ fontSize: '12px', cursor: 'pointer' }}>Load</button>
@@ -220,6 +299,60 @@ export default function StrategyComposer() {
             )}
           </div>
 
+          <div className="card" style={{ padding: '16px', marginBottom: '16px' }}>
+            <h3 style={{ fontSize: '14px', marginBottom: '8px', display: 'flex', alignItems: 'center' }}>
+              Strategy Plugins
+              <HelpIcon text={STRATEGY_HELP.plugins} />
+            </h3>
+            {pluginDir && <div style={{ fontSize: '11px', color: '#888', marginBottom: '8px', wordBreak: 'break-all' }}>{pluginDir}</div>}
+            {plugins.length === 0 ? (
+              <div style={{ color: '#555', fontSize: '12px' }}>No plugins — drop .js strategy files into the folder</div>
+            ) : (
+              plugins.map(p => (
+                <div key={p.file} style={{ padding: '6px 0', borderBottom: '1px solid #2a2a2a', fontSize: '12px' }}>
+                  <div style={{ fontWeight: 'bold' }}>{p.error ? p.file : `${p.label} (${p.name})`}</div>
+                  {p.error
+                    ? <div style={{ color: '#ff8a80' }}>{p.error}</div>
+                    : <div style={{ color: '#888' }}>{p.file} — {p.params.length} params, needs {p.minCandles} bars</div>}
+                </div>
+              ))
+            )}
+            <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+              <button onClick={openStrategyPluginFolder} style={{ fontSize: '12px', cursor: 'pointer' }}>Open Folder</button>
+              <button onClick={reloadStrategyPlugins} style={{ fontSize: '12px', cursor: 'pointer' }}>Reload</button>
+            </div>
+          </div>
+
+          <div className="card" style={{ padding: '16px', marginBottom: '16px' }}>
+            <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Signal Preview</h3>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select value={previewMarket.exchange} onChange={e => setPreviewMarket(p => ({ ...p, exchange: e.target.value }))}
+                style={{ padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                {['binance', 'bybit', 'okx', 'kraken', 'coinbase'].map(ex => <option key={ex} value={ex}>{ex}</option>)}
+              </select>
+              <input value={previewMarket.symbol} style={{ flex: 1 }}
+                onChange={e => setPreviewMarket(p => ({ ...p, symbol: e.target.value }))} />
+              <select value={previewMarket.interval} onChange={e => setPreviewMarket(p => ({ ...p, interval: e.target.value }))}
+                style={{ padding: '8px', background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '4px' }}>
+                {RULE_INTERVALS.map(i => <option key={i} value={i}>{i}</option>)}
+              </select>
+            </div>
+            <button onClick={handlePreview} disabled={validationErrors.length > 0 || preview?.loading}
+              style={{ fontSize: '12px', marginTop: '8px', cursor: 'pointer' }}>
+              {preview?.loading ? 'Evaluating...' : 'Evaluate on latest candles'}
+            </button>
+            {preview?.error && <div style={{ color: '#f44336', fontSize: '12px', marginTop: '8px' }}>{preview.error}</div>}
+            {preview?.signal && (
+              <div style={{ fontSize: '12px', marginTop: '8px' }}>
+                <span style={{ fontWeight: 'bold', color: preview.signal.action === 'BUY' ? '#4caf50' : preview.signal.action === 'SELL' ? '#f44336' : '#888' }}>
+                  {preview.signal.action}
+                </span>
+                {' '}@ {preview.price} — {preview.signal.reason}
+                <div style={{ color: '#888' }}>{preview.bars} bars, last open {new Date(preview.asOf).toISOString().slice(0, 16).replace('T', ' ')} UTC</div>
+              </div>
+            )}
+          </div>
+
           <div className="card" style={{ padding: '16px' }}>
             <h3 style={{ fontSize: '14px', marginBottom: '12px' }}>Notifications</h3>
             {[
@@ -3,11 +3,15 @@
 
 import React, { useState, useEffect } from 'react';
 import { getStrategies } from '../utils/tradingStrategies';
+import { useStrategyOptions } from '../hooks/useStrategyOptions';
 import { 
   getAssetBalance, 
   startTradingBot, 
   stopTradingBot, 
-  registerTradingBotListeners 
+  registerTradingBotListeners,
+  listTradingBots,
+  pauseTradingBot,
+  resumeTradingBot
 } from '../services/binanceService';
 
 // Safely get the api object (for Electron)
@@ -17,28 +21,41 @@ const getApi = () => {
 
 function TradeSetup({ apiConfig }) {
   const [formData, setFormData] = useState({
-    symbol: 'BNBUSDT', // Default to BNB/USDT
+    exchange: 'binance',
+    symbol: 'BNB/USDT',
     strategy: 'simpleMovingAverage',
     amount: 0.1, // Amount in BNB (or base asset)
     interval: '15m',
     takeProfit: 3.0, // percentage
     stopLoss: 2.0,   // percentage
+    trailingStop: 0, // percentage below the high since entry; 0 = off
+    maxHoldMinutes: 0, // close after this long; 0 = off
+    paper: false,    // simulated fills, no exchange keys needed
+    pyramiding: false, // add to an open position on repeated BUY signals
+    multiPair: false, // one strategy across several pairs, shared USDT budget
+    symbols: ['BNB/USDT', 'BTC/USDT', 'ETH/USDT'],
+    budgetUSDT: 300,
+    perPairCapUSDT: 100,
     isActive: false
   });
   const [statusMessage, setStatusMessage] = useState('');
+  const [bots, setBots] = useState([]);
+  const [hasCredentials, setHasCredentials] = useState(false);
   const [balances, setBalances] = useState({
     base: { asset: 'BNB', free: 0 },
     quote: { asset: 'USDT', free: 0 }
   });
 
-  const strategies = getStrategies();
+  const { plugins } = useStrategyOptions();
+  const strategies = {
+    ...getStrategies(),
+    ...Object.fromEntries(plugins.filter(p => !p.error).map(p => [p.name, { name: `${p.label} (plugin)`, description: p.description }])),
+  };
   const api = getApi();
 
   // Get current base and quote asset from symbol
   const getAssets = (symbol) => {
-    // Assuming all symbols end with 'USDT'
-    const baseAsset = symbol.replace('USDT', '');
-    const quoteAsset = 'USDT';
+    const [baseAsset, quoteAsset] = symbol.split('/');
     return { baseAsset, quoteAsset };
   };
 
@@ -62,6 +79,31 @@ function TradeSetup({ apiConfig }) {
     }
   };
 
+  const refreshBots = () => {
+    listTradingBots()
+      .then(setBots)
+      .catch(err => console.error('Error listing bots:', err));
+  };
+
+  const handleBotAction = (action, botId) => {
+    const run = {
+      pause: () => pauseTradingBot(botId),
+      resume: () => resumeTradingBot(botId),
+      stop: () => stopTradingBot(botId),
+    }[action];
+    run()
+      .then(refreshBots)
+      .catch(error => setStatusMessage(`Error: ${error.message}`));
+  };
+
+  // Bots trade with the keys saved in the Exchanges tab
+  useEffect(() => {
+    if (!window.electronAPI?.security) return;
+    window.electronAPI.security.loadCredentials(formData.exchange)
+      .then(result => setHasCredentials(!!result?.hasCredentials))
+      .catch(() => setHasCredentials(false));
+  }, [formData.exchange]);
+
   // Fetch balances when component mounts or symbol/apiConfig changes
   useEffect(() => {
     fetchBalances();
@@ -111,13 +153,13 @@ function TradeSetup({ apiConfig }) {
       // Adjust the default amount based on the selected symbol
       let defaultAmount;
       switch (value) {
-        case 'BTCUSDT':
+        case 'BTC/USDT':
           defaultAmount = 0.001; // Small BTC amount
           break;
-        case 'ETHUSDT':
+        case 'ETH/USDT':
           defaultAmount = 0.01; // Small ETH amount
           break;
-        case 'BNBUSDT':
+        case 'BNB/USDT':
           defaultAmount = 0.1; // Small BNB amount
           break;
         default:
@@ -138,22 +180,54 @@ function TradeSetup({ apiConfig }) {
     }
   };
 
+  const togglePair = (symbol) => {
+    setFormData(prev => ({
+      ...prev,
+      symbols: prev.symbols.includes(symbol)
+        ? prev.symbols.filter(s => s !== symbol)
+        : [...prev.symbols, symbol]
+    }));
+  };
+
+  // Single-pair bots size by base-asset amount; multi-pair bots by USDT budget
+  const buildBotConfig = () => {
+    const {
+      multiPair, symbols, budgetUSDT, perPairCapUSDT,
+      takeProfit, stopLoss, trailingStop, maxHoldMinutes,
+    } = formData;
+    const fields = { ...formData };
+    for (const key of ['multiPair', 'symbols', 'budgetUSDT', 'perPairCapUSDT', 'isActive',
+      'takeProfit', 'stopLoss', 'trailingStop', 'maxHoldMinutes']) {
+      delete fields[key];
+    }
+    const optional = v => (Number.isFinite(v) && v > 0 ? v : null);
+    const rest = {
+      ...fields,
+      exits: {
+        stopLossPct: optional(stopLoss),
+        takeProfitPct: optional(takeProfit),
+        trailingStopPct: optional(trailingStop),
+        maxHoldMinutes: optional(maxHoldMinutes),
+      }
+    };
+    if (!multiPair) return rest;
+    const shared = { ...rest };
+    delete shared.amount;
+    delete shared.symbol;
+    return { ...shared, symbols, budgetUSDT, perPairCapUSDT };
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    const botConfig = buildBotConfig();
     
     if (api) {
-      api.send('start-trading-bot', {
-        ...formData,
-        apiConfig
-      });
+      api.send('start-trading-bot', botConfig);
       
       setStatusMessage('Starting trading bot...');
     } else {
       // Use the startTradingBot function for the browser environment
-      startTradingBot({
-        ...formData,
-        apiConfig
-      })
+      startTradingBot(botConfig)
         .then(response => {
           setStatusMessage(response.message || 'Trading bot started successfully');
           setFormData({
@@ -195,6 +269,12 @@ function TradeSetup({ apiConfig }) {
       const cleanup = registerTradingBotListeners({
         onStatus: (data) => {
           console.log('Received trading status:', data);
+          refreshBots();
+          // Per-bot pause/resume and scheduled check updates don't change the form state
+          if (data.status !== 'started' && data.status !== 'stopped') {
+            setStatusMessage(data.message || '');
+            return;
+          }
           setFormData(prev => ({
             ...prev,
             isActive: data.status === 'started'
@@ -221,6 +301,9 @@ function TradeSetup({ apiConfig }) {
         }
       });
       
+      // Bots restored at launch are already running — show them
+      refreshBots();
+
       // Clean up event listeners when component unmounts
       return cleanup;
     }
@@ -257,19 +340,105 @@ function TradeSetup({ apiConfig }) {
       
       <form onSubmit={handleSubmit} className="card">
         <div className="form-group">
-          <label htmlFor="symbol">Trading Pair:</label>
-          <select 
-            id="symbol" 
-            name="symbol" 
-            value={formData.symbol}
+          <label htmlFor="exchange">Exchange:</label>
+          <select
+            id="exchange"
+            name="exchange"
+            value={formData.exchange}
             onChange={handleChange}
             disabled={formData.isActive}
           >
-            <option value="BNBUSDT">BNB/USDT</option>
-            <option value="BTCUSDT">BTC/USDT</option>
-            <option value="ETHUSDT">ETH/USDT</option>
+            <option value="binance">Binance</option>
+            <option value="coinbase">Coinbase</option>
+            <option value="kraken">Kraken</option>
+            <option value="okx">OKX</option>
+            <option value="bybit">Bybit</option>
           </select>
+          {!hasCredentials && !formData.paper && (
+            <p className="strategy-description">
+              No API keys saved for this exchange — add them in the Exchanges tab or use paper trading.
+            </p>
+          )}
         </div>
+
+        <div className="form-group">
+          <label htmlFor="multiPair">
+            <input
+              type="checkbox"
+              id="multiPair"
+              name="multiPair"
+              checked={formData.multiPair}
+              onChange={handleChange}
+              disabled={formData.isActive}
+            />
+            {' '}Trade several pairs from one shared budget
+          </label>
+        </div>
+
+        {formData.multiPair && (
+          <>
+            <div className="form-group">
+              <label>Trading Pairs:</label>
+              {['BNB/USDT', 'BTC/USDT', 'ETH/USDT', 'SOL/USDT', 'XRP/USDT'].map(pair => (
+                <label key={pair} htmlFor={`pair-${pair}`}>
+                  <input
+                    type="checkbox"
+                    id={`pair-${pair}`}
+                    checked={formData.symbols.includes(pair)}
+                    onChange={() => togglePair(pair)}
+                    disabled={formData.isActive}
+                  />
+                  {' '}{pair}{' '}
+                </label>
+              ))}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="budgetUSDT">Shared Budget (USDT):</label>
+              <input
+                type="number"
+                id="budgetUSDT"
+                name="budgetUSDT"
+                step="1"
+                min="10"
+                value={formData.budgetUSDT}
+                onChange={handleChange}
+                disabled={formData.isActive}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="perPairCapUSDT">Per-Pair Cap (USDT):</label>
+              <input
+                type="number"
+                id="perPairCapUSDT"
+                name="perPairCapUSDT"
+                step="1"
+                min="10"
+                value={formData.perPairCapUSDT}
+                onChange={handleChange}
+                disabled={formData.isActive}
+              />
+            </div>
+          </>
+        )}
+
+        {!formData.multiPair && (
+          <div className="form-group">
+            <label htmlFor="symbol">Trading Pair:</label>
+            <select 
+              id="symbol" 
+              name="symbol" 
+              value={formData.symbol}
+              onChange={handleChange}
+              disabled={formData.isActive}
+            >
+              <option value="BNB/USDT">BNB/USDT</option>
+              <option value="BTC/USDT">BTC/USDT</option>
+              <option value="ETH/USDT">ETH/USDT</option>
+            </select>
+          </div>
+        )}
         
         <div className="form-group">
           <label htmlFor="strategy">Trading Strategy:</label>
@@ -289,73 +458,75 @@ function TradeSetup({ apiConfig }) {
           
           {formData.strategy && (
             <p className="strategy-description">
-              {strategies[formData.strategy].description}
+              {strategies[formData.strategy]?.description}
             </p>
           )}
         </div>
         
-        <div className="form-group">
-          <label htmlFor="amount">Trade Amount ({balances.base.asset}):</label>
-          <input 
-            type="number" 
-            id="amount" 
-            name="amount" 
-            step="0.001"
-            min="0.001"
-            max={balances.base.free}
-            value={formData.amount}
-            onChange={handleChange}
-            disabled={formData.isActive}
-          />
-          {balances.base.free > 0 && (
-            <div className="balance-hint">
-              <button 
-                type="button" 
-                className="balance-percent-btn"
-                onClick={() => setFormData(prev => ({
-                  ...prev,
-                  amount: Math.floor(balances.base.free * 0.25 * 1000) / 1000
-                }))}
-                disabled={formData.isActive}
-              >
-                25%
-              </button>
-              <button 
-                type="button" 
-                className="balance-percent-btn"
-                onClick={() => setFormData(prev => ({
-                  ...prev,
-                  amount: Math.floor(balances.base.free * 0.5 * 1000) / 1000
-                }))}
-                disabled={formData.isActive}
-              >
-                50%
-              </button>
-              <button 
-                type="button" 
-                className="balance-percent-btn"
-                onClick={() => setFormData(prev => ({
-                  ...prev,
-                  amount: Math.floor(balances.base.free * 0.75 * 1000) / 1000
-                }))}
-                disabled={formData.isActive}
-              >
-                75%
-              </button>
-              <button 
-                type="button" 
-                className="balance-percent-btn"
-                onClick={() => setFormData(prev => ({
-                  ...prev,
-                  amount: Math.floor(balances.base.free * 0.99 * 1000) / 1000 // 99% to avoid rounding issues
-                }))}
-                disabled={formData.isActive}
-              >
-                Max
-              </button>
-            </div>
-          )}
-        </div>
+        {!formData.multiPair && (
+          <div className="form-group">
+            <label htmlFor="amount">Trade Amount ({balances.base.asset}):</label>
+            <input 
+              type="number" 
+              id="amount" 
+              name="amount" 
+              step="0.001"
+              min="0.001"
+              max={balances.base.free}
+              value={formData.amount}
+              onChange={handleChange}
+              disabled={formData.isActive}
+            />
+            {balances.base.free > 0 && (
+              <div className="balance-hint">
+                <button 
+                  type="button" 
+                  className="balance-percent-btn"
+                  onClick={() => setFormData(prev => ({
+                    ...prev,
+                    amount: Math.floor(balances.base.free * 0.25 * 1000) / 1000
+                  }))}
+                  disabled={formData.isActive}
+                >
+                  25%
+                </button>
+                <button 
+                  type="button" 
+                  className="balance-percent-btn"
+                  onClick={() => setFormData(prev => ({
+                    ...prev,
+                    amount: Math.floor(balances.base.free * 0.5 * 1000) / 1000
+                  }))}
+                  disabled={formData.isActive}
+                >
+                  50%
+                </button>
+                <button 
+                  type="button" 
+                  className="balance-percent-btn"
+                  onClick={() => setFormData(prev => ({
+                    ...prev,
+                    amount: Math.floor(balances.base.free * 0.75 * 1000) / 1000
+                  }))}
+                  disabled={formData.isActive}
+                >
+                  75%
+                </button>
+                <button 
+                  type="button" 
+                  className="balance-percent-btn"
+                  onClick={() => setFormData(prev => ({
+                    ...prev,
+                    amount: Math.floor(balances.base.free * 0.99 * 1000) / 1000 // 99% to avoid rounding issues
+                  }))}
+                  disabled={formData.isActive}
+                >
+                  Max
+                </button>
+              </div>
+            )}
+          </div>
+        )}
         
         <div className="form-group">
           <label htmlFor="interval">Time Interval:</label>
@@ -403,11 +574,67 @@ function TradeSetup({ apiConfig }) {
           />
         </div>
         
+        <div className="form-group">
+          <label htmlFor="trailingStop">Trailing Stop (%, 0 = off):</label>
+          <input 
+            type="number" 
+            id="trailingStop" 
+            name="trailingStop" 
+            step="0.1"
+            min="0"
+            value={formData.trailingStop}
+            onChange={handleChange}
+            disabled={formData.isActive}
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="maxHoldMinutes">Max Holding Time (minutes, 0 = off):</label>
+          <input 
+            type="number" 
+            id="maxHoldMinutes" 
+            name="maxHoldMinutes" 
+            step="1"
+            min="0"
+            value={formData.maxHoldMinutes}
+            onChange={handleChange}
+            disabled={formData.isActive}
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="paper">
+            <input
+              type="checkbox"
+              id="paper"
+              name="paper"
+              checked={formData.paper}
+              onChange={handleChange}
+              disabled={formData.isActive}
+            />
+            {' '}Paper trading (simulated fills, no real orders)
+          </label>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="pyramiding">
+            <input
+              type="checkbox"
+              id="pyramiding"
+              name="pyramiding"
+              checked={formData.pyramiding}
+              onChange={handleChange}
+              disabled={formData.isActive}
+            />
+            {' '}Pyramiding (add to an open position on repeated BUY signals)
+          </label>
+        </div>
+        
         {!formData.isActive ? (
           <button 
             type="submit" 
             className="start-bot"
-            disabled={!apiConfig.isConfigured}
+            disabled={!hasCredentials && !formData.paper}
           >
             Start Trading Bot on Testnet
           </button>
@@ -421,13 +648,57 @@ function TradeSetup({ apiConfig }) {
       {formData.isActive && (
         <div className="bot-status active">
           <h3>Bot is currently active on Binance Spot Testnet</h3>
-          <p>Trading {formData.symbol} using {strategies[formData.strategy].name} strategy</p>
+          <p>Trading {formData.symbol} using {strategies[formData.strategy]?.name || formData.strategy} strategy</p>
           <p>Amount per trade: {formData.amount} {balances.base.asset}</p>
           <p>Checking market every: {formData.interval}</p>
           <p>Take profit: {formData.takeProfit}% / Stop loss: {formData.stopLoss}%</p>
         </div>
       )}
 
+      {bots.length > 0 && (
+        <div className="active-bots card">
+          <h3>Active Bots</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Pair</th>
+                <th>Strategy</th>
+                <th>Interval</th>
+                <th>Status</th>
+                <th>Last Signal</th>
+                <th>Trades</th>
+                <th>P&amp;L (USDT)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {bots.map(bot => (
+                <tr key={bot.botId}>
+                  <td>{bot.symbols ? bot.symbols.join(', ') : bot.symbol} @ {bot.exchange}{bot.paper ? ' (paper)' : ''}</td>
+                  <td>{strategies[bot.strategy]?.name || bot.strategy}</td>
+                  <td>{bot.interval}</td>
+                  <td>{bot.status}</td>
+                  <td>{bot.lastSignal || '—'}</td>
+                  <td>{bot.tradesExecuted}</td>
+                  <td title={(bot.pairs || bot.positions || []).map(p => `${p.symbol}: ${(p.totalPnl ?? p.unrealizedPnl ?? 0).toFixed(2)}`).join('\n')}>
+                    {(bot.aggregate ? bot.aggregate.totalPnl : (bot.realizedPnl || 0) + (bot.unrealizedPnl || 0)).toFixed(2)}
+                  </td>
+                  <td>
+                    {bot.status === 'paused' ? (
+                      <button type="button" onClick={() => handleBotAction('resume', bot.botId)}>Resume</button>
+                    ) : (
+                      <button type="button" onClick={() => handleBotAction('pause', bot.botId)}>Pause</button>
+                    )}
+                    {' '}
+                    <button type="button" className="stop-bot" onClick={() => handleBotAction('stop', bot.botId)}>Stop</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       <div className="testnet-warning card">
         <h3>Testnet Warning</h3>
         <p>You're connected to the Binance Spot Testnet. No real funds will be used.</p>
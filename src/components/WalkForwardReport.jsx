@@ -0,0 +1,87 @@
+// NeutronTrader - Walk-forward results (Backtest tab)
+
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+
+function fmt(n, d = 2) {
+  if (n == null || isNaN(n)) return '—';
+  if (n === Infinity) return '∞';
+  return Number(n).toFixed(d);
+}
+
+function fmtDay(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function fmtParams(params) {
+  return params ? Object.entries(params).map(([k, v]) => `${k}=${v}`).join(', ') : 'none passed';
+}
+
+export default function WalkForwardReport({ report }) {
+  const { degradation: d, metrics } = report;
+  // Under ~50% of the in-sample return rate kept out of sample usually means the tuning overfits
+  const efficiencyColor = d.efficiency == null ? '#888' : d.efficiency >= 50 ? '#4caf50' : d.efficiency >= 0 ? '#ff9800' : '#f44336';
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', fontSize: '13px', marginBottom: '12px' }}>
+        {[
+          ['OOS Return', `${fmt(metrics.totalReturn)}%`],
+          ['OOS Max Drawdown', `${fmt(metrics.maxDrawdown)}%`],
+          ['WF Efficiency', d.efficiency == null ? '—' : `${fmt(d.efficiency, 0)}%`, efficiencyColor],
+          ['Profitable Windows', `${d.profitableWindows}/${d.testedWindows}`],
+          ['IS Return / Bar', `${fmt(d.inSampleReturnPerBar, 4)}%`],
+          ['OOS Return / Bar', `${fmt(d.outOfSampleReturnPerBar, 4)}%`],
+          ['IS Sharpe (avg)', fmt(d.inSampleSharpe)],
+          ['OOS Sharpe (avg)', fmt(d.outOfSampleSharpe)],
+        ].map(([label, value, color]) => (
+          <div key={label}>
+            <div style={{ color: '#888', fontSize: '11px' }}>{label}</div>
+            <div style={{ fontWeight: 'bold', color }}>{value}</div>
+          </div>
+        ))}
+      </div>
+      {report.cancelled && <div style={{ color: '#ff9800', fontSize: '12px', marginBottom: '8px' }}>Stopped early — later windows were not tested</div>}
+
+      {report.equity.length > 0 && (
+        <div style={{ height: '200px', marginBottom: '12px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={report.equity}>
+              <XAxis dataKey="timestamp" hide />
+              <YAxis domain={['auto', 'auto']} tick={{ fontSize: 10 }} />
+              <Tooltip formatter={(v) => `$${fmt(v)}`} labelFormatter={(ts) => fmtDay(ts)} />
+              <Line type="monotone" dataKey="benchmark" stroke="#888" strokeDasharray="2 2" dot={false} name="Buy & Hold" />
+              <Line type="monotone" dataKey="value" stroke="#2196f3" dot={false} name="Out-of-sample equity" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div style={{ maxHeight: '220px', overflow: 'auto' }}>
+        <table style={{ width: '100%', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ color: '#888', textAlign: 'left' }}>
+              <th>#</th><th>In-sample</th><th>Out-of-sample</th><th>Parameters</th>
+              <th>IS Return</th><th>OOS Return</th><th>IS Sharpe</th><th>OOS Sharpe</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.windows.map(w => (
+              <tr key={w.window}>
+                <td>{w.window}</td>
+                <td>{fmtDay(w.inSample.from)} → {fmtDay(w.inSample.to)}</td>
+                <td>{fmtDay(w.outOfSample.from)} → {fmtDay(w.outOfSample.to)}</td>
+                <td style={{ color: w.params ? undefined : '#ff9800' }}>{fmtParams(w.params)}</td>
+                <td>{w.inSampleMetrics ? `${fmt(w.inSampleMetrics.totalReturn)}%` : '—'}</td>
+                <td style={{ color: w.outOfSampleMetrics?.totalReturn < 0 ? '#f44336' : undefined }}>
+                  {w.outOfSampleMetrics ? `${fmt(w.outOfSampleMetrics.totalReturn)}%` : '—'}
+                </td>
+                <td>{fmt(w.inSampleMetrics?.sharpeRatio)}</td>
+                <td>{fmt(w.outOfSampleMetrics?.sharpeRatio)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
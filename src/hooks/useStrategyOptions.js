@@ -0,0 +1,29 @@
+// NeutronTrader - Built-in strategies plus loaded user plugins
+// Re-renders when the main process reloads the plugin folder.
+
+import { useState, useEffect, useMemo } from 'react';
+import {
+  STRATEGY_OPTIONS, listStrategyPlugins, onStrategyPluginsChanged, pluginStrategyOptions,
+} from '../services/strategyService';
+
+export function useStrategyOptions() {
+  const [plugins, setPlugins] = useState([]);
+  const [pluginDir, setPluginDir] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    listStrategyPlugins().then(({ dir, plugins: list }) => {
+      if (!active) return;
+      setPluginDir(dir);
+      setPlugins(list);
+    });
+    const unsubscribe = onStrategyPluginsChanged(list => setPlugins(list));
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const options = useMemo(() => [...STRATEGY_OPTIONS, ...pluginStrategyOptions(plugins)], [plugins]);
+  return { options, plugins, pluginDir };
+}
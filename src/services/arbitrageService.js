@@ -60,3 +60,40 @@ export async function updateRiskConfig(config) {
   if (!isElectronAvailable()) return;
   return window.electronAPI.risk.updateConfig(config);
 }
+
+export async function startSnapshotRecording(options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.arbReplay.startRecording(options);
+}
+
+export async function stopSnapshotRecording() {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.arbReplay.stopRecording();
+}
+
+export async function getSnapshotRecordingStatus() {
+  if (!isElectronAvailable()) return null;
+  const result = await window.electronAPI.arbReplay.getStatus();
+  return result?.data || null;
+}
+
+export async function listSnapshotRecordings() {
+  if (!isElectronAvailable()) return [];
+  const result = await window.electronAPI.arbReplay.listRecordings();
+  return result?.data || [];
+}
+
+export async function deleteSnapshotRecording(id) {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.arbReplay.deleteRecording(id);
+}
+
+export async function runArbitrageReplay(id, config) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.arbReplay.run(id, config);
+}
+
+export async function sweepArbitrageReplay(id, config, ranges) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.arbReplay.sweep(id, config, ranges);
+}
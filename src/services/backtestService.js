@@ -8,7 +8,101 @@ export async function runBacktest(config) {
   return window.electronAPI.backtest.run(config);
 }
 
+export async function runPortfolioBacktest(config) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.runPortfolio(config);
+}
+
+export async function runGridBacktest(config) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.runGrid(config);
+}
+
 export function onBacktestProgress(callback) {
   if (!isElectronAvailable()) return () => {};
   return window.electronAPI.backtest.onProgress(callback);
 }
+
+export async function runOptimization(config, options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.optimize(config, options);
+}
+
+export async function runWalkForward(config, options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.walkForward(config, options);
+}
+
+export async function cancelOptimization() {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.backtest.cancelOptimize();
+}
+
+export async function runMonteCarlo(result, options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.monteCarlo(result, options);
+}
+
+export function onOptimizationProgress(callback) {
+  if (!isElectronAvailable()) return () => {};
+  return window.electronAPI.backtest.onOptimizeProgress(callback);
+}
+
+export async function listBacktestRuns() {
+  if (!isElectronAvailable()) return [];
+  const result = await window.electronAPI.backtest.listRuns();
+  return result?.data || [];
+}
+
+export async function getBacktestRun(id) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.getRun(id);
+}
+
+export async function renameBacktestRun(id, name) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.renameRun(id, name);
+}
+
+export async function deleteBacktestRun(id) {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.backtest.deleteRun(id);
+}
+
+/** format: 'json' (full run), 'trades-csv' or 'equity-csv' */
+export async function exportBacktestRun(id, format) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.backtest.exportRun(id, format);
+}
+
+export async function getCandleCacheCoverage() {
+  if (!isElectronAvailable()) return [];
+  const result = await window.electronAPI.candles.coverage();
+  return result?.data || [];
+}
+
+export async function purgeCandleCache(filter = {}) {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.candles.purge(filter);
+}
+
+export async function pickCandleCsv() {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.dataset.pick();
+}
+
+export async function importCandleCsv(filePath, options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.dataset.import(filePath, options);
+}
+
+export async function listCandleDatasets() {
+  if (!isElectronAvailable()) return [];
+  const result = await window.electronAPI.dataset.list();
+  return result?.data || [];
+}
+
+export async function deleteCandleDataset(id) {
+  if (!isElectronAvailable()) return { success: false };
+  return window.electronAPI.dataset.delete(id);
+}
@@ -211,6 +211,33 @@ export const stopTradingBot = async (botId = null) => {
   }
 };
 
+// List supervised trading bots (including ones restored after a restart)
+export const listTradingBots = async () => {
+  if (!isElectronAvailable()) return [];
+
+  const result = await window.electronAPI.tradingBot.list();
+  if (!result.success) throw new Error(result.error);
+  return result.data;
+};
+
+// Pause a running bot without discarding its state
+export const pauseTradingBot = async (botId) => {
+  if (!isElectronAvailable()) return [];
+
+  const result = await window.electronAPI.tradingBot.pause(botId);
+  if (!result.success) throw new Error(`Failed to pause bot: ${result.error}`);
+  return result.data;
+};
+
+// Resume a paused bot
+export const resumeTradingBot = async (botId) => {
+  if (!isElectronAvailable()) return [];
+
+  const result = await window.electronAPI.tradingBot.resume(botId);
+  if (!result.success) throw new Error(`Failed to resume bot: ${result.error}`);
+  return result.data;
+};
+
 // Register trading bot event listeners
 export const registerTradingBotListeners = (callbacks) => {
   if (!isElectronAvailable()) {
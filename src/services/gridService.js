@@ -0,0 +1,25 @@
+// NeutronTrader - Grid strategy IPC service wrapper
+// src/services/gridService.js
+
+const isElectronAvailable = () =>
+  typeof window !== 'undefined' && window.electronAPI;
+
+export async function startGrid(config) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.grid.start(config);
+}
+
+export async function stopGrid(exchange, symbol, options) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.grid.stop(exchange, symbol, options);
+}
+
+export async function getGridStatus() {
+  if (!isElectronAvailable()) return { success: true, data: [] };
+  return window.electronAPI.grid.getStatus();
+}
+
+export function onGridUpdate(callback) {
+  if (!isElectronAvailable()) return () => {};
+  return window.electronAPI.grid.onUpdate(callback);
+}
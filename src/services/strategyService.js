@@ -20,14 +20,27 @@ export async function deleteStrategyConfig(name) {
 }
 
 export const STRATEGY_HELP = {
-  combineMode: 'AND = all strategies must agree (conservative, fewer trades). OR = any strategy triggers (aggressive, more false signals). MAJORITY = weighted vote — useful when you trust some indicators more than others.',
+  combineMode: 'AND = all strategies must agree (conservative, fewer trades). OR = any strategy triggers (aggressive, more false signals). MAJORITY = weighted vote — useful when you trust some indicators more than others. EXPRESSION = write your own entry/exit conditions instead of picking indicators.',
+  entryRule: 'BUY when this condition holds. Combine comparisons with AND, OR, NOT and parentheses, e.g. rsi(14) < 30 AND close > ema(200). Price fields: open, high, low, close, volume, hl2, hlc3; add [n] to read n bars back (close[1]) and @interval to read closed bars of a higher timeframe (ema(50)@4h). Indicators: sma, ema, rsi, atr, adx, plusDi, minusDi, stochK, stochD, macd, macdSignal, macdHist, bbUpper, bbMiddle, bbLower, vwap, obv, highest, lowest, avgVolume, supertrend.',
+  exitRule: 'SELL when this condition holds (optional). a crosses_above b / a crosses_below b are true only on the bar where a moves across b, e.g. close crosses_below ema(50). When entry and exit both hold on a bar, nothing happens.',
+  plugins: 'Strategy plugins are .js files in this folder exporting { name, label, description, minCandles, params, evaluate(candles, params, currentPrice) }. evaluate returns { action: BUY|SELL|HOLD, reason }. Plugins run sandboxed with a 250 ms time limit per call and are reloaded when a file changes.',
   maxPosition: 'Maximum USDT per trade. Hard cap is 500 USDT. Risking more than 5% of your balance per trade is blocked when balance is known.',
   stopLoss: 'Required for live trading. Without a stop-loss, one bad combined signal can lose the entire position. Backtests do not require this.',
+  ruleInterval: 'Candle interval this rule runs on. Leave it on the bot / backtest interval, or pick a higher one to confirm on a slower trend — e.g. a 4h EMA crossover filter under a 15m RSI trigger. Higher-timeframe rules only see fully closed bars, so backtests never peek at a bar that has not finished.',
   weight: 'In MAJORITY mode, higher weight means that strategy counts more toward the final vote. Zero weight is not allowed — remove the rule instead.',
   rsi: 'RSI measures momentum. Buy when oversold (price dropped too fast), sell when overbought. Oversold must be lower than overbought.',
   sma: 'Compares short-term vs long-term average price. Bullish when short MA crosses above long MA. Short period must be less than long period.',
-  bollingerBands: 'Buys when price hits the lower band (statistically cheap), sells at upper band. Period must fit within the candle window (50 bars).',
+  bollingerBands: 'Buys when price hits the lower band (statistically cheap), sells at upper band. Period must fit within the candle window (100 bars).',
   macd: 'Trend-following momentum indicator. Buy on bullish crossover (MACD line crosses above signal). Fast EMA must be less than slow EMA.',
+  emaCrossover: 'Like the SMA crossover but with exponential averages, which react faster to recent prices. Fast period must be less than slow period.',
+  stochastic: 'Where the close sits in the recent high-low range (0-100). Buys when %K crosses above %D in the oversold zone, sells on the opposite cross in the overbought zone.',
+  atrChannels: 'An EMA with bands a multiple of ATR (average true range) away. Buys on a breakout above the upper band, sells on a break below the lower band.',
+  adx: 'Trend filter: ADX measures trend strength, +DI/-DI its direction. Signals only above the ADX threshold — pair it with an entry rule in AND mode to skip choppy markets.',
+  vwapReversion: 'Volume-weighted average price over the period. Buys when price is the given % below VWAP, sells when the same % above, expecting a return to the average.',
+  obvDivergence: 'On-balance volume vs. price. Buys when price makes a new low over the lookback but OBV does not (selling is drying up); sells on the mirror image at highs.',
+  supertrend: 'ATR-based trailing trend line. Buys when price closes above it (trend flips up), sells when it closes below. Higher multipliers flip less often.',
+  donchian: 'Breakout of the highest high / lowest low of the previous N bars — the classic turtle entry. Buys above the channel, sells below.',
+  ichimoku: 'Cloud system: buys on a Tenkan/Kijun bullish cross or a break above the cloud while price is above it; sells on the bearish mirror. Needs span B + displacement bars of history.',
 };
 
 export async function validateStrategyConfig(config, options = {}) {
@@ -36,6 +49,43 @@ export async function validateStrategyConfig(config, options = {}) {
   return result?.data || { valid: false, errors: ['Validation unavailable'] };
 }
 
+export async function previewStrategyConfig(config, market) {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.strategy.preview(config, market);
+}
+
+export async function listStrategyPlugins() {
+  if (!isElectronAvailable()) return { dir: null, plugins: [] };
+  const result = await window.electronAPI.strategy.listPlugins();
+  return result?.data || { dir: null, plugins: [] };
+}
+
+export async function reloadStrategyPlugins() {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.strategy.reloadPlugins();
+}
+
+export async function openStrategyPluginFolder() {
+  if (!isElectronAvailable()) return { success: false, error: 'Not in Electron' };
+  return window.electronAPI.strategy.openPluginFolder();
+}
+
+export function onStrategyPluginsChanged(callback) {
+  if (!isElectronAvailable()) return () => {};
+  return window.electronAPI.strategy.onPluginsChanged(callback);
+}
+
+/** Loaded plugins in STRATEGY_OPTIONS form; plugins that failed to load are left out. */
+export function pluginStrategyOptions(plugins = []) {
+  return plugins.filter(p => !p.error).map(p => ({
+    id: p.name,
+    label: `${p.label} (plugin)`,
+    description: p.description,
+    plugin: true,
+    params: p.params.map(({ key, label, default: dflt }) => ({ key, label, type: 'number', default: dflt })),
+  }));
+}
+
 export const STRATEGY_OPTIONS = [
   { id: 'simpleMovingAverage', label: 'SMA Crossover', params: [
     { key: 'shortPeriod', label: 'Short Period', type: 'number', default: 5 },
@@ -55,4 +105,43 @@ export const STRATEGY_OPTIONS = [
     { key: 'slowPeriod', label: 'Slow EMA', type: 'number', default: 26 },
     { key: 'signalPeriod', label: 'Signal', type: 'number', default: 9 },
   ]},
+  { id: 'emaCrossover', label: 'EMA Crossover', params: [
+    { key: 'fastPeriod', label: 'Fast Period', type: 'number', default: 9 },
+    { key: 'slowPeriod', label: 'Slow Period', type: 'number', default: 21 },
+  ]},
+  { id: 'stochastic', label: 'Stochastic', params: [
+    { key: 'kPeriod', label: '%K Period', type: 'number', default: 14 },
+    { key: 'dPeriod', label: '%D Period', type: 'number', default: 3 },
+    { key: 'overbought', label: 'Overbought', type: 'number', default: 80 },
+    { key: 'oversold', label: 'Oversold', type: 'number', default: 20 },
+  ]},
+  { id: 'atrChannels', label: 'ATR Channels', params: [
+    { key: 'period', label: 'EMA Period', type: 'number', default: 20 },
+    { key: 'atrPeriod', label: 'ATR Period', type: 'number', default: 14 },
+    { key: 'multiplier', label: 'ATR Multiplier', type: 'number', default: 2 },
+  ]},
+  { id: 'adx', label: 'ADX / DMI Trend', params: [
+    { key: 'period', label: 'Period', type: 'number', default: 14 },
+    { key: 'threshold', label: 'ADX Threshold', type: 'number', default: 25 },
+  ]},
+  { id: 'vwapReversion', label: 'VWAP Reversion', params: [
+    { key: 'period', label: 'Period', type: 'number', default: 20 },
+    { key: 'deviationPct', label: 'Deviation %', type: 'number', default: 1 },
+  ]},
+  { id: 'obvDivergence', label: 'OBV Divergence', params: [
+    { key: 'lookback', label: 'Lookback', type: 'number', default: 20 },
+  ]},
+  { id: 'supertrend', label: 'Supertrend', params: [
+    { key: 'period', label: 'ATR Period', type: 'number', default: 10 },
+    { key: 'multiplier', label: 'Multiplier', type: 'number', default: 3 },
+  ]},
+  { id: 'donchian', label: 'Donchian Breakout', params: [
+    { key: 'period', label: 'Period', type: 'number', default: 20 },
+  ]},
+  { id: 'ichimoku', label: 'Ichimoku Cloud', params: [
+    { key: 'conversionPeriod', label: 'Tenkan', type: 'number', default: 9 },
+    { key: 'basePeriod', label: 'Kijun', type: 'number', default: 26 },
+    { key: 'spanBPeriod', label: 'Span B', type: 'number', default: 52 },
+    { key: 'displacement', label: 'Displacement', type: 'number', default: 26 },
+  ]},
 ];
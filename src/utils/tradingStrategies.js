@@ -36,6 +36,53 @@ export const getStrategies = () => {
       execute: async (client, symbol, interval, options) => {
         // Implementation would go here
       }
+    },
+
+    // The entries below are listed for the strategy picker; their signals are
+    // computed in the main process by electron/strategies/technicalStrategies.js
+    emaCrossover: {
+      name: 'Exponential Moving Average Crossover (EMA)',
+      description: 'Like the SMA crossover with faster-reacting exponential averages. Buys when the fast EMA crosses above the slow EMA, sells when it crosses below.'
+    },
+
+    stochastic: {
+      name: 'Stochastic Oscillator',
+      description: 'Locates the close within the recent high-low range. Buys when %K crosses above %D below 20, sells when it crosses below %D above 80.'
+    },
+
+    atrChannels: {
+      name: 'ATR Channels',
+      description: 'Bands a multiple of the average true range around an EMA. Buys on a breakout above the upper band, sells on a break below the lower band.'
+    },
+
+    adx: {
+      name: 'ADX / DMI Trend Filter',
+      description: 'Trades only strong trends: buys when ADX is above 25 and +DI leads, sells when -DI leads.'
+    },
+
+    vwapReversion: {
+      name: 'VWAP Reversion',
+      description: 'Buys when price is 1% below the rolling volume-weighted average price, sells when 1% above.'
+    },
+
+    obvDivergence: {
+      name: 'On-Balance Volume (OBV) Divergence',
+      description: 'Buys when price makes a new low that volume does not confirm, sells on an unconfirmed new high.'
+    },
+
+    supertrend: {
+      name: 'Supertrend',
+      description: 'ATR-based trailing trend line. Buys when the trend flips up, sells when it flips down.'
+    },
+
+    donchian: {
+      name: 'Donchian Channel Breakout',
+      description: 'Buys on a break above the 20-bar high, sells on a break below the 20-bar low.'
+    },
+
+    ichimoku: {
+      name: 'Ichimoku Cloud',
+      description: 'Buys on a Tenkan/Kijun bullish cross or cloud breakout with price above the cloud, sells on the bearish mirror.'
     }
   };
 };